@@ -10,25 +10,169 @@
 // Usage:
 //   node src/analysis/apl-interpreter.js --spec vengeance --build anni-apex3-dgb --duration 120
 //   npm run apl-trace -- --build anni-apex3-dgb --duration 120
-
-import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+//   --seed N rolls procs from a seeded RNG instead of expected value
+//
+// Besides the engine's own fields, the build config may describe the fight and
+// gear the APL reads (all optional):
+//   fightStyle  — fight_style.X (default "patchwerk")
+//   raidEvents  — [{ type, at, duration, count, boss }] for raid_event.X.*
+//   trinkets    — [trinket1, trinket2] as { name, ilvl, cooldown, useBuff,
+//                 buffs, procDuration, procValue } for trinket.N.* and use_item
+//   equipped    — item names for equipped.X
+//   setBonus    — { [bonus]: true } for set_bonus.X
+//   tierPieces  — equipped tier pieces; set_bonus.*_Npc without a setBonus
+//                 entry is tierPieces >= N
+// trinkets, equipped and tierPieces default to the spec's profile.simc gear
+// (see profileGear).
+// Expressions that can't be resolved evaluate as 0 and are listed in the
+// trace's diagnostics.unmodeled_expressions.
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
 import { join } from "node:path";
 import { parseArgs } from "node:util";
 import { parse, getActionLists } from "../apl/parser.js";
 import { parseCondition } from "../apl/condition-parser.js";
 import { initSpec, getSpecAdapter } from "../engine/startup.js";
 import { parseSpecArg } from "../util/parse-spec-arg.js";
-import { ROOT } from "../engine/paths.js";
+import { ROOT, dataFile } from "../engine/paths.js";
+import { loadEngine } from "./engine-interface.js";
+import { seedState, loadProcRates } from "./proc-rng.js";
 
 // State engine — loaded dynamically from src/analysis/{spec}/state-sim.js
 let engine;
 
+// Gear from the spec's profile.simc, merged under every build config
+let specGear = {};
+
 export async function initEngine(specName) {
   if (engine) return engine;
-  engine = await import(`./${specName}/state-sim.js`);
+  engine = await loadEngine(specName);
+  specGear = loadProfileGear(specName);
   return engine;
 }
 
+// Stat tags of on-use trinket candidates → trinket.N.has_buff.X
+const TRINKET_BUFF_STATS = {
+  agi: "agility",
+  crit: "crit",
+  haste: "haste",
+  mastery: "mastery",
+  vers: "versatility",
+};
+
+const GEAR_LINE_RE =
+  /^(head|neck|shoulders?|back|chest|wrists?|hands|waist|legs|feet|finger[12]|trinket[12]|main_hand|off_hand)=([^,]*)((?:,[^,]*)*)$/;
+
+// Equipped items from a profile's uncommented slot=token,id=... lines
+function equippedItems(profileText) {
+  const items = [];
+  for (const raw of profileText.split(/\r?\n/)) {
+    const m = raw.trim().match(GEAR_LINE_RE);
+    if (!m) continue;
+    const fields = Object.fromEntries(
+      m[3]
+        .split(",")
+        .filter(Boolean)
+        .map((part) => part.split("=")),
+    );
+    if (!fields.id) continue;
+    items.push({
+      slot: m[1],
+      token: m[2],
+      id: Number(fields.id),
+      ilvl: fields.ilevel ? Number(fields.ilevel) : null,
+    });
+  }
+  return items;
+}
+
+/**
+ * Build-config gear fields from a profile's gear lines. Gear candidates, when
+ * given, mark on-use trinkets (and the stat they buff) and the tier set's
+ * items. On-use cooldown durations aren't in either, so use_item stays idle
+ * unless a build config supplies trinkets with a cooldown.
+ * @param {string} profileText — profile.simc contents
+ * @param {Object} [candidates] — data/{spec}/gear-candidates.json
+ * @returns {{ trinkets: Object[], equipped: string[], tierPieces?: number }}
+ */
+export function profileGear(profileText, candidates = null) {
+  const equipped = equippedItems(profileText);
+  const trinketInfo = new Map(
+    (candidates?.paired_slots?.trinkets?.candidates ?? []).map((c) => [
+      c.id,
+      c,
+    ]),
+  );
+
+  const trinkets = ["trinket1", "trinket2"].map((slot) => {
+    const item = equipped.find((i) => i.slot === slot);
+    if (!item) return null;
+    const info = trinketInfo.get(item.token);
+    const onUse = info?.tags?.includes("on-use") ?? false;
+    return {
+      name: item.token || null,
+      ilvl: item.ilvl,
+      useBuff: onUse,
+      buffs: onUse
+        ? Object.keys(info.stats ?? {})
+            .map((stat) => TRINKET_BUFF_STATS[stat])
+            .filter(Boolean)
+        : [],
+    };
+  });
+
+  const gear = {
+    trinkets,
+    equipped: equipped.map((i) => i.token).filter(Boolean),
+  };
+  if (candidates?.tier?.items) {
+    const tierIds = new Set(
+      Object.values(candidates.tier.items).map((simc) =>
+        Number(simc.match(/,id=(\d+)/)?.[1]),
+      ),
+    );
+    gear.tierPieces = equipped.filter((i) => tierIds.has(i.id)).length;
+  }
+  return gear;
+}
+
+// profileGear() for apls/{spec}/profile.simc; {} when the spec has no profile
+export function loadProfileGear(spec) {
+  const profilePath = join(ROOT, "apls", spec, "profile.simc");
+  if (!existsSync(profilePath)) return {};
+  const candidatesPath = dataFile("gear-candidates.json", spec);
+  const candidates = existsSync(candidatesPath)
+    ? JSON.parse(readFileSync(candidatesPath, "utf-8"))
+    : null;
+  return profileGear(readFileSync(profilePath, "utf-8"), candidates);
+}
+
+// Expressions that could not be resolved during the current simulateApl run:
+// expr → { reason, count }. Emitted as diagnostics.unmodeled_expressions.
+const unmodeled = new Map();
+
+// Ability whose if= condition is being evaluated, for action-scoped bare
+// expressions (fracture,if=full_recharge_time<gcd.max)
+let currentAction = null;
+
+// Records an unresolvable expression and evaluates it as 0
+function unmodeledExpr(expr, reason) {
+  const entry = unmodeled.get(expr);
+  if (entry) entry.count++;
+  else unmodeled.set(expr, { reason, count: 1 });
+  return 0;
+}
+
+// SimC action properties that may be written without the action.X / cooldown.X
+// prefix inside an action's own condition
+const BARE_COOLDOWN_PROPS = new Set([
+  "charges",
+  "charges_fractional",
+  "full_recharge_time",
+  "cooldown_react",
+]);
+const BARE_ACTION_PROPS = new Set(["cost", "in_flight", "placed"]);
+
 // ---------------------------------------------------------------------------
 // SimC expression evaluator
 // Resolves SimC dotted expressions (fury, buff.X.remains, etc.) against state
@@ -42,14 +186,39 @@ function evalSimcExpr(expr, state, vars, cfg) {
   const num = Number(expr);
   if (!isNaN(num) && expr !== "") return num;
 
+  if (parts.length === 1 && currentAction) {
+    if (BARE_COOLDOWN_PROPS.has(expr)) {
+      const prop = expr === "cooldown_react" ? "ready" : expr;
+      return evalSimcExpr(
+        `cooldown.${currentAction}.${prop}`,
+        state,
+        vars,
+        cfg,
+      );
+    }
+    if (BARE_ACTION_PROPS.has(expr))
+      return evalSimcExpr(`action.${currentAction}.${expr}`, state, vars, cfg);
+  }
+
   // Top-level resources
   switch (parts[0]) {
-    case "fury":
+    case "fury": {
+      const cap = engine.getResourceCaps(state).fury;
+      if (parts[1] === "deficit") return cap - state.fury;
+      if (parts[1] === "max") return cap;
       return state.fury;
+    }
 
-    case "soul_fragments":
-      if (parts[1] === "total") return state.soul_fragments; // approximation
+    case "soul_fragments": {
+      // Fragments still travelling (Sigil of Spite) are inactive until they land
+      const inactive = (state.pending_frags ?? []).reduce(
+        (sum, pf) => sum + pf.count,
+        0,
+      );
+      if (parts[1] === "total") return state.soul_fragments + inactive;
+      if (parts[1] === "inactive") return inactive;
       return state.soul_fragments;
+    }
 
     case "health":
       return 100; // Always full in simulation
@@ -61,8 +230,22 @@ function evalSimcExpr(expr, state, vars, cfg) {
       return state.target_count;
 
     case "gcd":
+      // Decisions are taken at GCD boundaries, so no GCD is ever running
+      if (parts[1] === "remains") return 0;
       return state.gcd;
 
+    case "time":
+      return state.t;
+
+    case "fight_remains":
+      return fightRemains(state);
+
+    case "in_combat":
+      return 1; // The trace starts at the pull
+
+    case "fight_style":
+      return (cfg.fightStyle ?? "patchwerk").toLowerCase() === parts[1] ? 1 : 0;
+
     case "buff": {
       const buffName = parts[1];
       const prop = parts[2] || "up";
@@ -78,16 +261,25 @@ function evalSimcExpr(expr, state, vars, cfg) {
         return stacks > 0 ? 1 : 0;
       }
       const remains = state.buffs[buffName] || 0;
+      const stacks = state.buffStacks?.[buffName] || 0;
+      // Stack-only buffs (no duration tracked) count as up while stacked
+      const up = remains > 0 || (!(buffName in state.buffs) && stacks > 0);
       switch (prop) {
         case "up":
         case "react":
-          return remains > 0 ? 1 : 0;
+          return up ? 1 : 0;
         case "down":
-          return remains <= 0 ? 1 : 0;
+          return up ? 0 : 1;
         case "remains":
           return remains;
         case "stack":
-          return state.buffStacks[buffName] || 0;
+          return stacks;
+        case "max_stack":
+          return engine.getBuffMaxStack?.(state, buffName) ?? 0;
+        case "at_max_stacks": {
+          const max = engine.getBuffMaxStack?.(state, buffName);
+          return max && stacks >= max ? 1 : 0;
+        }
         default:
           return remains;
       }
@@ -118,6 +310,7 @@ function evalSimcExpr(expr, state, vars, cfg) {
         const recharge = state.recharge.fracture;
         switch (prop) {
           case "ready":
+          case "up":
             return charges > 0 ? 1 : 0;
           case "remains":
             return charges > 0 ? 0 : recharge;
@@ -132,8 +325,10 @@ function evalSimcExpr(expr, state, vars, cfg) {
             if (charges === 1) return recharge;
             return recharge + 4.5; // Two charges needed
           }
+          case "duration":
+            return 4.5;
           default:
-            return charges > 0 ? 0 : recharge;
+            return unmodeledExpr(expr, "unknown cooldown property");
         }
       }
 
@@ -142,6 +337,7 @@ function evalSimcExpr(expr, state, vars, cfg) {
         const recharge = state.recharge.immolation_aura;
         switch (prop) {
           case "ready":
+          case "up":
             return charges > 0 ? 1 : 0;
           case "remains":
             return charges > 0 ? 0 : recharge;
@@ -152,22 +348,29 @@ function evalSimcExpr(expr, state, vars, cfg) {
             if (charges === 1) return recharge;
             return recharge + 30;
           }
+          case "duration":
+            return 30;
           default:
-            return charges > 0 ? 0 : recharge;
+            return unmodeledExpr(expr, "unknown cooldown property");
         }
       }
 
-      // Standard cooldown
+      // Standard cooldown (single charge)
       const cd = state.cooldowns[spellName] || 0;
       switch (prop) {
         case "ready":
+        case "up":
+        case "charges":
           return cd <= 0 ? 1 : 0;
+        case "charges_fractional":
+          return Math.max(0, 1 - cd / getCdDuration(spellName, cfg));
         case "remains":
+        case "full_recharge_time":
           return cd;
         case "duration":
           return getCdDuration(spellName, cfg);
         default:
-          return cd;
+          return unmodeledExpr(expr, "unknown cooldown property");
       }
     }
 
@@ -178,7 +381,11 @@ function evalSimcExpr(expr, state, vars, cfg) {
       return cfg.apexRank >= parseInt(parts[1], 10) ? 1 : 0;
 
     case "variable":
-      return vars[parts[1]] !== undefined ? vars[parts[1]] : 0;
+      // computeVariables declares every assigned variable up front, so a
+      // missing name is never assigned anywhere in the APL
+      if (!(parts[1] in vars))
+        return unmodeledExpr(expr, "variable never assigned");
+      return vars[parts[1]];
 
     case "prev_gcd": {
       const pos = parseInt(parts[1], 10);
@@ -191,13 +398,155 @@ function evalSimcExpr(expr, state, vars, cfg) {
     case "hero_tree":
       return cfg.heroTree === parts[1] ? 1 : 0;
 
-    case "trinket":
+    case "active_dot":
+      return (state.dots[parts[1]] || 0) > 0 ? 1 : 0;
+
+    case "action":
+      // Spec-specific action properties (e.g. action.reap.souls_consumed)
+      return (
+        engine.getActionValue?.(state, parts[1], parts[2]) ??
+        unmodeledExpr(expr, "state engine has no value for this action")
+      );
+
     case "target":
-      // Trinkets and target properties — not modeled, return safe defaults
+      return evalTargetExpr(expr, parts, state);
+
+    case "trinket":
+      return evalTrinketExpr(expr, parts, state, cfg);
+
+    case "equipped": {
+      if (!cfg.equipped)
+        return unmodeledExpr(expr, "build config has no equipped items");
+      const item = parts[1];
+      const onTrinket = (cfg.trinkets ?? []).some((t) => t?.name === item);
+      return cfg.equipped.includes(item) || onTrinket ? 1 : 0;
+    }
+
+    case "set_bonus": {
+      if (cfg.setBonus && parts[1] in cfg.setBonus)
+        return cfg.setBonus[parts[1]] ? 1 : 0;
+      // tierN_4pc, season_2pc, ... — the pieces of the equipped tier set
+      const pieces = parts[1].match(/_(\d)pc$/);
+      if (pieces && cfg.tierPieces != null)
+        return cfg.tierPieces >= Number(pieces[1]) ? 1 : 0;
+      if (!cfg.setBonus)
+        return unmodeledExpr(expr, "build config has no set bonuses");
       return 0;
+    }
+
+    case "raid_event":
+      return evalRaidEventExpr(expr, parts, state, cfg);
   }
 
-  return 0;
+  return unmodeledExpr(expr, "unknown expression");
+}
+
+// Seconds left in the fight. simulateApl sets fight_end to the trace duration.
+function fightRemains(state) {
+  return Math.max(0, (state.fight_end ?? Infinity) - state.t);
+}
+
+// target.* — a single boss that loses health linearly over the fight and
+// never casts
+function evalTargetExpr(expr, parts, state) {
+  const path = parts.slice(1).join(".");
+  if (path === "time_to_die") return fightRemains(state);
+  if (path === "health.pct") {
+    if (!Number.isFinite(state.fight_end)) return 100;
+    return (100 * fightRemains(state)) / state.fight_end;
+  }
+  if (path.startsWith("debuff.casting.")) return 0;
+  return unmodeledExpr(expr, "unknown target property");
+}
+
+// trinket.N.* — resolved against buildConfig.trinkets[N-1]:
+//   { name, ilvl, cooldown, useBuff, buffs: [stat], procDuration, procValue }
+// Cooldown state lives in state.cooldowns.trinketN, set when a use_item line
+// fires (see trinketUse).
+function evalTrinketExpr(expr, parts, state, cfg) {
+  if (!cfg.trinkets) return unmodeledExpr(expr, "build config has no trinkets");
+  const slot = parseInt(parts[1], 10);
+  const trinket = cfg.trinkets[slot - 1];
+  if (!trinket) return 0; // Empty slot
+  const remains = state.cooldowns[`trinket${slot}`] || 0;
+
+  switch (parts[2]) {
+    case "is":
+      return trinket.name === parts[3] ? 1 : 0;
+    case "ilvl":
+      return trinket.ilvl ?? 0;
+    case "has_cooldown":
+      return trinket.cooldown > 0 || trinket.useBuff ? 1 : 0;
+    case "has_use_buff":
+      return trinket.useBuff ? 1 : 0;
+    case "has_buff":
+    case "has_stat":
+      return trinket.buffs?.includes(parts[3]) ? 1 : 0;
+    case "cooldown":
+      switch (parts[3] || "remains") {
+        case "remains":
+          return remains;
+        case "duration":
+          return trinket.cooldown ?? 0;
+        case "ready":
+        case "up":
+          return remains <= 0 ? 1 : 0;
+      }
+      break;
+    case "proc":
+      if (parts[4] === "duration") return trinket.procDuration ?? 0;
+      if (parts[4] === "default_value") return trinket.procValue ?? 0;
+      break;
+  }
+  return unmodeledExpr(expr, "unknown trinket property");
+}
+
+// raid_event.TYPE.* — resolved against buildConfig.raidEvents:
+//   [{ type: "adds"|"pull"|..., at, duration, count, boss }]
+// With no events configured the fight is a Patchwerk: nothing ever spawns.
+function evalRaidEventExpr(expr, parts, state, cfg) {
+  const events = (cfg.raidEvents ?? []).filter((e) => e.type === parts[1]);
+  const t = state.t;
+  const active = events.find((e) => e.at <= t && t < e.at + e.duration);
+  const next = events
+    .filter((e) => e.at > t)
+    .reduce((a, e) => (!a || e.at < a.at ? e : a), null);
+  const current = active ?? next;
+
+  switch (parts[2]) {
+    case "exists":
+    case "up":
+      return active ? 1 : 0;
+    case "in":
+      return next ? next.at - t : Infinity;
+    case "remains":
+      return active ? active.at + active.duration - t : 0;
+    case "duration":
+      return current?.duration ?? 0;
+    case "count":
+      return current?.count ?? 0;
+    case "has_boss":
+      return current?.boss ? 1 : 0;
+  }
+  return unmodeledExpr(expr, "unknown raid_event property");
+}
+
+// use_item,slot=trinketN (or name=X) → the trinket it would fire, or null when
+// the trinket has no on-use modeled or is still on cooldown
+function trinketUse(entry, state, cfg) {
+  const trinkets = cfg.trinkets ?? [];
+  const slotMod = entry.modifiers.get("slot");
+  const nameMod = entry.modifiers.get("name");
+  let index = -1;
+  if (slotMod?.startsWith("trinket"))
+    index = parseInt(slotMod.slice(7), 10) - 1;
+  else if (nameMod) index = trinkets.findIndex((t) => t?.name === nameMod);
+
+  const trinket = trinkets[index];
+  if (!trinket || !(trinket.cooldown > 0)) return null;
+  const slot = `trinket${index + 1}`;
+  if ((state.cooldowns[slot] || 0) > 0) return null;
+  return { slot, item: trinket.name, cooldown: trinket.cooldown };
 }
 
 // Get base cooldown duration for a spell (for trinket-style duration comparisons)
@@ -261,6 +610,15 @@ function evalConditionAst(ast, state, vars, cfg) {
     case "BuffCheck": {
       const prefix = ast.isDot ? "dots" : ast.isDebuff ? "debuffs" : "buffs";
       const buffName = ast.buff;
+      if (
+        prefix === "buffs" &&
+        !["up", "down", "react"].includes(ast.property)
+      ) {
+        const v =
+          evalSimcExpr(`buff.${buffName}.${ast.property}`, state, vars, cfg) >
+          0;
+        return ast.negate ? !v : v;
+      }
       let val;
       if (
         prefix === "buffs" &&
@@ -270,6 +628,8 @@ function evalConditionAst(ast, state, vars, cfg) {
       } else {
         const container = state[prefix] || {};
         val = container[buffName] || 0;
+        if (prefix === "buffs" && !(buffName in container))
+          val = state.buffStacks?.[buffName] || 0;
       }
       const result = ast.property === "down" ? val <= 0 : val > 0;
       return ast.negate ? !result : result;
@@ -279,12 +639,17 @@ function evalConditionAst(ast, state, vars, cfg) {
       const spellName = ast.spell;
       const cd = state.cooldowns[spellName] || 0;
       const charges = state.charges[spellName] || 0;
-      switch (ast.property) {
-        case "ready":
-          return spellName === "fracture" ? charges > 0 : cd <= 0;
-        default:
-          return cd <= 0;
-      }
+      if (ast.property === "ready")
+        return spellName === "fracture" ? charges > 0 : cd <= 0;
+      // Bare numeric properties (cooldown.X.remains) are true when non-zero
+      return (
+        evalSimcExpr(
+          `cooldown.${spellName}.${ast.property}`,
+          state,
+          vars,
+          cfg,
+        ) > 0
+      );
     }
 
     case "TalentCheck": {
@@ -293,12 +658,15 @@ function evalConditionAst(ast, state, vars, cfg) {
     }
 
     case "ResourceCheck": {
-      const val = evalSimcExpr(ast.resource, state, vars, cfg);
-      return val > 0;
+      const expr =
+        ast.property === "current"
+          ? ast.resource
+          : `${ast.resource}.${ast.property}`;
+      return evalSimcExpr(expr, state, vars, cfg) > 0;
     }
 
     case "VariableCheck": {
-      return (vars[ast.variable] || 0) > 0;
+      return evalSimcExpr(`variable.${ast.variable}`, state, vars, cfg) > 0;
     }
 
     case "SpellTargets": {
@@ -318,12 +686,11 @@ function evalConditionAst(ast, state, vars, cfg) {
     case "Literal": {
       const n = parseFloat(ast.value);
       if (!isNaN(n)) return n !== 0;
-      // apex.N: condition-parser doesn't recognize this prefix, falls through to Literal.
-      // Route through evalSimcExpr which handles it correctly.
-      if (ast.value.startsWith("apex.")) {
-        return evalSimcExpr(ast.value, state, vars, cfg) > 0;
-      }
-      return ast.value !== "" && ast.value !== "0";
+      if (ast.value === "") return false;
+      // Prefixes the condition-parser doesn't recognize (apex.N, trinket.*,
+      // action.*, time, ...) fall through to Literal. Route them through
+      // evalSimcExpr rather than treating any identifier as true.
+      return evalSimcExpr(ast.value, state, vars, cfg) > 0;
     }
 
     default:
@@ -337,11 +704,12 @@ function evalConditionAst(ast, state, vars, cfg) {
 // The condition-parser's tokenizer drops '-' and leaves mismatched parens,
 // causing incorrect evaluation of arithmetic expressions.
 function preprocessCondition(str, state, vars, cfg) {
-  // Replace parenthesized arithmetic: (N-expr) → computed value
-  // e.g., (2-apex.3) with apex.3=1 → 1
-  let result = str.replace(/\((\d+)-([\w.]+)\)/g, (_, n, expr) =>
-    String(parseInt(n, 10) - evalSimcExpr(expr, state, vars, cfg)),
-  );
+  // Replace parenthesized arithmetic: (N-expr) / (N+expr) → computed value
+  // e.g., (2-apex.3) with apex.3=1 → 1; (8+buff.voidfall_building.react) → 8 or 9
+  let result = str.replace(/\((\d+)([-+])([\w.]+)\)/g, (_, n, op, expr) => {
+    const v = evalSimcExpr(expr, state, vars, cfg);
+    return String(op === "-" ? parseInt(n, 10) - v : parseInt(n, 10) + v);
+  });
   // Replace bare addition in comparison RHS: <=N+expr → <=computed
   // e.g., soul_fragments<=2+talent.soul_sigils → soul_fragments<=3 when soul_sigils=1
   result = result.replace(
@@ -349,6 +717,22 @@ function preprocessCondition(str, state, vars, cfg) {
     (_, op, n, expr) =>
       `${op}${parseInt(n, 10) + evalSimcExpr(expr, state, vars, cfg)}`,
   );
+  // Sum remaining expression operands: A+B → computed, then unwrap (N)
+  // e.g., (buff.x.stack+action.reap.souls_consumed)>=buff.x.max_stack
+  // Only fold when neither neighbour binds tighter (a*2+1, 15+v*0.5) or
+  // would change the grouping (x-a+b)
+  let prev;
+  do {
+    prev = result;
+    result = result.replace(
+      /(?<![\w.*/%-])([a-z_][\w.]*|\d+(?:\.\d+)?)\+([a-z_][\w.]*|\d+(?:\.\d+)?)(?![\w.*/%])/g,
+      (_, a, b) =>
+        String(
+          evalSimcExpr(a, state, vars, cfg) + evalSimcExpr(b, state, vars, cfg),
+        ),
+    );
+  } while (result !== prev);
+  result = result.replace(/\((\d+(?:\.\d+)?)\)/g, "$1");
   // Handle SimC min operator >? (e.g., A>?B>?C<8 → min(A,B,C)<8)
   // >? returns the minimum of its operands, used for "earliest cooldown" patterns
   result = result.replace(
@@ -375,35 +759,66 @@ function evalCondition(conditionStr, state, vars, cfg) {
   }
 }
 
+// Evaluate an action's if= with bare action-scoped expressions bound to it
+function evalActionCondition(ability, conditionStr, state, vars, cfg) {
+  currentAction = ability;
+  const result = evalCondition(conditionStr, state, vars, cfg);
+  currentAction = null;
+  return result;
+}
+
 // ---------------------------------------------------------------------------
 // Variable computation — evaluates all APL variables fresh each GCD
-// Variables are defined as actions in the "default" action list
+// Variables are evaluated in execution order from the "default" action list,
+// following call_action_list/run_action_list into sub-lists
 // ---------------------------------------------------------------------------
 
 function computeVariables(actionLists, state, cfg) {
   const vars = {};
-  const defaultList = actionLists.find((l) => l.name === "default");
-  if (!defaultList) return vars;
+  const byName = new Map(actionLists.map((l) => [l.name, l]));
+  if (!byName.has("default")) return vars;
+
+  // SimC variables default to 0 until assigned
+  for (const list of actionLists) {
+    for (const entry of list.entries) {
+      const name = entry.type === "Variable" && entry.modifiers.get("name");
+      if (name) vars[name] = 0;
+    }
+  }
 
-  for (const entry of defaultList.entries) {
-    if (entry.type !== "Variable") continue;
-    const name = entry.modifiers.get("name");
-    if (!name) continue;
+  const walk = (list, stack) => {
+    for (const entry of list.entries) {
+      const condition = entry.modifiers?.get("if");
+
+      if (entry.type === "RunActionList") {
+        const target = byName.get(entry.modifiers.get("name"));
+        if (!target || stack.includes(target.name)) continue;
+        if (condition && !evalCondition(condition, state, vars, cfg)) continue;
+        walk(target, [...stack, target.name]);
+        // run_action_list never returns to the calling list
+        if (entry.variant === "run") return;
+        continue;
+      }
 
-    const valueExpr = entry.modifiers.get("value");
-    const condition = entry.modifiers.get("if");
+      if (entry.type !== "Variable") continue;
+      const name = entry.modifiers.get("name");
+      if (!name) continue;
 
-    // Check condition first (some variables are conditional)
-    if (condition && !evalCondition(condition, state, vars, cfg)) continue;
+      const valueExpr = entry.modifiers.get("value");
 
-    if (!valueExpr) {
-      vars[name] = 0;
-      continue;
-    }
+      // Check condition first (some variables are conditional)
+      if (condition && !evalCondition(condition, state, vars, cfg)) continue;
 
-    // Evaluate the value expression against current state
-    vars[name] = evalVariableExpr(valueExpr, state, vars, cfg);
-  }
+      if (!valueExpr) {
+        vars[name] = 0;
+        continue;
+      }
+
+      // Evaluate the value expression against current state
+      vars[name] = evalVariableExpr(valueExpr, state, vars, cfg);
+    }
+  };
+  walk(byName.get("default"), ["default"]);
 
   return vars;
 }
@@ -517,10 +932,24 @@ function evalActionList(listName, actionLists, state, vars, cfg, depth = 0) {
     if (entry.type === "Action") {
       const ability = entry.ability;
 
+      // Trinkets from buildConfig.trinkets; the state engine has no items
+      if (ability === "use_item") {
+        const use = trinketUse(entry, state, cfg);
+        if (use && (!condition || evalCondition(condition, state, vars, cfg))) {
+          return {
+            ability,
+            ...use,
+            off_gcd: true,
+            condition: condition || null,
+            listName,
+          };
+        }
+        continue;
+      }
+
       // Skip non-game abilities
       if (
         ability === "snapshot_stats" ||
-        ability === "use_item" ||
         ability === "potion" ||
         ability === "invoke_external_buff"
       ) {
@@ -532,7 +961,10 @@ function evalActionList(listName, actionLists, state, vars, cfg, depth = 0) {
       // For off-GCD abilities, check differently
       const useOffGcd = entry.modifiers.get("use_off_gcd") === "1";
 
-      if (!condition || evalCondition(condition, state, vars, cfg)) {
+      if (
+        !condition ||
+        evalActionCondition(ability, condition, state, vars, cfg)
+      ) {
         // Check availability
         if (ability === "auto_attack" || ability === "disrupt") continue;
         if (ability === "metamorphosis" && !available.includes("metamorphosis"))
@@ -556,19 +988,32 @@ function evalActionList(listName, actionLists, state, vars, cfg, depth = 0) {
 // Main trace generator
 // ---------------------------------------------------------------------------
 
-export function simulateApl(aplText, buildConfig, durationSeconds = 120) {
+// options.seed enables stochastic procs (see proc-rng.js); options.procRates
+// overrides the engine's default proc chances.
+export function simulateApl(
+  aplText,
+  buildConfig,
+  durationSeconds = 120,
+  { seed = null, procRates = null } = {},
+) {
   const {
     createInitialState,
     applyAbility,
     advanceTime,
     OFF_GCD_ABILITIES,
     getAbilityGcd,
+    scoreDpgcd,
   } = engine;
 
   const sections = parse(aplText);
   const actionLists = getActionLists(sections);
+  // Gear the build config leaves out comes from the spec profile
+  buildConfig = { ...specGear, ...buildConfig };
 
   let state = createInitialState(buildConfig);
+  if (seed != null) seedState(state, seed, procRates);
+  state.fight_end = durationSeconds;
+  unmodeled.clear();
   const events = [];
   let gcdNumber = 0;
   let offGcdGuard = 0;
@@ -598,6 +1043,27 @@ export function simulateApl(aplText, buildConfig, durationSeconds = 120) {
 
     const { ability, off_gcd, condition, apl_reason, listName } = decision;
 
+    if (ability === "use_item" && offGcdGuard < 5) {
+      // Trinket use: no effect on the state engine, only the slot's cooldown
+      offGcdGuard++;
+      const preState = snapshotState(state);
+      state = engine.cloneState(state);
+      state.cooldowns[decision.slot] = decision.cooldown;
+      // Off the GCD: shares its slot with the next on-GCD cast
+      events.push({
+        t: parseFloat(state.t.toFixed(3)),
+        gcd: gcdNumber + 1,
+        ability,
+        item: decision.item,
+        off_gcd: true,
+        pre: preState,
+        post: snapshotState(state),
+        apl_reason: condition || "unconditional",
+        list_name: listName || null,
+      });
+      continue;
+    }
+
     if (off_gcd && OFF_GCD_ABILITIES.has(ability) && offGcdGuard < 5) {
       // Off-GCD ability: apply without consuming GCD
       offGcdGuard++;
@@ -624,6 +1090,7 @@ export function simulateApl(aplText, buildConfig, durationSeconds = 120) {
     gcdNumber++;
     const preT = state.t;
     const preState = snapshotState(state);
+    const immediate = scoreDpgcd(state, ability);
     state = applyAbility(state, ability);
 
     const dt = getAbilityGcd(preState, ability) || preState.gcd;
@@ -642,6 +1109,7 @@ export function simulateApl(aplText, buildConfig, durationSeconds = 120) {
       off_gcd: false,
       pre: preState,
       post: snapshotState(state),
+      score: { immediate },
       apl_reason: apl_reason || condition || "unconditional",
       list_name: listName || null,
     });
@@ -653,8 +1121,14 @@ export function simulateApl(aplText, buildConfig, durationSeconds = 120) {
       heroTree: buildConfig.heroTree,
       apexRank: buildConfig.apexRank,
       duration: durationSeconds,
+      seed,
       type: "apl-trace",
     },
+    diagnostics: {
+      unmodeled_expressions: [...unmodeled]
+        .map(([expr, { reason, count }]) => ({ expr, reason, count }))
+        .sort((a, b) => b.count - a.count),
+    },
     events,
   };
 }
@@ -699,7 +1173,10 @@ function evalDefaultList(actionLists, state, vars, cfg, heroList) {
       const ability = entry.ability;
       if (ability === "auto_attack" || ability === "snapshot_stats") continue;
 
-      if (!condition || evalCondition(condition, state, vars, cfg)) {
+      if (
+        !condition ||
+        evalActionCondition(ability, condition, state, vars, cfg)
+      ) {
         const available = engine.getAvailable(state);
         if (available.includes(ability)) {
           return {
@@ -737,6 +1214,10 @@ function snapshotState(s) {
         .filter(([, v]) => v > 0)
         .map(([k, v]) => [k, parseFloat(v.toFixed(1))]),
     ),
+    buff_stacks: Object.fromEntries(
+      Object.entries(s.buffStacks ?? {}).filter(([, v]) => v > 0),
+    ),
+    fury_cap: s.fury_cap,
     fracture_charges: s.charges.fracture,
     ia_charges: s.charges?.immolation_aura,
     ia_recharge: s.recharge?.immolation_aura,
@@ -753,6 +1234,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       spec: { type: "string" },
       build: { type: "string", default: "anni-apex3-dgb" },
       duration: { type: "string", default: "120" },
+      seed: { type: "string" },
       apl: { type: "string" },
       output: { type: "string" },
     },
@@ -789,7 +1271,13 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const duration = parseInt(values.duration, 10);
   console.log(`APL trace: ${buildName} against ${aplPath} (${duration}s)`);
 
-  const trace = simulateApl(aplText, archetype, duration);
+  const seedOpts = values.seed
+    ? {
+        seed: parseInt(values.seed, 10),
+        procRates: loadProcRates(engine, spec).rates,
+      }
+    : {};
+  const trace = simulateApl(aplText, archetype, duration, seedOpts);
 
   // Print first 30 GCDs
   console.log("\nFirst 30 GCDs (APL decisions):");
@@ -822,6 +1310,16 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
   console.log(`\nTotal APL decisions: ${trace.events.length}`);
 
+  const { unmodeled_expressions } = trace.diagnostics;
+  if (unmodeled_expressions.length > 0) {
+    console.log(
+      `\nUnmodeled expressions (${unmodeled_expressions.length}, evaluated as 0):`,
+    );
+    for (const { expr, reason, count } of unmodeled_expressions) {
+      console.log(`  ${expr.padEnd(40)} ${reason} (${count}×)`);
+    }
+  }
+
   // Save
   const outputDir = join(ROOT, "results", spec);
   mkdirSync(outputDir, { recursive: true });
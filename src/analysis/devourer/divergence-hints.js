@@ -0,0 +1,74 @@
+// Devourer-specific divergence fix hints and frequency estimation.
+
+// Filler abilities: lowest priority, differences between them are noise
+export const FILLER_ABILITIES = new Set(["consume", "devour"]);
+
+export function estimateFrequency(opt, apl) {
+  const optAbility = opt.ability;
+  const aplAbility = apl.ability;
+
+  if (optAbility === "metamorphosis" || aplAbility === "metamorphosis")
+    return "Void Meta entry (~50 souls)";
+  if (optAbility === "collapsing_star" || aplAbility === "collapsing_star")
+    return "CStar (30 souls in Meta)";
+  if (optAbility === "void_ray" || aplAbility === "void_ray")
+    return "Void Ray window";
+  if (isReapFamily(optAbility) || isReapFamily(aplAbility))
+    return "Reap CD (~8s)";
+  if (optAbility === "voidblade" || aplAbility === "voidblade")
+    return "Voidblade CD (~30s)";
+  if (optAbility === "the_hunt" || aplAbility === "the_hunt")
+    return "The Hunt CD (~90s)";
+  return "intermittent";
+}
+
+export function generateFixHint(opt, apl, preState, buildConfig, branchDesc) {
+  const optAbility = opt.ability;
+  const aplAbility = apl.ability;
+  const frags = preState.soul_fragments;
+  const fury = preState.fury;
+  const inMeta = preState.buffs.metamorphosis > 0;
+  const metaStacks = preState.buffStacks?.void_metamorphosis_stack ?? 0;
+  const vfBuilding = preState.buffStacks?.voidfall_building ?? 0;
+
+  if (optAbility === "metamorphosis" && aplAbility !== "metamorphosis") {
+    return `Void Meta available (stacks=${metaStacks}, fury=${fury}) but APL chose ${aplAbility}; check the metamorphosis eradicate gate. ${branchDesc}`;
+  }
+
+  if (aplAbility === "metamorphosis" && optAbility !== "metamorphosis") {
+    return `APL enters Void Meta at fury=${fury}; optimal pools with ${optAbility} first so the drain window lasts longer. ${branchDesc}`;
+  }
+
+  if (isReapFamily(optAbility) && !isReapFamily(aplAbility)) {
+    const base = inMeta
+      ? `Cull gate too strict in Meta (frags=${frags}); APL chose ${aplAbility}`
+      : vfBuilding > 0
+        ? `Reap delayed for Voidfall building (stacks=${vfBuilding}, frags=${frags}); check the voidfall_building.react offset`
+        : `Reap soul threshold too strict at frags=${frags}; APL chose ${aplAbility}`;
+    return `${base}. ${branchDesc}`;
+  }
+
+  if (optAbility === "void_ray" && aplAbility !== "void_ray") {
+    return inMeta
+      ? `Void Ray in Meta cuts fury drain and is free; APL chose ${aplAbility}. ${branchDesc}`
+      : `Void Ray outside Meta at full fury; APL gate (sweet_release/voidfall/AoE) may be too strict. ${branchDesc}`;
+  }
+
+  if (optAbility === "collapsing_star" && aplAbility !== "collapsing_star") {
+    return `Collapsing Star ready but APL chose ${aplAbility}; check variable.should_use_star. ${branchDesc}`;
+  }
+
+  if (isFiller(aplAbility) && !isFiller(optAbility)) {
+    return `APL fell through to ${aplAbility} while ${optAbility} was available; an earlier line is gated too tightly. ${branchDesc}`;
+  }
+
+  return branchDesc;
+}
+
+function isReapFamily(ability) {
+  return ["reap", "cull", "eradicate"].includes(ability);
+}
+
+function isFiller(ability) {
+  return FILLER_ABILITIES.has(ability);
+}
@@ -0,0 +1,698 @@
+// Deterministic game state engine for Devourer DH gap analysis.
+// Models resources, Void Metamorphosis windows, soul fragment flow and
+// cooldowns without RNG. Proc rates (Voidfall building) are expected value
+// unless the state is seeded for stochastic mode (see ../proc-rng.js).
+//
+// Void Metamorphosis differs from VDH Meta: it is not a timed cooldown.
+// Consuming souls outside Meta builds void_metamorphosis_stack; at max stacks
+// Metamorphosis becomes castable (on the GCD). Inside Meta fury drains at a
+// rate that grows with each second spent in the form, and Meta ends when fury
+// reaches 0. buffs.metamorphosis holds the *projected* remaining time so APL
+// expressions like buff.metamorphosis.remains>=3 resolve sensibly.
+//
+// buildConfig shape:
+//   heroTree: "void_scarred" | "annihilator"
+//   apexRank: 0-4
+//   haste: 0.0-1.0 (e.g. 0.20 = 20% haste)
+//   target_count: integer (number of targets)
+//   talents: { [name]: boolean } — talent flags
+
+import { procChance, rollProc } from "../proc-rng.js";
+
+// No GCD drops below 0.75s by game rules
+const GCD_FLOOR = 0.75;
+
+// GCD duration in seconds
+export function gcdDuration(haste) {
+  return Math.max(GCD_FLOOR, 1.5 / (1 + haste));
+}
+
+const FRAG_CAP = 10;
+const FURY_CAP = 100;
+
+// void_metamorphosis_stack maxStacks from DBC (spell 1225789)
+const VOID_META_MAX_STACKS = 50;
+
+// Every 30 souls harvested inside Meta grants Collapsing Star (spell 1221167)
+const COLLAPSING_STAR_SOULS = 30;
+
+// Entropy: 1 soul fragment every 12s while in combat (spell 1261684)
+const ENTROPY_INTERVAL = 12;
+
+// Reap / Cull / Eradicate share one charge on an 8s recharge (hasted)
+const REAP_RECHARGE = 8;
+const REAP_BASE_SOULS = 4;
+const CRAVING_EXTRA_SOULS = 6;
+
+// Channel durations (hasted). Collapsing Star cast time is not in
+// spells-summary.json; 2s is an approximation.
+const VOID_RAY_CHANNEL = 3;
+const COLLAPSING_STAR_CHANNEL = 2;
+
+// Void Ray cooldown (hasted). Not yet extracted either; without it the free
+// in-Meta cast would be chained back to back.
+const VOID_RAY_CD = 16;
+
+// Voidblade has a fixed, unhasted GCD (spell 1245412 lists 0.5s, clamped to
+// the floor)
+const VOIDBLADE_GCD = Math.max(GCD_FLOOR, 0.5);
+
+// Fury drain defaults — overridden by resourceModels via buildScoreTable().
+// Drain is a fraction of fury cap per second, growing per Meta stack.
+const DEFAULT_DRAIN = { baseRate: 0.065, perStackRate: 0.012 };
+
+// Void Ray substantially reduces drain while channeling inside Meta
+const VOID_RAY_DRAIN_MULT = 0.25;
+
+function reapRecharge(state) {
+  return REAP_RECHARGE / (1 + (state.buildConfig.haste ?? 0.2));
+}
+
+function hasted(state, seconds) {
+  return seconds / (1 + (state.buildConfig.haste ?? 0.2));
+}
+
+// ---------------------------------------------------------------------------
+// State factory
+// ---------------------------------------------------------------------------
+
+export function createInitialState(buildConfig) {
+  const haste = buildConfig.haste ?? 0.2;
+  const target_count = buildConfig.target_count ?? 1;
+
+  return {
+    t: 0,
+    fight_end: Infinity,
+    fury: 8, // Precombat Consume
+    soul_fragments: 1,
+
+    // Voidfall state machine (Annihilator), synced from buffStacks
+    vf_building: 0,
+    vf_spending: 0,
+    _vf_frac: 0,
+
+    // Buff remaining durations (seconds; 0 = inactive)
+    buffs: {
+      metamorphosis: 0, // projected remaining time until fury drains out
+      eradicate: 0, // next Reap becomes Eradicate (full Void Ray + talent)
+      moment_of_craving: 0, // next Reap collects +6 souls
+      hungering_slash: 0, // Voidblade/The Hunt replaced by Hungering Slash
+      voidstep: 0, // temporary Vengeful Retreat charge from Hungering Slash
+      collapsing_star_ready: 0, // not time-based; 9999 while ready
+      voidfall_building: 0,
+      voidfall_spending: 0,
+    },
+
+    // Stack counts for stacking buffs
+    buffStacks: {
+      void_metamorphosis_stack: 0,
+      collapsing_star_stacking: 0,
+      metamorphosis: 0, // seconds spent in Meta — drives the drain ramp
+      voidfall_building: 0,
+      voidfall_spending: 0,
+    },
+
+    // DoTs / periodic self-effects (remaining duration)
+    dots: {
+      soul_immolation: 0,
+    },
+
+    debuffs: {},
+
+    // Cooldown remaining (seconds; 0 = ready). Reap/Cull/Eradicate share "reap".
+    cooldowns: {
+      reap: 0,
+      void_ray: 0,
+      voidblade: 0,
+      the_hunt: 0,
+      soul_immolation: 0,
+    },
+
+    charges: {},
+    recharge: {},
+
+    prev_gcd: null,
+    prev_gcd_2: null,
+
+    fury_cap: FURY_CAP,
+
+    // Fractional accumulators for periodic generation
+    _entropy_timer: ENTROPY_INTERVAL,
+    _si_frac: 0,
+
+    // Set by applyAbility for channels; read by advanceTime to reduce drain
+    _channel: null,
+
+    buildConfig,
+    gcd: gcdDuration(haste),
+    target_count,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Time advance — tick all timers by dt seconds
+// ---------------------------------------------------------------------------
+
+export function advanceTime(state, dt) {
+  if (dt <= 0) return state;
+  const s = cloneState(state);
+  const cfg = s.buildConfig;
+
+  s.t += dt;
+
+  for (const key of Object.keys(s.cooldowns)) {
+    s.cooldowns[key] = Math.max(0, s.cooldowns[key] - dt);
+  }
+
+  for (const key of Object.keys(s.buffs)) {
+    if (key === "metamorphosis") continue; // fury-driven, handled below
+    if (s.buffs[key] > 0) s.buffs[key] = Math.max(0, s.buffs[key] - dt);
+  }
+
+  for (const key of Object.keys(s.dots)) {
+    if (s.dots[key] > 0) s.dots[key] = Math.max(0, s.dots[key] - dt);
+  }
+
+  // Soul Immolation: 30 fury and 3 fragments over 5s
+  if (state.dots.soul_immolation > 0) {
+    const active = Math.min(dt, state.dots.soul_immolation);
+    s.fury = Math.min(s.fury_cap, s.fury + active * 6);
+    s._si_frac += active * 0.6;
+    while (s._si_frac >= 1.0) {
+      s._si_frac -= 1.0;
+      s.soul_fragments = Math.min(FRAG_CAP, s.soul_fragments + 1);
+    }
+  }
+
+  // Entropy: passive fragment generation
+  if (cfg.talents?.entropy !== false) {
+    s._entropy_timer -= dt;
+    while (s._entropy_timer <= 0) {
+      s._entropy_timer += ENTROPY_INTERVAL;
+      s.soul_fragments = Math.min(FRAG_CAP, s.soul_fragments + 1);
+    }
+  }
+
+  // Void Metamorphosis: fury drain ramps with Meta stacks; Meta ends at 0 fury
+  if (s.buffs.metamorphosis > 0) {
+    const channelMult =
+      s._channel === "void_ray" || s._channel === "collapsing_star"
+        ? VOID_RAY_DRAIN_MULT
+        : 1;
+    s.fury = Math.max(0, s.fury - drainOver(s, dt) * channelMult);
+    s.buffStacks.metamorphosis += dt;
+    if (s.fury <= 0) {
+      _endMeta(s);
+    } else {
+      s.buffs.metamorphosis = projectMetaRemains(s);
+    }
+  }
+  s._channel = null;
+
+  s.vf_building = s.buffStacks.voidfall_building;
+  s.vf_spending = s.buffStacks.voidfall_spending;
+
+  return s;
+}
+
+// Fury drained over dt seconds starting at the current Meta stack count
+function drainOver(s, dt) {
+  const { baseRate, perStackRate } = drainRates(s);
+  const stacks = s.buffStacks.metamorphosis;
+  // Integral of cap * (base + perStack * (stacks + x)) dx over [0, dt]
+  return (
+    s.fury_cap * (baseRate * dt + perStackRate * (stacks * dt + (dt * dt) / 2))
+  );
+}
+
+function drainRates(s) {
+  const rates = _scoreTable?.drain ?? DEFAULT_DRAIN;
+  const reduction = s.buildConfig.talents?.soul_glutton
+    ? (_scoreTable?.drainReduction?.soul_glutton ?? 0.25)
+    : 0;
+  return {
+    baseRate: rates.baseRate * (1 - reduction),
+    perStackRate: rates.perStackRate * (1 - reduction),
+  };
+}
+
+// Seconds until fury hits 0 at the current drain ramp, ignoring income
+function projectMetaRemains(s) {
+  const { baseRate, perStackRate } = drainRates(s);
+  const a = (s.fury_cap * perStackRate) / 2;
+  const b = s.fury_cap * (baseRate + perStackRate * s.buffStacks.metamorphosis);
+  if (a <= 0) return b > 0 ? s.fury / b : 9999;
+  return (-b + Math.sqrt(b * b + 4 * a * s.fury)) / (2 * a);
+}
+
+function _endMeta(s) {
+  s.buffs.metamorphosis = 0;
+  s.buffStacks.metamorphosis = 0;
+  s.buffStacks.collapsing_star_stacking = 0;
+  s.buffs.collapsing_star_ready = 0;
+}
+
+// ---------------------------------------------------------------------------
+// Apply ability — returns new state after casting the ability
+// ---------------------------------------------------------------------------
+
+export function applyAbility(state, abilityId) {
+  const s = cloneState(state);
+  const cfg = s.buildConfig;
+  const inMeta = s.buffs.metamorphosis > 0;
+
+  const isOffGcd = OFF_GCD_ABILITIES.has(abilityId);
+  if (!isOffGcd) {
+    s.prev_gcd_2 = s.prev_gcd;
+    s.prev_gcd = abilityId;
+  }
+
+  switch (abilityId) {
+    case "consume":
+    case "devour": {
+      s.fury = Math.min(s.fury_cap, s.fury + 8);
+      s.soul_fragments = Math.min(FRAG_CAP, s.soul_fragments + 1);
+      // Devour reduces the Reap cooldown by 1.1s
+      if (abilityId === "devour") {
+        s.cooldowns.reap = Math.max(0, s.cooldowns.reap - 1.1);
+      }
+      _applyVfBuilder(s);
+      break;
+    }
+
+    case "reap":
+    case "cull":
+    case "eradicate": {
+      const souls = reapSoulsConsumed(s);
+      s.soul_fragments -= souls;
+      s.fury = Math.min(s.fury_cap, s.fury + 10);
+      s.cooldowns.reap = reapRecharge(s);
+      if (abilityId === "eradicate") s.buffs.eradicate = 0;
+      s.buffs.moment_of_craving = 0;
+      _harvestSouls(s, souls);
+      _applyVfSpender(s);
+      break;
+    }
+
+    case "void_ray": {
+      // Free inside Meta; outside Meta the channel costs the full fury bar
+      if (!inMeta) s.fury = 0;
+      s.cooldowns.void_ray = hasted(s, VOID_RAY_CD);
+      s._channel = "void_ray";
+      if (cfg.talents?.eradicate) s.buffs.eradicate = 6;
+      if (cfg.talents?.moment_of_craving) {
+        s.buffs.moment_of_craving = 8;
+        s.cooldowns.reap = 0;
+      }
+      break;
+    }
+
+    case "metamorphosis": {
+      s.buffStacks.void_metamorphosis_stack = 0;
+      s.buffStacks.metamorphosis = 0;
+      s.buffStacks.collapsing_star_stacking = 0;
+      s.buffs.metamorphosis = projectMetaRemains(s);
+      break;
+    }
+
+    case "collapsing_star": {
+      s.buffs.collapsing_star_ready = 0;
+      s.soul_fragments = Math.min(FRAG_CAP, s.soul_fragments + 3);
+      s._channel = "collapsing_star";
+      break;
+    }
+
+    case "voidblade": {
+      s.fury = Math.min(s.fury_cap, s.fury + 20);
+      s.cooldowns.voidblade = hasted(s, 30);
+      if (cfg.talents?.hungering_slash !== false) s.buffs.hungering_slash = 6;
+      break;
+    }
+
+    case "the_hunt": {
+      s.cooldowns.the_hunt = 90;
+      if (cfg.talents?.hungering_slash !== false) s.buffs.hungering_slash = 6;
+      break;
+    }
+
+    case "hungering_slash": {
+      s.buffs.hungering_slash = 0;
+      s.fury = Math.min(s.fury_cap, s.fury + 15);
+      s.soul_fragments = Math.min(FRAG_CAP, s.soul_fragments + 2);
+      s.buffs.voidstep = 6;
+      break;
+    }
+
+    case "vengeful_retreat": {
+      s.buffs.voidstep = 0;
+      break;
+    }
+
+    case "soul_immolation": {
+      s.cooldowns.soul_immolation = 60;
+      s.dots.soul_immolation = 5;
+      break;
+    }
+  }
+
+  s.vf_building = s.buffStacks.voidfall_building;
+  s.vf_spending = s.buffStacks.voidfall_spending;
+
+  return s;
+}
+
+// Souls consumed outside Meta build toward Void Metamorphosis; inside Meta
+// they build toward Collapsing Star.
+function _harvestSouls(s, souls) {
+  if (souls <= 0) return;
+  if (s.buffs.metamorphosis > 0) {
+    if (s.buildConfig.talents?.collapsing_star === false) return;
+    s.buffStacks.collapsing_star_stacking += souls;
+    while (s.buffStacks.collapsing_star_stacking >= COLLAPSING_STAR_SOULS) {
+      s.buffStacks.collapsing_star_stacking -= COLLAPSING_STAR_SOULS;
+      s.buffs.collapsing_star_ready = 9999;
+    }
+  } else {
+    s.buffStacks.void_metamorphosis_stack = Math.min(
+      VOID_META_MAX_STACKS,
+      s.buffStacks.void_metamorphosis_stack + souls,
+    );
+  }
+}
+
+// VF building: 35% proc chance per Consume/Devour (Annihilator only)
+function _applyVfBuilder(s) {
+  if (s.buildConfig.heroTree !== "annihilator") return;
+  if (s.buffStacks.voidfall_spending > 0) return;
+  const chance = procChance(
+    s,
+    "voidfall_building",
+    PROC_RATES.voidfall_building.chance,
+  );
+  s.buffStacks.voidfall_building = Math.min(
+    3,
+    s.buffStacks.voidfall_building + rollProc(s, "_vf_frac", chance),
+  );
+}
+
+// VF spender state machine: Reap/Cull/Eradicate drive building → spending → dump
+function _applyVfSpender(s) {
+  if (s.buildConfig.heroTree !== "annihilator") return;
+
+  if (
+    s.buffStacks.voidfall_building === 3 &&
+    s.buffStacks.voidfall_spending === 0
+  ) {
+    s.buffStacks.voidfall_building = 0;
+    s.buffStacks.voidfall_spending = 1;
+  } else if (
+    s.buffStacks.voidfall_spending > 0 &&
+    s.buffStacks.voidfall_spending < 3
+  ) {
+    s.buffStacks.voidfall_spending++;
+  } else if (s.buffStacks.voidfall_spending === 3) {
+    s.buffStacks.voidfall_spending = 0;
+  }
+}
+
+// Souls the next Reap/Cull/Eradicate would gather
+export function reapSoulsConsumed(state) {
+  const cap =
+    REAP_BASE_SOULS +
+    ((state.buffs.moment_of_craving ?? 0) > 0 ? CRAVING_EXTRA_SOULS : 0);
+  return Math.min(state.soul_fragments, cap);
+}
+
+// buff.X.max_stack for stack-tracked buffs (APL interpreter hook)
+const MAX_STACKS = {
+  void_metamorphosis_stack: VOID_META_MAX_STACKS,
+  collapsing_star_stacking: COLLAPSING_STAR_SOULS,
+  voidfall_building: 3,
+  voidfall_spending: 3,
+};
+
+export function getBuffMaxStack(state, buffName) {
+  return MAX_STACKS[buffName] ?? 0;
+}
+
+// action.X.Y values the APL reads (APL interpreter hook). undefined marks
+// the property as unmodeled.
+export function getActionValue(state, ability, prop) {
+  if (
+    prop === "souls_consumed" &&
+    ["reap", "cull", "eradicate"].includes(ability)
+  )
+    return reapSoulsConsumed(state);
+  return undefined;
+}
+
+// ---------------------------------------------------------------------------
+// Get available abilities — list of abilities that can be cast right now
+// ---------------------------------------------------------------------------
+
+export function getAvailable(state) {
+  const available = [];
+  const s = state;
+  const cfg = s.buildConfig;
+  const inMeta = s.buffs.metamorphosis > 0;
+  const reapReady = s.cooldowns.reap <= 0;
+
+  // Consume is replaced by Devour during Meta
+  available.push(inMeta ? "devour" : "consume");
+
+  // Reap family: Eradicate overrides, Cull replaces Reap in Meta
+  if (reapReady) {
+    if (s.buffs.eradicate > 0) available.push("eradicate");
+    else available.push(inMeta ? "cull" : "reap");
+  }
+
+  // Void Ray: free in Meta, needs a full fury bar outside
+  if (s.cooldowns.void_ray <= 0 && (inMeta || s.fury >= FURY_CAP))
+    available.push("void_ray");
+
+  if (
+    !inMeta &&
+    s.buffStacks.void_metamorphosis_stack >= VOID_META_MAX_STACKS
+  ) {
+    available.push("metamorphosis");
+  }
+
+  if (inMeta && s.buffs.collapsing_star_ready > 0)
+    available.push("collapsing_star");
+
+  // Hungering Slash replaces Voidblade / The Hunt while its buff is up
+  if (s.buffs.hungering_slash > 0) {
+    available.push("hungering_slash");
+  } else {
+    if (s.cooldowns.voidblade <= 0) available.push("voidblade");
+    if (cfg.talents?.the_hunt && s.cooldowns.the_hunt <= 0)
+      available.push("the_hunt");
+  }
+
+  if (s.buffs.voidstep > 0) available.push("vengeful_retreat");
+
+  if (cfg.talents?.soul_immolation && s.cooldowns.soul_immolation <= 0)
+    available.push("soul_immolation");
+
+  return available;
+}
+
+// ---------------------------------------------------------------------------
+// DPGCD scoring — relative damage per cast for scoring purposes.
+// Void Metamorphosis amplifies all Cosmic damage; Eradicate buff adds a
+// smaller all-school amp. Reap-family scores scale with souls gathered.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_BASE_SCORES = {
+  consume: 40,
+  devour: 60,
+  reap: 60,
+  cull: 90,
+  eradicate: 180,
+  void_ray: 300,
+  collapsing_star: 700,
+  voidblade: 80,
+  hungering_slash: 90,
+  the_hunt: 250,
+  vengeful_retreat: 40,
+  soul_immolation: 20,
+};
+
+// Per-soul bonus for Reap-family casts
+const DEFAULT_PER_SOUL = { reap: 15, cull: 25, eradicate: 25 };
+
+const DEFAULT_AOE_TARGETS = {
+  eradicate: 5,
+  collapsing_star: 8,
+  hungering_slash: 8,
+  void_ray: 5,
+};
+
+export function scoreDpgcd(state, abilityId) {
+  const s = state;
+  const st = _scoreTable;
+  const inMeta = s.buffs.metamorphosis > 0;
+  const tc = s.target_count ?? 1;
+
+  const metaAmp = inMeta ? (st?.metaAmpValue ?? 1.2) : 1.0;
+  const eradicateAmp =
+    (s.buffs.eradicate ?? 0) > 0 ? (st?.eradicateAmpValue ?? 1.1) : 1.0;
+  const base = st?.baseScores ?? DEFAULT_BASE_SCORES;
+  const aoeTargets = st?.aoeTargets ?? DEFAULT_AOE_TARGETS;
+
+  let score = base[abilityId] ?? 0;
+
+  switch (abilityId) {
+    case "reap":
+    case "cull":
+    case "eradicate":
+      score += reapSoulsConsumed(s) * (DEFAULT_PER_SOUL[abilityId] ?? 0);
+      break;
+
+    case "void_ray":
+      // Outside Meta the channel costs the whole fury bar and deals less
+      if (!inMeta) score *= 0.5;
+      break;
+
+    case "metamorphosis":
+      score = 0;
+      break;
+  }
+
+  if (tc > 1 && aoeTargets[abilityId]) {
+    score *= aoeScale(tc, aoeTargets[abilityId]);
+  }
+
+  return score * metaAmp * eradicateAmp;
+}
+
+function aoeScale(n, cap) {
+  return 1 + Math.sqrt(Math.min(n, cap) - 1);
+}
+
+// ---------------------------------------------------------------------------
+// Ability metadata
+// ---------------------------------------------------------------------------
+
+// Proc chances (expected value by default, rolled in stochastic mode)
+export const PROC_RATES = {
+  voidfall_building: {
+    chance: 0.35,
+    cppContext: "voidfall_building_trigger_t",
+  },
+};
+
+// Vengeful Retreat is off-GCD; its Voidstep charge is free damage
+export const OFF_GCD_ABILITIES = new Set(["vengeful_retreat"]);
+
+// Time consumed by the cast: channels take their full (hasted) duration,
+// Voidblade has a fixed short GCD.
+export function getAbilityGcd(state, abilityId) {
+  if (OFF_GCD_ABILITIES.has(abilityId)) return 0;
+  const haste = state.buildConfig?.haste ?? 0.2;
+  switch (abilityId) {
+    case "void_ray":
+      return Math.max(state.gcd, VOID_RAY_CHANNEL / (1 + haste));
+    case "collapsing_star":
+      return Math.max(state.gcd, COLLAPSING_STAR_CHANNEL / (1 + haste));
+    case "voidblade":
+      return VOIDBLADE_GCD;
+    default:
+      return state.gcd;
+  }
+}
+
+export function isCastable(state, abilityId) {
+  return getAvailable(state).includes(abilityId);
+}
+
+export function getResourceCaps(state) {
+  return { fury: state.fury_cap, soul_fragments: FRAG_CAP };
+}
+
+export function abilityLabel(id) {
+  return id.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+// ---------------------------------------------------------------------------
+// Data-driven scoring table — pulls amps and drain from the spec config
+// ---------------------------------------------------------------------------
+
+let _scoreTable = null;
+
+export function buildScoreTable(config, buildConfig = null) {
+  const { burstWindows, buffWindows, resourceModels, talentModifiers } = config;
+
+  const baseScores = { ...DEFAULT_BASE_SCORES };
+  const rawTalents = buildConfig?.talents;
+  const hasTalent = Array.isArray(rawTalents)
+    ? (t) => rawTalents.includes(t)
+    : (t) => rawTalents?.[t];
+  if (rawTalents && talentModifiers) {
+    for (const [talent, mods] of Object.entries(talentModifiers)) {
+      if (!hasTalent(talent)) continue;
+      for (const [ability, multiplier] of Object.entries(mods)) {
+        if (baseScores[ability] != null) {
+          baseScores[ability] = Math.round(baseScores[ability] * multiplier);
+        }
+      }
+    }
+  }
+
+  const metaAmp =
+    burstWindows?.find((w) => w.buff === "metamorphosis")?.damageAmp ?? 0.2;
+  const eradicateAmp =
+    buffWindows?.find((w) => w.buff === "eradicate")?.damageAmp ?? 0.1;
+  const furyModel = resourceModels?.find((r) => r.name === "fury");
+
+  return Object.freeze({
+    baseScores,
+    metaAmpValue: 1 + metaAmp,
+    eradicateAmpValue: 1 + eradicateAmp,
+    aoeTargets: { ...DEFAULT_AOE_TARGETS },
+    drain: {
+      baseRate: furyModel?.drain?.baseRate ?? DEFAULT_DRAIN.baseRate,
+      perStackRate:
+        furyModel?.drain?.perStackRate ?? DEFAULT_DRAIN.perStackRate,
+    },
+    drainReduction: furyModel?.drain?.talentReduction ?? {},
+  });
+}
+
+export function initScoring(table) {
+  _scoreTable = table;
+}
+
+export function reinitScoringForBuild(specConfig, buildConfig) {
+  _scoreTable = buildScoreTable(specConfig, buildConfig);
+}
+
+// ---------------------------------------------------------------------------
+// State cloning (shallow with nested copies for mutable fields)
+// ---------------------------------------------------------------------------
+
+function cloneState(s) {
+  return {
+    ...s,
+    buffs: { ...s.buffs },
+    buffStacks: { ...s.buffStacks },
+    dots: { ...s.dots },
+    debuffs: { ...s.debuffs },
+    cooldowns: { ...s.cooldowns },
+    charges: { ...s.charges },
+    recharge: { ...s.recharge },
+  };
+}
+
+export { cloneState };
+
+// ---------------------------------------------------------------------------
+// Off-GCD trigger — spend a Voidstep Vengeful Retreat charge as soon as it
+// appears. Hungering Slash empowers the next Retreat, and the temporary
+// charge is lost if held.
+// ---------------------------------------------------------------------------
+
+export function getOffGcdTrigger(state) {
+  if ((state.buffs.voidstep ?? 0) > 0) return "vengeful_retreat";
+  return null;
+}
@@ -24,13 +24,16 @@ import {
   initEngine as initInterpreterEngine,
 } from "./apl-interpreter.js";
 import { ROOT } from "../engine/paths.js";
+import { loadEngine } from "./engine-interface.js";
 
-// State engine — loaded dynamically based on --spec
+// State engine and fix-hint module — loaded dynamically based on --spec
 let engine;
+let hints;
 
 export async function initEngine(specName) {
   if (engine) return engine;
-  engine = await import(`./${specName}/state-sim.js`);
+  engine = await loadEngine(specName);
+  hints = await import(`./${specName}/divergence-hints.js`);
   // Also initialize the shared engine in the sub-tools so they don't re-import
   await initTimelineEngine(specName);
   await initInterpreterEngine(specName);
@@ -69,9 +72,10 @@ function snapshotToState(snap, buildConfig, fightDuration) {
   state.vf_building = snap.vf_building;
   state.vf_spending = snap.vf_spending;
 
-  // Restore buff durations, dots, and cooldowns from snapshot
+  // Restore buff durations, stacks, dots, and cooldowns from snapshot
   for (const [dict, snapDict] of [
     [state.buffs, snap.buffs],
+    [state.buffStacks, snap.buff_stacks],
     [state.dots, snap.dots],
     [state.debuffs, snap.debuffs],
     [state.cooldowns, snap.cooldowns],
@@ -83,14 +87,16 @@ function snapshotToState(snap, buildConfig, fightDuration) {
     }
   }
 
-  state.charges.fracture = snap.fracture_charges ?? 2;
+  if ("fracture" in state.charges)
+    state.charges.fracture = snap.fracture_charges ?? 2;
   if (snap.ia_charges !== undefined) {
     state.charges.immolation_aura = snap.ia_charges;
     state.recharge.immolation_aura = snap.ia_recharge ?? 30;
   }
 
-  // Sync fury_cap from Meta
-  if (state.buffs.metamorphosis > 0) state.fury_cap = 120;
+  // Sync fury_cap (older traces predate fury_cap snapshots; infer from Meta)
+  if (snap.fury_cap !== undefined) state.fury_cap = snap.fury_cap;
+  else if (state.buffs.metamorphosis > 0) state.fury_cap = 120;
 
   state.fight_end = fightDuration ?? Infinity;
   return state;
@@ -169,7 +175,7 @@ export function computeDivergence(aplTrace, buildConfig) {
       confidence: threeGcdAgreesWithRollout ? "high" : "low",
       three_gcd_delta: Math.round(threeGcdDelta),
       // actual_occurrences and estimated_dps_impact filled in post-loop
-      fix_hint: generateFixHint(
+      fix_hint: hints.generateFixHint(
         opt,
         apl,
         state,
@@ -203,9 +209,9 @@ export function computeDivergence(aplTrace, buildConfig) {
   return divergences;
 }
 
-// Filler abilities: lowest priority, differences between them are noise
+// Filler abilities (per spec): lowest priority, differences between them are noise
 function isFillerAbility(ability) {
-  return ["throw_glaive", "felblade", "sigil_of_flame"].includes(ability);
+  return hints.FILLER_ABILITIES?.has(ability) ?? false;
 }
 
 // Count-based DPS impact estimate
@@ -221,26 +227,6 @@ function computeImpact(dpgcdDelta, occurrences, totalFightScore) {
   };
 }
 
-// Human-readable frequency description (kept for report context alongside actual count)
-function estimateFrequency(opt, apl) {
-  const optAbility = opt.ability;
-  const aplAbility = apl.ability;
-
-  if (optAbility === "metamorphosis" || aplAbility === "metamorphosis")
-    return "Meta CD (~3min)";
-  if (optAbility === "spirit_bomb" && aplAbility === "fracture")
-    return "SpB window";
-  if (optAbility === "spirit_bomb" || aplAbility === "spirit_bomb")
-    return "SpB window (~8-10s)";
-  if (optAbility === "fel_devastation" || aplAbility === "fel_devastation")
-    return "FelDev CD (~30-40s)";
-  if (optAbility === "fiery_brand" || aplAbility === "fiery_brand")
-    return "FB CD (~60s)";
-  if (optAbility === "reavers_glaive" || aplAbility === "reavers_glaive")
-    return "RG proc";
-  return "intermittent";
-}
-
 // ---------------------------------------------------------------------------
 // Rollout branch comparison — simulates 3 GCDs from each branch and reports
 // the key state differences. Used by generateFixHint for actionable context.
@@ -315,87 +301,6 @@ function compareRolloutBranches(state, optAbility, aplAbility, steps = 3) {
   return { description: details.join("; "), delta: diff };
 }
 
-// Generate a fix hint based on the divergence pattern
-function generateFixHint(opt, apl, preState, buildConfig, branchDesc) {
-  const optAbility = opt.ability;
-  const aplAbility = apl.ability;
-  const frags = preState.soul_fragments;
-  const inMeta = preState.buffs.metamorphosis > 0;
-  const vfSpending = preState.buffStacks.voidfall_spending;
-  const fbActive = (preState.dots?.fiery_brand || 0) > 0;
-
-  // SpB was optimal but APL chose Fracture
-  if (optAbility === "spirit_bomb" && aplAbility === "fracture") {
-    const base = inMeta
-      ? `spb_threshold condition during Meta may be too high (frags=${frags}, threshold likely${frags >= 4 ? " correct" : ` requires ${frags}>=threshold`})`
-      : fbActive
-        ? `SpB under Fiery Demise: APL spb_threshold or fiery_demise_active condition may not be triggering (frags=${frags}, fb_active=${fbActive})`
-        : `SpB gating condition too strict at frags=${frags}; APL chose Fracture instead`;
-    return `${base}. ${branchDesc}`;
-  }
-
-  // Meta was optimal but APL delayed
-  if (optAbility === "metamorphosis" && aplAbility !== "metamorphosis") {
-    if (frags < 3) {
-      return `APL gates Meta on soul_fragments>=3; at frags=${frags} APL delays. Consider whether pre-loading Fracture costs more than it gains. ${branchDesc}`;
-    }
-    if (vfSpending > 0) {
-      return `APL blocks Meta during VF spending phase (spending=${vfSpending}); timing interaction with VF dump. ${branchDesc}`;
-    }
-    return `Meta timing: APL delays while optimal fires. ${branchDesc}`;
-  }
-
-  // FelDev timing vs. other abilities
-  if (optAbility === "fel_devastation" && aplAbility !== "fel_devastation") {
-    if (fbActive) {
-      return `FelDev should fire under Fiery Demise (+30% fire amp); APL chose ${aplAbility} instead — check fb_active gating in anni_cooldowns. ${branchDesc}`;
-    }
-    if (inMeta) {
-      return `FelDev in Meta: APL may be gating on !apex.3|talent.darkglare_boon; verify DGB flag. ${branchDesc}`;
-    }
-    return `FelDev opportunity: APL chose ${aplAbility}; check anni_cooldowns priority or voidfall_spending gate. ${branchDesc}`;
-  }
-
-  // Fiery Brand timing
-  if (optAbility === "fiery_brand" && !fbActive) {
-    return `FB should be applied to enable Fiery Demise; APL chose ${aplAbility}. Check anni_voidfall or anni_cooldowns fire brand condition. ${branchDesc}`;
-  }
-
-  // APL chose SC but optimal wants SpB (fragment mismatch)
-  if (optAbility === "spirit_bomb" && aplAbility === "soul_cleave") {
-    const base =
-      vfSpending > 0
-        ? `VF spending phase: optimal wants SpB at spending=${vfSpending} but APL chose SC; check voidfall spending conditions`
-        : `SpB vs SC: ${frags} frags available, optimal prefers SpB for fragment efficiency`;
-    return `${base}. ${branchDesc}`;
-  }
-
-  // Fragment generator vs. spender mismatch
-  if (isFragmentGenerator(optAbility) && isFragmentSpender(aplAbility)) {
-    return `APL spending fragments when optimal would generate; frags=${frags} may be above optimal spending threshold at this point. ${branchDesc}`;
-  }
-
-  if (isFragmentSpender(optAbility) && isFragmentGenerator(aplAbility)) {
-    return `APL generating fragments when optimal would spend; frags=${frags} sufficient for ${optAbility} but APL generated more first. ${branchDesc}`;
-  }
-
-  // Default: show rollout branch comparison
-  return branchDesc;
-}
-
-function isFragmentGenerator(ability) {
-  return [
-    "fracture",
-    "soul_carver",
-    "sigil_of_spite",
-    "immolation_aura",
-  ].includes(ability);
-}
-
-function isFragmentSpender(ability) {
-  return ["spirit_bomb", "soul_cleave"].includes(ability);
-}
-
 // ---------------------------------------------------------------------------
 // Markdown report generator
 // ---------------------------------------------------------------------------
@@ -411,6 +316,18 @@ export function generateReport(divergences, buildName, metadata) {
   lines.push(`Analysis timestamp: ${new Date().toISOString()}`);
   lines.push("");
 
+  // APL conditions the interpreter couldn't resolve were evaluated as 0
+  const unmodeled = metadata.unmodeled_expressions ?? [];
+  if (unmodeled.length > 0) {
+    lines.push(
+      `> **${unmodeled.length} unmodeled APL expressions** evaluated as 0 — lines gated on them may be misjudged:`,
+    );
+    for (const { expr, reason } of unmodeled) {
+      lines.push(`> - \`${expr}\` (${reason})`);
+    }
+    lines.push("");
+  }
+
   if (divergences.length === 0) {
     lines.push(
       "**No significant divergences found.** APL matches optimal sequence.",
@@ -434,7 +351,7 @@ export function generateReport(divergences, buildName, metadata) {
   );
   for (let i = 0; i < Math.min(divergences.length, 20); i++) {
     const d = divergences[i];
-    const freq = estimateFrequency(d.optimal, d.actual);
+    const freq = hints.estimateFrequency(d.optimal, d.actual);
     const conf = d.confidence === "high" ? "H" : "L";
     const threeGcd =
       d.three_gcd_delta != null
@@ -685,6 +602,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const report = generateReport(divergences, buildName, {
     ...aplTrace.metadata,
     duration,
+    unmodeled_expressions: aplTrace.diagnostics?.unmodeled_expressions,
   });
 
   const outputFile =
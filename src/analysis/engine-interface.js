@@ -0,0 +1,135 @@
+// State engine contract — documents what src/analysis/{spec}/state-sim.js must
+// export. optimal-timeline.js, apl-interpreter.js and divergence.js load the
+// engine through loadEngine(), which validates conformance at startup so a
+// missing export fails loudly instead of being feature-detected away.
+//
+// To add a new spec engine:
+// 1. Create src/analysis/{specname}/state-sim.js exporting these symbols
+// 2. Create src/analysis/{specname}/divergence-hints.js (estimateFrequency,
+//    generateFixHint, optional FILLER_ABILITIES)
+// 3. Add build fixtures to tests/analysis/state-engine-conformance.test.js
+//
+// Engine invariants (checked by the conformance suite):
+//   - state.gcd never below 0.75s, at any haste
+//   - every resource in getResourceCaps(state) stays within [0, cap]
+//   - cooldowns, charges, recharge timers, buffs and dots never go negative
+//   - applyAbility() and advanceTime() never mutate their input state
+//   - advanceTime(state, dt) moves state.t forward by exactly dt
+//
+// State shape — every engine's state carries at least:
+//   t, fight_end, gcd, target_count, buildConfig, prev_gcd, prev_gcd_2,
+//   buffs, buffStacks, dots, debuffs, cooldowns, charges, recharge
+//
+// Optional hooks read by apl-interpreter.js when present:
+//   - getBuffMaxStack(state, buffName): number — buff.X.max_stack
+//   - getActionValue(state, ability, prop): number|undefined — action.X.Y;
+//     undefined reports the property as unmodeled in the APL trace
+//
+// Optional export for stochastic mode (proc-rng.js, monte-carlo.js):
+//   - PROC_RATES: { [proc]: { chance, cppContext? } } — procs resolved through
+//     rollProc(); expected value unless the state is seeded
+
+/**
+ * @typedef {Object} StateEngine
+ *
+ * Required exports from a state engine module:
+ *
+ * @property {function(number): number} gcdDuration
+ *   Hasted GCD for a haste fraction, clamped to 0.75s.
+ *
+ * @property {function(Object): Object} createInitialState
+ *   Builds the pull-time state for a build archetype.
+ *
+ * @property {function(Object): string[]} getAvailable
+ *   Abilities castable right now (on- and off-GCD).
+ *
+ * @property {function(Object, string): boolean} isCastable
+ *   True when the ability is in getAvailable(state).
+ *
+ * @property {function(Object, string): Object} applyAbility
+ *   Returns a new state with the ability applied. Must not mutate input.
+ *
+ * @property {function(Object, number): Object} advanceTime
+ *   Returns a new state advanced by dt seconds. Must not mutate input.
+ *
+ * @property {function(Object, string): number} scoreDpgcd
+ *   Relative damage value of casting the ability in this state.
+ *
+ * @property {function(Object, string): number} getAbilityGcd
+ *   Time consumed by the ability (0 for off-GCD, channel length for channels).
+ *
+ * @property {Set<string>} OFF_GCD_ABILITIES
+ *   Abilities that consume no GCD.
+ *
+ * @property {function(Object): string|null} getOffGcdTrigger
+ *   Off-GCD ability the rollout should fire before the next decision, if any.
+ *
+ * @property {function(Object): Record<string, number>} getResourceCaps
+ *   Current cap for each resource, keyed by its state field name.
+ *
+ * @property {function(Object): Object} cloneState
+ *   Copy of the state with mutable nested objects duplicated.
+ *
+ * @property {function(string): string} abilityLabel
+ *   Human-readable ability name.
+ *
+ * @property {function(Object, Object=): Object} buildScoreTable
+ *   Builds the scoring table from spec config (and optional build talents).
+ *
+ * @property {function(Object): void} initScoring
+ *   Installs a score table built by buildScoreTable.
+ *
+ * @property {function(Object, Object): void} reinitScoringForBuild
+ *   Rebuilds and installs the score table for a specific build.
+ */
+
+const REQUIRED_EXPORTS = [
+  "gcdDuration",
+  "createInitialState",
+  "getAvailable",
+  "isCastable",
+  "applyAbility",
+  "advanceTime",
+  "scoreDpgcd",
+  "getAbilityGcd",
+  "OFF_GCD_ABILITIES",
+  "getOffGcdTrigger",
+  "getResourceCaps",
+  "cloneState",
+  "abilityLabel",
+  "buildScoreTable",
+  "initScoring",
+  "reinitScoringForBuild",
+];
+
+/**
+ * Validates that a loaded module conforms to the state engine contract.
+ * @param {Object} mod — The imported module
+ * @param {string} specName — For error messages
+ * @returns {{ valid: boolean, missing: string[], error: string|null }}
+ */
+export function validateEngine(mod, specName) {
+  const missing = REQUIRED_EXPORTS.filter((name) => !(name in mod));
+  return {
+    valid: missing.length === 0,
+    missing,
+    error:
+      missing.length === 0
+        ? null
+        : `State engine "${specName}" missing required exports: ${missing.join(", ")}`,
+  };
+}
+
+/**
+ * Imports and validates src/analysis/{specName}/state-sim.js.
+ * @param {string} specName
+ * @returns {Promise<StateEngine>}
+ */
+export async function loadEngine(specName) {
+  const mod = await import(`./${specName}/state-sim.js`);
+  const { valid, error } = validateEngine(mod, specName);
+  if (!valid) throw new Error(error);
+  return mod;
+}
+
+export { REQUIRED_EXPORTS };
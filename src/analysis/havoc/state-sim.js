@@ -14,6 +14,7 @@ export function createInitialState(buildConfig) {
     t: 0,
     fight_end: Infinity,
     fury: 20,
+    fury_cap: 100,
     gcd: gcdDuration(haste),
     target_count,
     prev_gcd: null,
@@ -46,6 +47,31 @@ export function getAbilityGcd(state) {
   return state.gcd;
 }
 
+export function isCastable(state, abilityId) {
+  return getAvailable(state).includes(abilityId);
+}
+
+export function getResourceCaps(state) {
+  return { fury: state.fury_cap };
+}
+
+export function cloneState(s) {
+  return {
+    ...s,
+    buffs: { ...s.buffs },
+    buffStacks: { ...s.buffStacks },
+    dots: { ...s.dots },
+    debuffs: { ...s.debuffs },
+    cooldowns: { ...s.cooldowns },
+    charges: { ...s.charges },
+    recharge: { ...s.recharge },
+  };
+}
+
+export function abilityLabel(id) {
+  return id.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
 export function scoreDpgcd() {
   return 0;
 }
@@ -53,3 +79,11 @@ export function scoreDpgcd() {
 export function getOffGcdTrigger() {
   return null;
 }
+
+export function buildScoreTable() {
+  return Object.freeze({});
+}
+
+export function initScoring() {}
+
+export function reinitScoringForBuild() {}
@@ -0,0 +1,353 @@
+// Monte Carlo proc analysis — runs N seeded stochastic trajectories of both
+// the optimal timeline and the APL trace, then reports how decisions and
+// score vary with proc outcomes.
+//
+// Each trajectory seeds the state engine's proc rolls (proc-rng.js) with
+// chances from cpp-proc-mechanics.json. The optimal timeline still plans with
+// expected-value rollouts, but reacts to the procs that actually landed, so
+// post-proc decisions (e.g. after a lucky Voidfall chain) show up as GCDs
+// whose decision distribution is split.
+//
+// Divergences are run per trajectory with the state-held comparison from
+// divergence.js and split into:
+//   always         — the (optimal, APL) pair appears in every trajectory
+//   proc-dependent — appears only under some proc outcomes
+//
+// Usage:
+//   node src/analysis/monte-carlo.js --spec vengeance --build anni-apex3-dgb --runs 50 --seed 1
+//   npm run monte-carlo -- --build anni-apex3-dgb --runs 50
+
+import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import { initSpec } from "../engine/startup.js";
+import { parseSpecArg } from "../util/parse-spec-arg.js";
+import { ROOT } from "../engine/paths.js";
+import { generateTimeline } from "./optimal-timeline.js";
+import { simulateApl } from "./apl-interpreter.js";
+import { computeDivergence, initEngine } from "./divergence.js";
+import { loadProcRates } from "./proc-rng.js";
+import {
+  scorePerSecond,
+  confidenceInterval,
+  decisionDistribution,
+  isUnsettled,
+  classifyDivergences,
+} from "./trajectory-stats.js";
+
+/**
+ * Run `runs` seeded trajectories (seeds seed, seed+1, ...) and aggregate.
+ * @param {string} aplText
+ * @param {Object} buildConfig — archetype from the spec's flattenArchetypes()
+ * @param {{ runs: number, seed: number, duration: number, procRates: Object }} opts
+ */
+export function runMonteCarlo(
+  aplText,
+  buildConfig,
+  { runs = 50, seed = 1, duration = 120, procRates = null } = {},
+) {
+  const seeds = [];
+  const optimalScores = [];
+  const aplScores = [];
+  const gaps = [];
+  const optimalEvents = [];
+  const aplEvents = [];
+  const perRunDivergences = [];
+
+  for (let i = 0; i < runs; i++) {
+    const runSeed = seed + i;
+    const opts = { seed: runSeed, procRates };
+    const timeline = generateTimeline(buildConfig, duration, opts);
+    const trace = simulateApl(aplText, buildConfig, duration, opts);
+
+    const optScore = scorePerSecond(timeline.events, duration);
+    const aplScore = scorePerSecond(trace.events, duration);
+
+    seeds.push(runSeed);
+    optimalScores.push(optScore);
+    aplScores.push(aplScore);
+    gaps.push(optScore - aplScore);
+    optimalEvents.push(timeline.events);
+    aplEvents.push(trace.events);
+    perRunDivergences.push(computeDivergence(trace, buildConfig));
+  }
+
+  const optimalDist = decisionDistribution(optimalEvents);
+  const aplDist = decisionDistribution(aplEvents);
+  const gcdCount = Math.max(optimalDist.length, aplDist.length);
+  const decisions = [];
+  for (let i = 0; i < gcdCount; i++) {
+    decisions.push({
+      gcd: i + 1,
+      t_mean: optimalDist[i]?.t_mean ?? aplDist[i]?.t_mean ?? null,
+      optimal: optimalDist[i]?.abilities ?? {},
+      apl: aplDist[i]?.abilities ?? {},
+      optimal_unsettled: optimalDist[i] ? isUnsettled(optimalDist[i]) : false,
+      apl_unsettled: aplDist[i] ? isUnsettled(aplDist[i]) : false,
+    });
+  }
+
+  const divergences = classifyDivergences(perRunDivergences).map((d) => ({
+    ...d,
+    example: { ...d.example, seed: seeds[d.example.run] },
+  }));
+
+  return {
+    runs,
+    seeds,
+    score: {
+      optimal: confidenceInterval(optimalScores),
+      apl: confidenceInterval(aplScores),
+      gap: confidenceInterval(gaps),
+    },
+    decisions,
+    divergences,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Markdown report
+// ---------------------------------------------------------------------------
+
+function fmtCi({ mean, stdev, ci95 }) {
+  return `| ${mean.toFixed(1)} | ${stdev.toFixed(1)} | ${ci95[0].toFixed(1)} – ${ci95[1].toFixed(1)} |`;
+}
+
+function fmtDist(abilities) {
+  return Object.entries(abilities)
+    .map(([a, f]) => `${a} ${(f * 100).toFixed(0)}%`)
+    .join(", ");
+}
+
+export function generateReport(result, buildName, metadata) {
+  const lines = [];
+
+  lines.push(`# Monte Carlo Proc Analysis — ${buildName}`);
+  lines.push("");
+  lines.push(
+    `Build: ${metadata.heroTree} / Apex ${metadata.apexRank} / Duration: ${metadata.duration}s / Runs: ${result.runs} (seeds ${result.seeds[0]}–${result.seeds.at(-1)})`,
+  );
+  lines.push(`Analysis timestamp: ${new Date().toISOString()}`);
+  lines.push("");
+
+  lines.push("## Proc Rates");
+  lines.push("");
+  if (Object.keys(metadata.procRates).length === 0) {
+    lines.push(
+      "No procs modeled by this state engine — trajectories are identical.",
+    );
+  } else {
+    lines.push("| Proc | Chance | Source |");
+    lines.push("|------|--------|--------|");
+    for (const [name, chance] of Object.entries(metadata.procRates)) {
+      const source =
+        metadata.procSources[name] === "cpp"
+          ? "cpp-proc-mechanics.json"
+          : "engine default";
+      lines.push(`| ${name} | ${chance} | ${source} |`);
+    }
+  }
+  lines.push("");
+
+  lines.push("## Score per Second");
+  lines.push("");
+  lines.push(
+    "Sum of immediate DPGCD scores per second — a relative DPS proxy, not damage.",
+  );
+  lines.push("");
+  lines.push("| Sequence | Mean | Stdev | 95% CI |");
+  lines.push("|----------|------|-------|--------|");
+  lines.push(`| Optimal ${fmtCi(result.score.optimal)}`);
+  lines.push(`| APL ${fmtCi(result.score.apl)}`);
+  lines.push(`| Gap ${fmtCi(result.score.gap)}`);
+  lines.push("");
+
+  const always = result.divergences.filter(
+    (d) => d.classification === "always",
+  );
+  const procDependent = result.divergences.filter(
+    (d) => d.classification === "proc-dependent",
+  );
+
+  lines.push("## Always Wrong");
+  lines.push("");
+  if (always.length === 0) {
+    lines.push("None — every divergence depends on proc outcomes.");
+  } else {
+    lines.push("Present in every trajectory; fix regardless of proc luck.");
+    lines.push("");
+    lines.push(
+      "| Optimal | APL Chose | Avg/run | Mean Δ | Example | Fix hint |",
+    );
+    lines.push(
+      "|---------|-----------|---------|--------|---------|----------|",
+    );
+    for (const d of always) {
+      lines.push(
+        `| \`${d.optimal}\` | \`${d.actual}\` | ${d.mean_occurrences.toFixed(1)} | +${d.mean_delta} | seed ${d.example.seed}, t=${d.example.t}s | ${d.example.fix_hint} |`,
+      );
+    }
+  }
+  lines.push("");
+
+  lines.push("## Proc-Dependent");
+  lines.push("");
+  if (procDependent.length === 0) {
+    lines.push("None.");
+  } else {
+    lines.push(
+      "Present only under some proc outcomes; the APL may need a proc-aware condition.",
+    );
+    lines.push("");
+    lines.push(
+      "| Optimal | APL Chose | Runs | Avg/run | Mean Δ | Example | Fix hint |",
+    );
+    lines.push(
+      "|---------|-----------|------|---------|--------|---------|----------|",
+    );
+    for (const d of procDependent) {
+      lines.push(
+        `| \`${d.optimal}\` | \`${d.actual}\` | ${(d.run_fraction * 100).toFixed(0)}% | ${d.mean_occurrences.toFixed(1)} | +${d.mean_delta} | seed ${d.example.seed}, t=${d.example.t}s | ${d.example.fix_hint} |`,
+      );
+    }
+  }
+  lines.push("");
+
+  const unsettled = result.decisions.filter(
+    (d) => d.optimal_unsettled || d.apl_unsettled,
+  );
+  lines.push("## Per-GCD Decision Distribution");
+  lines.push("");
+  if (unsettled.length === 0) {
+    lines.push("Every GCD made the same choice in all trajectories.");
+  } else {
+    lines.push(
+      `${unsettled.length} of ${result.decisions.length} GCDs vary across trajectories (first 30 shown; full list in JSON).`,
+    );
+    lines.push("");
+    lines.push("| GCD | t (mean) | Optimal | APL |");
+    lines.push("|-----|----------|---------|-----|");
+    for (const d of unsettled.slice(0, 30)) {
+      lines.push(
+        `| ${d.gcd} | ${d.t_mean}s | ${fmtDist(d.optimal)} | ${fmtDist(d.apl)} |`,
+      );
+    }
+  }
+  lines.push("");
+
+  lines.push("---");
+  lines.push("");
+  lines.push(
+    "> Generated by `npm run monte-carlo`. Rollouts plan with expected-value procs; trajectories roll them. Reproduce a run with its seed.",
+  );
+  lines.push("");
+
+  return lines.join("\n");
+}
+
+// ---------------------------------------------------------------------------
+// CLI entry point
+// ---------------------------------------------------------------------------
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      spec: { type: "string" },
+      build: { type: "string", default: "anni-apex3-dgb" },
+      duration: { type: "string", default: "120" },
+      runs: { type: "string", default: "50" },
+      seed: { type: "string", default: "1" },
+      apl: { type: "string" },
+      output: { type: "string" },
+    },
+    strict: false,
+  });
+
+  const spec = values.spec || parseSpecArg();
+  await initSpec(spec);
+  const engine = await initEngine(spec);
+
+  const specMod = await import(`../spec/${spec}.js`);
+  const ARCHETYPES = specMod.flattenArchetypes();
+  const buildName = values.build;
+  const archetype = ARCHETYPES[buildName];
+  if (!archetype) {
+    console.error(`Unknown build: ${buildName}`);
+    console.error(`Available builds: ${Object.keys(ARCHETYPES).join(", ")}`);
+    process.exit(1);
+  }
+  archetype._name = buildName;
+
+  const duration = parseInt(values.duration, 10);
+  const runs = parseInt(values.runs, 10);
+  const seed = parseInt(values.seed, 10);
+
+  const aplPath = values.apl || join(ROOT, "apls", spec, `${spec}.simc`);
+  let aplText;
+  try {
+    aplText = readFileSync(aplPath, "utf-8");
+  } catch {
+    console.error(`Cannot read APL: ${aplPath}`);
+    process.exit(1);
+  }
+
+  const { rates, sources } = loadProcRates(engine, spec);
+  console.log(
+    `Monte Carlo: ${buildName} (${duration}s) — ${runs} runs from seed ${seed}`,
+  );
+  for (const [name, chance] of Object.entries(rates)) {
+    console.log(`  ${name}: ${chance} (${sources[name]})`);
+  }
+  console.log();
+
+  const result = runMonteCarlo(aplText, archetype, {
+    runs,
+    seed,
+    duration,
+    procRates: rates,
+  });
+
+  const { optimal, apl, gap } = result.score;
+  const fmt = (c) =>
+    `${c.mean.toFixed(1)} ± ${(c.ci95[1] - c.mean).toFixed(1)} (95% CI)`;
+  console.log(`Optimal score/s: ${fmt(optimal)}`);
+  console.log(`APL score/s:     ${fmt(apl)}`);
+  console.log(`Gap:             ${fmt(gap)}`);
+  console.log();
+
+  const always = result.divergences.filter(
+    (d) => d.classification === "always",
+  );
+  const procDependent = result.divergences.filter(
+    (d) => d.classification === "proc-dependent",
+  );
+  console.log(
+    `Divergences: ${always.length} always wrong, ${procDependent.length} proc-dependent`,
+  );
+  for (const d of result.divergences.slice(0, 10)) {
+    console.log(
+      `  ${d.classification.padEnd(15)} ${d.optimal.padEnd(20)} vs ${d.actual.padEnd(20)} ${`${(d.run_fraction * 100).toFixed(0)}%`.padEnd(5)} Δ+${d.mean_delta}`,
+    );
+  }
+
+  const resultsDir = join(ROOT, "results", spec);
+  mkdirSync(resultsDir, { recursive: true });
+
+  const metadata = {
+    build: buildName,
+    heroTree: archetype.heroTree,
+    apexRank: archetype.apexRank,
+    duration,
+    procRates: rates,
+    procSources: sources,
+  };
+  const report = generateReport(result, buildName, metadata);
+  const outputFile =
+    values.output || join(resultsDir, `monte-carlo-${buildName}.md`);
+  writeFileSync(outputFile, report);
+  console.log(`\nMonte Carlo report saved to: ${outputFile}`);
+
+  const jsonFile = join(resultsDir, `monte-carlo-${buildName}.json`);
+  writeFileSync(jsonFile, JSON.stringify({ ...result, metadata }, null, 2));
+  console.log(`Raw results saved to: ${jsonFile}`);
+}
@@ -11,6 +11,7 @@
 // Usage:
 //   node src/analysis/optimal-timeline.js --spec vengeance --build anni-apex3-dgb --duration 120
 //   npm run optimal-timeline -- --build anni-apex3-dgb --duration 120
+//   --seed N rolls procs from a seeded RNG instead of expected value
 
 import { writeFileSync, mkdirSync } from "node:fs";
 import { join } from "node:path";
@@ -18,23 +19,23 @@ import { parseArgs } from "node:util";
 import { initSpec, getSpecAdapter } from "../engine/startup.js";
 import { parseSpecArg } from "../util/parse-spec-arg.js";
 import { ROOT } from "../engine/paths.js";
+import { loadEngine } from "./engine-interface.js";
+import { seedState, expectedValueView, loadProcRates } from "./proc-rng.js";
 
 // State engine loaded dynamically based on --spec
 let engine;
 
 export async function initEngine(specName) {
   if (engine) return engine;
-  engine = await import(`./${specName}/state-sim.js`);
-  if (engine.buildScoreTable) {
-    const specConfig = getSpecAdapter().getSpecConfig();
-    engine.initScoring(engine.buildScoreTable(specConfig));
-  }
+  engine = await loadEngine(specName);
+  const specConfig = getSpecAdapter().getSpecConfig();
+  engine.initScoring(engine.buildScoreTable(specConfig));
   return engine;
 }
 
 // Re-initialize scoring for a specific build config (applies talent modifiers)
 export function reinitScoringForBuild(buildConfig) {
-  if (!engine?.reinitScoringForBuild) return;
+  if (!engine) return;
   const specConfig = getSpecAdapter().getSpecConfig();
   engine.reinitScoringForBuild(specConfig, buildConfig);
 }
@@ -149,7 +150,10 @@ function rolloutDps(state, horizon) {
   return totalScore;
 }
 
-function pickOptimal(state) {
+// Rollouts always plan against expected-value procs: in stochastic mode the
+// realized trajectory rolls, but each decision scores the average future.
+function pickOptimal(realState) {
+  const state = expectedValueView(realState);
   const {
     applyAbility,
     advanceTime,
@@ -196,7 +200,13 @@ function pickOptimal(state) {
 // Main timeline generator
 // ---------------------------------------------------------------------------
 
-export function generateTimeline(buildConfig, durationSeconds = 120) {
+// options.seed enables stochastic procs (see proc-rng.js); options.procRates
+// overrides the engine's default proc chances.
+export function generateTimeline(
+  buildConfig,
+  durationSeconds = 120,
+  { seed = null, procRates = null } = {},
+) {
   const {
     createInitialState,
     applyAbility,
@@ -206,6 +216,7 @@ export function generateTimeline(buildConfig, durationSeconds = 120) {
   } = engine;
 
   let state = createInitialState(buildConfig);
+  if (seed != null) seedState(state, seed, procRates);
   state.fight_end = durationSeconds;
   const events = [];
   let gcdNumber = 0;
@@ -271,6 +282,7 @@ export function generateTimeline(buildConfig, durationSeconds = 120) {
       duration: durationSeconds,
       haste: buildConfig.haste,
       talents: buildConfig.talents,
+      seed,
     },
     events,
   };
@@ -303,6 +315,10 @@ function snapshotState(s) {
         .filter(([, v]) => v > 0)
         .map(([k, v]) => [k, parseFloat(v.toFixed(1))]),
     ),
+    buff_stacks: Object.fromEntries(
+      Object.entries(s.buffStacks ?? {}).filter(([, v]) => v > 0),
+    ),
+    fury_cap: s.fury_cap,
     fracture_charges: s.charges?.fracture,
     ia_charges: s.charges?.immolation_aura,
     ia_recharge: s.recharge?.immolation_aura,
@@ -318,7 +334,8 @@ export function getBestAbility(state) {
 // Full rollout score for a specific ability — used by divergence.js to compute
 // the delta as rollout(optimal) - rollout(apl_choice), which is always >= 0
 // and directly meaningful (immediate scores alone mislead for strategic setups).
-export function getAbilityRolloutScore(state, abilityId) {
+export function getAbilityRolloutScore(realState, abilityId) {
+  const state = expectedValueView(realState);
   const { applyAbility, advanceTime, scoreDpgcd, getAbilityGcd } = engine;
   const immediate = scoreDpgcd(state, abilityId);
   const next = applyAbility(state, abilityId);
@@ -338,6 +355,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       spec: { type: "string" },
       build: { type: "string", default: "anni-apex3-dgb" },
       duration: { type: "string", default: "120" },
+      seed: { type: "string" },
       output: { type: "string" },
       pretty: { type: "boolean", default: false },
     },
@@ -371,7 +389,13 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   );
   console.log();
 
-  const timeline = generateTimeline(archetype, duration);
+  const seedOpts = values.seed
+    ? {
+        seed: parseInt(values.seed, 10),
+        procRates: loadProcRates(engine, specName).rates,
+      }
+    : {};
+  const timeline = generateTimeline(archetype, duration, seedOpts);
 
   console.log("First 30 GCDs:");
   console.log("─".repeat(100));
@@ -0,0 +1,90 @@
+// Proc resolution shared by the state engines.
+//
+// By default engines are deterministic: each proc adds its chance to a
+// fractional accumulator and fires whenever the accumulator crosses 1.0, so
+// a 35% proc fires on roughly every third cast (expected value, no variance).
+//
+// Stochastic mode is opt-in per state: seedState() stores a seeded PRNG state
+// on the engine state (_rng), and rollProc() then draws real rolls instead.
+// The PRNG state lives on the engine state so applyAbility/advanceTime stay
+// pure — a cloned state carries its own position in the random stream.
+//
+// Proc chances come from the engine's PROC_RATES defaults, overridden by
+// resolved chances in data/{spec}/cpp-proc-mechanics.json where available.
+
+import { readFileSync, existsSync } from "node:fs";
+import { dataFile } from "../engine/paths.js";
+
+// mulberry32 — small, fast, good enough for proc rolls
+function nextRandom(s) {
+  s._rng = (s._rng + 0x6d2b79f5) >>> 0;
+  let t = s._rng;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Enable stochastic procs on a freshly created state (mutates and returns it)
+export function seedState(state, seed, procRates = null) {
+  state._rng = seed >>> 0;
+  state._procRates = procRates;
+  return state;
+}
+
+export function isStochastic(state) {
+  return state._rng != null;
+}
+
+// Deterministic view of a stochastic state — used by rollout lookahead so
+// planning scores expected value rather than one sampled future
+export function expectedValueView(state) {
+  return isStochastic(state) ? { ...state, _rng: null } : state;
+}
+
+// Chance for a named proc: data-driven override, else the engine default
+export function procChance(state, name, fallback) {
+  return state._procRates?.[name] ?? fallback;
+}
+
+// Number of procs from `expected` expected procs, at most `max`.
+// Deterministic mode carries the remainder (including procs held back by
+// `max`) in state[accumulator]; stochastic mode fires floor(expected) plus one
+// more with probability equal to the fractional part. Mutates state (callers
+// pass the clone they are building).
+export function rollProc(state, accumulator, expected, max = Infinity) {
+  if (!isStochastic(state)) {
+    state[accumulator] = (state[accumulator] || 0) + expected;
+    let n = 0;
+    while (state[accumulator] >= 1.0 && n < max) {
+      state[accumulator] -= 1.0;
+      n++;
+    }
+    return n;
+  }
+  const whole = Math.floor(expected);
+  const n = whole + (nextRandom(state) < expected - whole ? 1 : 0);
+  return Math.min(n, max);
+}
+
+// Resolve an engine's PROC_RATES against cpp-proc-mechanics.json.
+// PROC_RATES entries: { chance, cppContext? } — cppContext names the SimC
+// struct whose proc roll has a resolved chance in the extracted data.
+// Returns { rates: { name: chance }, sources: { name: "cpp" | "default" } }.
+export function loadProcRates(engine, specName) {
+  const defaults = engine.PROC_RATES ?? {};
+  const path = dataFile("cpp-proc-mechanics.json", specName);
+  const procs = existsSync(path)
+    ? (JSON.parse(readFileSync(path, "utf-8")).procs ?? [])
+    : [];
+
+  const rates = {};
+  const sources = {};
+  for (const [name, { chance, cppContext }] of Object.entries(defaults)) {
+    const resolved = cppContext
+      ? procs.find((p) => p.context === cppContext && p.resolvedChance != null)
+      : null;
+    rates[name] = resolved ? resolved.resolvedChance : chance;
+    sources[name] = resolved ? "cpp" : "default";
+  }
+  return { rates, sources };
+}
@@ -0,0 +1,112 @@
+// Aggregation helpers for Monte Carlo trajectories (monte-carlo.js).
+// Pure functions over timeline / apl-trace events and divergence lists, kept
+// free of engine and config imports so they are cheap to test.
+
+// Sum of immediate DPGCD scores over on-GCD events, per second of fight.
+// A relative DPS proxy: same units as scoreDpgcd, not real damage.
+export function scorePerSecond(events, duration) {
+  let total = 0;
+  for (const e of events) {
+    if (!e.off_gcd) total += e.score?.immediate ?? 0;
+  }
+  return duration > 0 ? total / duration : 0;
+}
+
+// Mean, sample stdev and normal-approximation 95% CI of the mean
+export function confidenceInterval(values) {
+  const n = values.length;
+  if (n === 0) return { n: 0, mean: 0, stdev: 0, ci95: [0, 0] };
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance =
+    n > 1 ? values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1) : 0;
+  const stdev = Math.sqrt(variance);
+  const half = (1.96 * stdev) / Math.sqrt(n);
+  return { n, mean, stdev, ci95: [mean - half, mean + half] };
+}
+
+// Per-GCD ability frequencies across trajectories. eventLists is one event
+// array per trajectory; GCDs are matched by on-GCD index. Returns
+// [{ gcd, runs, t_mean, abilities: { [ability]: fraction } }].
+export function decisionDistribution(eventLists) {
+  const byGcd = new Map();
+  for (const events of eventLists) {
+    let gcd = 0;
+    for (const e of events) {
+      if (e.off_gcd) continue;
+      gcd++;
+      if (!byGcd.has(gcd)) byGcd.set(gcd, { counts: {}, tSum: 0, runs: 0 });
+      const slot = byGcd.get(gcd);
+      slot.counts[e.ability] = (slot.counts[e.ability] || 0) + 1;
+      slot.tSum += e.t;
+      slot.runs++;
+    }
+  }
+
+  return [...byGcd.entries()].map(([gcd, { counts, tSum, runs }]) => ({
+    gcd,
+    runs,
+    t_mean: parseFloat((tSum / runs).toFixed(2)),
+    abilities: Object.fromEntries(
+      Object.entries(counts)
+        .sort(([, a], [, b]) => b - a)
+        .map(([ability, c]) => [ability, c / runs]),
+    ),
+  }));
+}
+
+// True when a GCD's distribution has more than one ability
+export function isUnsettled(slot) {
+  return Object.keys(slot.abilities).length > 1;
+}
+
+// Group divergences across trajectories by (optimal, APL) ability pair.
+// A pair present in every trajectory is "always" wrong; one present in only
+// some trajectories depends on proc outcomes. Returns entries sorted by
+// (runs affected × mean rollout delta), highest first.
+export function classifyDivergences(perRunDivergences) {
+  const totalRuns = perRunDivergences.length;
+  const pairs = new Map();
+
+  for (const [run, divergences] of perRunDivergences.entries()) {
+    for (const d of divergences) {
+      const key = `${d.optimal.ability}|${d.actual.ability}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, {
+          optimal: d.optimal.ability,
+          actual: d.actual.ability,
+          runSet: new Set(),
+          occurrences: 0,
+          deltaSum: 0,
+          example: d,
+          exampleRun: run,
+        });
+      }
+      const p = pairs.get(key);
+      p.runSet.add(run);
+      p.occurrences++;
+      p.deltaSum += d.dpgcd_delta;
+      if (d.dpgcd_delta > p.example.dpgcd_delta) {
+        p.example = d;
+        p.exampleRun = run;
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .map(({ runSet, occurrences, deltaSum, example, exampleRun, ...rest }) => ({
+      ...rest,
+      runs: runSet.size,
+      run_fraction: totalRuns > 0 ? runSet.size / totalRuns : 0,
+      classification: runSet.size === totalRuns ? "always" : "proc-dependent",
+      mean_occurrences: occurrences / runSet.size,
+      mean_delta: Math.round(deltaSum / occurrences),
+      example: {
+        run: exampleRun,
+        t: example.t,
+        gcd: example.gcd,
+        apl_reason: example.actual.apl_reason,
+        fix_hint: example.fix_hint,
+      },
+    }))
+    .sort((a, b) => b.runs * b.mean_delta - a.runs * a.mean_delta);
+}
@@ -1,6 +1,13 @@
 // VDH-specific divergence fix hints and frequency estimation.
 // Moved from divergence.js to keep shared code spec-agnostic.
 
+// Filler abilities: lowest priority, differences between them are noise
+export const FILLER_ABILITIES = new Set([
+  "throw_glaive",
+  "felblade",
+  "sigil_of_flame",
+]);
+
 export function estimateFrequency(opt, apl) {
   const optAbility = opt.ability;
   const aplAbility = apl.ability;
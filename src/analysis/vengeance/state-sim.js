@@ -1,6 +1,7 @@
 // Deterministic game state engine for VDH Annihilation gap analysis.
 // Models all relevant game state (resources, buffs, cooldowns) without RNG.
-// Proc rates (VF building stacks, Fallout) are modeled as expected value.
+// Proc rates (VF building stacks, Fallout) are modeled as expected value
+// unless the state is seeded for stochastic mode (see ../proc-rng.js).
 //
 // buildConfig shape:
 //   heroTree: "annihilator" | "aldrachi_reaver"
@@ -9,6 +10,8 @@
 //   target_count: integer (number of targets)
 //   talents: { [name]: boolean } — talent flags
 
+import { procChance, rollProc } from "../proc-rng.js";
+
 // GCD duration in seconds (min 0.75 by game rules)
 export function gcdDuration(haste) {
   return Math.max(0.75, 1.5 / (1 + haste));
@@ -176,15 +179,12 @@ export function advanceTime(state, dt) {
 
     // Fallout: 60% chance per tick to grant 1 soul fragment
     // Expected value: +0.6 frags/s while IA is active
-    const falloutFrac = dt * 0.6;
-    s._fallout_frac = (s._fallout_frac || 0) + falloutFrac;
-    while (
-      s._fallout_frac >= 1.0 &&
-      s.soul_fragments < fragCap(s.buildConfig)
-    ) {
-      s._fallout_frac -= 1.0;
-      s.soul_fragments++;
-    }
+    s.soul_fragments += rollProc(
+      s,
+      "_fallout_frac",
+      dt * procChance(s, "fallout", PROC_RATES.fallout.chance),
+      fragCap(s.buildConfig) - s.soul_fragments,
+    );
 
     // Charred Flesh: each tick extends Fiery Brand by 0.25s
     if (s.buildConfig.talents?.charred_flesh && s.dots.fiery_brand > 0) {
@@ -266,13 +266,19 @@ export function applyAbility(state, abilityId) {
         cfg.heroTree === "annihilator" &&
         s.buffStacks.voidfall_spending === 0
       ) {
-        s._vf_frac += 0.35;
-        while (s._vf_frac >= 1.0) {
-          s._vf_frac -= 1.0;
-          if (s.buffStacks.voidfall_building < 3) {
-            s.buffStacks.voidfall_building++;
-          }
-        }
+        const procs = rollProc(
+          s,
+          "_vf_frac",
+          procChance(
+            s,
+            "voidfall_building",
+            PROC_RATES.voidfall_building.chance,
+          ),
+        );
+        s.buffStacks.voidfall_building = Math.min(
+          3,
+          s.buffStacks.voidfall_building + procs,
+        );
       }
       break;
     }
@@ -478,9 +484,12 @@ function _applyArProc(s) {
     !s.buildConfig.talents?.art_of_the_glaive
   )
     return;
-  s._rg_frac = (s._rg_frac || 0) + 0.5;
-  while (s._rg_frac >= 1.0) {
-    s._rg_frac -= 1.0;
+  const chance = procChance(
+    s,
+    "art_of_the_glaive",
+    PROC_RATES.art_of_the_glaive.chance,
+  );
+  if (rollProc(s, "_rg_frac", chance) > 0) {
     s.buffs.reavers_glaive = 15; // 15s proc buff duration
   }
 }
@@ -694,6 +703,18 @@ export function scoreDpgcd(state, abilityId) {
 // Ability metadata
 // ---------------------------------------------------------------------------
 
+// Proc chances (expected value by default, rolled in stochastic mode).
+// cppContext names the SimC struct in cpp-proc-mechanics.json whose resolved
+// chance, when extracted, overrides the default.
+export const PROC_RATES = {
+  fallout: { chance: 0.6, cppContext: "immolation_aura_t" },
+  voidfall_building: {
+    chance: 0.35,
+    cppContext: "voidfall_building_trigger_t",
+  },
+  art_of_the_glaive: { chance: 0.5 },
+};
+
 // Abilities that don't consume a GCD (use_off_gcd=1 in SimC APL)
 export const OFF_GCD_ABILITIES = new Set(["metamorphosis", "infernal_strike"]);
 
@@ -796,6 +817,32 @@ export function isCastable(state, abilityId) {
   return getAvailable(state).includes(abilityId);
 }
 
+// Resource caps keyed by state field
+export function getResourceCaps(state) {
+  return { fury: state.fury_cap, soul_fragments: fragCap(state.buildConfig) };
+}
+
+// action.X.Y values the APL reads (APL interpreter hook). undefined marks
+// the property as unmodeled.
+export function getActionValue(state, ability, prop) {
+  switch (prop) {
+    case "cost": {
+      // Fury applyAbility spends from a full bar; generators cap out at 0
+      const full = { ...state, fury: state.fury_cap };
+      return Math.max(0, full.fury - applyAbility(full, ability).fury);
+    }
+    case "placed":
+    case "in_flight":
+      // SoS fragments travel via pending_frags; SoF resolves instantly
+      if (ability === "sigil_of_spite")
+        return state.pending_frags?.length > 0 ? 1 : 0;
+      if (ability === "sigil_of_flame") return 0;
+      return undefined;
+    default:
+      return undefined;
+  }
+}
+
 // Human-readable ability name
 export function abilityLabel(id) {
   return id.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
@@ -2,6 +2,8 @@
 // Detects when different sources flag the same underlying APL issue
 // by extracting a canonical identity from heterogeneous hypothesis formats.
 
+import { conditionFingerprint } from "../apl/condition-normalizer.js";
+
 // Normalize ability name: lowercase, strip suffixes, collapse variants
 function normalizeAbility(name) {
   if (!name) return "";
@@ -66,10 +68,11 @@ function fingerprintFromMutation(h) {
     return `priority:${ability}:${dir}:${list || "default"}:${phase}`;
   }
   if ((type === "add_condition" || type === "remove_condition") && ability) {
-    const buff = normalizeAbility(
-      mutation.targetBuff || mutation.condition || "",
-    );
-    return `condition:${ability}:${type}:${buff}`;
+    // Conditions in canonical form so equivalent ones share a fingerprint
+    const target = mutation.targetBuff
+      ? normalizeAbility(mutation.targetBuff)
+      : conditionFingerprint(mutation.condition || "");
+    return `condition:${ability}:${type}:${target}`;
   }
   if ((type === "relax_threshold" || type === "tighten_threshold") && ability) {
     const resource = (mutation.resource || "").toLowerCase();
@@ -81,6 +84,21 @@ function fingerprintFromMutation(h) {
   if (type === "delete_action" && ability) {
     return `delete:${ability}:${list || "default"}`;
   }
+  if (type === "swap_actions" && ability) {
+    const pair = [ability, normalizeAbility(mutation.otherAbility)].sort();
+    return `swap_actions:${pair.join(":")}:${list || "default"}`;
+  }
+  if (type === "extract_variable") {
+    return `extract_variable:${list || "default"}:${conditionFingerprint(mutation.expression || "")}`;
+  }
+  if (type === "extract_sublist") {
+    const from = normalizeAbility(mutation.from);
+    const to = normalizeAbility(mutation.to || mutation.from);
+    return `extract_sublist:${list || "default"}:${from}:${to}`;
+  }
+  if (type === "inline_sublist") {
+    return `inline_sublist:${list || "default"}:${(mutation.name || "").toLowerCase()}`;
+  }
 
   return `mutation:${type}:${ability || "unknown"}`;
 }
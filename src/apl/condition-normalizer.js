@@ -0,0 +1,482 @@
+// APL condition normalizer — simplifies SimC condition expressions so
+// mutated candidates stay readable and equivalent conditions compare equal.
+//
+// Passes (on the condition-parser AST, flattened to n-ary &/|):
+//   - boolean simplification: !!x → x, !(fury>=30) → fury<30 (but not
+//     !fury>=30, which SimC reads as (!fury)>=30), constant
+//     folding (x&1 → x, x|0 → x), duplicate clauses, absorption (a&(a|b) → a)
+//   - buff.X.down is rewritten as !buff.X.up, so buff.x.up&!buff.x.down
+//     collapses to buff.x.up
+//   - threshold merging per subject: fury>=30&fury>=40 → fury>=40,
+//     fury>=30|fury>=40 → fury>=30
+//   - contradictions (fury>50&fury<30, x&!x) make the condition unreachable;
+//     tautologies (x|!x) make it always true
+//   - canonical clause ordering (opt-in; on for fingerprints, off for
+//     mutator output so author ordering survives)
+//
+// Expressions the parser can't represent faithfully (arithmetic, !=, SimC
+// operators like <? and %) are returned unchanged.
+//
+// Usage:
+//   node src/apl/condition-normalizer.js --spec vengeance "fury>=30&fury>=40"
+//   node src/apl/condition-normalizer.js --spec vengeance --file apls/vengeance/vengeance.simc [--write]
+//   npm run normalize-condition -- --spec vengeance "expr" --canonical
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { parse, serialize, getActionLists } from "./parser.js";
+import { parseCondition, serializeCondition } from "./condition-parser.js";
+import { initSpec } from "../engine/startup.js";
+import { parseSpecArg } from "../util/parse-spec-arg.js";
+
+const TRUE = { type: "Const", value: true };
+const FALSE = { type: "Const", value: false };
+
+const INVERTED_OP = { ">": "<=", ">=": "<", "<": ">=", "<=": ">" };
+
+// Clause ordering for canonical form: cheap static gates first
+const TYPE_RANK = {
+  HeroTreeCheck: 0,
+  TalentCheck: 1,
+  VariableCheck: 2,
+  SpellTargets: 3,
+  ResourceCheck: 4,
+  Comparison: 4,
+  BuffCheck: 5,
+  CooldownCheck: 6,
+  PrevGcd: 7,
+  Literal: 8,
+  And: 9,
+  Or: 9,
+};
+
+// --- n-ary form ---
+
+function toNary(node) {
+  switch (node.type) {
+    case "BinaryOp": {
+      const type = node.op === "&" ? "And" : "Or";
+      const children = [];
+      for (const side of [node.left, node.right]) {
+        const child = toNary(side);
+        if (child.type === type) children.push(...child.children);
+        else children.push(child);
+      }
+      return { type, children };
+    }
+    case "Not":
+      return { ...node, operand: toNary(node.operand) };
+    case "Literal": {
+      const n = Number(node.value);
+      if (node.value !== "" && !isNaN(n)) return n !== 0 ? TRUE : FALSE;
+      return node;
+    }
+    default:
+      return node;
+  }
+}
+
+// Condition text for an n-ary node. Unlike serializeCondition, & groups
+// inside | keep their parentheses for readability.
+function render(node, parentType = null) {
+  switch (node.type) {
+    case "And":
+    case "Or": {
+      const text = node.children
+        .map((c) => render(c, node.type))
+        .join(node.type === "And" ? "&" : "|");
+      return parentType && parentType !== node.type ? `(${text})` : text;
+    }
+    case "Not": {
+      const inner = render(node.operand);
+      const atomic =
+        node.bare || !["And", "Or", "Comparison"].includes(node.operand.type);
+      return atomic ? `!${inner}` : `!(${inner})`;
+    }
+    case "Const":
+      return node.value ? "1" : "0";
+    default:
+      return serializeCondition(node);
+  }
+}
+
+// Equivalent spellings collapse: buff.X.down → !buff.X.up, !!x → x
+function canonical(node) {
+  switch (node.type) {
+    case "And":
+    case "Or":
+      return { ...node, children: node.children.map(canonical) };
+    case "Not": {
+      const operand = canonical(node.operand);
+      if (operand.type === "Not" && !node.bare) return operand.operand;
+      return { ...node, operand };
+    }
+    case "BuffCheck":
+      if (node.property === "down" && !node.isDot) {
+        return { type: "Not", operand: { ...node, property: "up" } };
+      }
+      return node;
+    default:
+      return node;
+  }
+}
+
+// Identity used for duplicate, complement and ordering checks
+function key(node) {
+  return render(canonical(node));
+}
+
+function rank(node) {
+  const base = node.type === "Not" ? node.operand : node;
+  return TYPE_RANK[base.type] ?? 8;
+}
+
+// --- threshold merging ---
+
+function numericComparison(node) {
+  if (node.type !== "Comparison") return null;
+  const value = Number(node.right);
+  if (node.right === "" || isNaN(value)) return null;
+  const op = node.op === "==" ? "=" : node.op;
+  if (!["=", ...Object.keys(INVERTED_OP)].includes(op)) return null;
+  return { subject: node.left, op, value };
+}
+
+function comparison(subject, op, value) {
+  return { type: "Comparison", left: subject, op, right: String(value) };
+}
+
+// Bounds from a group of comparisons on one subject
+function collectBounds(group, pickLower, pickUpper) {
+  let lower = null;
+  let upper = null;
+  const equals = [];
+  for (const { op, value } of group) {
+    const strict = op === ">" || op === "<";
+    if (op === "=") equals.push(value);
+    else if (op[0] === ">") lower = pickLower(lower, { value, strict });
+    else upper = pickUpper(upper, { value, strict });
+  }
+  return { lower, upper, equals: [...new Set(equals)] };
+}
+
+const satisfiesLower = (v, b) =>
+  !b || v > b.value || (v === b.value && !b.strict);
+const satisfiesUpper = (v, b) =>
+  !b || v < b.value || (v === b.value && !b.strict);
+
+// Tightest bounds for &; null when no value satisfies them all
+function mergeAnd(subject, group) {
+  const { lower, upper, equals } = collectBounds(
+    group,
+    (a, b) =>
+      !a || b.value > a.value || (b.value === a.value && b.strict) ? b : a,
+    (a, b) =>
+      !a || b.value < a.value || (b.value === a.value && b.strict) ? b : a,
+  );
+  if (equals.length > 1) return null;
+  if (equals.length === 1) {
+    const [v] = equals;
+    if (!satisfiesLower(v, lower) || !satisfiesUpper(v, upper)) return null;
+    return [comparison(subject, "=", v)];
+  }
+  if (lower && upper) {
+    if (lower.value > upper.value) return null;
+    if (lower.value === upper.value) {
+      if (lower.strict || upper.strict) return null;
+      return [comparison(subject, "=", lower.value)];
+    }
+  }
+  const bound = (b, op) =>
+    comparison(subject, b.strict ? op : `${op}=`, b.value);
+  return [
+    ...(lower ? [bound(lower, ">")] : []),
+    ...(upper ? [bound(upper, "<")] : []),
+  ];
+}
+
+// Loosest bounds for |; TRUE when every value satisfies one of them
+function mergeOr(subject, group) {
+  const { lower, upper, equals } = collectBounds(
+    group,
+    (a, b) =>
+      !a || b.value < a.value || (b.value === a.value && !b.strict) ? b : a,
+    (a, b) =>
+      !a || b.value > a.value || (b.value === a.value && !b.strict) ? b : a,
+  );
+  if (
+    lower &&
+    upper &&
+    (lower.value < upper.value ||
+      (lower.value === upper.value && (!lower.strict || !upper.strict)))
+  ) {
+    return TRUE;
+  }
+  const bound = (b, op) =>
+    comparison(subject, b.strict ? op : `${op}=`, b.value);
+  return [
+    ...(lower ? [bound(lower, ">")] : []),
+    ...(upper ? [bound(upper, "<")] : []),
+    ...equals
+      .filter(
+        (v) =>
+          !(lower && satisfiesLower(v, lower)) &&
+          !(upper && satisfiesUpper(v, upper)),
+      )
+      .map((v) => comparison(subject, "=", v)),
+  ];
+}
+
+// --- simplification ---
+
+function simplify(node, ctx) {
+  switch (node.type) {
+    case "Not": {
+      const operand = simplify(node.operand, ctx);
+      if (operand.type === "Const") return operand.value ? FALSE : TRUE;
+      // !x>=3 compares !x; only !(x>=3) negates the comparison
+      if (node.bare) return { ...node, operand };
+      if (operand.type === "Not") return operand.operand;
+      if (operand.type === "Comparison" && INVERTED_OP[operand.op]) {
+        return { ...operand, op: INVERTED_OP[operand.op] };
+      }
+      return { type: "Not", operand };
+    }
+    case "And":
+    case "Or":
+      return simplifyJunction(node, ctx);
+    default:
+      return node;
+  }
+}
+
+function simplifyJunction(node, ctx) {
+  const isAnd = node.type === "And";
+  const absorbing = isAnd ? FALSE : TRUE; // x&0 = 0, x|1 = 1
+
+  // Simplify and flatten children, folding constants
+  let children = [];
+  for (const raw of node.children) {
+    const child = simplify(raw, ctx);
+    if (child.type === "Const") {
+      if (child.value === absorbing.value) return absorbing;
+      continue;
+    }
+    if (child.type === node.type) children.push(...child.children);
+    else children.push(child);
+  }
+
+  // Duplicates
+  const seen = new Set();
+  children = children.filter((c) => {
+    const k = key(c);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+
+  // x&!x is unreachable, x|!x always true
+  for (const c of children) {
+    const negated = key({ type: "Not", operand: c });
+    if (seen.has(negated)) {
+      if (isAnd) ctx.notes.push(`contradiction: ${render(c)} & ${negated}`);
+      return absorbing;
+    }
+  }
+
+  // Threshold merging on the same subject
+  const groups = new Map();
+  for (const c of children) {
+    const cmp = numericComparison(c);
+    if (!cmp) continue;
+    if (!groups.has(cmp.subject)) groups.set(cmp.subject, []);
+    groups.get(cmp.subject).push({ node: c, ...cmp });
+  }
+  for (const [subject, group] of groups) {
+    if (group.length < 2) continue;
+    const merged = isAnd ? mergeAnd(subject, group) : mergeOr(subject, group);
+    const before = group.map((g) => key(g.node)).join(isAnd ? "&" : "|");
+    if (merged === null) {
+      ctx.notes.push(`contradiction: ${before}`);
+      return FALSE;
+    }
+    if (merged === TRUE) return TRUE;
+    const after = merged.map(key).join(isAnd ? "&" : "|");
+    const unchanged =
+      merged.length === group.length &&
+      merged.every((m) => group.some((g) => key(g.node) === key(m)));
+    if (unchanged) continue;
+    const at = children.indexOf(group[0].node);
+    const members = new Set(group.map((g) => g.node));
+    children = children.filter((c) => !members.has(c));
+    children.splice(at, 0, ...merged);
+    ctx.notes.push(`merged ${before} → ${after}`);
+  }
+
+  // Absorption: a&(a|b) → a, a|(a&b) → a
+  const dual = isAnd ? "Or" : "And";
+  const keys = new Set(children.map(key));
+  children = children.filter(
+    (c) => c.type !== dual || !c.children.some((g) => keys.has(key(g))),
+  );
+
+  if (children.length === 0) return isAnd ? TRUE : FALSE;
+  if (children.length === 1) return children[0];
+
+  if (ctx.canonicalOrder) {
+    children.sort((a, b) => rank(a) - rank(b) || key(a).localeCompare(key(b)));
+  }
+
+  return { type: node.type, children };
+}
+
+// The parser drops arithmetic and some SimC operators; only rewrite
+// expressions it round-trips token for token
+function isRepresentable(expr, ast) {
+  const strip = (s) => s.replace(/[\s()]/g, "");
+  return strip(serializeCondition(ast)) === strip(expr);
+}
+
+/**
+ * Normalizes a condition expression.
+ * @param {string} expr
+ * @param {{ canonicalOrder?: boolean }} [opts] — sort clauses into canonical
+ *   order (for fingerprints and equivalence checks)
+ * @returns {{ condition: string, changed: boolean, unreachable: boolean,
+ *   always: boolean, supported: boolean, notes: string[] }}
+ *   condition is "" when always true and "0" when unreachable
+ */
+export function normalizeCondition(expr, { canonicalOrder = false } = {}) {
+  const unchanged = {
+    condition: expr ?? "",
+    changed: false,
+    unreachable: false,
+    always: !expr,
+    supported: !expr,
+    notes: [],
+  };
+  if (!expr || expr.trim() === "") return unchanged;
+
+  const ast = parseCondition(expr);
+  if (!ast || !isRepresentable(expr, ast)) return unchanged;
+
+  const ctx = { canonicalOrder, notes: [] };
+  const result = simplify(toNary(ast), ctx);
+  const unreachable = result.type === "Const" && !result.value;
+  const always = result.type === "Const" && result.value;
+  const condition = always
+    ? ""
+    : unreachable
+      ? "0"
+      : render(canonicalOrder ? canonical(result) : result);
+
+  return {
+    condition,
+    changed: condition !== expr,
+    unreachable,
+    always,
+    supported: true,
+    notes: ctx.notes,
+  };
+}
+
+/**
+ * Normalizes if= on every entry of a parsed APL, in place.
+ * @param {Array} sections — parse() output
+ * @param {{ canonicalOrder?: boolean,
+ *   filter?: function(Object, string): boolean }} [opts] — filter(entry,
+ *   listName) limits which entries are touched
+ * @returns {Array<{ list: string, entry: Object, before: string,
+ *   after: string, unreachable: boolean, notes: string[] }>} changed entries
+ */
+export function normalizeAplConditions(sections, opts = {}) {
+  const { filter = () => true, ...normalizeOpts } = opts;
+  const changes = [];
+  for (const list of getActionLists(sections)) {
+    for (const entry of list.entries) {
+      const before = entry.modifiers?.get("if");
+      if (!before || !filter(entry, list.name)) continue;
+      const result = normalizeCondition(before, normalizeOpts);
+      if (!result.changed) continue;
+      if (result.always) entry.modifiers.delete("if");
+      else entry.modifiers.set("if", result.condition);
+      changes.push({
+        list: list.name,
+        entry,
+        before,
+        after: result.condition,
+        unreachable: result.unreachable,
+        notes: result.notes,
+      });
+    }
+  }
+  return changes;
+}
+
+// Canonical form for equivalence checks — equivalent conditions map to the
+// same string
+export function conditionFingerprint(expr) {
+  return normalizeCondition(expr, { canonicalOrder: true }).condition;
+}
+
+// CLI entry point
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values, positionals } = parseArgs({
+    options: {
+      spec: { type: "string" },
+      file: { type: "string" },
+      write: { type: "boolean", default: false },
+      canonical: { type: "boolean", default: false },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  if (!values.file && positionals.length === 0) {
+    console.log(
+      'Usage: node src/apl/condition-normalizer.js --spec <spec> "<condition>" [--canonical]',
+    );
+    console.log(
+      "       node src/apl/condition-normalizer.js --spec <spec> --file <apl.simc> [--write] [--canonical]",
+    );
+    process.exit(1);
+  }
+
+  await initSpec(values.spec || parseSpecArg());
+  const opts = { canonicalOrder: values.canonical };
+
+  if (values.file) {
+    const sections = parse(readFileSync(values.file, "utf-8"));
+    const changes = normalizeAplConditions(sections, opts);
+    for (const c of changes) {
+      const flag = c.unreachable ? "  UNREACHABLE" : "";
+      console.log(`${values.file}:${c.entry.line} [${c.list}]${flag}`);
+      console.log(`  - ${c.before}`);
+      console.log(`  + ${c.after || "(always)"}`);
+      for (const note of c.notes) console.log(`    ${note}`);
+    }
+    const unreachable = changes.filter((c) => c.unreachable).length;
+    console.log(
+      `\n${changes.length} condition(s) normalized, ${unreachable} unreachable`,
+    );
+    if (values.write && changes.length > 0) {
+      writeFileSync(values.file, serialize(sections));
+      console.log(`Wrote ${values.file}`);
+    }
+    process.exit(unreachable > 0 ? 1 : 0);
+  }
+
+  for (const expr of positionals) {
+    const result = normalizeCondition(expr, opts);
+    console.log(`Input:      ${expr}`);
+    if (!result.supported) {
+      console.log("Normalized: (unchanged — expression not representable)");
+      continue;
+    }
+    console.log(
+      `Normalized: ${result.always ? "(always true)" : result.condition}`,
+    );
+    if (result.unreachable) console.log("UNREACHABLE");
+    for (const note of result.notes) console.log(`  ${note}`);
+  }
+}
@@ -5,7 +5,9 @@
 
 // --- AST Node Types ---
 // BinaryOp: { type: "BinaryOp", op: "&"|"|", left: Node, right: Node }
-// Not: { type: "Not", operand: Node }
+// Not: { type: "Not", operand: Node, bare?: true }
+//   bare marks a "!" written straight before a comparison: SimC binds "!"
+//   tighter, so !x>=3 is (!x)>=3, not !(x>=3)
 // Comparison: { type: "Comparison", left: string, op: string, right: string }
 // BuffCheck: { type: "BuffCheck", buff: string, property: string, negate: boolean }
 // ResourceCheck: { type: "ResourceCheck", resource: string, property: string }
@@ -133,8 +135,11 @@ export function parseCondition(condition) {
   function parseFactor() {
     if (peek()?.type === "not") {
       consume("not");
+      const grouped = peek()?.type === "lparen";
       const operand = parseFactor();
-      return { type: "Not", operand };
+      const bare =
+        !grouped && (operand.type === "Comparison" || operand.bare === true);
+      return bare ? { type: "Not", operand, bare } : { type: "Not", operand };
     }
 
     if (peek()?.type === "lparen") {
@@ -409,8 +414,11 @@ export function serializeCondition(ast, parentOp = null) {
 
     case "Not":
       const inner = serializeCondition(ast.operand, null);
-      // Add parens if the operand is a BinaryOp
-      if (ast.operand?.type === "BinaryOp") {
+      // Add parens if the operand is a BinaryOp or Comparison
+      if (
+        ast.operand?.type === "BinaryOp" ||
+        (ast.operand?.type === "Comparison" && !ast.bare)
+      ) {
         return `!(${inner})`;
       }
       return `!${inner}`;
@@ -429,6 +437,9 @@ export function serializeCondition(ast, parentOp = null) {
       return `talent.${ast.talent}`;
 
     case "VariableCheck":
+      if (ast.property && ast.property !== "value") {
+        return `variable.${ast.variable}.${ast.property}`;
+      }
       return `variable.${ast.variable}`;
 
     case "SpellTargets":
@@ -0,0 +1,427 @@
+// Semantic APL diff — compares two .simc files at the action-list level
+// instead of line by line. Entries are matched by identity (ability, plus
+// name=/slot= where present), so a reordered list reads as moves and an
+// edited condition reads as clause changes rather than a delete + add.
+//
+// Change kinds:
+//   added      entry only in the new file
+//   removed    entry only in the old file
+//   moved      same entry, different position within its list
+//   relocated  identical entry removed from one list and added to another
+//   modified   same entry, different modifiers; if= is split into top-level
+//              & clauses and compared clause by clause, with same-subject
+//              comparisons (fury>=30 → fury>=40) reported as threshold changes
+//
+// Usage:
+//   node src/apl/diff.js --spec vengeance old.simc new.simc
+//   node src/apl/diff.js --spec vengeance old.simc new.simc --markdown
+//   node src/apl/diff.js --spec vengeance old.simc new.simc --json
+//   npm run apl-diff -- --spec vengeance old.simc new.simc
+
+import { readFileSync } from "node:fs";
+import { basename, dirname, resolve } from "node:path";
+import { parseArgs } from "node:util";
+import { parse, getActionLists, serializeEntry } from "./parser.js";
+import { parseCondition, extractSemantics } from "./condition-parser.js";
+import { initSpec } from "../engine/startup.js";
+import { parseSpecArg } from "../util/parse-spec-arg.js";
+import { resolveInputDirectives } from "../sim/profilesets.js";
+
+// Identity of an entry within a list: what it does, not how it's gated
+function entryKey(entry) {
+  const mods = entry.modifiers;
+  if (entry.type === "Variable") return `variable:${mods.get("name") ?? ""}`;
+  if (entry.type === "RunActionList")
+    return `${entry.variant}_action_list:${mods.get("name") ?? ""}`;
+  const qualifier = mods.get("name") ?? mods.get("slot");
+  return qualifier ? `${entry.ability}:${qualifier}` : entry.ability;
+}
+
+function entryLabel(entry) {
+  return entryKey(entry).replace(/:$/, "");
+}
+
+// Split on top-level & — parenthesized groups stay whole
+export function splitClauses(expr) {
+  if (!expr) return [];
+  const clauses = [];
+  let current = "";
+  let depth = 0;
+  for (const ch of expr) {
+    if (ch === "(") depth++;
+    else if (ch === ")") depth--;
+    if (ch === "&" && depth === 0) {
+      clauses.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  clauses.push(current);
+  return clauses.map((c) => c.trim()).filter(Boolean);
+}
+
+// "subject op" for a clause that is a single comparison gate, else null.
+// Two clauses with the same gate key differ only in their threshold.
+function gateKey(clause) {
+  const sem = extractSemantics(parseCondition(clause));
+  const gates = [
+    ...sem.resourceGates.map((g) => [`${g.resource}.${g.property}`, g]),
+    ...sem.buffRequirements.map((g) => [`buff.${g.buff}.${g.property}`, g]),
+    ...sem.cooldownGates.map((g) => [`cooldown.${g.spell}.${g.property}`, g]),
+    ...sem.spellTargets.map((g) => [`spell_targets.${g.spell}`, g]),
+  ];
+  if (gates.length !== 1) return null;
+  const [subject, gate] = gates[0];
+  if (!gate.op || gate.value == null || gate.value === "?") return null;
+  return `${subject}${gate.op}`;
+}
+
+/**
+ * Clause-level diff of two if= expressions.
+ * @returns {{ added: string[], removed: string[],
+ *   changed: Array<{from: string, to: string}>, reordered: boolean }}
+ */
+export function diffCondition(oldExpr, newExpr) {
+  const oldClauses = splitClauses(oldExpr);
+  const newClauses = splitClauses(newExpr);
+  const removed = oldClauses.filter((c) => !newClauses.includes(c));
+  const added = newClauses.filter((c) => !oldClauses.includes(c));
+  const changed = [];
+
+  for (const from of [...removed]) {
+    const key = gateKey(from);
+    if (!key) continue;
+    const to = added.find((c) => gateKey(c) === key);
+    if (!to) continue;
+    changed.push({ from, to });
+    removed.splice(removed.indexOf(from), 1);
+    added.splice(added.indexOf(to), 1);
+  }
+
+  const common = (a, b) => a.filter((c) => b.includes(c));
+  const reordered =
+    common(oldClauses, newClauses).join("&") !==
+    common(newClauses, oldClauses).join("&");
+
+  return { added, removed, changed, reordered };
+}
+
+// Non-if modifier changes between two matched entries
+function diffModifiers(oldEntry, newEntry) {
+  const keys = new Set([
+    ...oldEntry.modifiers.keys(),
+    ...newEntry.modifiers.keys(),
+  ]);
+  const changes = [];
+  for (const key of keys) {
+    if (key === "if") continue;
+    const from = oldEntry.modifiers.get(key);
+    const to = newEntry.modifiers.get(key);
+    if (from !== to) changes.push({ key, from: from ?? null, to: to ?? null });
+  }
+  return changes;
+}
+
+// Positions (into seq) of a longest strictly increasing subsequence
+function longestIncreasing(seq) {
+  const tails = [];
+  const prev = new Array(seq.length).fill(-1);
+  for (let i = 0; i < seq.length; i++) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) prev[i] = tails[lo - 1];
+    tails[lo] = i;
+  }
+  const keep = new Set();
+  for (let i = tails[tails.length - 1] ?? -1; i >= 0; i = prev[i]) keep.add(i);
+  return keep;
+}
+
+// Match old/new entries of one list: identical text first, then by key in order
+function matchEntries(oldEntries, newEntries) {
+  const pairs = [];
+  const usedOld = new Set();
+  const usedNew = new Set();
+
+  const pass = (same) => {
+    for (let j = 0; j < newEntries.length; j++) {
+      if (usedNew.has(j)) continue;
+      const i = oldEntries.findIndex(
+        (o, idx) => !usedOld.has(idx) && same(o, newEntries[j]),
+      );
+      if (i === -1) continue;
+      usedOld.add(i);
+      usedNew.add(j);
+      pairs.push([i, j]);
+    }
+  };
+  pass((a, b) => a.text === b.text);
+  pass((a, b) => a.key === b.key);
+
+  return {
+    pairs: pairs.sort((a, b) => a[1] - b[1]),
+    removed: oldEntries.filter((_, i) => !usedOld.has(i)),
+    added: newEntries.filter((_, j) => !usedNew.has(j)),
+  };
+}
+
+function listEntries(list) {
+  return (list?.entries ?? [])
+    .filter((e) => e.type !== "Comment")
+    .map((entry, index) => ({
+      entry,
+      index,
+      line: entry.line,
+      key: entryKey(entry),
+      label: entryLabel(entry),
+      text: serializeEntry(entry),
+    }));
+}
+
+/**
+ * Semantic diff of two APL texts.
+ * @returns {{ listsAdded: string[], listsRemoved: string[],
+ *   changes: Array<Object>, summary: Record<string, number> }}
+ *   Each change has kind, list, label, text and line (new file for
+ *   added/moved/modified/relocated, old file for removed); moves carry
+ *   from/to positions (1-based, comments excluded), relocations fromList,
+ *   modifications condition and modifiers.
+ */
+export function diffApl(oldText, newText) {
+  const oldLists = new Map(
+    getActionLists(parse(oldText)).map((l) => [l.name, l]),
+  );
+  const newLists = new Map(
+    getActionLists(parse(newText)).map((l) => [l.name, l]),
+  );
+  const listNames = [...new Set([...oldLists.keys(), ...newLists.keys()])];
+
+  const changes = [];
+  const removedAll = [];
+  const addedAll = [];
+
+  for (const name of listNames) {
+    const oldEntries = listEntries(oldLists.get(name));
+    const newEntries = listEntries(newLists.get(name));
+    const { pairs, removed, added } = matchEntries(oldEntries, newEntries);
+
+    const inOrder = longestIncreasing(pairs.map(([i]) => i));
+    pairs.forEach(([i, j], p) => {
+      const o = oldEntries[i];
+      const n = newEntries[j];
+      const base = { list: name, label: n.label, text: n.text, line: n.line };
+      if (!inOrder.has(p)) {
+        changes.push({ kind: "moved", ...base, from: i + 1, to: j + 1 });
+      }
+      if (o.text !== n.text) {
+        changes.push({
+          kind: "modified",
+          ...base,
+          oldText: o.text,
+          condition: diffCondition(
+            o.entry.modifiers.get("if"),
+            n.entry.modifiers.get("if"),
+          ),
+          modifiers: diffModifiers(o.entry, n.entry),
+        });
+      }
+    });
+
+    for (const r of removed) removedAll.push({ ...r, list: name });
+    for (const a of added) addedAll.push({ ...a, list: name });
+  }
+
+  // Identical entry removed from one list and added to another
+  for (const a of [...addedAll]) {
+    const r = removedAll.find((x) => x.text === a.text && x.list !== a.list);
+    if (!r) continue;
+    removedAll.splice(removedAll.indexOf(r), 1);
+    addedAll.splice(addedAll.indexOf(a), 1);
+    changes.push({
+      kind: "relocated",
+      list: a.list,
+      fromList: r.list,
+      label: a.label,
+      text: a.text,
+      line: a.line,
+    });
+  }
+
+  for (const r of removedAll) {
+    changes.push({
+      kind: "removed",
+      list: r.list,
+      label: r.label,
+      text: r.text,
+      line: r.line,
+    });
+  }
+  for (const a of addedAll) {
+    changes.push({
+      kind: "added",
+      list: a.list,
+      label: a.label,
+      text: a.text,
+      line: a.line,
+    });
+  }
+
+  const listOrder = new Map(listNames.map((n, i) => [n, i]));
+  changes.sort(
+    (a, b) => listOrder.get(a.list) - listOrder.get(b.list) || a.line - b.line,
+  );
+
+  const summary = { added: 0, removed: 0, moved: 0, relocated: 0, modified: 0 };
+  for (const c of changes) summary[c.kind]++;
+
+  return {
+    listsAdded: listNames.filter((n) => !oldLists.has(n)),
+    listsRemoved: listNames.filter((n) => !newLists.has(n)),
+    changes,
+    summary,
+  };
+}
+
+// input= directives are inlined first: baseline.simc is only input= lines
+export function diffFiles(oldPath, newPath) {
+  const read = (path) =>
+    resolveInputDirectives(readFileSync(path, "utf-8"), dirname(resolve(path)));
+  return diffApl(read(oldPath), read(newPath));
+}
+
+function summaryLine({ summary, listsAdded, listsRemoved }) {
+  const parts = Object.entries(summary)
+    .filter(([, n]) => n > 0)
+    .map(([kind, n]) => `${n} ${kind}`);
+  if (listsAdded.length) parts.push(`lists added: ${listsAdded.join(", ")}`);
+  if (listsRemoved.length)
+    parts.push(`lists removed: ${listsRemoved.join(", ")}`);
+  return parts.length ? parts.join(", ") : "no changes";
+}
+
+// Detail lines for a modified entry, without list/bullet decoration
+function modifiedDetails(change, code = (s) => s) {
+  const details = [];
+  const { condition, modifiers } = change;
+  for (const c of condition.removed) details.push(`- if: ${code(c)}`);
+  for (const c of condition.added) details.push(`+ if: ${code(c)}`);
+  for (const { from, to } of condition.changed)
+    details.push(`~ if: ${code(from)} → ${code(to)}`);
+  if (condition.reordered) details.push("~ if: clauses reordered");
+  for (const { key, from, to } of modifiers) {
+    if (from == null) details.push(`+ ${code(`${key}=${to}`)}`);
+    else if (to == null) details.push(`- ${code(`${key}=${from}`)}`);
+    else details.push(`~ ${key}: ${code(from)} → ${code(to)}`);
+  }
+  return details;
+}
+
+const SYMBOL = {
+  added: "+",
+  removed: "-",
+  moved: "↕",
+  relocated: "→",
+  modified: "~",
+};
+
+function describe(change, code = (s) => s) {
+  switch (change.kind) {
+    case "moved":
+      return `${code(change.label)} moved ${change.from} → ${change.to}`;
+    case "relocated":
+      return `${code(change.label)} moved from ${change.fromList}`;
+    case "modified":
+      return code(change.label);
+    default:
+      return code(change.text);
+  }
+}
+
+/**
+ * Plain-text view for the terminal.
+ * @returns {string[]}
+ */
+export function formatDiffTerminal(
+  diff,
+  { oldName = "old", newName = "new" } = {},
+) {
+  const out = [`APL diff: ${oldName} → ${newName} (${summaryLine(diff)})`];
+  let list = null;
+  for (const change of diff.changes) {
+    if (change.list !== list) {
+      list = change.list;
+      out.push("", `[${list}]`);
+    }
+    out.push(
+      `  ${SYMBOL[change.kind]} L${String(change.line).padEnd(4)} ${describe(change)}`,
+    );
+    if (change.kind === "modified") {
+      for (const d of modifiedDetails(change)) out.push(`           ${d}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Markdown section — embedded per accepted iteration by iterate.js and the
+ * report dashboard.
+ * @returns {string}
+ */
+export function formatDiffMarkdown(diff, { title = "APL changes" } = {}) {
+  const code = (s) => `\`${s}\``;
+  const out = [`#### ${title}`, "", `_${summaryLine(diff)}_`];
+  let list = null;
+  for (const change of diff.changes) {
+    if (change.list !== list) {
+      list = change.list;
+      out.push("", `**${list}**`, "");
+    }
+    out.push(
+      `- ${SYMBOL[change.kind]} ${describe(change, code)} (line ${change.line})`,
+    );
+    if (change.kind === "modified") {
+      for (const d of modifiedDetails(change, code)) out.push(`  - ${d}`);
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+// CLI entry point
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values, positionals } = parseArgs({
+    options: {
+      spec: { type: "string" },
+      markdown: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  if (positionals.length !== 2) {
+    console.log(
+      "Usage: node src/apl/diff.js --spec <spec> <old.simc> <new.simc> [--markdown|--json]",
+    );
+    process.exit(1);
+  }
+
+  await initSpec(values.spec || parseSpecArg());
+
+  const [oldPath, newPath] = positionals;
+  const diff = diffFiles(oldPath, newPath);
+
+  if (values.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else if (values.markdown) {
+    process.stdout.write(formatDiffMarkdown(diff));
+  } else {
+    const names = { oldName: basename(oldPath), newName: basename(newPath) };
+    for (const line of formatDiffTerminal(diff, names)) console.log(line);
+  }
+}
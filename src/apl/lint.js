@@ -0,0 +1,391 @@
+// APL linter — static checks for .simc action priority lists.
+// Parses with parse()/parseCondition() and cross-references the spec's data
+// files (talents.json, spells.json, cpp-effects-inventory.json) to catch lines
+// that can never fire or reference things that don't exist.
+//
+// Errors (candidate is malformed — iterate.js compare refuses to sim it):
+//   missing-list        call/run_action_list target list is not defined
+//   missing-name        variable / call/run_action_list without name=
+//   unbalanced-parens   condition parentheses don't match
+//   unknown-talent      talent.X not in talents.json
+//   unknown-hero-tree   hero_tree.X not a hero tree in talents.json
+// Warnings:
+//   unreachable         entry after an unconditional run_action_list
+//   unused-list         action list never called (other than default/precombat)
+//   unused-variable     variable assigned but never read
+//   undefined-variable  variable.X read but never assigned
+//   unknown-buff        buff.X not in spells.json or the C++ buff inventory
+//
+// Usage:
+//   node src/apl/lint.js --spec vengeance                  # apls/{spec}/*.simc
+//   node src/apl/lint.js --spec vengeance apls/candidate.simc --json
+//   npm run apl-lint -- --spec vengeance
+
+import { readFileSync, readdirSync, existsSync } from "node:fs";
+import { join, relative } from "node:path";
+import { parseArgs } from "node:util";
+import { parse, getActionLists } from "./parser.js";
+import { parseCondition } from "./condition-parser.js";
+import { initSpec } from "../engine/startup.js";
+import { parseSpecArg } from "../util/parse-spec-arg.js";
+import { ROOT, dataFile, aplsDir, getSpecName } from "../engine/paths.js";
+
+// Modifiers whose values are SimC expressions
+const EXPR_MODIFIERS = [
+  "if",
+  "value",
+  "value_else",
+  "condition",
+  "target_if",
+  "interrupt_if",
+  "early_chain_if",
+  "cancel_if",
+];
+
+// Lists SimC enters on its own
+const ENTRY_LISTS = new Set(["default", "precombat"]);
+
+// Generic buffs every actor can have (stat procs, raid buffs)
+const GENERIC_BUFFS = new Set([
+  "bloodlust",
+  "power_infusion",
+  "agility",
+  "strength",
+  "intellect",
+  "stamina",
+  "crit",
+  "haste",
+  "mastery",
+  "versatility",
+  "attack_power",
+]);
+
+// Display name → SimC token: lowercase, apostrophes and hyphens dropped,
+// other punctuation to underscores ("Reaver's Glaive" → "reavers_glaive",
+// "Fel-Scarred" → "felscarred")
+export function toSimcToken(name) {
+  return name
+    .toLowerCase()
+    .replace(/['’`-]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+function readJson(path) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, "utf-8")) : null;
+}
+
+// Loads name sets for the spec. A missing data file leaves its set null and
+// disables the rule that needs it.
+export function loadLintData(spec = getSpecName()) {
+  const talentsJson = readJson(dataFile("talents.json", spec));
+  const spellsJson = readJson(dataFile("spells.json", spec));
+  const inventory = readJson(dataFile("cpp-effects-inventory.json", spec));
+
+  let talents = null;
+  let heroTrees = null;
+  if (talentsJson) {
+    talents = new Set();
+    heroTrees = new Set(Object.keys(talentsJson.hero ?? {}).map(toSimcToken));
+    const trees = [
+      talentsJson.class,
+      talentsJson.spec,
+      ...Object.values(talentsJson.hero ?? {}),
+    ];
+    for (const tree of trees) {
+      for (const t of tree?.talents ?? []) {
+        talents.add(toSimcToken(t.name));
+        if (t.spellName) talents.add(toSimcToken(t.spellName));
+      }
+    }
+  }
+
+  let buffs = null;
+  if (spellsJson) {
+    buffs = new Set(GENERIC_BUFFS);
+    for (const s of spellsJson) buffs.add(toSimcToken(s.name));
+    for (const e of inventory?.parseEffects ?? []) {
+      if (e.buff) buffs.add(e.buff);
+    }
+  }
+
+  return { talents, heroTrees, buffs };
+}
+
+// Identifiers in an expression, classified by the condition parser. The
+// tokenizer drops arithmetic, so parsing each identifier on its own sees
+// references a whole-expression parse would lose.
+function expressionRefs(expr) {
+  const refs = [];
+  for (const ident of expr.match(/[A-Za-z0-9._]+/g) ?? []) {
+    if (!isNaN(Number(ident))) continue;
+    refs.push(parseCondition(ident));
+  }
+  return refs;
+}
+
+function parensBalanced(expr) {
+  let depth = 0;
+  for (const ch of expr) {
+    if (ch === "(") depth++;
+    else if (ch === ")" && --depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+/**
+ * Lints APL text.
+ * @param {string} text — .simc contents
+ * @param {Object} [data] — name sets from loadLintData(); omitted sets skip
+ *   their rules
+ * @returns {Array<{severity: "error"|"warning", rule: string, line: number,
+ *   list: string, message: string}>} sorted by line
+ */
+export function lintApl(text, data = {}) {
+  const { talents = null, heroTrees = null, buffs = null } = data;
+  const lists = getActionLists(parse(text));
+  const listNames = new Set(lists.map((l) => l.name));
+  const diagnostics = [];
+  const report = (severity, rule, entry, list, message) =>
+    diagnostics.push({ severity, rule, line: entry.line, list, message });
+
+  const calledLists = new Set();
+  const assigned = new Map(); // variable → first assigning entry
+  const read = new Map(); // variable → first reading entry
+  const listOf = new Map(); // entry → list name
+  const reported = new Set(); // unknown names, reported at first use only
+
+  for (const list of lists) {
+    let deadAfter = null;
+
+    for (const entry of list.entries) {
+      if (entry.type === "Comment") continue;
+      listOf.set(entry, list.name);
+
+      if (deadAfter) {
+        report(
+          "warning",
+          "unreachable",
+          entry,
+          list.name,
+          `Never reached: unconditional run_action_list at line ${deadAfter.line} always leaves "${list.name}"`,
+        );
+      }
+
+      const name = entry.modifiers.get("name");
+      const condition = entry.modifiers.get("if");
+
+      if (entry.type === "RunActionList") {
+        const verb = `${entry.variant}_action_list`;
+        if (!name) {
+          report(
+            "error",
+            "missing-name",
+            entry,
+            list.name,
+            `${verb} without name=`,
+          );
+        } else {
+          calledLists.add(name);
+          if (!listNames.has(name)) {
+            report(
+              "error",
+              "missing-list",
+              entry,
+              list.name,
+              `${verb} target "${name}" is not defined`,
+            );
+          }
+        }
+        if (entry.variant === "run" && !condition && !deadAfter)
+          deadAfter = entry;
+      }
+
+      const assigns =
+        entry.type === "Variable" ||
+        (entry.type === "Action" && entry.ability === "cycling_variable");
+      if (assigns) {
+        if (!name) {
+          report(
+            "error",
+            "missing-name",
+            entry,
+            list.name,
+            "variable without name=",
+          );
+        } else if (!assigned.has(name)) {
+          assigned.set(name, entry);
+        }
+      }
+
+      for (const mod of EXPR_MODIFIERS) {
+        const expr = entry.modifiers.get(mod);
+        if (!expr) continue;
+
+        if (!parensBalanced(expr)) {
+          report(
+            "error",
+            "unbalanced-parens",
+            entry,
+            list.name,
+            `Unbalanced parentheses in ${mod}=${expr}`,
+          );
+        }
+
+        for (const ref of expressionRefs(expr)) {
+          switch (ref.type) {
+            case "VariableCheck":
+              if (!read.has(ref.variable)) read.set(ref.variable, entry);
+              break;
+            case "TalentCheck": {
+              const talent = ref.talent.split(".")[0]; // talent.X.rank
+              if (talents && !talents.has(talent) && !reported.has(talent)) {
+                reported.add(talent);
+                report(
+                  "error",
+                  "unknown-talent",
+                  entry,
+                  list.name,
+                  `talent.${talent} is not in talents.json`,
+                );
+              }
+              break;
+            }
+            case "HeroTreeCheck":
+              if (heroTrees && !heroTrees.has(ref.tree)) {
+                report(
+                  "error",
+                  "unknown-hero-tree",
+                  entry,
+                  list.name,
+                  `hero_tree.${ref.tree} is not a hero tree in talents.json`,
+                );
+              }
+              break;
+            case "BuffCheck":
+              if (
+                buffs &&
+                !ref.isDebuff &&
+                !ref.isDot &&
+                !buffs.has(ref.buff) &&
+                !reported.has(`buff.${ref.buff}`)
+              ) {
+                reported.add(`buff.${ref.buff}`);
+                report(
+                  "warning",
+                  "unknown-buff",
+                  entry,
+                  list.name,
+                  `buff.${ref.buff} is not in spells.json or the C++ buff inventory`,
+                );
+              }
+              break;
+          }
+        }
+      }
+    }
+  }
+
+  for (const list of lists) {
+    if (ENTRY_LISTS.has(list.name) || calledLists.has(list.name)) continue;
+    const first =
+      list.entries.find((e) => e.type !== "Comment") ?? list.entries[0];
+    if (!first) continue;
+    report(
+      "warning",
+      "unused-list",
+      first,
+      list.name,
+      `Action list "${list.name}" is never called`,
+    );
+  }
+
+  for (const [name, entry] of assigned) {
+    if (read.has(name)) continue;
+    report(
+      "warning",
+      "unused-variable",
+      entry,
+      listOf.get(entry),
+      `Variable "${name}" is assigned but never read`,
+    );
+  }
+
+  for (const [name, entry] of read) {
+    if (assigned.has(name)) continue;
+    report(
+      "warning",
+      "undefined-variable",
+      entry,
+      listOf.get(entry),
+      `variable.${name} is read but never assigned`,
+    );
+  }
+
+  return diagnostics.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Lints a .simc file against the spec's data files.
+ * @returns {{ file: string, diagnostics: Array, errors: number, warnings: number }}
+ */
+export function lintFile(path, spec = getSpecName(), data = null) {
+  const diagnostics = lintApl(
+    readFileSync(path, "utf-8"),
+    data ?? loadLintData(spec),
+  );
+  return {
+    file: relative(ROOT, path),
+    diagnostics,
+    errors: diagnostics.filter((d) => d.severity === "error").length,
+    warnings: diagnostics.filter((d) => d.severity === "warning").length,
+  };
+}
+
+// One line per diagnostic: file:line severity rule message
+export function formatLintResult({ file, diagnostics }) {
+  return diagnostics.map(
+    (d) =>
+      `${file}:${d.line}  ${d.severity.padEnd(7)}  ${d.rule.padEnd(18)}  ${d.message}`,
+  );
+}
+
+// CLI entry point
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values, positionals } = parseArgs({
+    options: {
+      spec: { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+    allowPositionals: true,
+    strict: false,
+  });
+
+  const spec = values.spec || parseSpecArg();
+  await initSpec(spec);
+
+  const files =
+    positionals.length > 0
+      ? positionals
+      : readdirSync(aplsDir(spec))
+          .filter((f) => f.endsWith(".simc"))
+          .map((f) => join(aplsDir(spec), f));
+
+  const data = loadLintData(spec);
+  const results = files.map((f) => lintFile(f, spec, data));
+  const errors = results.reduce((n, r) => n + r.errors, 0);
+  const warnings = results.reduce((n, r) => n + r.warnings, 0);
+
+  if (values.json) {
+    console.log(JSON.stringify({ errors, warnings, files: results }, null, 2));
+  } else {
+    for (const result of results) {
+      for (const line of formatLintResult(result)) console.log(line);
+    }
+    console.log(
+      `\n${results.length} file(s): ${errors} error(s), ${warnings} warning(s)`,
+    );
+  }
+
+  process.exit(errors > 0 ? 1 : 0);
+}
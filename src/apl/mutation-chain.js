@@ -0,0 +1,119 @@
+// Mutation chains — the ordered list of changes that turns baseline.simc into
+// an accepted APL. iterate.js stores the chain on every accepted iteration
+// (iterations.mutation_chain) so any historical APL can be rebuilt and a
+// single earlier change can be backed out without touching the others.
+//
+// Link shapes:
+//   { id, mutation, description }   structured mutation, replayed through
+//                                   applyMutation()
+//   { id, snapshot, description }   full APL text — a hand-edited candidate
+//                                   or an init APL that isn't baseline.simc;
+//                                   replaces everything before it
+
+import { randomUUID } from "node:crypto";
+import { parse, serialize } from "./parser.js";
+import { applyMutation, describeMutation } from "./mutator.js";
+
+function linkId() {
+  return randomUUID().slice(0, 8);
+}
+
+export function mutationLink(mutation, extra = {}) {
+  return {
+    id: linkId(),
+    mutation,
+    description: describeMutation(mutation),
+    ...extra,
+  };
+}
+
+export function snapshotLink(text, description = "manual edit") {
+  return { id: linkId(), snapshot: text, description };
+}
+
+/**
+ * Rebuilds the APL a chain describes.
+ * @param {string} baselineText — baseline.simc contents
+ * @param {Array} chain
+ * @returns {string}
+ */
+export function replayChain(baselineText, chain) {
+  let text = baselineText;
+  for (const [i, link] of chain.entries()) {
+    if (link.snapshot != null) {
+      text = link.snapshot;
+      continue;
+    }
+    try {
+      text = serialize(applyMutation(parse(text), link.mutation).ast);
+    } catch (e) {
+      throw new Error(
+        `Replay failed at link ${i + 1} (${link.id}, ${link.description}): ${e.message}`,
+      );
+    }
+  }
+  return text;
+}
+
+/**
+ * Chain for an APL adopted as the new current. A pending chain (from
+ * generate or revert-mutation) is used only if replaying it reproduces the
+ * candidate byte for byte; anything else is recorded as a snapshot so
+ * replay never drifts from what was actually simmed.
+ * @param {string} baselineText
+ * @param {Array} chain — chain of the APL being replaced
+ * @param {string} candidateText
+ * @param {Array|null} pendingChain
+ * @param {string} reason — description for a snapshot link
+ */
+export function extendChain(
+  baselineText,
+  chain,
+  candidateText,
+  pendingChain,
+  reason,
+) {
+  if (pendingChain) {
+    try {
+      if (replayChain(baselineText, pendingChain) === candidateText)
+        return pendingChain;
+    } catch {
+      // Fall through to a snapshot
+    }
+  }
+  return [...chain, snapshotLink(candidateText, reason)];
+}
+
+// Starting chain for an init APL: empty when it is baseline.simc itself
+export function initialChain(baselineText, aplText, description) {
+  return aplText === baselineText ? [] : [snapshotLink(aplText, description)];
+}
+
+/**
+ * Chain without one link. A snapshot later in the chain already contains
+ * the link's effect, so those links can't be removed on their own.
+ */
+export function removeLink(chain, id) {
+  const idx = chain.findIndex((l) => l.id === id);
+  if (idx === -1) throw new Error(`No mutation ${id} in the chain`);
+  if (chain[idx].snapshot != null) {
+    throw new Error(
+      `${id} is a snapshot (${chain[idx].description}), not a mutation`,
+    );
+  }
+  const later = chain.slice(idx + 1).find((l) => l.snapshot != null);
+  if (later) {
+    throw new Error(
+      `${id} is followed by snapshot ${later.id} (${later.description}), which already includes it`,
+    );
+  }
+  return chain.filter((l) => l.id !== id);
+}
+
+// One line per link for CLI listings
+export function formatChain(chain) {
+  return chain.map(
+    (l, i) =>
+      `  ${String(i + 1).padStart(3)}. ${l.id}  ${l.snapshot != null ? "[snapshot] " : ""}${l.description}`,
+  );
+}
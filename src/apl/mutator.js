@@ -22,6 +22,7 @@ import {
   removeClause,
   extractSemantics,
 } from "./condition-parser.js";
+import { normalizeAplConditions } from "./condition-normalizer.js";
 import { initSpec } from "../engine/startup.js";
 import { parseSpecArg } from "../util/parse-spec-arg.js";
 // Mutation operation types — extended for sophisticated APL patterns
@@ -41,6 +42,12 @@ export const MUTATION_OPS = {
   ADD_PHASE: "add_phase", // Create phase-specific sub-list with call
   REPLACE_ACTION: "replace_action", // Replace entire action line
   DELETE_ACTION: "delete_action", // Remove action from list
+
+  // Structural operations
+  SWAP_ACTIONS: "swap_actions", // Exchange the priority of two actions
+  EXTRACT_VARIABLE: "extract_variable", // Hoist a repeated subexpression into a variable
+  EXTRACT_SUBLIST: "extract_sublist", // Move a contiguous block into a called sub-list
+  INLINE_SUBLIST: "inline_sublist", // Replace a call_action_list with the list's entries
 };
 
 const MUTATION_HANDLERS = {
@@ -57,14 +64,52 @@ const MUTATION_HANDLERS = {
   [MUTATION_OPS.ADD_PHASE]: applyAddPhase,
   [MUTATION_OPS.REPLACE_ACTION]: applyReplaceAction,
   [MUTATION_OPS.DELETE_ACTION]: applyDeleteAction,
+  // Structural mutation handlers
+  [MUTATION_OPS.SWAP_ACTIONS]: applySwapActions,
+  [MUTATION_OPS.EXTRACT_VARIABLE]: applyExtractVariable,
+  [MUTATION_OPS.EXTRACT_SUBLIST]: applyExtractSublist,
+  [MUTATION_OPS.INLINE_SUBLIST]: applyInlineSublist,
 };
 
-export function applyMutation(ast, mutation) {
+export function applyMutation(ast, mutation, { normalize = true } = {}) {
   const handler = MUTATION_HANDLERS[mutation.type];
   if (!handler) throw new Error(`Unknown mutation type: ${mutation.type}`);
 
   const astCopy = JSON.parse(JSON.stringify(ast, mapReplacer), mapReviver);
-  return handler(astCopy, mutation);
+  const result = handler(astCopy, mutation);
+  if (normalize) normalizeMutatedConditions(ast, result);
+  return result;
+}
+
+// Post-step: simplify conditions the mutation introduced or changed, so
+// stacked add_condition mutations don't accumulate fury>=30&fury>=40.
+// Rejects mutations that leave an action unreachable.
+function normalizeMutatedConditions(originalAst, result) {
+  const original = new Set();
+  for (const list of getActionLists(originalAst)) {
+    for (const entry of list.entries) {
+      const cond = entry.modifiers?.get("if");
+      if (cond) original.add(`${list.name}|${cond}`);
+    }
+  }
+
+  const changes = normalizeAplConditions(result.ast, {
+    filter: (entry, list) =>
+      !original.has(`${list}|${entry.modifiers.get("if")}`),
+  });
+
+  const unreachable = changes.find((c) => c.unreachable);
+  if (unreachable) {
+    const name = unreachable.entry.ability ?? unreachable.entry.type;
+    throw new Error(
+      `Mutation leaves ${name} in ${unreachable.list} unreachable: ${unreachable.before} (${unreachable.notes.join("; ")})`,
+    );
+  }
+  result.normalized = changes.map(({ list, before, after }) => ({
+    list,
+    before,
+    after,
+  }));
 }
 
 function applyAddCondition(ast, mutation) {
@@ -603,6 +648,268 @@ function applyDeleteAction(ast, mutation) {
   };
 }
 
+// --- Structural Mutation Handlers ---
+
+// Modifiers holding SimC expressions that extract_variable rewrites
+const EXPRESSION_MODIFIERS = ["if", "value", "value_else", "target_if"];
+
+function findEntryIndex(list, ability) {
+  return list.entries.findIndex(
+    (e) => e.type === "Action" && e.ability === ability,
+  );
+}
+
+function findCallIndex(list, name) {
+  return list.entries.findIndex(
+    (e) => e.type === "RunActionList" && e.modifiers.get("name") === name,
+  );
+}
+
+// SWAP_ACTIONS: Exchange the positions of two actions in a list
+// Mutation: { type: "swap_actions", list, ability, otherAbility }
+function applySwapActions(ast, mutation) {
+  const { list, ability, otherAbility } = mutation;
+  const targetList = getActionLists(ast).find((l) => l.name === list);
+  if (!targetList) {
+    throw new Error(`List "${list}" not found in APL`);
+  }
+
+  const a = findEntryIndex(targetList, ability);
+  const b = findEntryIndex(targetList, otherAbility);
+  if (a === -1)
+    throw new Error(`Action "${ability}" not found in list "${list}"`);
+  if (b === -1) {
+    throw new Error(`Action "${otherAbility}" not found in list "${list}"`);
+  }
+  if (a === b) throw new Error("swap_actions needs two different actions");
+
+  const entries = targetList.entries;
+  [entries[a], entries[b]] = [entries[b], entries[a]];
+
+  return {
+    ast,
+    description: `Swapped ${ability} and ${otherAbility} in ${list}`,
+    affectedLines: 2,
+  };
+}
+
+// Expression text outside any parentheses
+function topLevelText(expr) {
+  let text = "";
+  let depth = 0;
+  for (const ch of expr) {
+    if (ch === "(") depth++;
+    else if (ch === ")") depth--;
+    else if (depth === 0) text += ch;
+  }
+  return text;
+}
+
+// Replace whole-subexpression occurrences of `expr` in `text`. A compound
+// expression only matches where precedence keeps it intact: an & group
+// between |, & or parens, an | group between | or parens.
+function replaceSubexpression(text, expr, replacement) {
+  const topLevel = topLevelText(expr);
+  const hasOr = topLevel.includes("|");
+  const hasAnd = topLevel.includes("&");
+  const isComparison = /[<>=+\-*/]/.test(topLevel);
+  const before = hasOr
+    ? "(?<=^|[(|])"
+    : hasAnd || isComparison
+      ? "(?<=^|[(&|])"
+      : "(?<![A-Za-z0-9._])";
+  const after = hasOr
+    ? "(?=$|[)|])"
+    : hasAnd || isComparison
+      ? "(?=$|[)&|])"
+      : "(?![A-Za-z0-9._])";
+  const escaped = expr.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  let count = 0;
+  const result = text.replace(
+    new RegExp(`${before}${escaped}${after}`, "g"),
+    () => {
+      count++;
+      return replacement;
+    },
+  );
+  // Drop parens left around a bare reference: (variable.x) → variable.x
+  return {
+    text: result.split(`(${replacement})`).join(replacement),
+    count,
+  };
+}
+
+// EXTRACT_VARIABLE: Hoist a repeated subexpression into a variable
+// Mutation: { type: "extract_variable", list, name, expression }
+// Every occurrence in the list becomes variable.<name>, defined immediately
+// before the first entry that uses it. Rejected when a variable the
+// expression reads is reassigned between its uses, which would leave
+// variable.<name> stale for the later ones.
+function applyExtractVariable(ast, mutation) {
+  const { list, name, expression } = mutation;
+  const targetList = getActionLists(ast).find((l) => l.name === list);
+  if (!targetList) {
+    throw new Error(`List "${list}" not found in APL`);
+  }
+  const exists = getActionLists(ast).some((l) =>
+    l.entries.some(
+      (e) => e.type === "Variable" && e.modifiers.get("name") === name,
+    ),
+  );
+  if (exists) throw new Error(`Variable "${name}" already exists`);
+
+  let replaced = 0;
+  let first = -1;
+  let last = -1;
+  targetList.entries.forEach((entry, i) => {
+    if (!entry.modifiers) return;
+    for (const mod of EXPRESSION_MODIFIERS) {
+      const value = entry.modifiers.get(mod);
+      if (!value) continue;
+      const { text, count } = replaceSubexpression(
+        value,
+        expression,
+        `variable.${name}`,
+      );
+      if (count === 0) continue;
+      entry.modifiers.set(mod, text);
+      replaced += count;
+      if (first === -1) first = i;
+      last = i;
+    }
+  });
+  if (replaced === 0) {
+    throw new Error(`Expression "${expression}" not found in list "${list}"`);
+  }
+
+  const reads = new Set(
+    [...expression.matchAll(/variable\.(\w+)/g)].map((m) => m[1]),
+  );
+  const reassigned = targetList.entries
+    .slice(first + 1, last)
+    .find((e) => e.type === "Variable" && reads.has(e.modifiers.get("name")));
+  if (reassigned) {
+    throw new Error(
+      `"${expression}" reads variable.${reassigned.modifiers.get("name")}, which is reassigned between its uses in list "${list}"`,
+    );
+  }
+
+  targetList.entries.splice(first, 0, createVariable(name, null, expression));
+
+  return {
+    ast,
+    description: `Extracted "${expression}" into variable.${name} (${replaced} reference(s)) in ${list}`,
+    affectedLines: replaced + 1,
+  };
+}
+
+// EXTRACT_SUBLIST: Move a contiguous block of actions into a new list
+// Mutation: { type: "extract_sublist", list, name, from, to?, condition? }
+// from/to are the first and last abilities of the block (inclusive); the
+// block is replaced by call_action_list,name=<name>[,if=<condition>].
+function applyExtractSublist(ast, mutation) {
+  const { list, name, from, to = from, condition } = mutation;
+  const targetList = getActionLists(ast).find((l) => l.name === list);
+  if (!targetList) {
+    throw new Error(`List "${list}" not found in APL`);
+  }
+  if (getActionLists(ast).find((l) => l.name === name)) {
+    throw new Error(`Action list "${name}" already exists`);
+  }
+
+  const start = findEntryIndex(targetList, from);
+  if (start === -1) {
+    throw new Error(`Action "${from}" not found in list "${list}"`);
+  }
+  const end = targetList.entries.findIndex(
+    (e, i) => i >= start && e.type === "Action" && e.ability === to,
+  );
+  if (end === -1) {
+    throw new Error(
+      `Action "${to}" not found after "${from}" in list "${list}"`,
+    );
+  }
+
+  const callEntry = {
+    type: "RunActionList",
+    variant: "call",
+    modifiers: new Map([["name", name]]),
+  };
+  if (condition) callEntry.modifiers.set("if", condition);
+
+  const block = targetList.entries.splice(start, end - start + 1, callEntry);
+  const newList = { type: "ActionList", name, entries: block };
+  const parentIdx = ast.indexOf(targetList);
+  ast.splice(parentIdx + 1, 0, newList);
+
+  const moved = block.filter((e) => e.type !== "Comment").length;
+  return {
+    ast,
+    description: `Extracted ${moved} entries (${from}..${to}) from ${list} into actions.${name}`,
+    affectedLines: moved + 1,
+  };
+}
+
+// Combine a call's if= with an inlined entry's own condition
+function conjoin(outer, inner) {
+  if (!outer) return inner;
+  if (!inner) return outer;
+  const wrap = (c) => (topLevelText(c).includes("|") ? `(${c})` : c);
+  return `${wrap(outer)}&${wrap(inner)}`;
+}
+
+// INLINE_SUBLIST: Replace call_action_list,name=X with X's entries
+// Mutation: { type: "inline_sublist", list, name, keepList? }
+// The call's condition is folded into each inlined entry. X is removed once
+// nothing calls it, unless keepList is set.
+function applyInlineSublist(ast, mutation) {
+  const { list, name, keepList = false } = mutation;
+  const lists = getActionLists(ast);
+  const targetList = lists.find((l) => l.name === list);
+  if (!targetList) {
+    throw new Error(`List "${list}" not found in APL`);
+  }
+  const subList = lists.find((l) => l.name === name);
+  if (!subList) throw new Error(`Action list "${name}" not found`);
+
+  const callIdx = findCallIndex(targetList, name);
+  if (callIdx === -1) {
+    throw new Error(`No call_action_list,name=${name} in list "${list}"`);
+  }
+  const call = targetList.entries[callIdx];
+  if (call.variant !== "call") {
+    throw new Error(
+      `Cannot inline run_action_list,name=${name}: it never returns to "${list}"`,
+    );
+  }
+
+  const outer = call.modifiers.get("if");
+  // Blank lines and comments trailing the sub-list separate it from the next
+  // section; they don't belong in the parent
+  let end = subList.entries.length;
+  while (end > 0 && subList.entries[end - 1].type === "Comment") end--;
+  const inlined = subList.entries.slice(0, end).map((entry) => {
+    const copy = { ...entry };
+    if (entry.modifiers) {
+      copy.modifiers = new Map(entry.modifiers);
+      const cond = conjoin(outer, entry.modifiers.get("if"));
+      if (cond) copy.modifiers.set("if", cond);
+    }
+    return copy;
+  });
+  targetList.entries.splice(callIdx, 1, ...inlined);
+
+  const stillCalled = lists.some((l) => findCallIndex(l, name) !== -1);
+  if (!stillCalled && !keepList) ast.splice(ast.indexOf(subList), 1);
+
+  const count = inlined.filter((e) => e.type !== "Comment").length;
+  return {
+    ast,
+    description: `Inlined actions.${name} (${count} entries) into ${list}${stillCalled || keepList ? "" : `, removed ${name}`}`,
+    affectedLines: count,
+  };
+}
+
 function mapReplacer(key, value) {
   if (value instanceof Map) {
     return { __type: "Map", entries: Array.from(value.entries()) };
@@ -661,6 +968,15 @@ const MUTATION_DESCRIPTIONS = {
   [MUTATION_OPS.REPLACE_ACTION]: (m) =>
     `Replace ${m.ability}${m.newAbility ? ` with ${m.newAbility}` : ""} in ${m.list}`,
   [MUTATION_OPS.DELETE_ACTION]: (m) => `Delete ${m.ability} from ${m.list}`,
+  // Structural mutation descriptions
+  [MUTATION_OPS.SWAP_ACTIONS]: (m) =>
+    `Swap ${m.ability} and ${m.otherAbility} in ${m.list}`,
+  [MUTATION_OPS.EXTRACT_VARIABLE]: (m) =>
+    `Extract "${m.expression}" into variable.${m.name} in ${m.list}`,
+  [MUTATION_OPS.EXTRACT_SUBLIST]: (m) =>
+    `Move ${m.from}${m.to && m.to !== m.from ? `..${m.to}` : ""} from ${m.list} into actions.${m.name}${m.condition ? ` when ${m.condition}` : ""}`,
+  [MUTATION_OPS.INLINE_SUBLIST]: (m) =>
+    `Inline actions.${m.name} into ${m.list}`,
 };
 
 export function describeMutation(mutation) {
@@ -700,6 +1016,7 @@ export function validateMutation(ast, mutation) {
       MUTATION_OPS.MOVE_DOWN,
       MUTATION_OPS.REPLACE_ACTION,
       MUTATION_OPS.DELETE_ACTION,
+      MUTATION_OPS.SWAP_ACTIONS,
     ].includes(mutation.type);
 
     if (
@@ -749,6 +1066,77 @@ export function validateMutation(ast, mutation) {
     }
   }
 
+  if (mutation.type === MUTATION_OPS.SWAP_ACTIONS) {
+    if (!mutation.ability || !mutation.otherAbility) {
+      errors.push("SWAP_ACTIONS requires ability and otherAbility");
+    } else if (mutation.ability === mutation.otherAbility) {
+      errors.push("SWAP_ACTIONS requires two different abilities");
+    } else if (
+      findActionInList(ast, mutation.list, mutation.otherAbility).length === 0
+    ) {
+      errors.push(
+        `Ability "${mutation.otherAbility}" not found in list "${mutation.list}"`,
+      );
+    }
+  }
+
+  if (mutation.type === MUTATION_OPS.EXTRACT_VARIABLE) {
+    if (!mutation.name) errors.push("EXTRACT_VARIABLE requires a name");
+    if (!mutation.expression) {
+      errors.push("EXTRACT_VARIABLE requires an expression");
+    }
+    const taken = getActionLists(ast).some((l) =>
+      l.entries.some(
+        (e) =>
+          e.type === "Variable" && e.modifiers.get("name") === mutation.name,
+      ),
+    );
+    if (taken) errors.push(`Variable "${mutation.name}" already exists`);
+  }
+
+  if (mutation.type === MUTATION_OPS.EXTRACT_SUBLIST) {
+    if (!mutation.name) errors.push("EXTRACT_SUBLIST requires a name");
+    if (!mutation.from) errors.push("EXTRACT_SUBLIST requires from");
+    if (getActionLists(ast).find((l) => l.name === mutation.name)) {
+      errors.push(`Action list "${mutation.name}" already exists`);
+    }
+    const targetList = getActionLists(ast).find(
+      (l) => l.name === mutation.list,
+    );
+    const start = targetList ? findEntryIndex(targetList, mutation.from) : -1;
+    const to = mutation.to || mutation.from;
+    if (targetList && mutation.from && start === -1) {
+      errors.push(
+        `Ability "${mutation.from}" not found in list "${mutation.list}"`,
+      );
+    } else if (
+      targetList &&
+      start !== -1 &&
+      !targetList.entries
+        .slice(start)
+        .some((e) => e.type === "Action" && e.ability === to)
+    ) {
+      errors.push(`Ability "${to}" not found after "${mutation.from}"`);
+    }
+  }
+
+  if (mutation.type === MUTATION_OPS.INLINE_SUBLIST) {
+    if (!mutation.name) errors.push("INLINE_SUBLIST requires a name");
+    const lists = getActionLists(ast);
+    const targetList = lists.find((l) => l.name === mutation.list);
+    if (!lists.find((l) => l.name === mutation.name)) {
+      errors.push(`Action list "${mutation.name}" not found`);
+    }
+    const callIdx = targetList ? findCallIndex(targetList, mutation.name) : -1;
+    if (targetList && callIdx === -1) {
+      errors.push(
+        `No call_action_list,name=${mutation.name} in list "${mutation.list}"`,
+      );
+    } else if (targetList?.entries[callIdx].variant === "run") {
+      errors.push(`Cannot inline run_action_list,name=${mutation.name}`);
+    }
+  }
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -9,10 +9,13 @@
 // Variable: { type: "Variable", modifiers: Map<string, string> }
 // RunActionList: { type: "RunActionList", variant: "run"|"call", modifiers: Map<string, string> }
 // Comment: { type: "Comment", text: string }
+// Every entry also carries line: 1-based source line it was parsed from
 
 // Parse a .simc APL text into an ordered array of sections (ActionLists and RawSections).
 export function parse(text) {
-  const lines = text.split("\n");
+  // serialize() ends with a newline; dropping it here keeps parse → serialize
+  // byte-identical instead of growing a blank line per pass
+  const lines = text.replace(/\n$/, "").split("\n");
   const sections = [];
   const lists = new Map();
   let currentRaw = null;
@@ -37,8 +40,9 @@ export function parse(text) {
   // Track which list was most recently referenced for comment attribution
   let lastList = null;
 
-  for (const rawLine of lines) {
+  for (const [i, rawLine] of lines.entries()) {
     const line = rawLine.trimEnd();
+    const lineNo = i + 1;
 
     // APL lines: actions=..., actions+=/..., actions.listname=..., actions.listname+=/...
     const aplMatch = line.match(/^actions(?:\.(\w+))?\+?=\/?(.*)$/);
@@ -47,7 +51,7 @@ export function parse(text) {
       const content = aplMatch[2];
       const list = getOrCreateList(listName);
       const entry = parseEntry(content);
-      if (entry) list.entries.push(entry);
+      if (entry) list.entries.push({ ...entry, line: lineNo });
       lastList = list;
       continue;
     }
@@ -59,6 +63,7 @@ export function parse(text) {
         lastList.entries.push({
           type: "Comment",
           text: line.slice(1).trimStart(),
+          line: lineNo,
         });
       } else {
         ensureRaw().lines.push(line);
@@ -71,7 +76,7 @@ export function parse(text) {
       if (lastList) {
         // Check if the next non-blank line is an APL line for the same list
         // For simplicity, attach blank lines to current list as empty comments
-        lastList.entries.push({ type: "Comment", text: "" });
+        lastList.entries.push({ type: "Comment", text: "", line: lineNo });
       } else {
         ensureRaw().lines.push(line);
       }
@@ -171,7 +176,8 @@ export function serialize(sections) {
   return lines.join("\n") + "\n";
 }
 
-function serializeEntry(entry) {
+// Serialize a single entry to its .simc form (without the actions= prefix).
+export function serializeEntry(entry) {
   const parts = [];
 
   if (entry.type === "Variable") {
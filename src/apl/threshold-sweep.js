@@ -0,0 +1,215 @@
+// Threshold sweep helpers — locate one numeric literal in an APL condition
+// and rewrite it across a range of values. iterate.js sweep turns the
+// rewritten lists into profileset variants; nothing here runs a sim.
+//
+// Threshold paths: list/ability[#n]/subject[op]
+//   aoe/spirit_bomb/soul_fragments       the soul_fragments comparison in
+//                                        the first spirit_bomb of aoe
+//   st/fracture#2/fury<=                 second fracture, fury<= only
+//   default/variable:fiery_brand_dot/fury  variable entries by name=;
+//                                        sweeps value= instead of if=
+//
+// Only plain literals are sweepable: fury>=40 yes, fury>=40+variable.x no.
+
+import { parse, getActionLists, serialize } from "./parser.js";
+import { parseCondition } from "./condition-parser.js";
+
+const PATH_RE =
+  /^(\w+)\/([\w:]+?)(?:#(\d+))?\/([A-Za-z0-9._]+?)(>=|<=|>|<|=)?$/;
+const MIRROR = { ">=": "<=", "<=": ">=", ">": "<", "<": ">", "=": "=" };
+const NUMERIC = /^\d+(\.\d+)?$/;
+
+export function parseThresholdPath(path) {
+  const m = path.match(PATH_RE);
+  if (!m) {
+    throw new Error(
+      `Bad threshold path "${path}" — expected list/ability[#n]/subject[op]`,
+    );
+  }
+  const [, list, ability, nth, subject, op] = m;
+  return {
+    list,
+    ability,
+    occurrence: nth ? parseInt(nth, 10) : 1,
+    subject,
+    op: op ?? null,
+  };
+}
+
+function entryMatches(entry, ability) {
+  if (ability.startsWith("variable:")) {
+    return (
+      entry.type === "Variable" &&
+      entry.modifiers.get("name") === ability.slice("variable:".length)
+    );
+  }
+  return entry.type === "Action" && entry.ability === ability;
+}
+
+// Comparison nodes in source order
+function comparisons(node, out = []) {
+  if (!node) return out;
+  if (node.type === "Comparison") out.push(node);
+  else if (node.type === "BinaryOp") {
+    comparisons(node.left, out);
+    comparisons(node.right, out);
+  } else if (node.type === "Not") comparisons(node.operand, out);
+  return out;
+}
+
+// Start offsets of `needle` in `text` that stand alone as a comparison —
+// not part of a longer identifier and not an arithmetic operand
+function standaloneOffsets(text, needle) {
+  const offsets = [];
+  for (
+    let i = text.indexOf(needle);
+    i !== -1;
+    i = text.indexOf(needle, i + 1)
+  ) {
+    const before = text[i - 1] ?? "";
+    const after = text[i + needle.length] ?? "";
+    if (/[\w.+\-*%]/.test(before) || /[\w.+\-*%]/.test(after)) continue;
+    if (before === "/" || after === "/") continue;
+    offsets.push(i);
+  }
+  return offsets;
+}
+
+/**
+ * Finds the literal a threshold path points at.
+ * @param {string} aplText
+ * @param {string|Object} path — "list/ability[#n]/subject[op]" or its parse
+ * @returns {{ list: string, ability: string, occurrence: number,
+ *   entryIndex: number, modifier: string, condition: string, start: number,
+ *   end: number, value: number, op: string, subject: string, text: string }}
+ *   start/end bound the literal inside condition; op is normalized so the
+ *   subject is on the left (3<=soul_fragments reads as soul_fragments>=3)
+ */
+export function locateThreshold(aplText, path) {
+  const p = typeof path === "string" ? parseThresholdPath(path) : path;
+  const list = getActionLists(parse(aplText)).find((l) => l.name === p.list);
+  if (!list) throw new Error(`List "${p.list}" not found in APL`);
+
+  const hits = list.entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => entryMatches(entry, p.ability));
+  const hit = hits[p.occurrence - 1];
+  if (!hit) {
+    throw new Error(
+      `${p.ability} #${p.occurrence} not found in list "${p.list}" (${hits.length} present)`,
+    );
+  }
+
+  const modifier = hit.entry.type === "Variable" ? "value" : "if";
+  const condition = hit.entry.modifiers.get(modifier);
+  if (!condition) {
+    throw new Error(`${p.ability} in ${p.list} has no ${modifier}=`);
+  }
+
+  const matches = comparisons(parseCondition(condition))
+    .map((c) => {
+      if (c.left === p.subject && NUMERIC.test(c.right)) {
+        return { node: c, op: c.op, literalRight: true };
+      }
+      if (c.right === p.subject && NUMERIC.test(c.left)) {
+        return { node: c, op: MIRROR[c.op], literalRight: false };
+      }
+      return null;
+    })
+    .filter((m) => m && (!p.op || m.op === p.op));
+
+  if (matches.length === 0) {
+    throw new Error(
+      `No numeric ${p.subject}${p.op ?? ""} comparison in ${p.ability}: ${modifier}=${condition}`,
+    );
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `${matches.length} ${p.subject} comparisons in ${p.ability} — add the operator to the path (e.g. ${p.subject}${matches[0].op})`,
+    );
+  }
+
+  const { node, op, literalRight } = matches[0];
+  const text = `${node.left}${node.op}${node.right}`;
+  const offsets = standaloneOffsets(condition, text);
+  if (offsets.length !== 1) {
+    throw new Error(
+      `${text} in ${p.ability} is ${offsets.length === 0 ? "part of an arithmetic expression" : "ambiguous"} — not sweepable`,
+    );
+  }
+
+  const literal = literalRight ? node.right : node.left;
+  const start = literalRight
+    ? offsets[0] + text.length - literal.length
+    : offsets[0];
+  return {
+    list: p.list,
+    ability: p.ability,
+    occurrence: p.occurrence,
+    entryIndex: hit.index,
+    modifier,
+    condition,
+    start,
+    end: start + literal.length,
+    value: Number(literal),
+    op,
+    subject: p.subject,
+    text,
+  };
+}
+
+/**
+ * APL with the located literal replaced.
+ * @returns {{ text: string, listLines: string[] }} full APL, plus the
+ *   action lines of the edited list (a profileset override replaces the
+ *   whole list, so these lines are all a variant needs)
+ */
+export function applyThreshold(aplText, loc, value) {
+  const sections = parse(aplText);
+  const list = getActionLists(sections).find((l) => l.name === loc.list);
+  const entry = list.entries[loc.entryIndex];
+  entry.modifiers.set(
+    loc.modifier,
+    loc.condition.slice(0, loc.start) +
+      String(value) +
+      loc.condition.slice(loc.end),
+  );
+  const listLines = serialize([list])
+    .split("\n")
+    .filter((l) => l.startsWith("actions"));
+  return { text: serialize(sections), listLines };
+}
+
+/**
+ * Values to sweep. "min:max:step" or "a,b,c"; without either, roughly ten
+ * steps from half to one and a half times the current value.
+ * @returns {number[]} ascending, without duplicates
+ */
+export function sweepValues(current, { range, values } = {}) {
+  let out;
+  if (values) {
+    out = values.split(",").map((v) => Number(v.trim()));
+  } else {
+    let min, max, step;
+    if (range) {
+      [min, max, step = 1] = range.split(":").map(Number);
+    } else {
+      min = Math.floor(current * 0.5);
+      max = Math.ceil(current * 1.5) || 5;
+      step = Math.max(1, Math.round((max - min) / 10));
+    }
+    if (!(step > 0) || !(max >= min)) {
+      throw new Error(`Bad sweep range "${range}" — expected min:max:step`);
+    }
+    // Round to the step's precision so 0.1 steps don't drift
+    const decimals = (String(step).split(".")[1] ?? "").length;
+    out = [];
+    for (let v = min; v <= max + step / 1e6; v += step) {
+      out.push(Number(v.toFixed(decimals)));
+    }
+  }
+  if (out.some((v) => !Number.isFinite(v) || v < 0)) {
+    throw new Error("Sweep values must be non-negative numbers");
+  }
+  return [...new Set(out)].sort((a, b) => a - b);
+}
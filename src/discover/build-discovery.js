@@ -1,16 +1,16 @@
 // Build discovery pipeline: generate DoE builds, sim via profilesets, analyze
 // factor impacts, discover archetypes from talent impact analysis.
 //
-// Usage: node src/discover/build-discovery.js [--quick|--confirm] [--{branch}-only]
+// Usage: node src/discover/build-discovery.js [--quick|--confirm] [--{branch}-only] [--no-cache]
 
 import { readFileSync, mkdirSync } from "node:fs";
 import { join, resolve } from "node:path";
 import { createHash } from "node:crypto";
-import { getSimCores } from "../sim/remote.js";
+import { getSimCores } from "../sim/backends.js";
 
 import { generateCombos, buildToHash } from "../model/talent-combos.js";
 import { generateProfileset, runProfilesetAsync } from "../sim/profilesets.js";
-import { SCENARIOS } from "../sim/runner.js";
+import { SCENARIOS, disableSimCache } from "../sim/runner.js";
 import {
   HERO_SUBTREES,
   config,
@@ -877,6 +877,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     confirm: args.includes("--confirm"),
     heroTreeFilter,
   };
+  if (args.includes("--no-cache")) disableSimCache();
 
   // Optional APL path as positional arg
   const positional = args.filter((a) => !a.startsWith("--"));
@@ -13,6 +13,7 @@ import { execSync } from "node:child_process";
 import http from "node:http";
 import tls from "node:tls";
 import { ROOT, setSpecName, REFERENCE_DIR } from "./paths.js";
+import { validateScenarios } from "../sim/scenario-builder.js";
 
 // --- Proxy-aware fetch ---
 // Node.js native fetch ignores https_proxy. When the sandbox proxy is active,
@@ -195,6 +196,12 @@ function validateSpec(config) {
       throw new Error(`config: missing required field "${path}" after merge`);
     }
   }
+  const scenarioErrors = validateScenarios(config.simulation?.scenarios ?? {});
+  if (scenarioErrors.length > 0) {
+    throw new Error(
+      `config: invalid scenarios after merge:\n  ${scenarioErrors.join("\n  ")}`,
+    );
+  }
 }
 
 // Deep-merge source into target (mutates target)
@@ -307,6 +314,10 @@ export { HERO_SUBTREES };
 export const SCENARIOS = config.simulation.scenarios;
 export const SCENARIO_WEIGHTS = config.simulation.scenarioWeights;
 export const FIDELITY_TIERS = config.simulation.fidelity;
+export const SEQUENTIAL = config.simulation.sequential ?? {};
+export const PAIRED = config.simulation.paired ?? {};
+export const BREAKDOWN = config.simulation.breakdown ?? {};
+export const SIM_CACHE = config.simulation.cache ?? {};
 export const SIM_DEFAULTS = config.simulation.defaults;
 
 // Full config object for advanced use
@@ -3,7 +3,7 @@
 //
 // Auto-generates: paired_slots (trinkets), slots (non-crafted gear incl. rings), enchants,
 //                 gems, _defaultGem (highest agi gem detected automatically).
-// Reads from gear-config.json: ilvl_tiers, tier, embellishments, flagged.
+// Reads from gear-config.json: ilvl_tiers, upgrade_tracks, loot, tier, embellishments, flagged.
 // Crafted items in slot candidates (bonus_id) are preserved across refreshes.
 // stat_allocations and sets are NOT stored here — generated at runtime in gear.js.
 //
@@ -11,6 +11,7 @@
 // determine each item's max obtainable ilvl. World boss items (instance flags=2) are
 // capped at the Hero-track ilvl (second-highest tier); all other items use Myth-track max.
 // Items with no sources array are excluded entirely — their ilvl cannot be verified.
+// Named drop sources (raid boss, M+ dungeon) are kept per candidate for loot-value ranking.
 //
 // Usage: SPEC=vengeance node src/extract/gear-candidates.js
 
@@ -583,6 +584,43 @@ async function main() {
     );
   }
 
+  // Named drop sources for loot-value ranking (loot-value.js): raid loot by
+  // boss, M+ dungeon loot by dungeon (end-of-run chests draw from all of it)
+  const sourceInfo = new Map();
+  for (const inst of instances) {
+    if (inst.type === "raid") {
+      sourceInfo.set(inst.id, {
+        type: worldBossInstanceIds.has(inst.id) ? "world_boss" : "raid",
+        name: inst.name,
+        encounters: new Map((inst.encounters || []).map((e) => [e.id, e.name])),
+      });
+    }
+    if (inst.type === "mplus-chest") {
+      for (const enc of inst.encounters || []) {
+        sourceInfo.set(enc.id, { type: "dungeon", name: enc.name });
+      }
+    }
+  }
+
+  function describeSources(item) {
+    const out = new Map();
+    for (const s of item.sources || []) {
+      const info = sourceInfo.get(s.instanceId);
+      if (!info) continue;
+      const source = { type: info.type, instance: info.name };
+      if (info.encounters) {
+        source.encounter = info.encounters.get(s.encounterId) ?? null;
+      }
+      out.set(JSON.stringify(source), source);
+    }
+    return [...out.values()];
+  }
+
+  function withSources(item) {
+    const sources = describeSources(item);
+    return sources.length > 0 ? { sources } : {};
+  }
+
   // Returns the max obtainable ilvl for an item based on its drop sources.
   // Items with sources exclusively from world boss instances are capped at worldBossIlvl.
   // All other items (raid, M+ dungeons, regular dungeons) can be fully upgraded → maxIlvl.
@@ -690,6 +728,7 @@ async function main() {
       ],
       ...(item.uniqueEquipped ? { uniqueEquipped: true } : {}),
       ...(item.itemSetId ? { itemSetId: item.itemSetId } : {}),
+      ...withSources(item),
     };
   });
   const trinkets = mergePreservingCrafted(
@@ -711,6 +750,7 @@ async function main() {
         tags: [],
         ...(item.uniqueEquipped ? { uniqueEquipped: true } : {}),
         ...(item.itemSetId ? { itemSetId: item.itemSetId } : {}),
+        ...withSources(item),
       };
     });
   }
@@ -740,6 +780,7 @@ async function main() {
         tags: [],
         ...(item.uniqueEquipped ? { uniqueEquipped: true } : {}),
         ...(item.itemSetId ? { itemSetId: item.itemSetId } : {}),
+        ...withSources(item),
       };
     });
 
@@ -947,13 +988,17 @@ async function main() {
   }
 
   // --- Write output ---
-  // ilvl_tiers, tier, embellishments, flagged come from gear-config.json.
+  // ilvl_tiers, upgrade_tracks, loot, tier, embellishments, flagged come from gear-config.json.
   // stat_allocations and sets are NOT stored here — generated at runtime in gear.js.
   const output = {
     version: 2,
     baseline: current.baseline || `apls/${specName}/current.simc`,
     gearTarget: current.gearTarget || `apls/${specName}/profile.simc`,
     ilvl_tiers: sortedTiers,
+    ...(gearConfig.upgrade_tracks
+      ? { upgrade_tracks: gearConfig.upgrade_tracks }
+      : {}),
+    ...(gearConfig.loot ? { loot: gearConfig.loot } : {}),
     ...(gearConfig.tier ? { tier: gearConfig.tier } : {}),
     paired_slots: {
       trinkets: {
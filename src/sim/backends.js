@@ -0,0 +1,74 @@
+// Sim execution backends. Each one can run a SimC argument list and write the
+// json2 report to its local path:
+//
+//   name             label for log lines
+//   isActive(args)   whether this backend should take the run
+//   cores()          threads a sim on it should ask for
+//   run(args, execLocal)
+//
+// Backends that run elsewhere throw RemoteUnavailableError on infrastructure
+// failure so runner.js can retry on local SimC.
+//
+// config "remote.backend" picks one: "local", "ec2" (remote.js spot
+// instance), "ssh-pool" (ssh-pool.js static hosts) or "auto" (default) —
+// EC2 while an instance is up, else the SSH pool if it has healthy hosts,
+// else local. Either remote backend is skipped when it has fewer than twice
+// the local cores.
+
+import { cpus } from "node:os";
+import { config } from "../engine/startup.js";
+import {
+  shouldUseRemote,
+  runSimcRemote,
+  getSimCores as ec2Cores,
+} from "./remote.js";
+import { shouldUsePool, poolCores, runSimcPool } from "./ssh-pool.js";
+
+const localBackend = {
+  name: "local",
+  isActive: () => true,
+  cores: () => cpus().length,
+  run: (args, execLocal) => execLocal(args),
+};
+
+const ec2Backend = {
+  name: "ec2",
+  isActive: (args) => shouldUseRemote(args),
+  cores: ec2Cores,
+  run: (args) => runSimcRemote(args),
+};
+
+const poolBackend = {
+  name: "ssh-pool",
+  isActive: (args) => shouldUsePool(args),
+  cores: poolCores,
+  run: (args) => runSimcPool(args),
+};
+
+const BACKENDS = {
+  local: [localBackend],
+  ec2: [ec2Backend, localBackend],
+  "ssh-pool": [poolBackend, localBackend],
+  auto: [ec2Backend, poolBackend, localBackend],
+};
+
+/** @returns {{ name: string, isActive: Function, cores: Function, run: Function }} */
+export function activeBackend(args = []) {
+  const choice = config.remote?.backend ?? "auto";
+  const order = BACKENDS[choice];
+  if (!order) {
+    throw new Error(
+      `Unknown remote.backend "${choice}" — expected ${Object.keys(BACKENDS).join("|")}`,
+    );
+  }
+  return order.find((b) => b.isActive(args));
+}
+
+// Thread count for new sims, sized for wherever they will run
+export function getSimCores() {
+  return activeBackend().cores();
+}
+
+export function isRemoteBackendActive() {
+  return activeBackend() !== localBackend;
+}
@@ -0,0 +1,159 @@
+// Explains an accepted APL change: per-ability, per-buff and per-resource
+// deltas between full sims (parseResults() output) of the current APL and the
+// candidate. Profilesets report DPS only, so iterate.js accept reruns the top
+// roster builds as full sims and stores combineRuns() with the iteration.
+//
+// Abilities are keyed by name; damage and heal entries of one spell merge
+// (DPS summed, executes and cooldown waste taken from the larger entry).
+
+// Smallest changes worth a summary line: executes and waste in percent,
+// uptime in percentage points
+const THRESHOLDS = { executes: 2, uptime: 2, waste: 5 };
+// Abilities that start or stop being cast lead the summary
+const APPEARED = 1000;
+
+const pct = (current, candidate) =>
+  current ? ((candidate - current) / current) * 100 : null;
+
+function abilityStats(result) {
+  const byName = new Map();
+  for (const a of result.abilities ?? []) {
+    const prev = byName.get(a.name) ?? {
+      dps: 0,
+      executes: 0,
+      cooldownWaste: 0,
+    };
+    byName.set(a.name, {
+      dps: prev.dps + (a.type === "damage" ? a.dps : 0),
+      executes: Math.max(prev.executes, a.executes ?? 0),
+      cooldownWaste: Math.max(prev.cooldownWaste, a.cooldown?.wasteSec ?? 0),
+    });
+  }
+  return byName;
+}
+
+// Weighted mean of one field over runs; absent entries count as 0
+function weightedMean(runs, side, pick) {
+  let sum = 0;
+  let weight = 0;
+  for (const r of runs) {
+    sum += (pick(r[side]) ?? 0) * r.weight;
+    weight += r.weight;
+  }
+  return weight > 0 ? sum / weight : 0;
+}
+
+function namesOf(runs, list) {
+  const names = new Set();
+  for (const r of runs) {
+    for (const n of list(r.current)) names.add(n);
+    for (const n of list(r.candidate)) names.add(n);
+  }
+  return [...names];
+}
+
+/**
+ * Weighted mean breakdown over (build, scenario) pairs of full sims.
+ * @param {{ weight: number, current: Object, candidate: Object }[]} runs —
+ *   parseResults() of the current APL and the candidate on the same build
+ *   and scenario
+ * @returns {{ dps, abilities: Object[], buffs: Object[], resources: Object[] }}
+ */
+export function combineRuns(runs) {
+  const prepared = runs.map((r) => ({
+    weight: r.weight,
+    current: { ...r.current, stats: abilityStats(r.current) },
+    candidate: { ...r.candidate, stats: abilityStats(r.candidate) },
+  }));
+  const both = (pick) => {
+    const current = weightedMean(prepared, "current", pick);
+    const candidate = weightedMean(prepared, "candidate", pick);
+    return { current, candidate, pct: pct(current, candidate) };
+  };
+
+  const abilities = namesOf(prepared, (r) => r.stats.keys()).map((name) => {
+    const dps = both((r) => r.stats.get(name)?.dps);
+    const executes = both((r) => r.stats.get(name)?.executes);
+    const waste = both((r) => r.stats.get(name)?.cooldownWaste);
+    return {
+      name,
+      dps,
+      executes,
+      cooldownWaste: { current: waste.current, candidate: waste.candidate },
+    };
+  });
+  abilities.sort(
+    (a, b) =>
+      Math.abs(b.dps.candidate - b.dps.current) -
+      Math.abs(a.dps.candidate - a.dps.current),
+  );
+
+  const buffs = namesOf(prepared, (r) =>
+    (r.buffs ?? []).map((b) => b.name),
+  ).map((name) => {
+    const { current, candidate } = both(
+      (r) => r.buffs?.find((b) => b.name === name)?.uptime,
+    );
+    return { name, current, candidate, delta: candidate - current };
+  });
+  buffs.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const resources = namesOf(prepared, (r) =>
+    Object.keys(r.resourceWaste ?? {}),
+  ).map((name) => ({
+    name,
+    ...both((r) => r.resourceWaste?.[name]?.perSecond),
+  }));
+
+  return { dps: both((r) => r.dps), abilities, buffs, resources };
+}
+
+const signed = (v, digits = 0) => `${v >= 0 ? "+" : ""}${v.toFixed(digits)}`;
+const label = (name) => name.replace(/_/g, " ");
+
+/**
+ * Largest changes of a combineRuns() breakdown as short phrases, e.g.
+ * ["+3% Spirit Bomb executes", "-12% fury waste"].
+ * @param {Object} breakdown
+ * @param {{ limit?: number }} [opts]
+ * @returns {string[]}
+ */
+export function summarizeBreakdown(breakdown, { limit = 4 } = {}) {
+  const items = [];
+  for (const a of breakdown.abilities) {
+    const { current, candidate } = a.executes;
+    if (current < 1 && candidate >= 1) {
+      items.push({ score: APPEARED, text: `${a.name} now cast` });
+    } else if (current >= 1 && candidate < 1) {
+      items.push({ score: APPEARED, text: `${a.name} no longer cast` });
+    } else if (
+      current >= 1 &&
+      Math.abs(a.executes.pct) >= THRESHOLDS.executes
+    ) {
+      items.push({
+        score: Math.abs(a.executes.pct) / THRESHOLDS.executes,
+        text: `${signed(a.executes.pct)}% ${a.name} executes`,
+      });
+    }
+  }
+  for (const b of breakdown.buffs) {
+    if (Math.abs(b.delta) >= THRESHOLDS.uptime) {
+      items.push({
+        score: Math.abs(b.delta) / THRESHOLDS.uptime,
+        text: `${signed(b.delta, 1)}pt ${label(b.name)} uptime`,
+      });
+    }
+  }
+  for (const r of breakdown.resources) {
+    if (r.pct != null && Math.abs(r.pct) >= THRESHOLDS.waste) {
+      items.push({
+        score: Math.abs(r.pct) / THRESHOLDS.waste,
+        text: `${signed(r.pct)}% ${label(r.name)} waste`,
+      });
+    }
+  }
+  return items
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((i) => i.text);
+}
@@ -18,7 +18,7 @@
 //   node src/sim/build-roster.js validate
 //   node src/sim/build-roster.js audit
 //   node src/sim/build-roster.js prune [--threshold 1.0]
-//   node src/sim/build-roster.js update-dps [--fidelity quick|standard|confirm]
+//   node src/sim/build-roster.js update-dps [--fidelity quick|standard|confirm] [--no-cache]
 //   node src/sim/build-roster.js generate-hashes
 //   node src/sim/build-roster.js generate-names
 
@@ -1653,6 +1653,10 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         );
         process.exit(1);
       }
+      if (args.includes("--no-cache")) {
+        const { disableSimCache } = await import("./runner.js");
+        disableSimCache();
+      }
       await updateAllDps({ fidelity });
       break;
     }
@@ -1690,7 +1694,7 @@ Usage:
   node src/sim/build-roster.js validate                          Re-validate all builds
   node src/sim/build-roster.js audit                             Full coverage audit (validate + talent + hero)
   node src/sim/build-roster.js prune [--threshold 1.0]           Prune redundant builds
-  node src/sim/build-roster.js update-dps [--fidelity quick|standard|confirm]  Sim all builds
+  node src/sim/build-roster.js update-dps [--fidelity quick|standard|confirm] [--no-cache]  Sim all builds
   node src/sim/build-roster.js generate-hashes                   Generate hashes for override-only builds
   node src/sim/build-roster.js generate-names                    Retroactively assign display names`);
       break;
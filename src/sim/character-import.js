@@ -0,0 +1,434 @@
+// SimC addon export → owned gear, and solver inputs restricted to it.
+//
+// The addon export lists equipped items as slot lines, each after a
+// "# Item Name (ilvl)" comment, then bag items as commented-out slot lines
+// under "### Gear from Bags". Great Vault choices ("### Weekly Reward
+// Choices") are parsed but not owned. "### Additional Character Info" holds
+// "# key=value" lines (upgrade currencies and the like).
+//
+// Owned-set solving (gear.js import-character): every non-equipped item is
+// simmed as a one-slot swap, giving a weighted DPS delta per item and slot.
+// Paired slots (rings, trinkets, one-hand weapons) sim every candidate in the
+// first slot; its delta in the second slot is then the difference to the item
+// equipped there. Tier pieces fill the solver's tier slots; embellished items
+// go through its embellishment options, keeping the embellishment limit, and
+// plain crafted items are stat sticks that count toward the crafted limit.
+// Pure module, no I/O.
+
+import { solveGearSet } from "./gear-solver.js";
+
+export const GEAR_SLOTS = [
+  "head",
+  "neck",
+  "shoulder",
+  "back",
+  "chest",
+  "wrists",
+  "hands",
+  "waist",
+  "legs",
+  "feet",
+  "finger1",
+  "finger2",
+  "trinket1",
+  "trinket2",
+  "main_hand",
+  "off_hand",
+];
+
+export const PAIRED_SLOTS = [
+  ["finger1", "finger2"],
+  ["trinket1", "trinket2"],
+  ["main_hand", "off_hand"],
+];
+
+const SLOT_ALIASES = { wrist: "wrists", shoulders: "shoulder" };
+const ITEM_LINE_RE = /^(#\s*)?([a-z_]+\d?)=([^,]*)((?:,[^,]*)*)$/;
+const ITEM_COMMENT_RE = /^#\s*(.+?)\s*\((\d+)\)\s*$/;
+const HEADER_KEYS = new Set([
+  "level",
+  "race",
+  "region",
+  "server",
+  "role",
+  "professions",
+  "spec",
+  "talents",
+]);
+const MAX_CRAFTED = 2;
+const MAX_EMBELLISHMENTS = 2;
+
+function normalizeSlot(slot) {
+  return SLOT_ALIASES[slot] ?? slot;
+}
+
+function slug(name) {
+  return name
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+/** The slots an item can go in: both slots of a pair, else its own. */
+export function slotGroup(slot) {
+  return PAIRED_SLOTS.find((p) => p.includes(slot)) ?? [slot];
+}
+
+function isEmbellished(item) {
+  return item.fields.embellishment != null;
+}
+
+export function isCrafted(item) {
+  return (
+    item.craftedStats != null ||
+    item.fields.embellishment != null ||
+    item.bonusIds.includes(8793)
+  );
+}
+
+/** The item's SimC line for a slot, named after the item when known. */
+export function itemLine(item, slot = item.slot) {
+  const fields = Object.entries(item.fields).map(([k, v]) => `,${k}=${v}`);
+  return `${slot}=${item.token}${fields.join("")}`;
+}
+
+function parseItem(slot, token, rest, comment) {
+  const fields = {};
+  for (const part of rest.split(",").filter(Boolean)) {
+    const eq = part.indexOf("=");
+    if (eq > 0) fields[part.slice(0, eq)] = part.slice(eq + 1);
+  }
+  if (!fields.id) return null;
+  const ids = (v) => (v ? v.split(/[/:]/).map(Number).filter(Boolean) : []);
+  return {
+    slot,
+    name: comment?.name ?? (token || `item_${fields.id}`),
+    token: token || (comment ? slug(comment.name) : ""),
+    ilvl: comment?.ilvl ?? (fields.ilevel ? Number(fields.ilevel) : null),
+    id: Number(fields.id),
+    bonusIds: ids(fields.bonus_id),
+    gemIds: ids(fields.gem_id),
+    enchantId: fields.enchant_id ? Number(fields.enchant_id) : null,
+    craftedStats: fields.crafted_stats ?? null,
+    fields,
+  };
+}
+
+/**
+ * @param {string} text — SimC addon export
+ * @returns {{ name, className, spec, talents, header: string[], equipped:
+ *   Object[], bags: Object[], vault: Object[], info: Object<string, string> }}
+ */
+export function parseSimcExport(text) {
+  const out = {
+    name: null,
+    className: null,
+    spec: null,
+    talents: null,
+    header: [],
+    equipped: [],
+    bags: [],
+    vault: [],
+    info: {},
+  };
+  let section = "equipped";
+  let comment = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) {
+      comment = null;
+      continue;
+    }
+    if (line.startsWith("###")) {
+      if (/bags/i.test(line)) section = "bags";
+      else if (/weekly reward|vault/i.test(line)) section = "vault";
+      else if (/additional character info/i.test(line)) section = "info";
+      else section = "other";
+      comment = null;
+      continue;
+    }
+
+    const m = line.match(ITEM_LINE_RE);
+    const slot = m ? normalizeSlot(m[2]) : null;
+    if (m && GEAR_SLOTS.includes(slot)) {
+      const commented = Boolean(m[1]);
+      const target = commented
+        ? { bags: out.bags, vault: out.vault }[section]
+        : section === "equipped"
+          ? out.equipped
+          : null;
+      const item = target && parseItem(slot, m[3], m[4], comment);
+      if (item) target.push(item);
+      comment = null;
+      continue;
+    }
+
+    if (line.startsWith("#")) {
+      const c = line.match(ITEM_COMMENT_RE);
+      comment = c ? { name: c[1], ilvl: Number(c[2]) } : null;
+      if (section === "info") {
+        const kv = line.replace(/^#\s*/, "").match(/^(\w+)=(.*)$/);
+        if (kv) out.info[kv[1]] = kv[2];
+      }
+      continue;
+    }
+
+    // Character header: class="Name", then key=value lines
+    const kv = line.match(/^(\w+)=(.*)$/);
+    if (!kv || out.equipped.length > 0) continue;
+    const [, key, value] = kv;
+    if (!out.className && /^".*"$/.test(value)) {
+      out.className = key;
+      out.name = value.slice(1, -1);
+      out.header.push(line);
+    } else if (HEADER_KEYS.has(key)) {
+      if (key === "spec") out.spec = value;
+      if (key === "talents") out.talents = value;
+      out.header.push(line);
+    }
+  }
+  return out;
+}
+
+/**
+ * Owned items with a stable key each: eq_<slot> for equipped, bag<N> for
+ * bag items. Items the character can't use in any gear slot never parse.
+ */
+export function ownedItems(character) {
+  return [
+    ...character.equipped.map((item) => ({
+      ...item,
+      key: `eq_${item.slot}`,
+      equipped: true,
+    })),
+    ...character.bags.map((item, i) => ({
+      ...item,
+      key: `bag${i + 1}`,
+      equipped: false,
+    })),
+  ];
+}
+
+/**
+ * Base overrides that put the character's race and equipped set on a sim
+ * profile. Slots the export leaves empty are emptied too.
+ */
+export function equippedOverrides(character) {
+  const bySlot = new Map(character.equipped.map((i) => [i.slot, i]));
+  return [
+    ...character.header.filter((l) => l.startsWith("race=")),
+    ...GEAR_SLOTS.map((slot) =>
+      bySlot.has(slot) ? itemLine(bySlot.get(slot)) : `${slot}=`,
+    ),
+  ];
+}
+
+/**
+ * One-slot swap variants to sim against the equipped set. Paired slots sim
+ * every candidate in the pair's first slot, including the item equipped in
+ * the second.
+ * @returns {{ name: string, key: string, overrides: string[] }[]}
+ */
+export function swapVariants(owned) {
+  const variants = [];
+  for (const item of owned) {
+    const [first] = slotGroup(item.slot);
+    if (item.equipped && item.slot === first) continue;
+    variants.push({
+      name: `own_${item.key}`,
+      key: item.key,
+      overrides: [itemLine(item, first)],
+    });
+  }
+  return variants;
+}
+
+/**
+ * Weighted DPS delta of each owned item in each slot it fits.
+ * @param {Object[]} owned — ownedItems()
+ * @param {Object<string, number>} swapDeltas — by item key, from the
+ *   swapVariants() sims (delta vs the equipped set)
+ * @returns {Map<string, Object<string, number>>} key → { slot: delta }
+ */
+export function placementDeltas(owned, swapDeltas) {
+  const equippedIn = new Map(
+    owned.filter((i) => i.equipped).map((i) => [i.slot, i]),
+  );
+  const firstDelta = (item) =>
+    item.equipped && slotGroup(item.slot)[0] === item.slot
+      ? 0
+      : (swapDeltas[item.key] ?? null);
+
+  const out = new Map();
+  for (const item of owned) {
+    const group = slotGroup(item.slot);
+    const d1 = firstDelta(item);
+    if (d1 == null) continue;
+    const perSlot = { [group[0]]: d1 };
+    if (group.length === 2) {
+      const other = equippedIn.get(group[1]);
+      const base = other ? firstDelta(other) : 0;
+      if (base != null) perSlot[group[1]] = d1 - base;
+    }
+    out.set(item.key, perSlot);
+  }
+  return out;
+}
+
+/**
+ * solveGearSet() inputs over owned items, one per number of embellished
+ * items worn (the solver wants an exact embellishment count).
+ * @param {Object[]} owned — ownedItems()
+ * @param {Map<string, Object<string, number>>} deltas — placementDeltas()
+ * @param {Set<number>} tierItemIds — item ids of the current tier set
+ */
+export function ownedSolverInputs(owned, deltas, tierItemIds) {
+  const placed = owned.filter((i) => deltas.has(i.key));
+  const byIlvl = (a, b) => (b.ilvl ?? 0) - (a.ilvl ?? 0);
+
+  // Best owned tier piece per slot
+  const tierSlots = {};
+  for (const item of placed.filter((i) => tierItemIds.has(i.id)).sort(byIlvl)) {
+    tierSlots[item.slot] ??= item;
+  }
+
+  const candidates = (slot, filter) =>
+    placed
+      .filter((i) => !tierItemIds.has(i.id) && filter(i))
+      .filter((i) => deltas.get(i.key)[slot] != null)
+      .map((i) => ({ item: i, delta: deltas.get(i.key)[slot] }))
+      .sort((a, b) => b.delta - a.delta);
+
+  const tierConfig = {
+    // Wear every owned tier piece, or all but one
+    requiredCount: Math.max(0, Object.keys(tierSlots).length - 1),
+    slots: Object.fromEntries(
+      Object.entries(tierSlots).map(([slot, item]) => [
+        slot,
+        { simc: itemLine(item, slot) },
+      ]),
+    ),
+    // Scored against the tier piece they replace: tier pieces carry no score
+    alternatives: Object.fromEntries(
+      Object.entries(tierSlots).map(([slot, tierItem]) => [
+        slot,
+        candidates(slot, () => true).map(({ item, delta }) => ({
+          id: item.key,
+          simc: itemLine(item, slot),
+          epScore: delta - deltas.get(tierItem.key)[slot],
+        })),
+      ]),
+    ),
+  };
+
+  const statStickCandidates = {};
+  for (const slot of GEAR_SLOTS) {
+    const list = candidates(slot, (i) => !isEmbellished(i));
+    if (list.length === 0) continue;
+    statStickCandidates[slot] = list.map(({ item, delta }) => ({
+      id: item.key,
+      simc: itemLine(item, slot),
+      epScore: delta,
+      itemId: item.id,
+      isCrafted: isCrafted(item),
+    }));
+  }
+
+  // Embellished placements, then every set of up to MAX_EMBELLISHMENTS of
+  // them in distinct slots
+  const embellished = GEAR_SLOTS.flatMap((slot) =>
+    candidates(slot, isEmbellished).map(({ item, delta }) => ({
+      item,
+      slot,
+      delta,
+    })),
+  );
+  const options = [[]];
+  for (const p of embellished) {
+    for (const opt of [...options]) {
+      if (opt.length >= MAX_EMBELLISHMENTS) continue;
+      if (opt.some((o) => o.slot === p.slot || o.item.key === p.item.key)) {
+        continue;
+      }
+      options.push([...opt, p]);
+    }
+  }
+
+  const inputs = [];
+  for (let count = 0; count <= MAX_EMBELLISHMENTS; count++) {
+    const embellishmentResults = options
+      .filter((opt) => opt.length === count)
+      .map((opt) => ({
+        candidateId: opt.map((o) => `${o.item.key}@${o.slot}`).join("+"),
+        weightedDps: opt.reduce((s, o) => s + o.delta, 0),
+        slots: opt.map((o) => o.slot),
+        crafted: opt.some((o) => isCrafted(o.item)),
+        embCount: count,
+        slotSimc: Object.fromEntries(
+          opt.map((o) => [o.slot, itemLine(o.item, o.slot)]),
+        ),
+        slotIds: Object.fromEntries(opt.map((o) => [o.slot, o.item.key])),
+      }));
+    if (embellishmentResults.length === 0) continue;
+    inputs.push({
+      tierConfig,
+      embellishmentResults,
+      statStickCandidates,
+      maxCrafted: MAX_CRAFTED,
+      maxEmbellishments: count,
+    });
+  }
+  return inputs;
+}
+
+/**
+ * Best owned configurations across ownedSolverInputs(), highest score first.
+ * Scores are summed one-slot deltas — an estimate to pick sets to sim. Sets
+ * leaving a slot empty that an owned item could fill are dropped.
+ */
+export function solveOwned(owned, deltas, tierItemIds, { limit = 10 } = {}) {
+  const fillable = new Set(
+    [...deltas.values()].flatMap((perSlot) => Object.keys(perSlot)),
+  );
+  const configs = ownedSolverInputs(owned, deltas, tierItemIds)
+    .flatMap((input) => solveGearSet(input).configurations)
+    .filter((c) =>
+      [...fillable].every((slot) => c.slots[slot]?.id !== "__placeholder__"),
+    );
+  return configs.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Owned item worn in each slot of a solver configuration. Tier slots come
+ * back as tier_<slot>, so they resolve through the SimC line instead.
+ */
+export function configItems(config, owned) {
+  const byKey = new Map(owned.map((i) => [i.key, i]));
+  const out = {};
+  for (const [slot, entry] of Object.entries(config.slots)) {
+    if (!entry.simc) continue;
+    const item =
+      byKey.get(entry.id) ??
+      owned.find((i) => itemLine(i, slot) === entry.simc);
+    if (item) out[slot] = { item, simc: entry.simc };
+  }
+  return out;
+}
+
+/** Profile for the character wearing `items` (configItems() output). */
+export function characterProfile(character, items, comment) {
+  const lines = [];
+  if (comment) lines.push(`# ${comment}`);
+  lines.push(...character.header, "");
+  for (const slot of GEAR_SLOTS) {
+    const entry = items[slot];
+    if (!entry) continue;
+    lines.push(
+      `# ${entry.item.name}${entry.item.ilvl ? ` (${entry.item.ilvl})` : ""}`,
+    );
+    lines.push(entry.simc);
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,395 @@
+// Dungeon routes as data: a JSON pull list compiled to the SimC DungeonRoute
+// file, plus a per-pull breakdown of DPS and cooldown usage from the json2
+// report, so an APL change can show up as "good on big pulls, bad on
+// bosses" rather than one blended number.
+//
+// apls/routes/<dungeon>.json:
+//   {
+//     "name": "Algeth'ar Academy",
+//     "source": "keystone.guru KL15",       // optional, header comment only
+//     "notes": "...",                        // optional, header comment only
+//     "mainTarget": "DungeonRoute_AA",       // optional invulnerable holder
+//     "pulls": [
+//       { "name": "Opening trash", "delay": 46, "bloodlust": true,
+//         "mobs": [
+//           { "name": "hungry-lasher", "count": 24, "health": 629631 },
+//           { "name": "overgrown-ancient", "health": 8526254, "boss": true,
+//             "type": "Elemental" }
+//         ] }
+//     ]
+//   }
+//
+// delay is travel time in seconds before the pull (from the previous pull's
+// end); health is per mob, already scaled to the simmed player's share.
+// A scenario's routeFile may name the .json directly — readRouteFile
+// compiles it — or the compiled .simc.
+//
+// Pull timings in the breakdown come from the pull's enemies' mean lifetimes
+// when the report lists them under sim.targets, else from each pull's share
+// of route health. DPS and buff uptimes are averaged over those windows of
+// the mean timelines, so they are estimates, not per-iteration splits.
+//
+// Usage:
+//   node src/sim/dungeon-route.js validate apls/routes/algethar-academy.json
+//   node src/sim/dungeon-route.js compile apls/routes/algethar-academy.json [out.simc]
+//   SPEC=vengeance node src/sim/dungeon-route.js breakdown <route.json> <results.json> [candidate.json]
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename } from "node:path";
+
+// Outlasts any route: the main target stays invulnerable so pulls take focus
+const HOLD_SECONDS = 5160;
+
+const NAME_RE = /^[\w-]+$/;
+
+/**
+ * @param {Object} route — parsed route JSON
+ * @returns {string[]} one message per problem, prefixed with its path
+ */
+export function validateRoute(route) {
+  const errors = [];
+  if (typeof route?.name !== "string" || !route.name) {
+    errors.push("name: expected the dungeon name");
+  }
+  if (route?.mainTarget != null && !NAME_RE.test(route.mainTarget)) {
+    errors.push("mainTarget: letters, digits, _ and - only");
+  }
+  if (!Array.isArray(route?.pulls) || route.pulls.length === 0) {
+    errors.push("pulls: expected a non-empty array");
+    return errors;
+  }
+  route.pulls.forEach((pull, i) => {
+    const p = `pulls[${i}]`;
+    if (!(Number.isInteger(pull.delay) && pull.delay >= 0)) {
+      errors.push(`${p}.delay: expected whole seconds ≥ 0`);
+    }
+    if (!Array.isArray(pull.mobs) || pull.mobs.length === 0) {
+      errors.push(`${p}.mobs: expected a non-empty array`);
+      return;
+    }
+    const seen = new Set();
+    pull.mobs.forEach((mob, j) => {
+      const m = `${p}.mobs[${j}]`;
+      if (typeof mob.name !== "string" || !NAME_RE.test(mob.name)) {
+        errors.push(`${m}.name: letters, digits, _ and - only`);
+      } else if (seen.has(mob.name)) {
+        errors.push(`${m}.name: "${mob.name}" listed twice in this pull`);
+      }
+      seen.add(mob.name);
+      const count = mob.count ?? 1;
+      if (!(Number.isInteger(count) && count >= 1)) {
+        errors.push(`${m}.count: expected an integer ≥ 1`);
+      }
+      if (!(Number.isFinite(mob.health) && mob.health > 0)) {
+        errors.push(`${m}.health: expected a positive number`);
+      }
+      if (mob.type != null && !/^[A-Za-z]+$/.test(mob.type)) {
+        errors.push(`${m}.type: expected a SimC creature type`);
+      }
+    });
+  });
+  return errors;
+}
+
+/** Reads and validates a route JSON file; throws listing every problem. */
+export function loadRoute(path) {
+  const route = JSON.parse(readFileSync(path, "utf-8"));
+  const errors = validateRoute(route);
+  if (errors.length > 0) {
+    throw new Error(`Invalid route ${path}:\n  ${errors.join("\n  ")}`);
+  }
+  return route;
+}
+
+// SimC enemy names of a pull, in spawn order: <name>_<n>, BOSS_ for bosses
+function pullEnemies(pull) {
+  return pull.mobs.flatMap((mob) =>
+    Array.from({ length: mob.count ?? 1 }, (_, k) => ({
+      name: `${mob.boss ? "BOSS_" : ""}${mob.name}_${k + 1}`,
+      health: mob.health,
+      type: mob.type,
+    })),
+  );
+}
+
+function pullKind(pull) {
+  const bosses = pull.mobs.filter((m) => m.boss).length;
+  if (bosses === 0) return "trash";
+  return bosses === pull.mobs.length ? "boss" : "mixed";
+}
+
+function pullHealth(pull) {
+  return pull.mobs.reduce((sum, m) => sum + m.health * (m.count ?? 1), 0);
+}
+
+/**
+ * SimC route file text for a validated route.
+ * @param {Object} route
+ * @param {string} [sourceName] — file name noted in the header
+ */
+export function compileRoute(route, sourceName) {
+  const lines = [];
+  if (sourceName) {
+    lines.push(`# Generated from ${sourceName} — edit that file and recompile`);
+  }
+  const source = route.source ? ` (${route.source})` : "";
+  lines.push(`# ${route.name} — ${route.pulls.length}-pull route${source}`);
+  if (route.notes) lines.push(`# ${route.notes}`);
+  lines.push("");
+
+  if (route.mainTarget) {
+    lines.push(
+      "# Invulnerable main target — standard DungeonRoute idiom",
+      `enemy=${route.mainTarget}`,
+      "enemy_health=999999",
+      `raid_events=/invulnerable,cooldown=${HOLD_SECONDS},duration=${HOLD_SECONDS},retarget=1`,
+      "",
+    );
+  }
+
+  route.pulls.forEach((pull, i) => {
+    const n = i + 1;
+    const enemies = pullEnemies(pull)
+      .map((e) => `"${e.name}":${e.health}${e.type ? `:${e.type}` : ""}`)
+      .join("|");
+    const label = pull.name ? `: ${pull.name}` : "";
+    lines.push(`# Pull ${n}${label}${pull.bloodlust ? " (BL)" : ""}`);
+    lines.push(
+      `raid_events+=/pull,pull=${String(n).padStart(2, "0")},bloodlust=${pull.bloodlust ? 1 : 0},delay=${String(pull.delay).padStart(3, "0")},enemies=${enemies}`,
+      "",
+    );
+  });
+  return lines.join("\n");
+}
+
+// Per-second series of a json2 timeline ({ data: [...] } or a bare array)
+function series(timeline) {
+  if (Array.isArray(timeline)) return timeline;
+  return Array.isArray(timeline?.data) ? timeline.data : null;
+}
+
+function windowMean(values, start, end) {
+  if (!values) return null;
+  const from = Math.max(0, Math.floor(start));
+  const to = Math.min(values.length, Math.ceil(end));
+  if (to <= from) return null;
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += values[i];
+  return sum / (to - from);
+}
+
+// Mean lifetime per pull from sim.targets, matched by name in spawn order;
+// null when any pull enemy is missing from the report
+function targetPullLengths(route, targets) {
+  const byName = new Map();
+  for (const t of targets) {
+    const length = t.collected_data?.fight_length?.mean;
+    if (length == null) continue;
+    if (!byName.has(t.name)) byName.set(t.name, []);
+    byName.get(t.name).push(length);
+  }
+  const lengths = [];
+  for (const pull of route.pulls) {
+    let longest = 0;
+    for (const e of pullEnemies(pull)) {
+      const length = byName.get(e.name)?.shift();
+      if (length == null) return null;
+      longest = Math.max(longest, length);
+    }
+    lengths.push(longest);
+  }
+  return lengths;
+}
+
+/**
+ * Start and end of each pull in seconds.
+ * @returns {{ estimated: boolean, windows: Array<{ start: number, end: number }> }}
+ */
+export function pullWindows(route, data) {
+  const fightLength =
+    data.sim.players[0].collected_data.fight_length?.mean ?? 0;
+  let lengths = targetPullLengths(route, data.sim.targets ?? []);
+  const estimated = lengths === null;
+  if (estimated) {
+    const travel = route.pulls.reduce((sum, p) => sum + p.delay, 0);
+    const active = Math.max(0, fightLength - travel);
+    const total = route.pulls.reduce((sum, p) => sum + pullHealth(p), 0);
+    lengths = route.pulls.map((p) => (active * pullHealth(p)) / total);
+  }
+  let cursor = 0;
+  const windows = route.pulls.map((pull, i) => {
+    const start = cursor + pull.delay;
+    cursor = start + lengths[i];
+    return { start, end: cursor };
+  });
+  return { estimated, windows };
+}
+
+/**
+ * DPS and buff uptimes per pull of a DungeonRoute json2 report.
+ * @param {Object} data — json2 report
+ * @param {Object} route — validated route
+ * @param {{ buffs?: string[] }} [opts] — buffs to report uptime for
+ *   (needs buff_uptime_timeline=1)
+ */
+export function pullBreakdown(data, route, { buffs = [] } = {}) {
+  const player = data.sim.players[0];
+  const dmg = series(player.collected_data.timeline_dmg);
+  const buffSeries = Object.fromEntries(
+    (player.buffs || [])
+      .filter((b) => buffs.includes(b.name))
+      .map((b) => [b.name, series(b.stack_uptime)]),
+  );
+  const { estimated, windows } = pullWindows(route, data);
+  const pulls = route.pulls.map((pull, i) => {
+    const { start, end } = windows[i];
+    const uptimes = {};
+    for (const name of buffs) {
+      const mean = windowMean(buffSeries[name], start, end);
+      uptimes[name] = mean == null ? null : mean * 100;
+    }
+    return {
+      pull: i + 1,
+      name: pull.name ?? `Pull ${i + 1}`,
+      kind: pullKind(pull),
+      enemies: pullEnemies(pull).length,
+      health: pullHealth(pull),
+      start,
+      end,
+      dps: windowMean(dmg, start, end),
+      buffs: uptimes,
+    };
+  });
+  return { estimated, pulls };
+}
+
+/**
+ * Per-pull DPS change of a candidate, plus duration-weighted means by pull
+ * kind (trash, boss, mixed).
+ */
+export function comparePulls(current, candidate) {
+  const rows = current.pulls.map((c, i) => {
+    const d = candidate.pulls[i];
+    const deltaPct =
+      c.dps && d?.dps != null ? ((d.dps - c.dps) / c.dps) * 100 : null;
+    return { ...c, candidateDps: d?.dps ?? null, deltaPct };
+  });
+  const byKind = {};
+  for (const r of rows) {
+    if (r.deltaPct == null) continue;
+    const weight = r.end - r.start;
+    byKind[r.kind] ??= { sum: 0, weight: 0 };
+    byKind[r.kind].sum += r.deltaPct * weight;
+    byKind[r.kind].weight += weight;
+  }
+  const kinds = Object.fromEntries(
+    Object.entries(byKind).map(([kind, { sum, weight }]) => [
+      kind,
+      weight > 0 ? sum / weight : null,
+    ]),
+  );
+  return { rows, kinds };
+}
+
+function fmtDps(v) {
+  return v == null ? "—" : Math.round(v).toLocaleString();
+}
+
+function fmtPct(v) {
+  if (v == null) return "—";
+  return `${v >= 0 ? "+" : ""}${v.toFixed(2)}%`;
+}
+
+export function printPullBreakdown(breakdown, candidate) {
+  const { rows, kinds } = candidate
+    ? comparePulls(breakdown, candidate)
+    : { rows: breakdown.pulls, kinds: null };
+  const buffNames = Object.keys(rows[0]?.buffs ?? {});
+  const timing = breakdown.estimated ? " (timings estimated from health)" : "";
+  console.log(`\nPer-pull breakdown${timing}:`);
+  const head = [
+    "#".padStart(2),
+    "Pull".padEnd(34),
+    "Kind".padEnd(6),
+    "Mobs".padStart(4),
+    "Time".padStart(11),
+    "DPS".padStart(12),
+    ...(candidate ? ["Candidate".padStart(12), "Delta".padStart(9)] : []),
+    ...buffNames.map((b) => b.slice(0, 12).padStart(12)),
+  ];
+  console.log(head.join(" "));
+  console.log("-".repeat(head.join(" ").length));
+  for (const r of rows) {
+    const time = `${Math.round(r.start)}-${Math.round(r.end)}s`;
+    const cols = [
+      String(r.pull).padStart(2),
+      r.name.slice(0, 34).padEnd(34),
+      r.kind.padEnd(6),
+      String(r.enemies).padStart(4),
+      time.padStart(11),
+      fmtDps(r.dps).padStart(12),
+      ...(candidate
+        ? [fmtDps(r.candidateDps).padStart(12), fmtPct(r.deltaPct).padStart(9)]
+        : []),
+      ...buffNames.map((b) =>
+        (r.buffs[b] == null ? "—" : `${r.buffs[b].toFixed(1)}%`).padStart(12),
+      ),
+    ];
+    console.log(cols.join(" "));
+  }
+  if (kinds) {
+    console.log(
+      `\nBy pull kind: ${Object.entries(kinds)
+        .map(([kind, v]) => `${kind} ${fmtPct(v)}`)
+        .join("  |  ")}`,
+    );
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [cmd, routePath, ...rest] = process.argv.slice(2);
+  if (!cmd || !routePath) {
+    console.log(
+      "Usage: node src/sim/dungeon-route.js validate|compile|breakdown <route.json> ...",
+    );
+    console.log("  validate <route.json>");
+    console.log("  compile <route.json> [out.simc]   Defaults to stdout");
+    console.log(
+      "  breakdown <route.json> <results.json> [candidate.json]   Per-pull DPS and cooldown uptime",
+    );
+    process.exit(1);
+  }
+
+  if (cmd === "validate") {
+    const errors = validateRoute(JSON.parse(readFileSync(routePath, "utf-8")));
+    if (errors.length > 0) {
+      for (const e of errors) console.log(`  ${e}`);
+      process.exit(1);
+    }
+    console.log(`${routePath}: OK`);
+  } else if (cmd === "compile") {
+    const text = compileRoute(loadRoute(routePath), basename(routePath));
+    if (rest[0]) {
+      writeFileSync(rest[0], text);
+      console.log(`Wrote ${rest[0]}`);
+    } else {
+      process.stdout.write(text);
+    }
+  } else if (cmd === "breakdown") {
+    const { initSpec, getSpecAdapter } = await import("../engine/startup.js");
+    const { parseSpecArg } = await import("../util/parse-spec-arg.js");
+    await initSpec(parseSpecArg());
+    const route = loadRoute(routePath);
+    const buffs = getSpecAdapter().getSpecConfig().cooldownBuffs || [];
+    const [resultsPath, candidatePath] = rest;
+    const read = (p) =>
+      pullBreakdown(JSON.parse(readFileSync(p, "utf-8")), route, { buffs });
+    printPullBreakdown(
+      read(resultsPath),
+      candidatePath ? read(candidatePath) : undefined,
+    );
+  } else {
+    console.error(`Unknown command: ${cmd}`);
+    process.exit(1);
+  }
+}
@@ -1,6 +1,20 @@
 // Constraint-based gear set solver.
-// Enumerates valid full gear sets from component sim results + EP scores.
+// Finds the k best full gear sets from component sim results + EP scores.
 // Pure function, no I/O.
+//
+// The model is additive: a set scores its embellishment option's weighted DPS
+// plus each remaining piece's value — sim DPS for effect items, EP for stat
+// sticks and tier alternatives. Tier pieces carry no score; at least
+// requiredCount of them are worn. A slot is left as a placeholder only when
+// no candidate fits it alongside the rest of the set, and sets are ranked by
+// fewest placeholders before score.
+//
+// Search is branch-and-bound: for each tier skip × embellishment option, open
+// slots are filled depth-first, best candidate first, and a branch is cut as
+// soon as the best it could still reach (every remaining slot at its best
+// candidate, ignoring conflicts) can't beat the current k-th best set. The
+// result is exact under the model: no set outside the k returned scores
+// higher than the last of them.
 
 const ALL_SLOTS = [
   "head",
@@ -21,21 +35,34 @@ const ALL_SLOTS = [
   "off_hand",
 ];
 
+const STAT_KEYS = {
+  agi: "Agi",
+  haste: "Haste",
+  crit: "Crit",
+  mastery: "Mastery",
+  vers: "Vers",
+};
+
+/**
+ * @param {Object} input
+ * @param {number} [input.k=10] — how many distinct sets to return
+ * @returns {{ configurations: Object[], nodes: number }} configurations best
+ *   first, each { slots, score, gap, embConfig, tierSkip }; gap is the score
+ *   difference to the best set. nodes counts search nodes visited.
+ */
 export function solveGearSet(input) {
   const {
     tierConfig,
     embellishmentResults,
-    effectItemResults = {},
     miniSetResults = [],
-    statStickCandidates = {},
     maxCrafted = 2,
     maxEmbellishments = 2,
+    k = 10,
   } = input;
 
   // Convert mini-set pairs into embellishment-format entries so they
   // participate in the same tier-skip x emb enumeration
   const allEmbOptions = [...embellishmentResults];
-  const extendedEffectItems = shallowCopySlotArrays(effectItemResults);
 
   for (const miniSet of miniSetResults) {
     for (const pair of miniSet.pairs) {
@@ -58,51 +85,40 @@ export function solveGearSet(input) {
           [pair.slot1]: pair.item1.id,
           [pair.slot2]: pair.item2.id,
         },
+        slotEmbellished: {
+          [pair.slot1]: item1Emb > 0,
+          [pair.slot2]: item2Emb > 0,
+        },
         isMiniSetPair: true,
         miniSetId: miniSet.setId,
       });
     }
-
-    // Add individual mini-set pieces to effect item pool
-    const piecesToSort = new Set();
-    for (const piece of miniSet.individuals || []) {
-      if (!extendedEffectItems[piece.slot]) {
-        extendedEffectItems[piece.slot] = [];
-      }
-      extendedEffectItems[piece.slot].push({
-        candidateId: piece.id,
-        weightedDps: piece.weightedDps,
-        simc: piece.simc,
-        isCrafted: piece.isCrafted,
-        isBuiltInEmb: piece.isBuiltInEmb,
-      });
-      piecesToSort.add(piece.slot);
-    }
-    for (const slot of piecesToSort) {
-      extendedEffectItems[slot].sort((a, b) => b.weightedDps - a.weightedDps);
-    }
   }
 
-  const configs = [];
   const tierSlotNames = Object.keys(tierConfig.slots);
-
-  if (tierSlotNames.length - 1 !== tierConfig.requiredCount) {
-    return { configurations: [] };
+  const maxSkip = tierSlotNames.length - tierConfig.requiredCount;
+  if (maxSkip < 0) return { configurations: [], nodes: 0 };
+  // Every tier subset of at least requiredCount pieces, all tier kept first:
+  // when nothing conflicts with a tier slot there is no reason to trade a
+  // tier piece for a weaker alternative
+  const skipSets = [];
+  for (let n = 0; n <= maxSkip; n++) {
+    skipSets.push(...combinations(tierSlotNames, n));
   }
 
-  // Enumerate tier configurations: no-skip (all tier pieces kept) + each possible skip.
-  // When emb pairs don't conflict with tier slots, no-skip avoids replacing a tier piece
-  // with a weaker alternative for no reason.
-  const skipOptions = [null, ...tierSlotNames];
+  const { fill: fillPools, alternatives: altPools } = slotPools(input);
 
-  for (const skipSlot of skipOptions) {
-    const alternatives = skipSlot
-      ? tierConfig.alternatives[skipSlot] || []
-      : [];
+  // Strong options first, so the k-th best set rises early and cuts more
+  const embOrder = [...allEmbOptions].sort(
+    (a, b) => (b.weightedDps || 0) - (a.weightedDps || 0),
+  );
+  const kept = new KBest(k);
+  let nodes = 0;
 
+  for (const skipped of skipSets) {
     const tierAssignment = {};
     for (const slot of tierSlotNames) {
-      if (slot === skipSlot) continue;
+      if (skipped.includes(slot)) continue;
       tierAssignment[slot] = {
         id: `tier_${slot}`,
         simc: tierConfig.slots[slot].simc,
@@ -112,9 +128,8 @@ export function solveGearSet(input) {
       };
     }
 
-    for (const emb of allEmbOptions) {
+    for (const emb of embOrder) {
       const embSlots = emb.slots || [];
-
       if (embSlots.some((s) => tierAssignment[s])) continue;
 
       const craftedFromEmb = emb.crafted ? embSlots.length : 0;
@@ -122,146 +137,350 @@ export function solveGearSet(input) {
       if (craftedFromEmb > maxCrafted) continue;
       if (embFromEmb > maxEmbellishments) continue;
 
-      const slotMap = { ...tierAssignment };
-      let craftedCount = craftedFromEmb;
-      let embCount = embFromEmb;
-
-      for (const slot of embSlots) {
-        const slotSimc = emb.slotSimc?.[slot] || "";
-        const embMatch = slotSimc.match(/embellishment=([^,\n]+)/);
-        const csMatch = slotSimc.match(/crafted_stats=([^,\n]+)/);
-        slotMap[slot] = {
-          id: emb.slotIds?.[slot] || emb.candidateId,
-          simc: slotSimc,
-          isTier: false,
-          isCrafted: true,
-          embellishment: embMatch ? embMatch[1] : null,
-          craftedStats: csMatch ? csMatch[1] : null,
+      const slotMap = { ...tierAssignment, ...embSlotEntries(emb) };
+
+      // Open slots: skipped tier slots take an alternative, the rest any
+      // candidate or a placeholder
+      const open = ALL_SLOTS.filter((slot) => !slotMap[slot]).map((slot) => {
+        const isSkipped = skipped.includes(slot);
+        const options = isSkipped ? altPools[slot] : fillPools[slot];
+        return {
+          slot,
+          options,
+          placeholder: !isSkipped,
+          best: options.length ? options[0].value : 0,
+          forcedPlaceholder: !isSkipped && options.length === 0 ? 1 : 0,
+          canEmbellish: options.some((o) => o.embellished) ? 1 : 0,
         };
+      });
+      if (open.some((o) => !o.placeholder && o.options.length === 0)) {
+        continue;
       }
 
-      // Fill the skipped tier slot with best alternative (skip is null when keeping all tier)
-      if (skipSlot && !slotMap[skipSlot]) {
-        if (alternatives.length === 0) continue;
-        const bestAlt = alternatives[0];
-        const altIsCrafted = isCraftedLine(bestAlt.simc);
-        if (altIsCrafted && craftedCount >= maxCrafted) continue;
-        const altCsMatch = altIsCrafted
-          ? bestAlt.simc?.match(/crafted_stats=([^,\n]+)/)
-          : null;
-        slotMap[skipSlot] = {
-          id: bestAlt.id,
-          simc: bestAlt.simc,
-          isTier: false,
-          isCrafted: altIsCrafted,
-          embellishment: null,
-          craftedStats: altCsMatch ? altCsMatch[1] : null,
-        };
-        if (altIsCrafted) craftedCount++;
+      // Suffix sums for the bound
+      const bestRest = new Array(open.length + 1).fill(0);
+      const placeholderRest = new Array(open.length + 1).fill(0);
+      const embRest = new Array(open.length + 1).fill(0);
+      for (let i = open.length - 1; i >= 0; i--) {
+        const o = open[i];
+        const best = o.placeholder ? Math.max(o.best, 0) : o.best;
+        bestRest[i] = bestRest[i + 1] + best;
+        placeholderRest[i] = placeholderRest[i + 1] + o.forcedPlaceholder;
+        embRest[i] = embRest[i + 1] + o.canEmbellish;
       }
 
-      // Track used item IDs for dedup (rings) and unique-equip groups
+      const chosen = {};
       const usedItemIds = new Set();
       const usedUniqueGroups = new Set();
 
-      // Fill effect item slots (includes individual mini-set pieces)
-      for (const [slot, candidates] of Object.entries(extendedEffectItems)) {
-        if (slotMap[slot]) continue;
-        if (candidates.length === 0) continue;
-        const best = pickBestCandidate(
-          candidates,
-          usedItemIds,
-          usedUniqueGroups,
-        );
-        if (!best) continue;
-        const itemId = best.itemId;
-        slotMap[slot] = {
-          id: best.candidateId,
-          simc: best.simc,
-          isTier: false,
-          isCrafted: false,
-          embellishment: null,
-          simDps: best.weightedDps,
-          uniqueEquipped: best.uniqueEquipped || null,
-          itemId,
-        };
-        if (itemId) usedItemIds.add(itemId);
-        if (best.uniqueEquipped) usedUniqueGroups.add(best.uniqueEquipped);
-      }
+      const fits = (option, crafted, embs) =>
+        !(option.key != null && usedItemIds.has(option.key)) &&
+        !(option.unique && usedUniqueGroups.has(option.unique)) &&
+        crafted + (option.entry.isCrafted ? 1 : 0) <= maxCrafted &&
+        embs + (option.embellished ? 1 : 0) <= maxEmbellishments;
 
-      // Fill stat-stick slots (with ring dedup via itemId ?? id)
-      for (const [slot, candidates] of Object.entries(statStickCandidates)) {
-        if (slotMap[slot]) continue;
-        if (candidates.length === 0) continue;
-        const best = pickBestCandidate(
-          candidates,
-          usedItemIds,
-          usedUniqueGroups,
-        );
-        if (!best) continue;
-        const itemId = best.itemId ?? best.id;
-        slotMap[slot] = {
-          id: best.id,
-          simc: best.simc,
-          isTier: false,
-          isCrafted: false,
-          embellishment: null,
-          epScore: best.epScore,
-          itemId,
-        };
-        usedItemIds.add(itemId);
-      }
+      const search = (i, score, placeholders, crafted, embs) => {
+        nodes++;
+        if (embs + embRest[i] < maxEmbellishments) return;
+        if (
+          !kept.canImprove(
+            placeholders + placeholderRest[i],
+            score + bestRest[i],
+          )
+        ) {
+          return;
+        }
 
-      // Fill any remaining slots (trinkets, etc.) as placeholders
-      for (const slot of ALL_SLOTS) {
-        if (!slotMap[slot]) {
-          slotMap[slot] = {
-            id: "__placeholder__",
-            simc: "",
-            isTier: false,
-            isCrafted: false,
-            embellishment: null,
-          };
+        if (i === open.length) {
+          if (embs !== maxEmbellishments) return;
+          // Only maximal sets: a placeholder must have no candidate that fits
+          const fillable = open.some(
+            ({ slot, options }) =>
+              chosen[slot] === PLACEHOLDER &&
+              options.some((o) => fits(o, crafted, embs)),
+          );
+          if (fillable) return;
+          const slots = { ...slotMap };
+          for (const { slot } of open) slots[slot] = chosen[slot].entry;
+          kept.add({
+            slots,
+            score,
+            placeholders,
+            embConfig: emb.candidateId,
+            tierSkip: skipped.length ? skipped.join("+") : null,
+          });
+          return;
         }
-      }
 
-      // Validate constraints not tracked incrementally
-      if (craftedCount > maxCrafted) continue;
-      if (embCount !== maxEmbellishments) continue;
+        const { slot, options, placeholder } = open[i];
+        for (const option of options) {
+          if (!fits(option, crafted, embs)) continue;
+          const c = crafted + (option.entry.isCrafted ? 1 : 0);
+          const e = embs + (option.embellished ? 1 : 0);
 
-      const score = scoreConfiguration(slotMap, emb);
+          chosen[slot] = option;
+          if (option.key != null) usedItemIds.add(option.key);
+          if (option.unique) usedUniqueGroups.add(option.unique);
+          search(i + 1, score + option.value, placeholders, c, e);
+          if (option.key != null) usedItemIds.delete(option.key);
+          if (option.unique) usedUniqueGroups.delete(option.unique);
+        }
+
+        if (placeholder) {
+          chosen[slot] = PLACEHOLDER;
+          search(i + 1, score, placeholders + 1, crafted, embs);
+        }
+      };
+
+      search(0, emb.weightedDps || 0, 0, craftedFromEmb, embFromEmb);
+    }
+  }
+
+  const configurations = kept.sorted();
+  const top = configurations[0]?.score ?? 0;
+  return {
+    configurations: configurations.map(({ placeholders, ...c }) => ({
+      ...c,
+      gap: top - c.score,
+    })),
+    nodes,
+  };
+}
+
+/**
+ * Candidates for each open slot, best first: effect items (with individual
+ * mini-set pieces) and stat sticks in `fill`, tier alternatives in
+ * `alternatives`. Each is { value, key, unique, embellished, entry }, where
+ * key is the item identity kept distinct across slots and entry the
+ * configuration slot entry.
+ */
+export function slotPools(input) {
+  const {
+    tierConfig,
+    effectItemResults = {},
+    miniSetResults = [],
+    statStickCandidates = {},
+    scaleFactors = {},
+  } = input;
 
-      configs.push({
-        slots: slotMap,
-        score,
-        embConfig: emb.candidateId,
-        tierSkip: skipSlot,
+  const effectItems = shallowCopySlotArrays(effectItemResults);
+  for (const miniSet of miniSetResults) {
+    for (const piece of miniSet.individuals || []) {
+      if (!effectItems[piece.slot]) effectItems[piece.slot] = [];
+      effectItems[piece.slot].push({
+        candidateId: piece.id,
+        weightedDps: piece.weightedDps,
+        simc: piece.simc,
+        isCrafted: piece.isCrafted,
+        isBuiltInEmb: piece.isBuiltInEmb,
       });
     }
   }
 
-  configs.sort((a, b) => b.score - a.score);
-  return { configurations: configs.slice(0, 10) };
+  const fill = {};
+  for (const slot of ALL_SLOTS) {
+    fill[slot] = [
+      ...(effectItems[slot] || []).map(effectEntry),
+      ...(statStickCandidates[slot] || []).map(statStickEntry),
+    ].sort(byValue);
+  }
+  const alternatives = {};
+  for (const slot of Object.keys(tierConfig.slots)) {
+    alternatives[slot] = (tierConfig.alternatives?.[slot] || [])
+      .map((alt) => alternativeEntry(alt, scaleFactors))
+      .sort(byValue);
+  }
+  return { fill, alternatives };
+}
+
+const PLACEHOLDER = {
+  entry: {
+    id: "__placeholder__",
+    simc: "",
+    isTier: false,
+    isCrafted: false,
+    embellishment: null,
+  },
+};
+
+const byValue = (a, b) => b.value - a.value;
+
+// Slot entries for an embellishment option's pieces. Without an
+// embellishment= on the SimC line, the first embCount pieces carry it
+function embSlotEntries(emb) {
+  const embSlots = emb.slots || [];
+  const matches = embSlots.map((slot) =>
+    (emb.slotSimc?.[slot] || "").match(/embellishment=([^,\n]+)/),
+  );
+  let unnamed = (emb.embCount || 0) - matches.filter(Boolean).length;
+
+  const entries = {};
+  embSlots.forEach((slot, i) => {
+    const slotSimc = emb.slotSimc?.[slot] || "";
+    const csMatch = slotSimc.match(/crafted_stats=([^,\n]+)/);
+    let embellishment = matches[i] ? matches[i][1] : null;
+    const flagged = emb.slotEmbellished
+      ? emb.slotEmbellished[slot]
+      : unnamed > 0;
+    if (!embellishment && flagged) {
+      embellishment = emb.slotIds?.[slot] || emb.candidateId;
+      unnamed--;
+    }
+    entries[slot] = {
+      id: emb.slotIds?.[slot] || emb.candidateId,
+      simc: slotSimc,
+      isTier: false,
+      isCrafted: !!emb.crafted,
+      embellishment,
+      craftedStats: csMatch ? csMatch[1] : null,
+    };
+  });
+  return entries;
+}
+
+function effectEntry(c) {
+  const isCrafted = c.isCrafted ?? isCraftedLine(c.simc);
+  const embellishment = lineEmbellishment(
+    c.simc,
+    c.isBuiltInEmb,
+    c.candidateId,
+  );
+  return {
+    value: c.weightedDps || 0,
+    key: c.itemId ?? c.candidateId,
+    unique: c.uniqueEquipped || null,
+    embellished: !!embellishment,
+    entry: {
+      id: c.candidateId,
+      simc: c.simc,
+      isTier: false,
+      isCrafted,
+      embellishment,
+      simDps: c.weightedDps,
+      uniqueEquipped: c.uniqueEquipped || null,
+      itemId: c.itemId,
+    },
+  };
+}
+
+function statStickEntry(c) {
+  const itemId = c.itemId ?? c.id;
+  const embellishment = lineEmbellishment(c.simc, c.isBuiltInEmb, c.id);
+  return {
+    value: c.epScore || 0,
+    key: itemId,
+    unique: c.uniqueEquipped || null,
+    embellished: !!embellishment,
+    entry: {
+      id: c.id,
+      simc: c.simc,
+      isTier: false,
+      isCrafted: c.isCrafted ?? isCraftedLine(c.simc),
+      embellishment,
+      epScore: c.epScore,
+      itemId,
+    },
+  };
+}
+
+// Alternatives carry an epScore when the caller has one, otherwise their
+// stats are scored with the scale factors
+function alternativeEntry(alt, scaleFactors) {
+  const isCrafted = isCraftedLine(alt.simc);
+  const csMatch = isCrafted ? alt.simc.match(/crafted_stats=([^,\n]+)/) : null;
+  const epScore = alt.epScore ?? scoreStats(alt.stats, scaleFactors);
+  return {
+    value: epScore,
+    key: alt.itemId ?? alt.id,
+    unique: null,
+    embellished: false,
+    entry: {
+      id: alt.id,
+      simc: alt.simc,
+      isTier: false,
+      isCrafted,
+      embellishment: null,
+      craftedStats: csMatch ? csMatch[1] : null,
+      epScore,
+    },
+  };
 }
 
-function scoreConfiguration(slotMap, embResult) {
+function scoreStats(stats = {}, scaleFactors) {
   let score = 0;
-  score += embResult.weightedDps || 0;
-  for (const slot of Object.values(slotMap)) {
-    if (slot.simDps) score += slot.simDps;
-    if (slot.epScore) score += slot.epScore;
+  for (const [stat, amount] of Object.entries(stats)) {
+    score += amount * (scaleFactors[STAT_KEYS[stat]] || 0);
   }
   return score;
 }
 
-function pickBestCandidate(candidates, usedItemIds, usedUniqueGroups) {
-  for (const c of candidates) {
-    const itemId = c.itemId ?? c.id;
-    if (itemId && usedItemIds.has(itemId)) continue;
-    if (c.uniqueEquipped && usedUniqueGroups.has(c.uniqueEquipped)) continue;
-    return c;
+function lineEmbellishment(simc, isBuiltInEmb, id) {
+  const m = (simc || "").match(/embellishment=([^,\n]+)/);
+  if (m) return m[1];
+  return isBuiltInEmb ? id : null;
+}
+
+// The k best distinct sets seen so far, by fewest placeholders then score.
+// A set found twice (same piece in every slot) keeps its higher score
+class KBest {
+  constructor(k) {
+    this.k = k;
+    this.bySignature = new Map();
+    this.worst = null;
+  }
+
+  // Could a set with these placeholders and score still make the cut?
+  canImprove(placeholders, score) {
+    if (this.bySignature.size < this.k) return true;
+    const w = this.worst;
+    return (
+      placeholders < w.placeholders ||
+      (placeholders === w.placeholders && score > w.score)
+    );
+  }
+
+  add(config) {
+    const sig = signature(config.slots);
+    const existing = this.bySignature.get(sig);
+    if (existing && compare(existing, config) <= 0) return;
+    this.bySignature.set(sig, config);
+    if (this.bySignature.size > this.k) {
+      const worst = this.findWorst();
+      this.bySignature.delete(signature(worst.slots));
+    }
+    this.worst = this.findWorst();
+  }
+
+  findWorst() {
+    let worst = null;
+    for (const c of this.bySignature.values()) {
+      if (!worst || compare(c, worst) > 0) worst = c;
+    }
+    return worst;
+  }
+
+  sorted() {
+    return [...this.bySignature.values()].sort(compare);
+  }
+}
+
+// Negative when a ranks above b
+function compare(a, b) {
+  return a.placeholders - b.placeholders || b.score - a.score;
+}
+
+function signature(slots) {
+  return ALL_SLOTS.map((s) => `${slots[s].id}|${slots[s].simc}`).join("\n");
+}
+
+function* combinations(items, count, start = 0, prefix = []) {
+  if (prefix.length === count) {
+    yield prefix;
+    return;
+  }
+  for (let i = start; i <= items.length - (count - prefix.length); i++) {
+    yield* combinations(items, count, i + 1, [...prefix, items[i]]);
   }
-  return null;
 }
 
 function shallowCopySlotArrays(effectItemResults) {
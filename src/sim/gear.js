@@ -33,13 +33,22 @@
 //   SPEC=vengeance node src/sim/gear.js validate [--fidelity confirm]
 //   SPEC=vengeance node src/sim/gear.js status
 //   SPEC=vengeance node src/sim/gear.js results [--slot X] [--phase N]
+//   SPEC=vengeance node src/sim/gear.js import-character <simc-export.txt> [--output path]
+//   SPEC=vengeance node src/sim/gear.js upgrade-plan <plan.json> [--estimate]
+//   SPEC=vengeance node src/sim/gear.js loot-value [simc-export.txt] [--ilvl N]
+//   SPEC=vengeance node src/sim/gear.js shared-gear [--builds hash[:weight],...] [--swap-threshold pct]
 
-import { getSimCores } from "./remote.js";
-import { readRouteFile, execSimcWithFallback } from "./runner.js";
+import { getSimCores } from "./backends.js";
+import {
+  scenarioArgs,
+  execSimcWithFallback,
+  withSimCache,
+  disableSimCache,
+} from "./runner.js";
 import { parseArgs } from "node:util";
 import { execFileAsync } from "../util/exec.js";
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from "node:fs";
-import { resolve } from "node:path";
+import { dirname, resolve } from "node:path";
 
 import {
   initSpec,
@@ -62,6 +71,33 @@ import {
 import { generateProfileset, runProfilesetAsync } from "./profilesets.js";
 import { solveGearSet } from "./gear-solver.js";
 import { assembleProfile, verifyProfile } from "./gear-profile-writer.js";
+import {
+  GEAR_SLOTS,
+  parseSimcExport,
+  ownedItems,
+  itemLine,
+  equippedOverrides,
+  swapVariants,
+  placementDeltas,
+  solveOwned,
+  configItems,
+  characterProfile,
+} from "./character-import.js";
+import {
+  trackLadders,
+  parseTrackRank,
+  upgradeSteps,
+  interpolateIlvl,
+  planUpgrades,
+  formatPlan,
+} from "./upgrade-planner.js";
+import { lootTables, rankSources, itemGains } from "./loot-value.js";
+import {
+  componentValues,
+  epComponentGroups,
+  applyEpSims,
+  sharedGearPlan,
+} from "./shared-gear.js";
 import {
   getDb,
   closeAll,
@@ -188,6 +224,16 @@ function loadGearCandidates() {
   return data;
 }
 
+// A section gear:fetch-candidates copies over from gear-config.json
+// (upgrade_tracks, loot). Candidates fetched before the section existed
+// lack it, so fall back to the config until they are regenerated.
+function gearConfigSection(gearData, key) {
+  if (gearData[key]) return gearData[key];
+  const path = dataFile("gear-config.json");
+  if (!existsSync(path)) return undefined;
+  return JSON.parse(readFileSync(path, "utf-8"))[key];
+}
+
 // --- v2 helpers: build screenable slot lists ---
 
 // For paired slots, screen each candidate in slot 0 with a neutral anchor
@@ -440,6 +486,18 @@ function isSignificant(winnerDps, controlDps, targetError) {
 
 // --- CLI: scale-factors (Phase 1) ---
 
+// The parts of a scale-factor sim's json2 that phases 1 and 6b read, in the
+// same shape, so cached results stay small
+function scaleFactorData(data) {
+  const player = data.sim.players[0];
+  return {
+    sim: {
+      players: [{ scale_factors: player.scale_factors, gear: player.gear }],
+      dps_plot: data.sim.dps_plot,
+    },
+  };
+}
+
 async function cmdScaleFactors(args) {
   const fidelity = parseFidelity(args, "standard");
   const gearData = loadGearCandidates();
@@ -475,11 +533,7 @@ async function cmdScaleFactors(args) {
       "scale_only=Agi/Haste/Crit/Mastery/Vers",
       `json2=${outputPath}`,
       `threads=${threadsPerSim}`,
-      `max_time=${scConfig.maxTime}`,
-      `desired_targets=${scConfig.desiredTargets}`,
-      ...(scConfig.fightStyle ? [`fight_style=${scConfig.fightStyle}`] : []),
-      ...(scConfig.routeFile ? readRouteFile(scConfig.routeFile) : []),
-      ...(scConfig.overrides || []),
+      ...scenarioArgs(scConfig),
       `target_error=${fidelityConfig.target_error}`,
       `iterations=${fidelityConfig.iterations || SIM_DEFAULTS.iterations}`,
     ];
@@ -495,19 +549,22 @@ async function cmdScaleFactors(args) {
     }
 
     console.log(`  ${scConfig.name}...`);
-    try {
-      await execSimcWithFallback(simArgs, (a) =>
-        execFileAsync(SIMC_BIN, a, {
-          maxBuffer: 100 * 1024 * 1024,
-          timeout: 1800000,
-        }),
-      );
-    } catch (e) {
-      if (e.stdout) console.log(e.stdout.split("\n").slice(-10).join("\n"));
-      throw new Error(`SimC scale factors failed (${scenario}): ${e.message}`);
-    }
-
-    const data = JSON.parse(readFileSync(outputPath, "utf-8"));
+    const data = await withSimCache("scale-factors", simArgs, async () => {
+      try {
+        await execSimcWithFallback(simArgs, (a) =>
+          execFileAsync(SIMC_BIN, a, {
+            maxBuffer: 100 * 1024 * 1024,
+            timeout: 1800000,
+          }),
+        );
+      } catch (e) {
+        if (e.stdout) console.log(e.stdout.split("\n").slice(-10).join("\n"));
+        throw new Error(
+          `SimC scale factors failed (${scenario}): ${e.message}`,
+        );
+      }
+      return scaleFactorData(JSON.parse(readFileSync(outputPath, "utf-8")));
+    });
     perScenario[scenario] = data.sim.players[0].scale_factors;
 
     console.log(
@@ -3313,6 +3370,35 @@ function collectEpRanked(gearData, sf) {
   return statStickCandidates;
 }
 
+// Solver input from the stored phase results; null without a tier set
+function collectSolverInput(gearData, sf) {
+  const tierConfig = buildTierConfig(gearData);
+  if (!tierConfig) return null;
+  const effectItemResults = collectEffectResults();
+  enrichEffectResults(effectItemResults, gearData);
+  return {
+    tierConfig,
+    embellishmentResults: collectEmbResults(gearData),
+    effectItemResults,
+    miniSetResults: collectMiniSetResults(),
+    statStickCandidates: collectEpRanked(gearData, sf),
+    scaleFactors: sf,
+  };
+}
+
+function logSolverInput(input) {
+  console.log(`Solver inputs:`);
+  console.log(`  Tier slots: ${Object.keys(input.tierConfig.slots).length}`);
+  console.log(`  Emb configs: ${input.embellishmentResults.length}`);
+  console.log(
+    `  Effect item slots: ${Object.keys(input.effectItemResults).length}`,
+  );
+  console.log(`  Mini-set results: ${input.miniSetResults.length}`);
+  console.log(
+    `  Stat-stick slots: ${Object.keys(input.statStickCandidates).length}`,
+  );
+}
+
 // Read preamble (non-gear lines) from profile
 function readPreamble(profilePath) {
   if (!existsSync(profilePath)) return [];
@@ -3582,25 +3668,22 @@ async function cmdEpRecheck(winnerConfig, gearData, fidelity) {
       "scale_only=Agi/Haste/Crit/Mastery/Vers",
       `json2=${outputPath}`,
       `threads=${threadsPerSim}`,
-      `max_time=${scConfig.maxTime}`,
-      `desired_targets=${scConfig.desiredTargets}`,
-      ...(scConfig.fightStyle ? [`fight_style=${scConfig.fightStyle}`] : []),
-      ...(scConfig.routeFile ? readRouteFile(scConfig.routeFile) : []),
-      ...(scConfig.overrides || []),
+      ...scenarioArgs(scConfig),
       `target_error=${fidelityConfig.target_error}`,
       `iterations=${fidelityConfig.iterations || SIM_DEFAULTS.iterations}`,
     ];
     if (DATA_ENV === "ptr" || DATA_ENV === "beta") simArgs.unshift("ptr=1");
 
     console.log(`  ${scConfig.name}...`);
-    await execSimcWithFallback(simArgs, (a) =>
-      execFileAsync(SIMC_BIN, a, {
-        maxBuffer: 100 * 1024 * 1024,
-        timeout: 1800000,
-      }),
-    );
-
-    const data = JSON.parse(readFileSync(outputPath, "utf-8"));
+    const data = await withSimCache("scale-factors", simArgs, async () => {
+      await execSimcWithFallback(simArgs, (a) =>
+        execFileAsync(SIMC_BIN, a, {
+          maxBuffer: 100 * 1024 * 1024,
+          timeout: 1800000,
+        }),
+      );
+      return scaleFactorData(JSON.parse(readFileSync(outputPath, "utf-8")));
+    });
     perScenario[scenario] = data.sim.players[0].scale_factors;
     console.log(
       `    ${statKeys.map((s) => `${s}=${(perScenario[scenario][s] || 0).toFixed(3)}`).join(" ")}`,
@@ -3817,37 +3900,14 @@ async function cmdRun(args) {
       return;
     }
 
-    const tierConfig = buildTierConfig(gearData);
-    if (!tierConfig) {
+    const solverInput = collectSolverInput(gearData, sf);
+    if (!solverInput) {
       console.error("No tier configuration. Cannot run solver.");
       return;
     }
+    logSolverInput(solverInput);
 
-    const embResults = collectEmbResults(gearData);
-    const effectResults = collectEffectResults();
-    enrichEffectResults(effectResults, gearData);
-    const miniSetResults = collectMiniSetResults();
-    const statStickCandidates = collectEpRanked(gearData, sf);
-
-    console.log(`Solver inputs:`);
-    console.log(`  Tier slots: ${Object.keys(tierConfig.slots).length}`);
-    console.log(`  Emb configs: ${embResults.length}`);
-    console.log(`  Effect item slots: ${Object.keys(effectResults).length}`);
-    console.log(`  Mini-set results: ${miniSetResults.length}`);
-    console.log(
-      `  Stat-stick slots: ${Object.keys(statStickCandidates).length}`,
-    );
-
-    const solverInput = {
-      tierConfig,
-      embellishmentResults: embResults,
-      effectItemResults: effectResults,
-      miniSetResults,
-      statStickCandidates,
-      scaleFactors: sf,
-    };
-
-    const { configurations } = solveGearSet(solverInput);
+    const { configurations, nodes } = solveGearSet(solverInput);
 
     if (configurations.length === 0) {
       console.error("Solver produced zero valid configurations. Check inputs.");
@@ -3855,12 +3915,12 @@ async function cmdRun(args) {
     }
 
     console.log(
-      `\nSolver produced ${configurations.length} valid configurations.`,
+      `\nSolver produced the ${configurations.length} best configurations (${nodes} search nodes).`,
     );
     for (let i = 0; i < Math.min(5, configurations.length); i++) {
       const c = configurations[i];
       console.log(
-        `  #${i + 1}: score=${c.score.toFixed(0)} tierSkip=${c.tierSkip} emb=${c.embConfig}`,
+        `  #${i + 1}: score=${c.score.toFixed(0)} gap=${c.gap.toFixed(0)} tierSkip=${c.tierSkip} emb=${c.embConfig}`,
       );
     }
 
@@ -4886,6 +4946,767 @@ async function cmdTrinketChart(args) {
   );
 }
 
+// --- Owned gear: import-character ---
+
+async function cmdImportCharacter(args) {
+  const exportPath = args.find((a) => !a.startsWith("--"));
+  if (!exportPath || !existsSync(exportPath)) {
+    console.error(
+      "Usage: node src/sim/gear.js import-character <simc-export.txt> [--fidelity X] [--output path]",
+    );
+    process.exit(1);
+  }
+  const fidelity = parseFidelity(args, "standard");
+  const outIdx = args.indexOf("--output");
+  const gearData = loadGearCandidates();
+  const baseProfile = getBaseProfile(gearData);
+
+  const character = parseSimcExport(readFileSync(exportPath, "utf-8"));
+  if (character.equipped.length === 0) {
+    console.error(`No equipped items found in ${exportPath}.`);
+    process.exit(1);
+  }
+  if (character.spec && character.spec !== getSpecName()) {
+    console.warn(
+      `Warning: export is ${character.spec}, simming as ${getSpecName()}.`,
+    );
+  }
+  const owned = ownedItems(character);
+  const builds = character.talents
+    ? [{ hash: character.talents }]
+    : getRepresentativeBuilds();
+
+  // Every sim starts from the equipped set
+  const baseOverrides = equippedOverrides(character);
+
+  console.log(
+    `\n${character.name ?? "Character"}: ${character.equipped.length} equipped, ${character.bags.length} in bags` +
+      (character.vault.length
+        ? `, ${character.vault.length} vault choices (not owned, skipped)`
+        : ""),
+  );
+
+  // One-slot swaps against the equipped set
+  const variants = swapVariants(owned);
+  console.log(
+    `Simming ${variants.length} owned-item swaps across ${builds.length} build(s) (${fidelity} fidelity)...`,
+  );
+  const swapResults = await runBuildScenarioSims(
+    variants,
+    builds,
+    baseProfile,
+    fidelity,
+    "gear_character_swaps",
+    { extraBaseOverrides: baseOverrides },
+  );
+  const swapRanked = aggregateGearResults(swapResults, variants, builds);
+  const equippedWeighted = swapRanked.find(
+    (r) => r.id === "__baseline__",
+  ).weighted;
+  const swapDeltas = {};
+  for (const v of variants) {
+    const r = swapRanked.find((x) => x.id === v.name);
+    if (r) swapDeltas[v.key] = r.weighted - equippedWeighted;
+  }
+
+  const tierItemIds = new Set(
+    Object.values(gearData.tier?.items || {})
+      .map((simc) => Number(simc.match(/,id=(\d+)/)?.[1]))
+      .filter(Boolean),
+  );
+  const configurations = solveOwned(
+    owned,
+    placementDeltas(owned, swapDeltas),
+    tierItemIds,
+    { limit: 5 },
+  );
+  if (configurations.length === 0) {
+    console.log("Solver found no valid owned configuration.");
+    return;
+  }
+
+  // Full-set validation of the top solver configurations
+  const configSets = configurations.map((c) => configItems(c, owned));
+  const setVariants = configSets.map((items, idx) => ({
+    name: `owned_${idx}`,
+    overrides: GEAR_SLOTS.map((slot) => items[slot]?.simc ?? `${slot}=`),
+  }));
+  console.log(
+    `Validating top ${setVariants.length} owned sets at ${fidelity} fidelity...`,
+  );
+  const setResults = await runBuildScenarioSims(
+    setVariants,
+    builds,
+    baseProfile,
+    fidelity,
+    "gear_character_sets",
+    { extraBaseOverrides: baseOverrides },
+  );
+  const ranked = aggregateGearResults(
+    setResults,
+    setVariants.map((v) => ({ id: v.name, label: v.name })),
+    builds,
+  );
+  const equipped = ranked.find((r) => r.id === "__baseline__");
+  const best = ranked.find((r) => r.id !== "__baseline__");
+  const bestItems = configSets[parseInt(best.id.split("_")[1])];
+  const beatsEquipped = best.weighted > equipped.weighted;
+  const chosen = beatsEquipped
+    ? bestItems
+    : Object.fromEntries(
+        owned
+          .filter((item) => item.equipped)
+          .map((item) => [item.slot, { item, simc: itemLine(item) }]),
+      );
+
+  console.log(
+    `\n=== ${beatsEquipped ? "Best Owned Set" : "Best Owned Set: Equipped"} ===`,
+  );
+  for (const slot of GEAR_SLOTS) {
+    const entry = chosen[slot];
+    if (!entry) continue;
+    const changed = entry.item.key !== `eq_${slot}`;
+    const where = entry.item.equipped
+      ? entry.item.slot === slot
+        ? ""
+        : ` (from ${entry.item.slot})`
+      : " (from bags)";
+    console.log(
+      `  ${changed ? "*" : " "} ${slot.padEnd(10)} ${entry.item.name}${entry.item.ilvl ? ` (${entry.item.ilvl})` : ""}${where}`,
+    );
+  }
+
+  const pct = (after, before) =>
+    before ? (((after - before) / before) * 100).toFixed(2) : "0.00";
+  if (beatsEquipped) {
+    console.log(`\nDPS vs equipped:`);
+    for (const scenario of Object.keys(SCENARIOS)) {
+      const key = `dps_${scenario}`;
+      console.log(
+        `  ${SCENARIOS[scenario].name.padEnd(20)} ${Math.round(equipped[key]).toLocaleString().padStart(10)} -> ${Math.round(best[key]).toLocaleString().padStart(10)}  (${pct(best[key], equipped[key])}%)`,
+      );
+    }
+    console.log(
+      `  ${"Weighted".padEnd(20)} ${Math.round(equipped.weighted).toLocaleString().padStart(10)} -> ${Math.round(best.weighted).toLocaleString().padStart(10)}  (${pct(best.weighted, equipped.weighted)}%)`,
+    );
+  } else {
+    console.log(
+      `\nKeep equipped: the best owned set sims ${pct(best.weighted, equipped.weighted)}% weighted against it.`,
+    );
+  }
+
+  const slug = (character.name ?? "character")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_");
+  const outputPath =
+    outIdx >= 0 && args[outIdx + 1]
+      ? resolve(args[outIdx + 1])
+      : resultsFile(`character_${slug}.simc`);
+  writeFileSync(
+    outputPath,
+    characterProfile(
+      character,
+      chosen,
+      `Best owned set from ${exportPath} (${fidelity} fidelity, ${pct(Math.max(best.weighted, equipped.weighted), equipped.weighted)}% weighted vs equipped)`,
+    ),
+  );
+  console.log(`\nProfile written to ${outputPath}`);
+
+  setSessionState("gear_character_import", {
+    character: character.name,
+    export: exportPath,
+    profile: outputPath,
+    equippedWeighted: equipped.weighted,
+    bestWeighted: best.weighted,
+    fidelity,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// --- Upgrade planner: upgrade-plan ---
+
+function withIlevel(line, ilvl) {
+  return /ilevel=\d+/.test(line)
+    ? swapIlevel(line, ilvl)
+    : `${line},ilevel=${ilvl}`;
+}
+
+// Weighted DPS of an item at each ilvl from the trinket chart
+// (gear_ilvl_results), keyed by item id
+function ilvlChartByItemId(gearData) {
+  const rows = getDb()
+    .prepare(
+      "SELECT candidate_id, ilvl, weighted FROM gear_ilvl_results WHERE spec = ?",
+    )
+    .all(getSpecName());
+  const itemIds = new Map(
+    (gearData.paired_slots?.trinkets?.candidates || []).map((c) => [
+      c.id,
+      Number(c.simc_base.match(/,id=(\d+)/)?.[1]),
+    ]),
+  );
+  const out = new Map();
+  for (const r of rows) {
+    const itemId = itemIds.get(r.candidate_id);
+    if (!itemId) continue;
+    if (!out.has(itemId)) out.set(itemId, []);
+    out.get(itemId).push({ ilvl: r.ilvl, value: r.weighted });
+  }
+  return out;
+}
+
+// EP of a candidate item at any ilvl: its stats at the candidate's ilvl,
+// scaled by the approximate stat growth per item level
+function epByItemId(gearData, sf, upgradeTracks) {
+  const growth = 1 + (upgradeTracks?.stat_growth_per_ilvl || 0);
+  const out = new Map();
+  for (const slotData of Object.values(gearData.slots || {})) {
+    for (const c of slotData.candidates || []) {
+      const itemId = Number(c.simc.match(/,id=(\d+)/)?.[1]);
+      const refIlvl = Number(c.simc.match(/ilevel=(\d+)/)?.[1]);
+      if (!itemId || !refIlvl || !c.stats) continue;
+      const ep = scoreEp(c.stats, sf);
+      out.set(itemId, (ilvl) => ep * growth ** (ilvl - refIlvl));
+    }
+  }
+  return out;
+}
+
+async function cmdUpgradePlan(args) {
+  const planPath = args.find((a) => !a.startsWith("--"));
+  if (!planPath || !existsSync(planPath)) {
+    console.error(
+      "Usage: node src/sim/gear.js upgrade-plan <plan.json> [--estimate] [--fidelity X]",
+    );
+    process.exit(1);
+  }
+  const estimate = args.includes("--estimate");
+  const fidelity = parseFidelity(args, "quick");
+  const gearData = loadGearCandidates();
+  const upgradeTracks = gearConfigSection(gearData, "upgrade_tracks");
+  if (!upgradeTracks) {
+    console.error("No upgrade_tracks in gear-config.json. Add them first.");
+    process.exit(1);
+  }
+  const ladders = trackLadders(gearData.ilvl_tiers, upgradeTracks);
+
+  // { export?, items: { slot: "Hero 3/6" | { track, rank, simc } }, budget }
+  const input = JSON.parse(readFileSync(planPath, "utf-8"));
+  const character = input.export
+    ? parseSimcExport(
+        readFileSync(resolve(dirname(planPath), input.export), "utf-8"),
+      )
+    : null;
+  const equipped = new Map((character?.equipped || []).map((i) => [i.slot, i]));
+
+  const items = [];
+  for (const [slot, entry] of Object.entries(input.items || {})) {
+    const trackRank =
+      typeof entry === "string"
+        ? parseTrackRank(entry)
+        : { track: entry.track, rank: entry.rank };
+    const owned = equipped.get(slot);
+    const simc = entry.simc ?? (owned ? itemLine(owned) : null);
+    if (!trackRank || !ladders[trackRank.track] || !simc) {
+      console.warn(`  Skipping ${slot}: needs a known track, rank and item.`);
+      continue;
+    }
+    const { track, rank } = trackRank;
+    const steps = upgradeSteps(track, rank, ladders);
+    if (steps.length === 0) continue;
+    items.push({
+      slot,
+      label: owned?.name ?? simc.split(",")[0],
+      track,
+      rank,
+      ranks: ladders[track].ranks,
+      currentIlvl: ladders[track].ilvls[rank - 1],
+      itemId: Number(simc.match(/,id=(\d+)/)?.[1]),
+      simc,
+      steps,
+    });
+  }
+  if (items.length === 0) {
+    console.log("No upgradable items in the plan file.");
+    return;
+  }
+
+  const stepCount = items.reduce((s, i) => s + i.steps.length, 0);
+  console.log(
+    `\nUpgrade plan: ${items.length} items, ${stepCount} upgrade steps, budget ${Object.entries(
+      input.budget || {},
+    )
+      .map(([c, n]) => `${n} ${c}`)
+      .join(", ")}`,
+  );
+
+  // Value of each item at each rank; gains are differences between ranks
+  const valueAt = new Map();
+  if (estimate) {
+    const sf = getSessionState("gear_scale_factors");
+    const chart = ilvlChartByItemId(gearData);
+    const epItems = sf ? epByItemId(gearData, sf, upgradeTracks) : new Map();
+    for (const item of items) {
+      const points = chart.get(item.itemId);
+      const ep = epItems.get(item.itemId);
+      if (points) {
+        valueAt.set(item.slot, (ilvl) => interpolateIlvl(points, ilvl));
+      } else if (ep) {
+        valueAt.set(item.slot, ep);
+      } else {
+        console.warn(
+          `  No estimate for ${item.label} (${item.slot}): not on the trinket chart or without stats/scale factors. Run without --estimate to sim it.`,
+        );
+      }
+    }
+  } else {
+    const variants = items.flatMap((item) =>
+      [item.currentIlvl, ...item.steps.map((s) => s.ilvl)].map((ilvl) => ({
+        name: `${item.slot}_ilvl${ilvl}`,
+        overrides: [withIlevel(item.simc, ilvl)],
+      })),
+    );
+    const builds = character?.talents
+      ? [{ hash: character.talents }]
+      : getRepresentativeBuilds();
+    console.log(
+      `Simming ${variants.length} item ilvls across ${builds.length} build(s) (${fidelity} fidelity)...`,
+    );
+    const results = await runBuildScenarioSims(
+      variants,
+      builds,
+      getBaseProfile(gearData),
+      fidelity,
+      "gear_upgrade_plan",
+      { extraBaseOverrides: character ? equippedOverrides(character) : [] },
+    );
+    const ranked = aggregateGearResults(results, variants, builds);
+    const weighted = new Map(ranked.map((r) => [r.id, r.weighted]));
+    for (const item of items) {
+      valueAt.set(item.slot, (ilvl) =>
+        weighted.get(`${item.slot}_ilvl${ilvl}`),
+      );
+    }
+  }
+
+  const planned = items
+    .filter((item) => valueAt.has(item.slot))
+    .map((item) => {
+      const value = valueAt.get(item.slot);
+      return {
+        ...item,
+        steps: item.steps.map((s) => ({
+          ...s,
+          gain: value(s.ilvl) - value(s.fromIlvl),
+        })),
+      };
+    });
+  const result = planUpgrades(planned, input.budget || {});
+
+  console.log(
+    `\n=== Upgrade Order (${estimate ? "estimated" : `${fidelity} sims`}) ===`,
+  );
+  const tracks = Object.fromEntries(planned.map((i) => [i.slot, i]));
+  for (const line of formatPlan(result, tracks)) console.log(line);
+
+  setSessionState("gear_upgrade_plan", {
+    plan: result.plan,
+    gain: result.gain,
+    spent: result.spent,
+    left: result.left,
+    estimate,
+    fidelity,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// --- Loot-source value: loot-value ---
+
+// Every non-tier candidate once, with the slots it fits, its drop sources and
+// the ilvl gear-candidates.json lists it at
+function lootItems(gearData) {
+  const byId = new Map();
+  const add = (c, simc, slots) => {
+    const itemId = Number(simc.match(/,id=(\d+)/)?.[1]);
+    if (!itemId) return;
+    const entry = byId.get(itemId) ?? {
+      itemId,
+      label: c.label.replace(/ \(OH\)$/, ""),
+      slots: [],
+      sources: c.sources || [],
+      uniqueEquipped: Boolean(c.uniqueEquipped),
+      ilvl: Number(simc.match(/ilevel=(\d+)/)?.[1]) || null,
+    };
+    for (const slot of slots) {
+      if (!entry.slots.includes(slot)) entry.slots.push(slot);
+    }
+    byId.set(itemId, entry);
+  };
+  const trinkets = gearData.paired_slots?.trinkets;
+  for (const c of trinkets?.candidates || []) {
+    add(c, c.simc_base, trinkets.slots);
+  }
+  for (const [slot, slotData] of Object.entries(gearData.slots || {})) {
+    for (const c of slotData.candidates || []) add(c, c.simc, [slot]);
+  }
+  return [...byId.values()];
+}
+
+function cmdLootValue(args) {
+  const gearData = loadGearCandidates();
+  const loot = gearConfigSection(gearData, "loot");
+  if (!loot) {
+    console.error("No loot section in gear-config.json. Add it first.");
+    process.exit(1);
+  }
+  const ilvlIdx = args.indexOf("--ilvl");
+  const dropIlvl = ilvlIdx >= 0 ? Number(args[ilvlIdx + 1]) : null;
+
+  // Current gear: the given export, else the last imported character, else
+  // the spec profile
+  const exportArg = args.find(
+    (a, i) => !a.startsWith("--") && args[i - 1] !== "--ilvl",
+  );
+  const gearPath =
+    exportArg ??
+    getSessionState("gear_character_import")?.export ??
+    getGearTarget(gearData);
+  if (!existsSync(gearPath)) {
+    console.error(`Gear not found: ${gearPath}`);
+    process.exit(1);
+  }
+  const character = parseSimcExport(readFileSync(gearPath, "utf-8"));
+
+  const items = lootItems(gearData);
+  if (!items.some((i) => i.sources.length > 0)) {
+    console.error(
+      "No drop sources in gear-candidates.json. Run gear:fetch-candidates to refresh it.",
+    );
+    process.exit(1);
+  }
+
+  // Value at an ilvl. Trinkets compare on the trinket chart (sims with the
+  // trinket alone); other slots on EP. Chart values are total DPS, so they
+  // never mix with EP
+  const sf = getSessionState("gear_scale_factors");
+  if (!sf) {
+    console.warn(
+      "No scale factors (run gear:scale-factors): only trinkets on the trinket chart are valued.",
+    );
+  }
+  const chart = ilvlChartByItemId(gearData);
+  const epItems = sf
+    ? epByItemId(gearData, sf, gearConfigSection(gearData, "upgrade_tracks"))
+    : new Map();
+  const trinketSlots = new Set(gearData.paired_slots?.trinkets?.slots || []);
+  const valueAt = (itemId, ilvl, slot) => {
+    if (trinketSlots.has(slot)) {
+      const points = chart.get(itemId);
+      return points ? interpolateIlvl(points, ilvl) : null;
+    }
+    return epItems.get(itemId)?.(ilvl) ?? null;
+  };
+
+  const lootSlots = new Set(items.flatMap((i) => i.slots));
+  const current = {};
+  const unvalued = [];
+  for (const slot of lootSlots) {
+    const worn = character.equipped.find((i) => i.slot === slot);
+    const value = worn ? valueAt(worn.id, worn.ilvl, slot) : null;
+    if (value == null) unvalued.push(slot);
+    current[slot] = { itemId: worn?.id ?? null, value };
+  }
+
+  // Bosses and chests drop at --ilvl; the vault at loot.vault_ilvl
+  const gainsAt = (ilvl) =>
+    itemGains(items, current, (itemId) => {
+      const item = items.find((i) => i.itemId === itemId);
+      return valueAt(itemId, ilvl ?? item.ilvl, item.slots[0]);
+    });
+  const vaultIlvl = loot.vault_ilvl ?? dropIlvl;
+  const ranked = rankSources(lootTables(items), gainsAt(dropIlvl), {
+    raidChance: loot.raid_boss_chance,
+    mplusChance: loot.mplus_chest_chance,
+    vaultChoices: loot.vault_choices,
+    vaultGains: gainsAt(vaultIlvl),
+  });
+
+  const labels = new Map(items.map((i) => [i.itemId, i.label]));
+  const print = (title, rows, what) => {
+    console.log(`\n=== ${title} ===`);
+    if (rows.length === 0) {
+      console.log("  No valued loot.");
+      return;
+    }
+    console.log(
+      `${"Rank".padStart(4)}  ${"Source".padEnd(32)} ${"Exp. DPS".padStart(9)} ${what.padStart(9)}  Best upgrade`,
+    );
+    rows.forEach((r, i) => {
+      const best = r.best
+        ? `${labels.get(r.best.itemId)} (+${Math.round(r.best.gain).toLocaleString()})`
+        : "—";
+      console.log(
+        `${String(i + 1).padStart(4)}  ${r.name.padEnd(32)} ${Math.round(r.expected).toLocaleString().padStart(9)} ${`${(r.upgradeChance * 100).toFixed(0)}%`.padStart(9)}  ${best}`,
+      );
+    });
+  };
+  console.log(
+    `\nLoot value for ${character.name ?? gearPath} (drops at ${dropIlvl ?? "listed ilvl"}, vault at ${vaultIlvl ?? "listed ilvl"})`,
+  );
+  if (unvalued.length > 0) {
+    console.log(
+      `Not valued (slot empty or current item unknown): ${unvalued.join(", ")}`,
+    );
+  }
+  print("Raid Bosses (per kill)", ranked.raid, "Upgrade");
+  print("Mythic+ Dungeons (per chest)", ranked.dungeons, "Upgrade");
+  print(
+    `Great Vault (${loot.vault_choices} choices at ${vaultIlvl ?? "listed ilvl"})`,
+    ranked.vault,
+    "Upgrade",
+  );
+
+  const named = (rows) =>
+    rows.map((r) => ({
+      ...r,
+      best: r.best && { ...r.best, label: labels.get(r.best.itemId) },
+    }));
+  setSessionState("gear_loot_value", {
+    character: character.name ?? null,
+    gearPath,
+    dropIlvl,
+    vaultIlvl,
+    loot,
+    unvalued,
+    raid: named(ranked.raid),
+    dungeons: named(ranked.dungeons),
+    vault: named(ranked.vault),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// --- Shared gear across builds: shared-gear ---
+
+// Roster builds to optimize for: --builds <hash prefix|name>[:weight],...
+// or the whole roster at weight 1
+function selectSharedBuilds(args) {
+  const roster = getRosterBuilds();
+  if (roster.length === 0) {
+    console.error("No roster builds found. Run: npm run roster generate");
+    process.exit(1);
+  }
+  const idx = args.indexOf("--builds");
+  if (idx === -1) return roster.map((build) => ({ build, weight: 1 }));
+  return (args[idx + 1] || "").split(",").map((entry) => {
+    const [name, weightArg] = entry.split(":");
+    const build = roster.find(
+      (b) => b.hash.startsWith(name) || b.displayName === name,
+    );
+    if (!build) {
+      console.error(`Build not in roster: ${name}`);
+      process.exit(1);
+    }
+    const weight = weightArg === undefined ? 1 : Number(weightArg);
+    if (!(weight > 0)) {
+      console.error(`Invalid weight for ${name}: ${weightArg}`);
+      process.exit(1);
+    }
+    return { build, weight };
+  });
+}
+
+// Variant name <-> shared-gear.js component key
+const sharedVariantName = (kind, slot, id) =>
+  kind === "emb" ? `emb__${id}` : `${kind}__${slot}__${id}`;
+function sharedComponentKey(name) {
+  const [kind, ...rest] = name.split("__");
+  if (kind === "emb") return `emb:${rest.join("__")}`;
+  return `${kind}:${rest[0]}:${rest.slice(1).join("__")}`;
+}
+
+async function cmdSharedGear(args) {
+  const fidelity = parseFidelity(args, "quick");
+  const gearData = loadGearCandidates();
+  const sf = getSessionState("gear_scale_factors");
+  if (!sf) {
+    console.error(
+      "Scale factors not found. Run: node src/sim/gear.js scale-factors",
+    );
+    process.exit(1);
+  }
+  const input = collectSolverInput(gearData, sf);
+  if (!input) {
+    console.error("No tier configuration. Cannot run solver.");
+    process.exit(1);
+  }
+  // Effect items without a SimC line can't be re-simmed per build
+  for (const [slot, list] of Object.entries(input.effectItemResults)) {
+    input.effectItemResults[slot] = list.filter((c) => c.simc);
+  }
+  if (input.embellishmentResults.length === 0) {
+    console.error(
+      "No embellishment results. Run the pipeline through Phase 2.",
+    );
+    process.exit(1);
+  }
+  logSolverInput(input);
+
+  const thresholdIdx = args.indexOf("--swap-threshold");
+  const swapPct = thresholdIdx >= 0 ? Number(args[thresholdIdx + 1]) : 0.5;
+  const depthIdx = args.indexOf("--stick-depth");
+  const stickDepth = depthIdx >= 0 ? Number(args[depthIdx + 1]) : 3;
+  const selected = selectSharedBuilds(args);
+  const builds = selected.map((s) => s.build);
+
+  // Embellishment options and effect items are simmed per build. Stat sticks
+  // and tier alternatives are valued by EP (scale factors aren't per build),
+  // so the top --stick-depth of each slot are simmed per build as well
+  const epGroups = epComponentGroups(input, stickDepth);
+  const variants = [
+    ...input.embellishmentResults.map((e) => ({
+      name: sharedVariantName("emb", null, e.candidateId),
+      overrides: Object.values(e.slotSimc),
+    })),
+    ...Object.entries(input.effectItemResults).flatMap(([slot, list]) =>
+      list.map((c) => ({
+        name: sharedVariantName("effect", slot, c.candidateId),
+        overrides: [c.simc],
+      })),
+    ),
+    ...epGroups.flatMap(({ slot, simmed }) =>
+      simmed.map((c) => ({
+        name: sharedVariantName(c.kind, slot, c.id),
+        overrides: [c.simc],
+      })),
+    ),
+  ];
+  const scenarioCount = Object.keys(SCENARIOS).length;
+  console.log(
+    `\nShared gear: ${variants.length} components x ${builds.length} builds x ${scenarioCount} scenarios (${fidelity} fidelity)`,
+  );
+  const results = await runBuildScenarioSims(
+    variants,
+    builds,
+    getBaseProfile(gearData),
+    fidelity,
+    "gear_shared",
+  );
+
+  // Per build: component DPS over that build's baseline
+  const epValues = componentValues(input);
+  const meta = variants.map((v) => ({ id: v.name, label: v.name }));
+  const perBuild = selected.map(({ build, weight }) => {
+    const ranked = aggregateGearResults(
+      results.filter((r) => r.build === build),
+      meta,
+      [build],
+    );
+    const baseline = ranked.find((r) => r.id === "__baseline__")?.weighted ?? 0;
+    const simDelta = new Map(
+      ranked
+        .filter((r) => r.id !== "__baseline__")
+        .map((r) => [sharedComponentKey(r.id), r.weighted - baseline]),
+    );
+    const values = new Map(epValues);
+    for (const [key, delta] of simDelta) {
+      if (key.startsWith("emb:") || key.startsWith("effect:")) {
+        values.set(key, delta);
+      }
+    }
+    const epOnly = applyEpSims(values, epGroups, simDelta);
+    return {
+      id: build.hash.slice(0, 8),
+      label: build.displayName || build.hash.slice(0, 8),
+      weight,
+      values,
+      epOnly,
+      baseline,
+      minGain: (swapPct / 100) * baseline,
+    };
+  });
+
+  const plan = sharedGearPlan(input, perBuild);
+  if (!plan) {
+    console.error("Solver produced zero valid configurations. Check inputs.");
+    process.exit(1);
+  }
+
+  const { shared } = plan;
+  console.log(
+    `\n=== Shared Set (${builds.length} builds) ===\n  Emb: ${shared.embConfig}, tier skip: ${shared.tierSkip}`,
+  );
+  for (const [slot, entry] of Object.entries(shared.slots)) {
+    if (entry.isTier || entry.id === "__placeholder__") continue;
+    console.log(`  ${slot.padEnd(10)} ${entry.id}`);
+  }
+
+  const pct = (dps, baseline) =>
+    baseline ? `${((dps / baseline) * 100).toFixed(2)}%` : "—";
+  const byId = new Map(perBuild.map((b) => [b.id, b]));
+  console.log(
+    `\n=== Regret vs Own BiS ===\n${"Build".padEnd(32)} ${"Weight".padStart(6)} ${"Regret".padStart(9)} ${"%".padStart(7)}`,
+  );
+  for (const b of plan.builds) {
+    const { baseline } = byId.get(b.id);
+    console.log(
+      `${b.label.padEnd(32)} ${String(b.weight).padStart(6)} ${Math.round(
+        b.regret ?? 0,
+      )
+        .toLocaleString()
+        .padStart(9)} ${pct(b.regret ?? 0, baseline).padStart(7)}`,
+    );
+  }
+  console.log(
+    `Weighted regret: ${Math.round(plan.weightedRegret).toLocaleString()} DPS`,
+  );
+
+  // Components left on EP are valued alike for every build: regret and swap
+  // pieces can't see the builds disagree on them
+  console.log(
+    `\n=== Not Evaluated Per Build (EP only, components per slot) ===`,
+  );
+  for (const b of perBuild) {
+    const slots = Object.entries(b.epOnly);
+    console.log(
+      `  ${b.label.padEnd(30)} ${slots.length ? slots.map(([slot, n]) => `${slot} (${n})`).join(", ") : "none"}`,
+    );
+  }
+
+  const carried = plan.swaps.filter((s) => s.carry);
+  console.log(`\n=== Swap Pieces Worth Carrying (≥ ${swapPct}% DPS) ===`);
+  if (carried.length === 0) console.log("  None.");
+  for (const s of carried) {
+    const b = byId.get(s.build);
+    console.log(
+      `  ${s.slot.padEnd(10)} ${s.swap} for ${b.label}: +${Math.round(s.gain).toLocaleString()} DPS (${pct(s.gain, b.baseline)}) over ${s.current}`,
+    );
+  }
+
+  setSessionState("gear_shared_set", {
+    fidelity,
+    swapThresholdPct: swapPct,
+    stickDepth,
+    builds: plan.builds.map(({ bis, ...b }) => ({
+      ...b,
+      baseline: byId.get(b.id).baseline,
+      epOnly: byId.get(b.id).epOnly,
+      bisEmbConfig: bis?.embConfig ?? null,
+      bisTierSkip: bis?.tierSkip ?? null,
+    })),
+    shared: {
+      embConfig: shared.embConfig,
+      tierSkip: shared.tierSkip,
+      score: shared.score,
+      slots: Object.fromEntries(
+        Object.entries(shared.slots).map(([slot, e]) => [slot, e.id]),
+      ),
+    },
+    weightedRegret: plan.weightedRegret,
+    swaps: plan.swaps,
+    timestamp: new Date().toISOString(),
+  });
+}
+
 // --- CLI dispatch ---
 
 await initSpec(parseSpecArg());
@@ -4896,6 +5717,7 @@ const filteredArgv = argv.filter(
   (a, i) => a !== "--spec" && argv[i - 1] !== "--spec",
 );
 const [cmd, ...cleanArgs] = filteredArgv;
+if (cleanArgs.includes("--no-cache")) disableSimCache();
 
 switch (cmd) {
   case "tier-config":
@@ -4962,6 +5784,18 @@ switch (cmd) {
   case "trinket-chart":
     await cmdTrinketChart(cleanArgs);
     break;
+  case "import-character":
+    await cmdImportCharacter(cleanArgs);
+    break;
+  case "upgrade-plan":
+    await cmdUpgradePlan(cleanArgs);
+    break;
+  case "loot-value":
+    cmdLootValue(cleanArgs);
+    break;
+  case "shared-gear":
+    await cmdSharedGear(cleanArgs);
+    break;
   default:
     console.log(`Usage: node src/sim/gear.js <command> [options]
 
@@ -4984,6 +5818,10 @@ Commands:
   write-profile   Write best gear from pipeline back to profile.simc
   screen          Screen individual slot candidates (diagnostic)
   trinket-chart   Sim all trinkets at multiple ilvl tiers for chart visualization
+  import-character <export.txt>  Best set from a SimC addon export's owned gear
+  upgrade-plan <plan.json>       Order crest upgrades by DPS per crest (--estimate: no sims)
+  loot-value [export.txt]        Rank raid bosses, dungeons and vault rows by expected DPS gain
+  shared-gear                    One gear set for several roster builds (--builds hash[:weight],...)
 
 Options:
   --spec X        Spec name (or SPEC env var)
@@ -4991,6 +5829,10 @@ Options:
   --fidelity X    quick|standard|confirm
   --through X     Stop after phase (for 'run' command)
   --type X        Combination type (trinkets|rings|embellishments)
+  --no-cache      Always run SimC, ignoring cached results
+  --output X      Profile path for import-character
+  --builds X      Roster builds for shared-gear: hash prefix or name, :weight optional
+  --swap-threshold X  Min swap gain for shared-gear, % of the build's DPS (default 0.5)
 `);
     break;
 }
@@ -5,9 +5,17 @@
 // Subcommands:
 //   init <apl.simc>              Initialize iteration state with baseline
 //   status                       Print current iteration state
-//   compare <candidate.simc>     Screen→standard staged comparison (--quick|--confirm)
+//   compare <candidate.simc>     apl-lint, then screen→standard staged comparison (--quick|--confirm),
+//                                or --sequential: pooled short batches until a confident verdict,
+//                                or --paired: matched-seed chunks, paired vs unpaired error
+//                                Specs with a "survivability" config also report HPS/DTPS/TMI/
+//                                death rate/buff uptimes and flag guardrail failures
+//   sweep <list/ability/subject> Quick→confirm profileset sweep of one numeric threshold
+//                                (roster comparison per value in multi-build mode)
 //   accept "reason"              Adopt candidate as new baseline
 //   reject "reason"              Log rejection and move on
+//   replay [iteration-id]        Rebuild an accepted APL from baseline.simc + its mutation chain
+//   revert-mutation <link-id>    Drop one mutation from the current chain → candidate.simc
 //   hypotheses                   Generate improvement hypotheses
 //   unify                        Merge all sources, consensus detection, mutation inference
 //   summary                      Generate iteration report
@@ -24,24 +32,54 @@ import {
 } from "node:fs";
 import { join, dirname, basename, resolve, relative } from "node:path";
 import { cpus } from "node:os";
-import { getSimCores, isRemoteActive } from "./remote.js";
+import { getSimCores, isRemoteBackendActive } from "./backends.js";
 import { runWorkflow } from "./workflow.js";
 import {
   SCENARIOS,
   SCENARIO_WEIGHTS,
   SIM_DEFAULTS,
+  runSimAsync,
   runMultiActorAsync,
+  disableSimCache,
 } from "./runner.js";
 import {
   getSpecAdapter,
   loadSpecAdapter,
   initSpec,
   FIDELITY_TIERS,
+  SEQUENTIAL,
+  PAIRED,
+  BREAKDOWN,
   checkSync,
+  config,
 } from "../engine/startup.js";
+import { sequentialDecision, pooledEstimate } from "./sequential.js";
+import { pairedStats, varianceReduction } from "./paired.js";
+import {
+  survivabilityConfig,
+  profilesetMetricOption,
+  summarizeSurvival,
+  combineSurvival,
+  classifyTradeoff,
+  paretoFrontier,
+  metricInfo,
+  formatChange,
+} from "./survivability.js";
+import { describeScenario } from "./scenario-builder.js";
+import { combineRuns, summarizeBreakdown } from "./breakdown-delta.js";
+import {
+  comparisonDeltas,
+  comparisonRobustness,
+  rankingRobustness,
+  formatComparisonRobustness,
+  formatRankingRobustness,
+} from "./weight-robustness.js";
 import { parseSpecArg } from "../util/parse-spec-arg.js";
 import { loadRoster, updateDps, saveRosterDps } from "./build-roster.js";
-import { generateMultiActorContent } from "./multi-actor.js";
+import {
+  generateMultiActorContent,
+  emitTalentOverrides,
+} from "./multi-actor.js";
 import {
   generateProfileset,
   runProfileset,
@@ -65,6 +103,21 @@ import {
   validateMutation,
 } from "../apl/mutator.js";
 import { parse } from "../apl/parser.js";
+import { lintFile, formatLintResult } from "../apl/lint.js";
+import { diffFiles, formatDiffMarkdown } from "../apl/diff.js";
+import {
+  locateThreshold,
+  applyThreshold,
+  sweepValues,
+} from "../apl/threshold-sweep.js";
+import {
+  mutationLink,
+  replayChain,
+  extendChain,
+  initialChain,
+  removeLink,
+  formatChain,
+} from "../apl/mutation-chain.js";
 import {
   synthesize as synthesizeHypotheses,
   saveSpecialistOutput,
@@ -77,6 +130,7 @@ import {
   getHypotheses as dbGetHypotheses,
   popNextHypothesis as dbPopNextHypothesis,
   getIterations as dbGetIterations,
+  getIteration as dbGetIteration,
   setSessionState,
   getSessionState,
   getAllSessionState,
@@ -114,11 +168,14 @@ import {
   ensureSpecDirs,
   getSpecName,
 } from "../engine/paths.js";
-import { randomUUID, createHash } from "node:crypto";
+import { randomUUID, createHash, randomInt } from "node:crypto";
 import { Worker } from "node:worker_threads";
 
 await initSpec(parseSpecArg());
 
+// Per-spec survivability objective and guardrails; null when not configured
+const SURVIVABILITY = survivabilityConfig(config.survivability);
+
 const RESULTS_DIR = resultsDir();
 // Iteration working copy — created by `init`, updated by `accept`.
 const CURRENT_APL = join(aplsDir(), "current.simc");
@@ -464,6 +521,10 @@ function recordIteration(state, comparison, reason, hypothesisHint, decision) {
     );
   }
 
+  const survival = survivalSummary(comparison);
+  if (survival) iterEntry.survivability = survival;
+  if (comparison.breakdown) iterEntry.breakdown = comparison.breakdown;
+
   state.iterations.push(iterEntry);
 
   return { iterNum, hypothesis };
@@ -498,9 +559,21 @@ function buildProfilesetContent(candidatePath) {
   ].join("\n");
 }
 
-async function runComparison(candidatePath, tier = "standard") {
-  const tierConfig = FIDELITY_TIERS[tier] || FIDELITY_TIERS.standard;
+// simOverrides replaces the tier's sim settings (sequential batches run a
+// fixed iteration count); save=false skips comparison_latest.json.
+// survival=false skips the survivability metrics (see survivalOverrides).
+async function runComparison(
+  candidatePath,
+  tier = "standard",
+  { simOverrides = null, save = true, survival = true } = {},
+) {
+  const tierConfig = survivalOverrides(
+    simOverrides || FIDELITY_TIERS[tier] || FIDELITY_TIERS.standard,
+    survival,
+  );
   const simcContent = buildProfilesetContent(candidatePath);
+  // The candidate is only a profileset here, so buff uptimes need a full sim
+  const buffSims = survival && SURVIVABILITY?.buffs.length > 0;
 
   // Parallel: each scenario gets cores/N threads
   const totalCores = isLocalTier(tierConfig) ? cpus().length : getSimCores();
@@ -510,9 +583,16 @@ async function runComparison(candidatePath, tier = "standard") {
   );
 
   const scenarioPromises = SCENARIO_KEYS.map((scenario) =>
-    runProfilesetAsync(simcContent, scenario, "comparison", {
-      simOverrides: { ...tierConfig, threads: threadsPerSim },
-    }).then((pResults) => {
+    Promise.all([
+      runProfilesetAsync(simcContent, scenario, "comparison", {
+        simOverrides: { ...tierConfig, threads: threadsPerSim },
+      }),
+      buffSims
+        ? runSimAsync(candidatePath, scenario, {
+            simOverrides: { ...tierConfig, threads: threadsPerSim },
+          })
+        : null,
+    ]).then(([pResults, candidateSim]) => {
       const baselineDPS = pResults.baseline.dps;
       const candidateVariant = pResults.variants.find(
         (v) => v.name === "candidate",
@@ -536,22 +616,31 @@ async function runComparison(candidatePath, tier = "standard") {
       const stderrPct = (stderr / baselineDPS) * 100;
       const significant = Math.abs(deltaPct) > 2 * stderrPct;
 
-      return [
-        scenario,
-        {
-          current: Math.round(baselineDPS),
-          candidate: Math.round(candidateDPS),
-          delta: Math.round(delta),
-          deltaPct: +deltaPct.toFixed(3),
-          stderrPct: +stderrPct.toFixed(3),
-          significant,
-        },
-      ];
+      const row = {
+        current: Math.round(baselineDPS),
+        candidate: Math.round(candidateDPS),
+        delta: Math.round(delta),
+        deltaPct: +deltaPct.toFixed(3),
+        stderrPct: +stderrPct.toFixed(3),
+        significant,
+      };
+      if (tierConfig.profileset_metric) {
+        row.survival = {
+          current: { ...pResults.baseline.survival, dps: baselineDPS },
+          candidate: {
+            ...candidateVariant?.survival,
+            buffs: candidateSim?.survival?.buffs,
+            dps: candidateDPS,
+          },
+        };
+      }
+      return [scenario, row];
     }),
   );
 
   const entries = await Promise.all(scenarioPromises);
   const results = Object.fromEntries(entries);
+  if (!save) return results;
 
   // Save comparison with candidate path
   const comparisonPath = resultsFile("comparison_latest.json");
@@ -573,7 +662,7 @@ async function runComparison(candidatePath, tier = "standard") {
 }
 
 function printComparison(results, tier) {
-  const tierLabel = `${tier}, target_error=${FIDELITY_TIERS[tier]?.target_error ?? "?"}`;
+  const tierLabel = formatTierLabel(tier);
   console.log(`\nComparison Results (${tierLabel}):`);
   console.log(
     `${"Scenario".padEnd(12)} ${"Current".padStart(12)} ${"Candidate".padStart(12)} ${"Delta".padStart(10)} ${"% Change".padStart(10)} ${"StdErr".padStart(10)} ${"Significant?".padStart(14)}`,
@@ -602,6 +691,724 @@ function printComparison(results, tier) {
   console.log(
     `${"Weighted".padEnd(12)} ${"".padStart(12)} ${"".padStart(12)} ${"".padStart(10)} ${signedPct(weightedDelta).padStart(10)} ${("±" + weightedStderr.toFixed(3) + "%").padStart(10)} ${(weightedSig ? "YES" : "NO").padStart(14)}`,
   );
+  printScenarioLegend((s) => SCENARIO_LABELS[s]);
+  printWeightRobustness({ results });
+
+  printSurvival(survivalSummary({ results }));
+}
+
+// What each scenario column simulated, under the label the table used
+function printScenarioLegend(labelOf) {
+  const width = Math.max(...SCENARIO_KEYS.map((s) => labelOf(s).length));
+  console.log("\nScenarios:");
+  for (const s of SCENARIO_KEYS) {
+    console.log(
+      `  ${labelOf(s).padEnd(width)}  ${describeScenario(SCENARIOS[s])}`,
+    );
+  }
+}
+
+// Whether the verdict survives other scenario weights (weight-robustness.js)
+function printWeightRobustness(comparison) {
+  const { deltas, builds } = comparisonDeltas(comparison);
+  const r = comparisonRobustness(deltas, SCENARIO_WEIGHTS);
+  console.log("\nWeight robustness:");
+  for (const line of formatComparisonRobustness(r, SCENARIO_LABELS, builds)) {
+    console.log(`  ${line}`);
+  }
+}
+
+// --- Survivability ---
+
+// Adds the spec's survivability metrics to profileset runs. Sequential and
+// paired batches opt out: they pool DPS samples only.
+function survivalOverrides(tierConfig, survival = true) {
+  if (!survival || !SURVIVABILITY) return tierConfig;
+  return {
+    ...tierConfig,
+    profileset_metric: profilesetMetricOption(SURVIVABILITY),
+  };
+}
+
+function survivalRows(scenarios = {}) {
+  const rows = Object.fromEntries(
+    Object.entries(scenarios)
+      .filter(([, r]) => r.survival)
+      .map(([scenario, r]) => [scenario, r.survival]),
+  );
+  return Object.keys(rows).length > 0 ? rows : null;
+}
+
+// Weighted metric changes and guardrail violations of a saved comparison;
+// null when the spec tracks nothing or the comparison has no survival data
+function survivalSummary(comparison) {
+  if (!SURVIVABILITY) return null;
+  if (comparison.multiBuild) {
+    const byBuild = {};
+    for (const [buildId, br] of Object.entries(comparison.buildResults)) {
+      const rows = survivalRows(br.scenarios);
+      if (rows) {
+        byBuild[buildId] = summarizeSurvival(
+          rows,
+          SCENARIO_WEIGHTS,
+          SURVIVABILITY,
+        );
+      }
+    }
+    return Object.keys(byBuild).length > 0 ? combineSurvival(byBuild) : null;
+  }
+  const rows = survivalRows(comparison.results);
+  return rows && summarizeSurvival(rows, SCENARIO_WEIGHTS, SURVIVABILITY);
+}
+
+function formatViolation(v) {
+  const { label, unit } = metricInfo(v.metric);
+  const where = v.build ? ` on ${v.build}` : "";
+  return `${label} ${formatChange(v.metric, v.change)} (limit ${v.limit}${unit === "%" ? "%" : "pt"})${where}`;
+}
+
+function printSurvival(summary) {
+  if (!summary) return;
+  const { changes, violations } = summary;
+  const flagged = new Set(violations.map((v) => v.metric));
+  console.log("\nSurvivability (weighted change vs current):");
+  for (const [key, change] of Object.entries(changes)) {
+    const guard = SURVIVABILITY.guardrails[key];
+    const status =
+      guard === undefined ? "" : flagged.has(key) ? "  GUARDRAIL FAIL" : "  ok";
+    console.log(
+      `  ${metricInfo(key).label.padEnd(24)} ${formatChange(key, change).padStart(10)}${status}`,
+    );
+  }
+  console.log(`Trade-off: ${classifyTradeoff(changes)}`);
+  if (violations.length > 0) {
+    console.log(
+      `FLAGGED: ${violations.length} guardrail violation(s) — ${violations.map(formatViolation).join("; ")}`,
+    );
+  }
+}
+
+// --- Sequential Comparison ---
+
+// Batches of SEQUENTIAL.batchIterations with target_error disabled, pooled
+// until sequentialDecision() stops. Per-scenario deltas are averaged across
+// batches, so the pooled weighted delta equals the mean of the batch samples.
+async function runSequentialComparison(candidatePath, roster = null) {
+  const cfg = {
+    batchIterations: 1000,
+    minBatches: 3,
+    maxBatches: 12,
+    equivalenceMargin: 0.1,
+    confidence: 0.95,
+    ...SEQUENTIAL,
+  };
+  // Every batch has the same inputs; cache=false keeps them independent draws
+  const simOverrides = {
+    target_error: 0,
+    iterations: cfg.batchIterations,
+    cache: false,
+  };
+
+  const batches = [];
+  const samples = [];
+  let decision;
+  do {
+    const batch = roster
+      ? await runMultiBuildComparison(candidatePath, roster, "sequential", {
+          simOverrides,
+          save: false,
+          survival: false,
+        })
+      : await runComparison(candidatePath, "sequential", {
+          simOverrides,
+          save: false,
+          survival: false,
+        });
+    batches.push(batch);
+    samples.push(
+      roster ? batch.aggregate.meanWeighted : computeWeightedDelta(batch).delta,
+    );
+    decision = sequentialDecision(samples, {
+      margin: cfg.equivalenceMargin,
+      confidence: cfg.confidence,
+      minBatches: cfg.minBatches,
+      maxBatches: cfg.maxBatches,
+    });
+    const odds =
+      samples.length < 2
+        ? ""
+        : `  P(better)=${decision.pBetter.toFixed(3)} P(worse)=${decision.pWorse.toFixed(3)} P(±${cfg.equivalenceMargin}%)=${decision.pEquivalent.toFixed(3)}`;
+    console.log(
+      `  Batch ${samples.length}/${cfg.maxBatches}: ${signedPct(samples.at(-1))}  pooled ${signedPct(decision.mean)}${samples.length < 2 ? "" : ` ±${decision.stderr.toFixed(3)}%`}${odds}`,
+    );
+  } while (decision.decision === "continue");
+
+  const actorsPerSim = roster ? roster.builds.length : 1;
+  const sequential = {
+    decision: decision.decision,
+    mean: +decision.mean.toFixed(3),
+    stderr: +decision.stderr.toFixed(3),
+    pBetter: +decision.pBetter.toFixed(4),
+    pWorse: +decision.pWorse.toFixed(4),
+    pEquivalent: +decision.pEquivalent.toFixed(4),
+    margin: cfg.equivalenceMargin,
+    confidence: cfg.confidence,
+    batches: samples.length,
+    batchIterations: cfg.batchIterations,
+    samples,
+    // Per actor, summed over scenarios and both APLs
+    totalIterations:
+      samples.length *
+      cfg.batchIterations *
+      SCENARIO_KEYS.length *
+      2 *
+      actorsPerSim,
+  };
+
+  const pooled = roster
+    ? poolMultiBuildBatches(batches)
+    : { results: poolScenarioResults(batches) };
+  const comparison = {
+    ...pooled,
+    tier: "sequential",
+    candidatePath: resolve(candidatePath),
+    sequential,
+    timestamp: new Date().toISOString(),
+  };
+  writeFileSync(
+    resultsFile("comparison_latest.json"),
+    JSON.stringify(comparison, null, 2),
+  );
+  return comparison;
+}
+
+// Mean of each scenario's numbers across single-build batches; stderr and
+// significance come from the batch-to-batch spread
+function poolScenarioResults(batches) {
+  const results = {};
+  for (const scenario of SCENARIO_KEYS) {
+    const rows = batches.map((b) => b[scenario]).filter(Boolean);
+    if (rows.length === 0) continue;
+    const mean = (key) => rows.reduce((s, r) => s + r[key], 0) / rows.length;
+    const { stderr } = pooledEstimate(rows.map((r) => r.deltaPct));
+    const deltaPct = mean("deltaPct");
+    const stderrPct = Number.isNaN(stderr) ? rows[0].stderrPct : stderr;
+    results[scenario] = {
+      current: Math.round(mean("current")),
+      candidate: Math.round(mean("candidate")),
+      delta: Math.round(mean("delta")),
+      deltaPct: +deltaPct.toFixed(3),
+      stderrPct: +stderrPct.toFixed(3),
+      significant: Math.abs(deltaPct) > 2 * stderrPct,
+    };
+  }
+  return results;
+}
+
+function poolMultiBuildBatches(batches) {
+  const [first] = batches;
+  const buildResults = {};
+  for (const [buildId, br] of Object.entries(first.buildResults)) {
+    buildResults[buildId] = {
+      heroTree: br.heroTree,
+      archetype: br.archetype,
+      scenarios: {},
+    };
+    for (const scenario of SCENARIO_KEYS) {
+      const rows = batches.map(
+        (b) => b.buildResults[buildId].scenarios[scenario],
+      );
+      const mean = (key) => rows.reduce((s, r) => s + r[key], 0) / rows.length;
+      buildResults[buildId].scenarios[scenario] = {
+        current: Math.round(mean("current")),
+        candidate: Math.round(mean("candidate")),
+        delta: Math.round(mean("delta")),
+        deltaPct: +mean("deltaPct").toFixed(3),
+      };
+    }
+  }
+  return {
+    multiBuild: true,
+    buildResults,
+    aggregate: aggregateBuildResults(buildResults),
+  };
+}
+
+function printSequentialSummary({ sequential: seq }) {
+  const verdicts = {
+    better: "candidate is better",
+    worse: "candidate is worse",
+    equivalent: `candidate is within ±${seq.margin}% of current`,
+    inconclusive: `no verdict after ${seq.batches} batches`,
+  };
+  console.log(
+    `\nSequential: ${verdicts[seq.decision]} — pooled ${signedPct(seq.mean)} ±${seq.stderr.toFixed(3)}% over ${seq.batches} × ${seq.batchIterations} iterations (${seq.totalIterations.toLocaleString()} total)`,
+  );
+  console.log(
+    `  P(better)=${seq.pBetter}  P(worse)=${seq.pWorse}  P(equivalent)=${seq.pEquivalent}  (stop at ${seq.confidence})`,
+  );
+}
+
+// --- Paired Comparison ---
+
+// PAIRED.chunks runs of PAIRED.chunkIterations, each with baseline and
+// candidate on one shared seed (seedArgs). Chunk means feed pairedStats();
+// the unpaired error from the same chunks is kept alongside so the report
+// shows what pairing bought. A chunk that falls back from remote to local
+// sims changes thread count on one side and loses its pairing.
+async function runPairedComparison(candidatePath, roster = null) {
+  const cfg = { chunks: 8, chunkIterations: 2000, ...PAIRED };
+  cfg.chunks = Math.max(2, cfg.chunks); // one chunk has no spread to measure
+  const baseSeed = randomInt(1, 2 ** 31 - cfg.chunks);
+
+  const chunks = [];
+  for (let i = 0; i < cfg.chunks; i++) {
+    const seed = baseSeed + i;
+    console.log(`  Chunk ${i + 1}/${cfg.chunks} (seed=${seed})`);
+    const simOverrides = {
+      target_error: 0,
+      iterations: cfg.chunkIterations,
+      seed,
+    };
+    chunks.push(
+      roster
+        ? await runMultiBuildComparison(candidatePath, roster, "paired", {
+            simOverrides,
+            save: false,
+            survival: false,
+          })
+        : await runComparison(candidatePath, "paired", {
+            simOverrides,
+            save: false,
+            survival: false,
+          }),
+    );
+  }
+
+  const paired = {
+    chunks: cfg.chunks,
+    chunkIterations: cfg.chunkIterations,
+    seeds: [baseSeed, baseSeed + cfg.chunks - 1],
+  };
+  const pooled = roster
+    ? poolPairedMultiBuild(chunks)
+    : { results: poolPairedScenarios(chunks) };
+  const comparison = {
+    ...pooled,
+    tier: "paired",
+    candidatePath: resolve(candidatePath),
+    paired,
+    timestamp: new Date().toISOString(),
+  };
+  writeFileSync(
+    resultsFile("comparison_latest.json"),
+    JSON.stringify(comparison, null, 2),
+  );
+  return comparison;
+}
+
+function pairedEntry(rows) {
+  const r = pairedStats(
+    rows.map((x) => x.current),
+    rows.map((x) => x.candidate),
+  );
+  return {
+    current: Math.round(r.current),
+    candidate: Math.round(r.candidate),
+    delta: Math.round(r.delta),
+    deltaPct: +r.deltaPct.toFixed(3),
+    stderrPct: +r.stderrPct.toFixed(3),
+    unpairedStderrPct: +r.unpairedStderrPct.toFixed(3),
+  };
+}
+
+function poolPairedScenarios(chunks) {
+  const results = {};
+  for (const scenario of SCENARIO_KEYS) {
+    const rows = chunks.map((c) => c[scenario]).filter(Boolean);
+    if (rows.length === 0) continue;
+    const entry = pairedEntry(rows);
+    entry.significant = Math.abs(entry.deltaPct) > 2 * entry.stderrPct;
+    entry.unpairedSignificant =
+      Math.abs(entry.deltaPct) > 2 * entry.unpairedStderrPct;
+    results[scenario] = entry;
+  }
+  return results;
+}
+
+function poolPairedMultiBuild(chunks) {
+  const buildResults = {};
+  for (const [buildId, br] of Object.entries(chunks[0].buildResults)) {
+    buildResults[buildId] = {
+      heroTree: br.heroTree,
+      archetype: br.archetype,
+      scenarios: {},
+    };
+    for (const scenario of SCENARIO_KEYS) {
+      buildResults[buildId].scenarios[scenario] = pairedEntry(
+        chunks.map((c) => c.buildResults[buildId].scenarios[scenario]),
+      );
+    }
+  }
+  const aggregate = aggregateBuildResults(buildResults);
+
+  // Paired: chunk-to-chunk spread of the roster mean, which keeps the
+  // cross-build correlation of a shared seed. Unpaired: independent sims,
+  // so per-build, per-scenario variances add.
+  const builds = Object.values(buildResults);
+  aggregate.stderr = +(
+    pooledEstimate(chunks.map((c) => c.aggregate.meanWeighted)).stderr || 0
+  ).toFixed(3);
+  aggregate.unpairedStderr = +Math.sqrt(
+    builds.reduce(
+      (sum, b) =>
+        sum +
+        SCENARIO_KEYS.reduce(
+          (s, sc) =>
+            s +
+            (((SCENARIO_WEIGHTS[sc] || 0) / builds.length) *
+              (b.scenarios[sc]?.unpairedStderrPct || 0)) **
+              2,
+          0,
+        ),
+      0,
+    ),
+  ).toFixed(3);
+
+  return { multiBuild: true, buildResults, aggregate };
+}
+
+function printPairedSummary(comparison) {
+  const { paired } = comparison;
+  const reduction = (stderrPct, unpairedStderrPct) => {
+    const r = varianceReduction({ stderrPct, unpairedStderrPct });
+    return Number.isFinite(r) ? `${r.toFixed(1)}×` : "—";
+  };
+  const ci = (se) => `±${(2 * se).toFixed(3)}%`;
+
+  console.log(
+    `\nPaired vs unpaired confidence (${paired.chunks} chunks × ${paired.chunkIterations} iterations, seeds ${paired.seeds[0]}–${paired.seeds[1]}):`,
+  );
+  console.log(
+    `${"Scenario".padEnd(12)} ${"Delta".padStart(9)} ${"Paired 2σ".padStart(11)} ${"Unpaired 2σ".padStart(12)} ${"Var. cut".padStart(9)}`,
+  );
+  console.log("-".repeat(57));
+
+  let weighted;
+  let weightedSe;
+  let weightedUnpairedSe;
+  if (comparison.multiBuild) {
+    // Per scenario: roster-average delta and errors
+    const builds = Object.values(comparison.buildResults);
+    const avg = (scenario, key) =>
+      builds.reduce((s, b) => s + (b.scenarios[scenario]?.[key] || 0), 0) /
+      builds.length;
+    for (const scenario of SCENARIO_KEYS) {
+      const se = avg(scenario, "stderrPct");
+      const unpaired = avg(scenario, "unpairedStderrPct");
+      console.log(
+        `${SCENARIO_LABELS[scenario].padEnd(12)} ${signedPct(avg(scenario, "deltaPct"), 2).padStart(9)} ${ci(se).padStart(11)} ${ci(unpaired).padStart(12)} ${reduction(se, unpaired).padStart(9)}`,
+      );
+    }
+    weighted = comparison.aggregate.meanWeighted;
+    weightedSe = comparison.aggregate.stderr;
+    weightedUnpairedSe = comparison.aggregate.unpairedStderr;
+  } else {
+    for (const scenario of SCENARIO_KEYS) {
+      const r = comparison.results[scenario];
+      if (!r) continue;
+      console.log(
+        `${SCENARIO_LABELS[scenario].padEnd(12)} ${signedPct(r.deltaPct, 2).padStart(9)} ${ci(r.stderrPct).padStart(11)} ${ci(r.unpairedStderrPct).padStart(12)} ${reduction(r.stderrPct, r.unpairedStderrPct).padStart(9)}`,
+      );
+    }
+    const w = computeWeightedDelta(comparison.results);
+    weighted = w.delta;
+    weightedSe = w.stderr;
+    weightedUnpairedSe = computeWeightedDelta(
+      Object.fromEntries(
+        Object.entries(comparison.results).map(([s, r]) => [
+          s,
+          { deltaPct: r.deltaPct, stderrPct: r.unpairedStderrPct },
+        ]),
+      ),
+    ).stderr;
+  }
+
+  console.log("-".repeat(57));
+  console.log(
+    `${"Weighted".padEnd(12)} ${signedPct(weighted, 2).padStart(9)} ${ci(weightedSe).padStart(11)} ${ci(weightedUnpairedSe).padStart(12)} ${reduction(weightedSe, weightedUnpairedSe).padStart(9)}`,
+  );
+  const sig = (se) => (Math.abs(weighted) > 2 * se ? "significant" : "noise");
+  console.log(
+    `Paired: ${sig(weightedSe)}  |  Unpaired: ${sig(weightedUnpairedSe)}`,
+  );
+}
+
+// --- Threshold Sweep ---
+
+function sweepVariantName(value) {
+  return `threshold_${String(value).replace(".", "_")}`;
+}
+
+// One profileset per scenario with every swept value as a variant, or one
+// roster comparison per value in multi-build mode.
+// Returns { [value]: { [scenario]: { dps, delta, deltaPct, stderrPct } } }.
+async function runSweepTier(aplText, loc, values, tier, roster = null) {
+  if (roster) return runSweepTierMultiBuild(aplText, loc, values, tier, roster);
+  const tierConfig = FIDELITY_TIERS[tier] || FIDELITY_TIERS.standard;
+  const variants = values.map((value) => ({
+    name: sweepVariantName(value),
+    overrides: applyThreshold(aplText, loc, value).listLines,
+  }));
+  const simcContent = generateProfileset(CURRENT_APL, variants);
+
+  const totalCores = isLocalTier(tierConfig) ? cpus().length : getSimCores();
+  const threadsPerSim = Math.max(
+    1,
+    Math.floor(totalCores / SCENARIO_KEYS.length),
+  );
+
+  const perScenario = await Promise.all(
+    SCENARIO_KEYS.map((scenario) =>
+      runProfilesetAsync(simcContent, scenario, `sweep_${tier}`, {
+        simOverrides: { ...tierConfig, threads: threadsPerSim },
+      }).then((r) => [scenario, r]),
+    ),
+  );
+
+  const byValue = {};
+  for (const value of values) {
+    byValue[value] = {};
+    for (const [scenario, r] of perScenario) {
+      const v = r.variants.find((x) => x.name === sweepVariantName(value));
+      if (!v) continue;
+      const baselineDPS = r.baseline.dps;
+      const stderr =
+        v.dpsMeanStdDev || v.dpsStdDev / Math.sqrt(v.iterations || 1);
+      byValue[value][scenario] = {
+        dps: Math.round(v.dps),
+        delta: Math.round(v.dps - baselineDPS),
+        deltaPct: +(((v.dps - baselineDPS) / baselineDPS) * 100).toFixed(3),
+        stderrPct: +((stderr / baselineDPS) * 100).toFixed(3),
+      };
+    }
+  }
+  return byValue;
+}
+
+// Roster mode: each value goes through runMultiBuildComparison like compare
+// does. Scenario rows are means across builds; the roster aggregate rides
+// along for the accept criteria. Per-build stderr isn't reported, so
+// stderrPct is 0.
+async function runSweepTierMultiBuild(aplText, loc, values, tier, roster) {
+  const byValue = {};
+  for (const value of values) {
+    const variantPath = join(aplsDir(), `${sweepVariantName(value)}.simc`);
+    writeFileSync(variantPath, applyThreshold(aplText, loc, value).text);
+    console.log(`  ${loc.subject}${loc.op}${value}:`);
+    let comparison;
+    try {
+      comparison = await runMultiBuildComparison(variantPath, roster, tier, {
+        save: false,
+      });
+    } finally {
+      unlinkSync(variantPath);
+    }
+
+    const builds = Object.values(comparison.buildResults);
+    const mean = (f) => builds.reduce((s, b) => s + f(b), 0) / builds.length;
+    byValue[value] = { aggregate: comparison.aggregate };
+    for (const scenario of SCENARIO_KEYS) {
+      byValue[value][scenario] = {
+        dps: Math.round(mean((b) => b.scenarios[scenario].candidate)),
+        delta: Math.round(mean((b) => b.scenarios[scenario].delta)),
+        deltaPct: +mean((b) => b.scenarios[scenario].deltaPct).toFixed(3),
+        stderrPct: 0,
+      };
+    }
+  }
+  return byValue;
+}
+
+// Best value by weighted delta
+function rankSweep(byValue) {
+  return Object.entries(byValue)
+    .map(([value, results]) => ({
+      value: Number(value),
+      results,
+      weighted: computeWeightedDelta(results),
+    }))
+    .sort((a, b) => b.weighted.delta - a.weighted.delta);
+}
+
+// DPS-vs-threshold curve for one scenario: Δ% ± 2σ with a bar centered on 0
+function printSweepCurve(label, points, currentValue) {
+  const scale =
+    Math.max(
+      0.01,
+      ...points.map((p) => Math.abs(p.deltaPct) + 2 * p.stderrPct),
+    ) / 20;
+  console.log(`\n${label}:`);
+  for (const p of points) {
+    const cells = Array(41).fill(" ");
+    cells[20] = "|";
+    const lo = Math.round((p.deltaPct - 2 * p.stderrPct) / scale) + 20;
+    const hi = Math.round((p.deltaPct + 2 * p.stderrPct) / scale) + 20;
+    for (let i = Math.max(0, lo); i <= Math.min(40, hi); i++) cells[i] = "-";
+    cells[Math.min(40, Math.max(0, Math.round(p.deltaPct / scale) + 20))] = "*";
+    const tag = p.value === currentValue ? " (current)" : "";
+    console.log(
+      `  ${String(p.value).padStart(7)}  ${signedPct(p.deltaPct, 2).padStart(8)} ±${(2 * p.stderrPct).toFixed(2)}%  ${cells.join("")}${tag}`,
+    );
+  }
+}
+
+// Per-scenario and weighted curves for one fidelity tier, with the current
+// value pinned at 0. Tiers are never mixed on one curve: their noise differs.
+function printSweepTier(title, byValue, loc) {
+  const points = {
+    ...byValue,
+    [loc.value]: Object.fromEntries(
+      SCENARIO_KEYS.map((s) => [
+        s,
+        { dps: null, delta: 0, deltaPct: 0, stderrPct: 0 },
+      ]),
+    ),
+  };
+  const ordered = Object.keys(points)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  console.log(`\n${title}`);
+  for (const scenario of SCENARIO_KEYS) {
+    printSweepCurve(
+      SCENARIO_LABELS[scenario],
+      ordered
+        .filter((v) => points[v][scenario])
+        .map((v) => ({ value: v, ...points[v][scenario] })),
+      loc.value,
+    );
+  }
+  printSweepCurve(
+    "Weighted",
+    ordered.map((v) => {
+      const w = computeWeightedDelta(points[v]);
+      return { value: v, deltaPct: w.delta, stderrPct: w.stderr };
+    }),
+    loc.value,
+  );
+}
+
+async function cmdSweep(path, { range, values, top = 3 } = {}) {
+  if (!existsSync(CURRENT_APL)) {
+    console.error("No current.simc. Run init first.");
+    process.exit(1);
+  }
+  const aplText = readFileSync(CURRENT_APL, "utf-8");
+
+  let loc;
+  let sweep;
+  try {
+    loc = locateThreshold(aplText, path);
+    sweep = sweepValues(loc.value, { range, values }).filter(
+      (v) => v !== loc.value,
+    );
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  if (sweep.length === 0) {
+    console.error(
+      "Nothing to sweep — the range only contains the current value.",
+    );
+    process.exit(1);
+  }
+
+  console.log(
+    `Sweeping ${loc.subject}${loc.op}N in ${loc.ability} (${loc.list}), current ${loc.value}`,
+  );
+  console.log(`  ${loc.modifier}=${loc.condition}`);
+  console.log(`  Values: ${sweep.join(", ")}`);
+
+  let roster = null;
+  if (loadState()?.multiBuild) {
+    roster = loadRoster();
+    if (!roster) {
+      console.error(
+        "Multi-build state but no roster found. Regenerate roster first.",
+      );
+      process.exit(1);
+    }
+    console.log(`  Multi-build: ${roster.builds.length} builds per value`);
+  }
+
+  console.log(`\nScreening ${sweep.length} values at quick fidelity...`);
+  const quick = await runSweepTier(aplText, loc, sweep, "quick", roster);
+  const topValues = rankSweep(quick)
+    .slice(0, top)
+    .map((r) => r.value);
+
+  console.log(`\nConfirming top ${topValues.length}: ${topValues.join(", ")}`);
+  const confirm = await runSweepTier(
+    aplText,
+    loc,
+    topValues,
+    "confirm",
+    roster,
+  );
+
+  const axis = `${loc.subject}${loc.op}N (Δ% vs current${roster ? ", mean across builds" : " ± 2σ"})`;
+  printSweepTier(`DPS vs ${axis}, quick tier, all values:`, quick, loc);
+  printSweepTier(`DPS vs ${axis}, confirm tier, top values:`, confirm, loc);
+
+  // Roster mode has no stderr; it uses compare's accept criteria instead
+  const best = rankSweep(confirm)[0];
+  const agg = confirm[best.value].aggregate;
+  const significant = agg
+    ? agg.meanWeighted > 0 && agg.worstWeighted > -1
+    : best.weighted.delta > 0 && best.weighted.delta > 2 * best.weighted.stderr;
+  console.log(
+    agg
+      ? `\nScenario-weighted optimum: ${loc.subject}${loc.op}${best.value} (mean ${signedPct(agg.meanWeighted)}, worst build ${signedPct(agg.worstWeighted)})`
+      : `\nScenario-weighted optimum: ${loc.subject}${loc.op}${best.value} (${signedPct(best.weighted.delta)} ±${best.weighted.stderr.toFixed(3)}%)`,
+  );
+
+  const outPath = resultsFile("sweep_latest.json");
+  writeFileSync(
+    outPath,
+    JSON.stringify(
+      {
+        path,
+        list: loc.list,
+        ability: loc.ability,
+        subject: loc.subject,
+        op: loc.op,
+        current: loc.value,
+        values: sweep,
+        multiBuild: !!roster,
+        quick,
+        confirm,
+        optimum: { value: best.value, ...best.weighted, significant },
+        timestamp: new Date().toISOString(),
+      },
+      null,
+      2,
+    ),
+  );
+  console.log(`Results: ${relative(ROOT, outPath)}`);
+
+  if (!significant) {
+    console.log(
+      `No value beats ${loc.value} beyond noise — keeping the current threshold.`,
+    );
+    return;
+  }
+  const candidatePath = join(aplsDir(), "candidate.simc");
+  writeFileSync(candidatePath, applyThreshold(aplText, loc, best.value).text);
+  console.log(`\nGenerated: ${relative(ROOT, candidatePath)}`);
+  console.log(
+    `Run: node src/sim/iterate.js compare ${relative(ROOT, candidatePath)}`,
+  );
 }
 
 // --- Multi-Build Comparison ---
@@ -666,7 +1473,9 @@ const MIN_THREADS_PER_SIM = 4;
 
 // Quick fidelity sims always run locally even when remote is active.
 function isLocalTier(tierConfig) {
-  return !tierConfig || tierConfig.target_error >= 0.5 || !isRemoteActive();
+  return (
+    !tierConfig || tierConfig.target_error >= 0.5 || !isRemoteBackendActive()
+  );
 }
 
 // Calculate optimal concurrency and thread allocation for sim batching.
@@ -797,8 +1606,12 @@ async function runMultiBuildComparison(
   candidatePath,
   roster,
   tier = "standard",
+  { simOverrides = null, save = true, survival = true } = {},
 ) {
-  const tierConfig = FIDELITY_TIERS[tier] || FIDELITY_TIERS.standard;
+  const tierConfig = survivalOverrides(
+    simOverrides || FIDELITY_TIERS[tier] || FIDELITY_TIERS.standard,
+    survival,
+  );
 
   // Get per-scenario actor Maps for current and candidate APLs
   let byScenario;
@@ -824,20 +1637,47 @@ async function runMultiBuildComparison(
       scenarios: {},
     };
     for (const scenario of SCENARIO_KEYS) {
-      const current = byScenario[scenario]?.current?.get(build.id)?.dps || 0;
-      const candidate =
-        byScenario[scenario]?.candidate?.get(build.id)?.dps || 0;
+      const currentActor = byScenario[scenario]?.current?.get(build.id);
+      const candidateActor = byScenario[scenario]?.candidate?.get(build.id);
+      const current = currentActor?.dps || 0;
+      const candidate = candidateActor?.dps || 0;
       const delta = candidate - current;
       const deltaPct = current > 0 ? (delta / current) * 100 : 0;
-      buildResults[build.id].scenarios[scenario] = {
+      const row = {
         current: Math.round(current),
         candidate: Math.round(candidate),
         delta: Math.round(delta),
         deltaPct: +deltaPct.toFixed(3),
       };
+      if (tierConfig.profileset_metric && currentActor && candidateActor) {
+        row.survival = {
+          current: { ...currentActor.survival, dps: current },
+          candidate: { ...candidateActor.survival, dps: candidate },
+        };
+      }
+      buildResults[build.id].scenarios[scenario] = row;
     }
   }
 
+  const comparison = {
+    multiBuild: true,
+    tier,
+    candidatePath: resolve(candidatePath),
+    buildResults,
+    aggregate: aggregateBuildResults(buildResults),
+    timestamp: new Date().toISOString(),
+  };
+  if (!save) return comparison;
+
+  // Save comparison
+  const comparisonPath = resultsFile("comparison_latest.json");
+  writeFileSync(comparisonPath, JSON.stringify(comparison, null, 2));
+
+  return comparison;
+}
+
+// Sets weightedDelta on each build and returns the roster-wide aggregate
+function aggregateBuildResults(buildResults) {
   // Compute weighted delta per build
   for (const [buildId, br] of Object.entries(buildResults)) {
     let weighted = 0;
@@ -870,24 +1710,11 @@ async function runMultiBuildComparison(
     ).toFixed(3);
   }
 
-  const comparison = {
-    multiBuild: true,
-    tier,
-    candidatePath: resolve(candidatePath),
-    buildResults,
-    aggregate: {
-      meanWeighted: +meanWeighted.toFixed(3),
-      worstWeighted: +worstWeighted.toFixed(3),
-      treeAvgs,
-    },
-    timestamp: new Date().toISOString(),
+  return {
+    meanWeighted: +meanWeighted.toFixed(3),
+    worstWeighted: +worstWeighted.toFixed(3),
+    treeAvgs,
   };
-
-  // Save comparison
-  const comparisonPath = resultsFile("comparison_latest.json");
-  writeFileSync(comparisonPath, JSON.stringify(comparison, null, 2));
-
-  return comparison;
 }
 
 // Batched multi-actor comparison: splits roster into smaller groups to limit memory.
@@ -1003,6 +1830,12 @@ async function runComparisonProfileset(candidatePath, roster, tierConfig) {
   return byScenario;
 }
 
+function formatTierLabel(tier) {
+  return FIDELITY_TIERS[tier]
+    ? `${tier}, target_error=${FIDELITY_TIERS[tier].target_error}`
+    : tier;
+}
+
 function shortScenarioLabel(key) {
   const name = SCENARIO_LABELS[key] || key;
   if (name.startsWith("Patchwerk ")) return name.replace("Patchwerk ", "");
@@ -1012,7 +1845,7 @@ function shortScenarioLabel(key) {
 
 function printMultiBuildComparison(comparison) {
   const { buildResults, aggregate, tier } = comparison;
-  const tierLabel = `${tier}, target_error=${FIDELITY_TIERS[tier]?.target_error ?? "?"}`;
+  const tierLabel = formatTierLabel(tier);
 
   const scenarioHeaders = SCENARIO_KEYS.map((s) =>
     shortScenarioLabel(s).padStart(8),
@@ -1044,11 +1877,23 @@ function printMultiBuildComparison(comparison) {
   console.log(
     `Mean: ${signedPct(aggregate.meanWeighted)}  |  Worst: ${signedPct(aggregate.worstWeighted)}  |  ${treeAvgStr}`,
   );
+  printScenarioLegend(shortScenarioLabel);
+  printWeightRobustness(comparison);
+
+  const survival = survivalSummary(comparison);
+  printSurvival(survival);
 
   // Accept criteria check
-  const passAccept = aggregate.meanWeighted > 0 && aggregate.worstWeighted > -1;
+  const guardrailsPass = !survival || survival.violations.length === 0;
+  const passAccept =
+    aggregate.meanWeighted > 0 &&
+    aggregate.worstWeighted > -1 &&
+    guardrailsPass;
+  const guardrailCol = survival
+    ? `, guardrails ${guardrailsPass ? "PASS" : "FAIL"}`
+    : "";
   console.log(
-    `\nAccept criteria: mean>0 ${aggregate.meanWeighted > 0 ? "PASS" : "FAIL"}, worst>-1% ${aggregate.worstWeighted > -1 ? "PASS" : "FAIL"} → ${passAccept ? "RECOMMEND ACCEPT" : "RECOMMEND REJECT"}`,
+    `\nAccept criteria: mean>0 ${aggregate.meanWeighted > 0 ? "PASS" : "FAIL"}, worst>-1% ${aggregate.worstWeighted > -1 ? "PASS" : "FAIL"}${guardrailCol} → ${passAccept ? "RECOMMEND ACCEPT" : "RECOMMEND REJECT"}`,
   );
 }
 
@@ -1137,9 +1982,9 @@ async function cmdInit(aplPath) {
     }
   }
 
-  if (!isRemoteActive()) {
+  if (!isRemoteBackendActive()) {
     console.log(
-      `\n  Tip: ${roster.builds.length} builds baseline — consider 'npm run remote:start' for faster sims\n`,
+      `\n  Tip: ${roster.builds.length} builds baseline — consider 'npm run remote:start' or sshPool hosts for faster sims\n`,
     );
   }
 
@@ -1177,6 +2022,14 @@ async function cmdInit(aplPath) {
   setSessionState("current_apl_path", relative(ROOT, CURRENT_APL));
   setSessionState("consecutive_rejections", 0);
   setSessionState("baseline_hash", baselineHash);
+  setSessionState(
+    "mutation_chain",
+    initialChain(
+      readBaselineApl(),
+      aplContent,
+      `init from ${basename(aplPath)}`,
+    ),
+  );
 
   // Write baseline DPS per build per scenario
   for (const [buildId, b] of Object.entries(baseline.builds)) {
@@ -1348,7 +2201,11 @@ function cmdStatus() {
 
 const SCREEN_REJECT_THRESHOLD = -0.2; // weighted mean % below which quick screen rejects
 
-async function cmdCompare(candidatePath, tier, { staged = false } = {}) {
+async function cmdCompare(
+  candidatePath,
+  tier,
+  { staged = false, sequential = false, paired = false } = {},
+) {
   const state = loadState();
   if (!state) {
     console.error("No iteration state. Run init first.");
@@ -1361,6 +2218,21 @@ async function cmdCompare(candidatePath, tier, { staged = false } = {}) {
     process.exit(1);
   }
 
+  // Static checks first — a malformed candidate isn't worth any sim time
+  const lint = lintFile(resolvedPath);
+  if (lint.errors > 0) {
+    for (const line of formatLintResult(lint)) console.error(line);
+    console.error(
+      `\nCandidate rejected by apl-lint: ${lint.errors} error(s). Fix and re-run compare.`,
+    );
+    process.exit(1);
+  }
+  if (lint.warnings > 0) {
+    console.log(
+      `apl-lint: ${lint.warnings} warning(s) — run npm run apl-lint -- ${candidatePath} for details`,
+    );
+  }
+
   if (state.multiBuild) {
     const roster = loadRoster();
     if (!roster) {
@@ -1370,10 +2242,30 @@ async function cmdCompare(candidatePath, tier, { staged = false } = {}) {
       process.exit(1);
     }
 
+    if (sequential) {
+      console.log(
+        `Sequential multi-build comparison against ${roster.builds.length} builds...`,
+      );
+      const comparison = await runSequentialComparison(resolvedPath, roster);
+      printMultiBuildComparison(comparison);
+      printSequentialSummary(comparison);
+      return;
+    }
+
+    if (paired) {
+      console.log(
+        `Paired-seed multi-build comparison against ${roster.builds.length} builds...`,
+      );
+      const comparison = await runPairedComparison(resolvedPath, roster);
+      printMultiBuildComparison(comparison);
+      printPairedSummary(comparison);
+      return;
+    }
+
     // Hint: suggest remote for non-quick fidelity with many builds
-    if (tier !== "quick" && !staged && !isRemoteActive()) {
+    if (tier !== "quick" && !staged && !isRemoteBackendActive()) {
       console.log(
-        `\n  Tip: ${roster.builds.length} builds at ${tier} fidelity — consider 'npm run remote:start' for faster sims\n`,
+        `\n  Tip: ${roster.builds.length} builds at ${tier} fidelity — consider 'npm run remote:start' or sshPool hosts for faster sims\n`,
       );
     }
 
@@ -1430,6 +2322,16 @@ async function cmdCompare(candidatePath, tier, { staged = false } = {}) {
       );
       printMultiBuildComparison(comparison);
     }
+  } else if (paired) {
+    console.log("Paired-seed comparison against current baseline...");
+    const comparison = await runPairedComparison(resolvedPath);
+    printComparison(comparison.results, "paired");
+    printPairedSummary(comparison);
+  } else if (sequential) {
+    console.log("Sequential comparison against current baseline...");
+    const comparison = await runSequentialComparison(resolvedPath);
+    printComparison(comparison.results, "sequential");
+    printSequentialSummary(comparison);
   } else {
     console.log(
       `Comparing candidate against current baseline (${tier} fidelity)...`,
@@ -1439,7 +2341,53 @@ async function cmdCompare(candidatePath, tier, { staged = false } = {}) {
   }
 }
 
-async function cmdAccept(reason, hypothesisHint) {
+// Full sims of the current APL and the candidate: profilesets report DPS
+// only, so these explain what an accepted change did. Roster mode runs the
+// top builds by weighted DPS; single-build mode runs the APL's own talents.
+async function confirmBreakdown(candidatePath, state) {
+  const { builds: topN = 3, fidelity = "quick" } = BREAKDOWN;
+  const simOverrides = FIDELITY_TIERS[fidelity] || FIDELITY_TIERS.quick;
+
+  let builds = [{ id: null, talents: "" }];
+  if (state.multiBuild) {
+    const roster = loadRoster();
+    builds = [...(roster?.builds ?? [])]
+      .sort((a, b) => (b.lastDps?.weighted ?? 0) - (a.lastDps?.weighted ?? 0))
+      .slice(0, topN)
+      .map((b) => {
+        const talents = [];
+        emitTalentOverrides(talents, b);
+        return { id: b.id, talents: talents.join(" ") };
+      });
+    if (builds.length === 0) return null;
+  }
+
+  console.log(
+    `Confirming with breakdown: ${builds.length} build(s) x ${SCENARIO_KEYS.length} scenarios (${fidelity} fidelity)...`,
+  );
+  const runs = [];
+  for (const build of builds) {
+    for (const scenario of SCENARIO_KEYS) {
+      const opts = { extraOverrides: build.talents, simOverrides };
+      const current = await runSimAsync(CURRENT_APL, scenario, opts);
+      const candidate = await runSimAsync(candidatePath, scenario, opts);
+      runs.push({
+        weight: (SCENARIO_WEIGHTS[scenario] || 0) / builds.length,
+        current,
+        candidate,
+      });
+    }
+  }
+  const breakdown = {
+    fidelity,
+    builds: builds.map((b) => b.id).filter(Boolean),
+    ...combineRuns(runs),
+  };
+  breakdown.summary = summarizeBreakdown(breakdown);
+  return breakdown;
+}
+
+async function cmdAccept(reason, hypothesisHint, { breakdown = true } = {}) {
   const state = loadState();
   if (!state) {
     console.error("No iteration state. Run init first.");
@@ -1459,6 +2407,34 @@ async function cmdAccept(reason, hypothesisHint) {
     console.error(`Candidate file not found: ${candidatePath}`);
     process.exit(1);
   }
+  // Flagged, not blocked: a deliberate survivability trade can be accepted
+  const violations = survivalSummary(comparison)?.violations ?? [];
+  if (violations.length > 0) {
+    console.log(
+      `WARNING: accepting a candidate that fails ${violations.length} survivability guardrail(s):`,
+    );
+    for (const v of violations) console.log(`  - ${formatViolation(v)}`);
+  }
+  // Semantic diff against the APL being replaced — stored as the iteration's
+  // apl_diff and embedded in the report dashboard
+  const aplDiff = formatDiffMarkdown(diffFiles(CURRENT_APL, candidatePath));
+  const mutationChain = nextMutationChain(candidatePath, reason);
+
+  // Must run while CURRENT_APL still holds the baseline. Explanatory only:
+  // a failed sim warns instead of blocking the accept.
+  let delta = null;
+  if (breakdown) {
+    try {
+      delta = await confirmBreakdown(candidatePath, state);
+    } catch (e) {
+      console.log(
+        `WARNING: breakdown sims failed, accepting without: ${e.message}`,
+      );
+    }
+    if (delta?.summary.length) {
+      console.log(`  Why: ${delta.summary.join(", ")}`);
+    }
+  }
   copyFileSync(candidatePath, CURRENT_APL);
 
   // For multi-build comparisons, wrap in the format recordIteration expects
@@ -1469,7 +2445,8 @@ async function cmdAccept(reason, hypothesisHint) {
         aggregate: comparison.aggregate,
         buildResults: comparison.buildResults,
       }
-    : comparison;
+    : { ...comparison };
+  if (delta) iterComparison.breakdown = delta;
 
   const { iterNum, hypothesis } = recordIteration(
     state,
@@ -1491,11 +2468,14 @@ async function cmdAccept(reason, hypothesisHint) {
     hypothesisId: hypothesis.dbId || null,
     sessionId,
     fidelity: comparison.tier || "standard",
-    aplDiff: reason,
+    aplDiff,
     results: dbIterResults,
     aggregate: dbIterAggregate,
     decision: "accepted",
     reason,
+    mutationChain,
+    sequential: comparison.sequential,
+    breakdown: delta,
   });
 
   // Update hypothesis status in DB if we can match it
@@ -1563,6 +2543,8 @@ async function cmdAccept(reason, hypothesisHint) {
   state.consecutiveRejections = 0;
   setSessionState("consecutive_rejections", 0);
   setSessionState("last_iteration", dbIterationId);
+  setSessionState("mutation_chain", mutationChain);
+  setSessionState("pending_mutation", null);
 
   // Track significant findings (state + DB)
   const findingThreshold = 0.5;
@@ -1575,11 +2557,15 @@ async function cmdAccept(reason, hypothesisHint) {
         weightedDelta: comparison.aggregate.meanWeighted,
         multiBuild: true,
         aggregate: comparison.aggregate,
+        why: delta?.summary ?? [],
       };
       state.findings.push(finding);
       dbAddFinding({
         insight: reason,
-        evidence: `${comparison.aggregate.meanWeighted > 0 ? "+" : ""}${comparison.aggregate.meanWeighted.toFixed(2)}% weighted (multi-build)`,
+        evidence: withWhy(
+          `${comparison.aggregate.meanWeighted > 0 ? "+" : ""}${comparison.aggregate.meanWeighted.toFixed(2)}% weighted (multi-build)`,
+          delta,
+        ),
         confidence:
           Math.abs(comparison.aggregate.meanWeighted) > 1 ? "high" : "medium",
         status: "validated",
@@ -1598,11 +2584,15 @@ async function cmdAccept(reason, hypothesisHint) {
         scenarios: Object.fromEntries(
           Object.entries(comparison.results).map(([k, v]) => [k, v.deltaPct]),
         ),
+        why: delta?.summary ?? [],
       };
       state.findings.push(finding);
       dbAddFinding({
         insight: reason,
-        evidence: `${weighted.delta > 0 ? "+" : ""}${weighted.delta.toFixed(2)}% weighted`,
+        evidence: withWhy(
+          `${weighted.delta > 0 ? "+" : ""}${weighted.delta.toFixed(2)}% weighted`,
+          delta,
+        ),
         confidence: Math.abs(weighted.delta) > 1 ? "high" : "medium",
         status: "validated",
         tags: ["iteration", "accepted"],
@@ -1625,6 +2615,12 @@ async function cmdAccept(reason, hypothesisHint) {
   console.log(`\nIteration #${iterNum} accepted: ${reason}`);
 }
 
+function withWhy(evidence, breakdown) {
+  return breakdown?.summary.length
+    ? `${evidence}; ${breakdown.summary.join(", ")}`
+    : evidence;
+}
+
 function cmdReject(reason, hypothesisHint) {
   const state = loadState();
   if (!state) {
@@ -1662,6 +2658,7 @@ function cmdReject(reason, hypothesisHint) {
     aggregate: dbIterAggregate,
     decision: "rejected",
     reason,
+    sequential: comparison.sequential,
   });
 
   // Update hypothesis status in DB
@@ -1682,6 +2679,7 @@ function cmdReject(reason, hypothesisHint) {
 
   state.consecutiveRejections = (state.consecutiveRejections || 0) + 1;
   setSessionState("consecutive_rejections", state.consecutiveRejections);
+  setSessionState("pending_mutation", null);
   saveState(state);
   writeDashboard(state);
 
@@ -1820,6 +2818,45 @@ function cmdSummary() {
     }
   }
 
+  // Survivability trade-off frontier
+  const tracked = state.iterations.filter((i) => i.survivability);
+  if (tracked.length > 0) {
+    const keys = Object.keys(tracked[0].survivability.changes);
+    const baseline = {
+      id: "—",
+      decision: "no change",
+      survivability: {
+        changes: Object.fromEntries(keys.map((k) => [k, 0])),
+        violations: [],
+      },
+    };
+    const frontier = paretoFrontier(
+      [baseline, ...tracked].map((iter) => ({
+        iter,
+        changes: iter.survivability.changes,
+      })),
+      keys,
+    );
+    lines.push("\n## Survivability Trade-off Frontier\n");
+    lines.push(
+      "Candidates no other tested change beats on every metric (changes vs the baseline each was compared against).\n",
+    );
+    lines.push(
+      `| # | Decision | ${keys.map((k) => metricInfo(k).label).join(" | ")} | Guardrails | Hypothesis |`,
+    );
+    lines.push(`|---|----------|${keys.map(() => "---").join("|")}|---|---|`);
+    for (const { iter } of frontier) {
+      const { changes, violations } = iter.survivability;
+      const guard =
+        violations.length > 0
+          ? `FAIL: ${[...new Set(violations.map((v) => metricInfo(v.metric).label))].join(", ")}`
+          : "pass";
+      lines.push(
+        `| ${iter.id} | ${iter.decision} | ${keys.map((k) => formatChange(k, changes[k])).join(" | ")} | ${guard} | ${iter.hypothesis ?? ""} |`,
+      );
+    }
+  }
+
   // Rejected hypotheses (from DB)
   const rejectedHyps = dbGetHypotheses({ status: "rejected", limit: 100 });
   if (rejectedHyps.length > 0) {
@@ -1918,12 +2955,14 @@ async function cmdRollback(iterationId) {
     state.current.dps = previousDps;
   }
 
-  // Note: We can't easily restore the APL file without snapshots.
-  // Log warning that manual APL restoration may be needed.
+  // current.simc is left alone — replay rebuilds any accepted APL from its
+  // mutation chain without touching the iteration state.
   console.log(
     `\nWARNING: DPS tracking reverted, but apls/current.simc was not restored.`,
   );
-  console.log(`You may need to manually restore the APL from git or a backup.`);
+  console.log(
+    `Rebuild an earlier APL with: node src/sim/iterate.js replay <db-iteration-id>`,
+  );
 
   saveState(state);
   writeDashboard(state);
@@ -1933,6 +2972,112 @@ async function cmdRollback(iterationId) {
   console.log(`DPS reverted to pre-iteration state.`);
 }
 
+// --- Mutation Chains ---
+
+function readBaselineApl() {
+  const path = join(aplsDir(), "baseline.simc");
+  return existsSync(path) ? readFileSync(path, "utf-8") : "";
+}
+
+// Chain of current.simc. Sessions initialized before chains were recorded
+// start from a snapshot of whatever current.simc holds.
+function currentMutationChain() {
+  return (
+    getSessionState("mutation_chain") ??
+    initialChain(
+      readBaselineApl(),
+      readFileSync(CURRENT_APL, "utf-8"),
+      "current.simc (no recorded chain)",
+    )
+  );
+}
+
+// Chain to store for an accepted candidate: the pending chain from generate /
+// revert-mutation when it reproduces the file, otherwise a snapshot
+function nextMutationChain(candidatePath, reason) {
+  return extendChain(
+    readBaselineApl(),
+    currentMutationChain(),
+    readFileSync(candidatePath, "utf-8"),
+    getSessionState("pending_mutation")?.chain ?? null,
+    reason,
+  );
+}
+
+function cmdReplay(iterationId, outputPath) {
+  let chain;
+  let label;
+  if (iterationId) {
+    const iteration = dbGetIteration(parseInt(iterationId, 10));
+    if (!iteration) {
+      console.error(`Iteration #${iterationId} not found in DB.`);
+      process.exit(1);
+    }
+    if (!iteration.mutationChain) {
+      console.error(
+        `Iteration #${iterationId} has no mutation chain (${iteration.decision}, or recorded before chains were tracked).`,
+      );
+      process.exit(1);
+    }
+    chain = iteration.mutationChain;
+    label = `iteration #${iteration.id}: ${iteration.reason}`;
+  } else {
+    chain = currentMutationChain();
+    label = "current.simc";
+  }
+
+  let text;
+  try {
+    text = replayChain(readBaselineApl(), chain);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  const outPath = resolve(outputPath || join(aplsDir(), "replay.simc"));
+  writeFileSync(outPath, text);
+
+  console.log(`Replayed ${label}`);
+  console.log(`baseline.simc + ${chain.length} link(s):`);
+  for (const line of formatChain(chain)) console.log(line);
+  console.log(`\nWrote ${relative(ROOT, outPath)}`);
+  if (!iterationId) {
+    const matches = text === readFileSync(CURRENT_APL, "utf-8");
+    console.log(
+      matches
+        ? "Matches current.simc."
+        : "WARNING: does not match current.simc — it was edited outside accept.",
+    );
+  }
+}
+
+function cmdRevertMutation(linkId) {
+  const chain = currentMutationChain();
+  let reverted;
+  let text;
+  try {
+    reverted = removeLink(chain, linkId);
+    text = replayChain(readBaselineApl(), reverted);
+  } catch (e) {
+    console.error(e.message);
+    console.log("\nCurrent chain:");
+    for (const line of formatChain(chain)) console.log(line);
+    process.exit(1);
+  }
+
+  const removed = chain.find((l) => l.id === linkId);
+  const candidatePath = join(aplsDir(), "candidate.simc");
+  writeFileSync(candidatePath, text);
+  setSessionState("pending_mutation", { chain: reverted });
+
+  console.log(`Reverted ${removed.id}: ${removed.description}`);
+  console.log(`\nGenerated: ${relative(ROOT, candidatePath)}`);
+  for (const line of formatChain(reverted)) console.log(line);
+  console.log(
+    `\nRun: node src/sim/iterate.js compare ${relative(ROOT, candidatePath)} --quick`,
+  );
+}
+
 // --- Divergence Hypotheses ---
 
 async function cmdDivergenceHypotheses() {
@@ -2350,6 +3495,12 @@ async function cmdAutoGenerate() {
       // Generate candidate
       const candidatePath = join(aplsDir(), "candidate.simc");
       const result = generateCandidate(CURRENT_APL, mutation, candidatePath);
+      setSessionState("pending_mutation", {
+        chain: [
+          ...currentMutationChain(),
+          mutationLink(mutation, { hypothesisId: hypothesis.id }),
+        ],
+      });
 
       console.log(`\nGenerated: ${result.outputPath}`);
       console.log(`Description: ${result.description}`);
@@ -3044,6 +4195,17 @@ function writeDashboard(state) {
     );
   }
 
+  lines.push("\n## Scenarios\n");
+  lines.push("| Scenario | Weight | Fight |");
+  lines.push("|----------|--------|-------|");
+  for (const key of SCENARIO_KEYS) {
+    const weight = Math.round((SCENARIO_WEIGHTS[key] || 0) * 100);
+    lines.push(
+      `| ${SCENARIO_LABELS[key]} | ${weight}% | ${describeScenario(SCENARIOS[key])} |`,
+    );
+  }
+  lines.push(...weightRobustnessPanel(state));
+
   if (iterCount > 0) {
     lines.push("\n## Recent Iterations\n");
     lines.push("| # | Decision | Hypothesis | Weighted Delta |");
@@ -3064,6 +4226,43 @@ function writeDashboard(state) {
   writeFileSync(dashPath, lines.join("\n") + "\n");
 }
 
+// Latest comparison and roster ranking under other scenario weights
+function weightRobustnessPanel(state) {
+  const lines = [];
+  const compPath = resultsFile("comparison_latest.json");
+  if (existsSync(compPath)) {
+    const { deltas, builds } = comparisonDeltas(
+      JSON.parse(readFileSync(compPath, "utf-8")),
+    );
+    const r = comparisonRobustness(deltas, SCENARIO_WEIGHTS);
+    lines.push("\n## Weight Robustness\n");
+    lines.push("Latest comparison:\n");
+    for (const line of formatComparisonRobustness(r, SCENARIO_LABELS, builds)) {
+      lines.push(`- ${line}`);
+    }
+  }
+  if (state.multiBuild) {
+    const builds = (loadRoster()?.builds ?? []).filter((b) => b.lastDps);
+    if (builds.length > 1) {
+      const names = new Map(builds.map((b) => [b.id, b.displayName || b.id]));
+      const r = rankingRobustness(
+        builds.map((b) => ({ id: b.id, dps: b.lastDps })),
+        SCENARIO_WEIGHTS,
+      );
+      if (lines.length === 0) lines.push("\n## Weight Robustness\n");
+      lines.push(
+        "\nRoster ranking — share of weight space where each build is first:\n",
+      );
+      lines.push(
+        ...formatRankingRobustness(r, SCENARIO_LABELS, {
+          name: (id) => names.get(id),
+        }),
+      );
+    }
+  }
+  return lines;
+}
+
 function writeFindings(state) {
   const findings = state.findings || [];
   const lines = [];
@@ -3075,8 +4274,12 @@ function writeFindings(state) {
       "No significant findings yet (threshold: >0.5% weighted delta).\n",
     );
   } else {
-    lines.push("| Iteration | Weighted Delta | Hypothesis | ST | 5T | 10T |");
-    lines.push("|-----------|----------------|------------|----|----|-----|");
+    lines.push(
+      "| Iteration | Weighted Delta | Hypothesis | ST | 5T | 10T | Why |",
+    );
+    lines.push(
+      "|-----------|----------------|------------|----|----|-----|-----|",
+    );
     for (const f of findings) {
       const scenarios = f.scenarios || {};
       const cols = SCENARIO_KEYS.map((k) => {
@@ -3084,7 +4287,7 @@ function writeFindings(state) {
         return v !== undefined ? `${v >= 0 ? "+" : ""}${v.toFixed(2)}%` : "—";
       });
       lines.push(
-        `| ${f.iteration} | ${f.weightedDelta >= 0 ? "+" : ""}${f.weightedDelta.toFixed(3)}% | ${f.hypothesis} | ${cols.join(" | ")} |`,
+        `| ${f.iteration} | ${f.weightedDelta >= 0 ? "+" : ""}${f.weightedDelta.toFixed(3)}% | ${f.hypothesis} | ${cols.join(" | ")} | ${f.why?.join(", ") || "—"} |`,
       );
     }
   }
@@ -3128,6 +4331,9 @@ function writeChangelog(state) {
           .join(", ");
         if (scenarioDetail) lines.push(`Scenarios: ${scenarioDetail}\n`);
       }
+      if (iter.breakdown?.summary.length) {
+        lines.push(`Why: ${iter.breakdown.summary.join(", ")}\n`);
+      }
     }
   }
 
@@ -3166,6 +4372,13 @@ if (bsIdx !== -1 && rawArgs[bsIdx + 1]) {
   }
 }
 
+// --no-cache (global flag): always run SimC, ignoring cached results
+const ncIdx = rawArgs.indexOf("--no-cache");
+if (ncIdx !== -1) {
+  rawArgs.splice(ncIdx, 1);
+  disableSimCache();
+}
+
 switch (cmd) {
   case "init":
     if (!rawArgs[0]) {
@@ -3182,29 +4395,60 @@ switch (cmd) {
   case "compare": {
     if (!rawArgs[0]) {
       console.error(
-        "Usage: node src/sim/iterate.js compare <candidate.simc> [--quick|--confirm] [--batch-size N]",
+        "Usage: node src/sim/iterate.js compare <candidate.simc> [--quick|--confirm|--sequential|--paired] [--batch-size N]",
       );
       process.exit(1);
     }
+    const sequential = rawArgs.includes("--sequential");
+    const paired = rawArgs.includes("--paired");
+    if (sequential && paired) {
+      console.error("--sequential and --paired are separate modes; pick one.");
+      process.exit(1);
+    }
     const hasExplicitTier =
       rawArgs.includes("--quick") || rawArgs.includes("--confirm");
     let tier = "standard";
     if (rawArgs.includes("--quick")) tier = "quick";
     else if (rawArgs.includes("--confirm")) tier = "confirm";
     // Default (no flag): staged screening — quick first, then standard if promising
-    await cmdCompare(rawArgs[0], tier, { staged: !hasExplicitTier });
+    await cmdCompare(rawArgs[0], tier, {
+      staged: !hasExplicitTier && !sequential && !paired,
+      sequential,
+      paired,
+    });
+    break;
+  }
+
+  case "sweep": {
+    const flag = (name) => {
+      const idx = rawArgs.indexOf(name);
+      return idx !== -1 ? rawArgs[idx + 1] : undefined;
+    };
+    if (!rawArgs[0] || rawArgs[0].startsWith("--")) {
+      console.error(
+        "Usage: node src/sim/iterate.js sweep <list/ability[#n]/subject[op]> [--range min:max:step | --values a,b,c] [--top N]",
+      );
+      process.exit(1);
+    }
+    await cmdSweep(rawArgs[0], {
+      range: flag("--range"),
+      values: flag("--values"),
+      top: Math.max(1, parseInt(flag("--top"), 10) || 3),
+    });
     break;
   }
 
   case "accept": {
     const { hint, remaining } = parseHypothesisFlag(rawArgs);
+    const nbIdx = remaining.indexOf("--no-breakdown");
+    if (nbIdx !== -1) remaining.splice(nbIdx, 1);
     if (!remaining[0]) {
       console.error(
-        'Usage: node src/sim/iterate.js accept "reason" [--hypothesis "fragment"]',
+        'Usage: node src/sim/iterate.js accept "reason" [--hypothesis "fragment"] [--no-breakdown]',
       );
       process.exit(1);
     }
-    await cmdAccept(remaining.join(" "), hint);
+    await cmdAccept(remaining.join(" "), hint, { breakdown: nbIdx === -1 });
     break;
   }
 
@@ -3240,6 +4484,25 @@ switch (cmd) {
     await cmdAutoGenerate();
     break;
 
+  case "replay": {
+    const outIdx = rawArgs.indexOf("--output");
+    const outputPath = outIdx !== -1 ? rawArgs[outIdx + 1] : null;
+    const args =
+      outIdx !== -1
+        ? [...rawArgs.slice(0, outIdx), ...rawArgs.slice(outIdx + 2)]
+        : rawArgs;
+    cmdReplay(args[0], outputPath);
+    break;
+  }
+
+  case "revert-mutation":
+    if (!rawArgs[0]) {
+      console.error("Usage: node src/sim/iterate.js revert-mutation <link-id>");
+      process.exit(1);
+    }
+    cmdRevertMutation(rawArgs[0]);
+    break;
+
   case "strategic":
     await cmdStrategicHypotheses();
     break;
@@ -3334,8 +4597,9 @@ switch (cmd) {
 Usage:
   node src/sim/iterate.js init <apl.simc>           Initialize with baseline
   node src/sim/iterate.js status                     Show current state
-  node src/sim/iterate.js compare <candidate.simc>   Screen→standard staged comparison [--quick|--confirm]
-  node src/sim/iterate.js accept "reason"            Accept candidate [--hypothesis "fragment"]
+  node src/sim/iterate.js compare <candidate.simc>   Screen→standard staged comparison [--quick|--confirm|--sequential|--paired]
+  node src/sim/iterate.js sweep <list/ability/subject>  Sweep a numeric threshold [--range min:max:step|--values a,b,c] [--top N]
+  node src/sim/iterate.js accept "reason"            Accept candidate [--hypothesis "fragment"] [--no-breakdown]
   node src/sim/iterate.js reject "reason"            Reject candidate [--hypothesis "fragment"]
   node src/sim/iterate.js hypotheses                 List improvement hypotheses
   node src/sim/iterate.js strategic                  Generate strategic hypotheses with auto-mutations
@@ -3346,9 +4610,15 @@ Usage:
   node src/sim/iterate.js unify                      Unify hypotheses: consensus, fingerprinting, mutation inference
   node src/sim/iterate.js generate                   Auto-generate candidate from top hypothesis
   node src/sim/iterate.js rollback <iteration-id>    Rollback an accepted iteration
+  node src/sim/iterate.js replay [iteration-id]      Rebuild an accepted APL from its mutation chain [--output path]
+  node src/sim/iterate.js revert-mutation <link-id>  Drop one mutation from the current chain → candidate.simc
   node src/sim/iterate.js summary                    Generate iteration report
   node src/sim/iterate.js group-independent           Group hypotheses into independent sets
   node src/sim/iterate.js phase [value]               Get/set orchestrator phase
-  node src/sim/iterate.js checkpoint                 Save checkpoint for session resume`);
+  node src/sim/iterate.js checkpoint                 Save checkpoint for session resume
+
+Global options:
+  --batch-size N   Builds per multi-actor sim batch (init, compare)
+  --no-cache       Always run SimC, ignoring cached results`);
     break;
 }
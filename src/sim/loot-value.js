@@ -0,0 +1,159 @@
+// Loot-source value: which raid boss, dungeon or Great Vault row is worth the
+// most DPS for a character's current gear.
+//
+// Each gear candidate carries the sources it drops from (gear-candidates.js).
+// A source's expected gain is its drop chance times the mean upgrade over its
+// loot table, items that aren't upgrades counting as zero. Raid bosses drop
+// from their own table; Mythic+ end-of-run chests from the whole dungeon's.
+// A Great Vault row offers several choices from the season's raid or Mythic+
+// loot, so its value is the expected best of those draws.
+// Pure module, no I/O.
+
+/**
+ * Loot tables by source.
+ * @param {{ itemId: number, sources?: Object[] }[]} items
+ * @returns {Map<string, { type: string, name: string, instance: string,
+ *   itemIds: number[] }>} keyed raid:<instance>:<boss> or dungeon:<instance>
+ */
+export function lootTables(items) {
+  const tables = new Map();
+  for (const item of items) {
+    for (const s of item.sources || []) {
+      if (s.type !== "raid" && s.type !== "dungeon") continue;
+      const boss = s.type === "raid" ? (s.encounter ?? "Trash") : null;
+      const key = boss ? `raid:${s.instance}:${boss}` : `dungeon:${s.instance}`;
+      if (!tables.has(key)) {
+        tables.set(key, {
+          type: s.type,
+          name: boss ?? s.instance,
+          instance: s.instance,
+          itemIds: [],
+        });
+      }
+      const table = tables.get(key);
+      if (!table.itemIds.includes(item.itemId)) table.itemIds.push(item.itemId);
+    }
+  }
+  return tables;
+}
+
+/**
+ * Expected best of `choices` independent uniform draws from values.
+ * @param {number[]} values
+ */
+export function expectedBest(values, choices) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  let sum = 0;
+  for (let i = 1; i <= n; i++) {
+    sum += sorted[i - 1] * ((i / n) ** choices - ((i - 1) / n) ** choices);
+  }
+  return sum;
+}
+
+function tableStats(itemIds, gains) {
+  const values = itemIds.map((id) => Math.max(0, gains.get(id) ?? 0));
+  const upgrades = values.filter((v) => v > 0).length;
+  const bestIdx = values.indexOf(Math.max(...values));
+  return {
+    values,
+    mean: values.reduce((a, b) => a + b, 0) / (values.length || 1),
+    upgradeShare: values.length ? upgrades / values.length : 0,
+    best:
+      values[bestIdx] > 0
+        ? { itemId: itemIds[bestIdx], gain: values[bestIdx] }
+        : null,
+  };
+}
+
+/**
+ * Ranked sources.
+ * @param {Map} tables — lootTables()
+ * @param {Map<number, number>} gains — DPS gain per item id over current gear;
+ *   items without a value are left out of their tables
+ * @param {{ raidChance: number, mplusChance: number, vaultChoices: number,
+ *   vaultGains?: Map<number, number> }} loot — vaultGains: gains at the
+ *   vault's item level, defaults to gains
+ * @returns {{ raid: Object[], dungeons: Object[], vault: Object[] }} each
+ *   entry { name, instance, expected, upgradeChance, best, items }, best first
+ */
+export function rankSources(tables, gains, loot) {
+  const raid = [];
+  const dungeons = [];
+  const pools = { raid: new Set(), dungeon: new Set() };
+
+  for (const table of tables.values()) {
+    for (const id of table.itemIds) pools[table.type].add(id);
+    const itemIds = table.itemIds.filter((id) => gains.has(id));
+    if (itemIds.length === 0) continue;
+    const { mean, upgradeShare, best } = tableStats(itemIds, gains);
+    const chance = table.type === "raid" ? loot.raidChance : loot.mplusChance;
+    (table.type === "raid" ? raid : dungeons).push({
+      name: table.name,
+      instance: table.instance,
+      expected: chance * mean,
+      upgradeChance: chance * upgradeShare,
+      best,
+      items: itemIds.length,
+    });
+  }
+
+  const vaultGains = loot.vaultGains ?? gains;
+  const vault = [
+    ["raid", "Raid row"],
+    ["dungeon", "Mythic+ row"],
+  ]
+    .map(([pool, name]) => ({
+      name,
+      itemIds: [...pools[pool]].filter((id) => vaultGains.has(id)),
+    }))
+    .filter(({ itemIds }) => itemIds.length > 0)
+    .map(({ name, itemIds }) => {
+      const { values, upgradeShare, best } = tableStats(itemIds, vaultGains);
+      return {
+        name,
+        instance: null,
+        expected: expectedBest(values, loot.vaultChoices),
+        upgradeChance: 1 - (1 - upgradeShare) ** loot.vaultChoices,
+        best,
+        items: itemIds.length,
+      };
+    });
+
+  const byExpected = (a, b) => b.expected - a.expected;
+  return {
+    raid: raid.sort(byExpected),
+    dungeons: dungeons.sort(byExpected),
+    vault: vault.sort(byExpected),
+  };
+}
+
+/**
+ * DPS gain of each item over the current gear in the best slot it fits.
+ * @param {{ itemId: number, slots: string[], uniqueEquipped?: boolean }[]} items
+ * @param {Object<string, { itemId: number, value: number|null }>} current —
+ *   per slot; value null when unknown (slot left out)
+ * @param {(itemId: number) => number|null} valueOf — item value at drop ilvl
+ * @returns {Map<number, number>}
+ */
+export function itemGains(items, current, valueOf) {
+  const worn = new Set(Object.values(current).map((c) => c.itemId));
+  const gains = new Map();
+  for (const item of items) {
+    const value = valueOf(item.itemId);
+    if (value == null) continue;
+    let best = null;
+    for (const slot of item.slots) {
+      const cur = current[slot];
+      if (!cur || cur.value == null) continue;
+      // A unique-equipped copy only replaces itself
+      if (item.uniqueEquipped && worn.has(item.itemId)) {
+        if (cur.itemId !== item.itemId) continue;
+      }
+      const gain = value - cur.value;
+      if (best == null || gain > best) best = gain;
+    }
+    if (best != null) gains.set(item.itemId, best);
+  }
+  return gains;
+}
@@ -46,7 +46,7 @@ const GEAR_KEYS = [
 // Hash is authoritative — if present, skip overrides (they encode the same info).
 // Emitting both causes SimC to partially override the hash with override strings,
 // producing invalid builds (dual hero trees, wrong ranks).
-function emitTalentOverrides(output, build) {
+export function emitTalentOverrides(output, build) {
   if (build.hash) {
     output.push(`talents=${build.hash}`);
     return;
@@ -0,0 +1,89 @@
+// Paired-seed statistics for iterate.js compare --paired.
+// Each chunk runs baseline and candidate with the same seed=/deterministic=1,
+// so both sides see the same fight and most of the DPS noise cancels in the
+// difference. With per-chunk means b_i and c_i over k chunks:
+//   paired   SE = sd(c_i − b_i) / √k
+//   unpaired SE = √((var(b_i) + var(c_i)) / k)   — what independent seeds give
+// The ratio (unpaired/paired)² is how many times more iterations an
+// unpaired comparison would need for the same confidence.
+
+function variance(xs, mean) {
+  return xs.reduce((s, x) => s + (x - mean) ** 2, 0) / (xs.length - 1);
+}
+
+/**
+ * @param {number[]} baseline — per-chunk baseline mean DPS
+ * @param {number[]} candidate — per-chunk candidate mean DPS, same seeds
+ * @returns {{ current: number, candidate: number, delta: number,
+ *   deltaPct: number, stderrPct: number, unpairedStderrPct: number,
+ *   correlation: number }} stderrs are NaN below two chunks
+ */
+export function pairedStats(baseline, candidate) {
+  const k = baseline.length;
+  if (candidate.length !== k) {
+    throw new Error(
+      `Chunk count mismatch: ${k} baseline vs ${candidate.length} candidate`,
+    );
+  }
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+  const b = mean(baseline);
+  const c = mean(candidate);
+  const diffs = candidate.map((x, i) => x - baseline[i]);
+
+  let stderrPct = NaN;
+  let unpairedStderrPct = NaN;
+  let correlation = NaN;
+  if (k >= 2) {
+    const varB = variance(baseline, b);
+    const varC = variance(candidate, c);
+    stderrPct = (Math.sqrt(variance(diffs, c - b) / k) / b) * 100;
+    unpairedStderrPct = (Math.sqrt((varB + varC) / k) / b) * 100;
+    const cov =
+      baseline.reduce((s, x, i) => s + (x - b) * (candidate[i] - c), 0) /
+      (k - 1);
+    correlation = varB > 0 && varC > 0 ? cov / Math.sqrt(varB * varC) : NaN;
+  }
+
+  return {
+    current: b,
+    candidate: c,
+    delta: c - b,
+    deltaPct: ((c - b) / b) * 100,
+    stderrPct,
+    unpairedStderrPct,
+    correlation,
+  };
+}
+
+/**
+ * How many times more iterations the unpaired comparison needs to match the
+ * paired one's standard error.
+ */
+export function varianceReduction({ stderrPct, unpairedStderrPct }) {
+  return stderrPct > 0 ? (unpairedStderrPct / stderrPct) ** 2 : Infinity;
+}
+
+/**
+ * Thread options for a profileset run. SimC sims the baseline actor on
+ * threads= and each profileset on profileset_work_threads=; deterministic=1
+ * slices iterations by thread count, so a seeded run gives both sides the
+ * same count or they stop replaying the same fights.
+ * @param {number} threads
+ * @param {{ seeded?: boolean, workThreads?: number }} [opts] — workThreads
+ *   overrides the unseeded default of a quarter of threads
+ * @returns {string[]}
+ */
+export function profilesetThreadArgs(
+  threads,
+  { seeded = false, workThreads } = {},
+) {
+  const work = seeded
+    ? threads
+    : workThreads || Math.max(1, Math.floor(threads / 4));
+  const init = Math.min(4, Math.max(1, Math.floor(threads / 3)));
+  return [
+    `threads=${threads}`,
+    `profileset_work_threads=${work}`,
+    `profileset_init_threads=${init}`,
+  ];
+}
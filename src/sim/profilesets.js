@@ -1,6 +1,6 @@
 // Generate and run SimC profileset files for batch comparison.
 // Supports talent, APL, and action line overrides per variant.
-// Usage: node src/sim/profilesets.js <base-profile.simc> [scenario]
+// Usage: node src/sim/profilesets.js <base-profile.simc> [scenario] [--no-cache]
 
 import { execFileSync } from "node:child_process";
 import { execFileAsync } from "../util/exec.js";
@@ -10,14 +10,21 @@ import {
   mkdirSync,
   existsSync,
   unlinkSync,
+  readdirSync,
 } from "node:fs";
 import { join, dirname, resolve } from "node:path";
 import {
   SCENARIOS,
   SIM_DEFAULTS,
-  readRouteFile,
+  scenarioArgs,
   execSimcWithFallback,
+  seedArgs,
+  withSimCache,
+  disableSimCache,
+  getSimcCommit,
 } from "./runner.js";
+import { actorSurvival, profilesetSurvival } from "./survivability.js";
+import { profilesetThreadArgs } from "./paired.js";
 import { SIMC_BIN, DATA_ENV, initSpec } from "../engine/startup.js";
 import { parseSpecArg } from "../util/parse-spec-arg.js";
 import { resultsDir, resultsFile, dataFile } from "../engine/paths.js";
@@ -103,25 +110,19 @@ function prepareProfileset(simcContent, scenario, label, simOverrides) {
   writeFileSync(simcPath, simcContent);
 
   const merged = { ...SIM_DEFAULTS, ...simOverrides };
-  const workThreads =
-    merged.profileset_work_threads ||
-    Math.max(1, Math.floor(merged.threads / 4));
-  const initThreads = Math.min(4, Math.max(1, Math.floor(merged.threads / 3)));
 
   const args = [
     simcPath,
-    `max_time=${config.maxTime}`,
-    `desired_targets=${config.desiredTargets}`,
-    ...(config.fightStyle ? [`fight_style=${config.fightStyle}`] : []),
-    ...(config.routeFile ? readRouteFile(config.routeFile) : []),
-    ...(config.overrides || []),
+    ...scenarioArgs(config),
     `target_error=${merged.target_error}`,
     `iterations=${merged.iterations}`,
+    ...seedArgs(merged),
     `json2=${jsonPath}`,
-    `threads=${merged.threads}`,
-    `profileset_work_threads=${workThreads}`,
-    `profileset_init_threads=${initThreads}`,
-    "profileset_metric=dps",
+    ...profilesetThreadArgs(merged.threads, {
+      seeded: merged.seed != null,
+      workThreads: merged.profileset_work_threads,
+    }),
+    `profileset_metric=${merged.profileset_metric ?? "dps"}`,
     "buff_uptime_timeline=0",
     "buff_stack_uptime_timeline=0",
   ];
@@ -174,30 +175,37 @@ export async function runProfilesetAsync(
     simOverrides,
   );
 
-  const maxRetries = 2;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      await execSimcWithFallback(args, (a) =>
-        execFileAsync(SIMC, a, {
-          maxBuffer: 100 * 1024 * 1024,
-          timeout: 1800000,
-        }),
-      );
-      break;
-    } catch (e) {
-      if (attempt < maxRetries) {
-        console.log(
-          `  SimC crashed (attempt ${attempt}/${maxRetries}), retrying...`,
-        );
-        continue;
+  return withSimCache(
+    "profileset",
+    args,
+    async () => {
+      const maxRetries = 2;
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          await execSimcWithFallback(args, (a) =>
+            execFileAsync(SIMC, a, {
+              maxBuffer: 100 * 1024 * 1024,
+              timeout: 1800000,
+            }),
+          );
+          break;
+        } catch (e) {
+          if (attempt < maxRetries) {
+            console.log(
+              `  SimC crashed (attempt ${attempt}/${maxRetries}), retrying...`,
+            );
+            continue;
+          }
+          if (e.stdout) console.log(e.stdout.split("\n").slice(-10).join("\n"));
+          throw new Error(`SimC profileset failed: ${e.message}`);
+        }
       }
-      if (e.stdout) console.log(e.stdout.split("\n").slice(-10).join("\n"));
-      throw new Error(`SimC profileset failed: ${e.message}`);
-    }
-  }
 
-  const data = JSON.parse(readFileSync(jsonPath, "utf-8"));
-  return parseProfilesetResults(data, scenario);
+      const data = JSON.parse(readFileSync(jsonPath, "utf-8"));
+      return parseProfilesetResults(data, scenario);
+    },
+    { enabled: simOverrides.cache !== false },
+  );
 }
 
 function parseProfilesetResults(data, scenario) {
@@ -213,6 +221,7 @@ function parseProfilesetResults(data, scenario) {
       name: baseline.name,
       dps: baselineDPS,
       hps: baseline.collected_data.hps?.mean || 0,
+      survival: actorSurvival(baseline),
     },
     variants: [],
   };
@@ -228,6 +237,7 @@ function parseProfilesetResults(data, scenario) {
       dpsMeanStdDev: ps.mean_stddev || 0,
       dpsMeanError: ps.mean_error || 0,
       iterations: ps.iterations || 0,
+      survival: profilesetSurvival(ps),
     });
   }
 
@@ -286,7 +296,8 @@ export function profilesetResultsToActorMap(profilesetResults, roster) {
   actorMap.set(builds[0].id, {
     dps: profilesetResults.baseline.dps,
     hps: profilesetResults.baseline.hps || 0,
-    dtps: 0,
+    dtps: profilesetResults.baseline.survival?.dtps || 0,
+    survival: profilesetResults.baseline.survival,
   });
 
   const nameToId = new Map();
@@ -297,7 +308,12 @@ export function profilesetResultsToActorMap(profilesetResults, roster) {
 
   for (const variant of profilesetResults.variants) {
     const buildId = nameToId.get(variant.name) || variant.name;
-    actorMap.set(buildId, { dps: variant.dps, hps: 0, dtps: 0 });
+    actorMap.set(buildId, {
+      dps: variant.dps,
+      hps: variant.survival?.hps || 0,
+      dtps: variant.survival?.dtps || 0,
+      survival: variant.survival,
+    });
   }
 
   return actorMap;
@@ -316,13 +332,36 @@ export function compareResults(baselineDPS, results) {
   });
 }
 
-export function saveGolden(label, results) {
+// SimC build and data environment results were simmed with
+export function simcStamp() {
+  return { simcCommit: getSimcCommit({ short: true }), dataEnv: DATA_ENV };
+}
+
+// Golden results record their simcStamp() under "golden", so a DPS move can
+// be told apart from an engine change
+export function saveGolden(label, results, stamp = simcStamp()) {
   mkdirSync(goldenDir(), { recursive: true });
   const path = join(goldenDir(), `${label}.json`);
-  writeFileSync(path, JSON.stringify(results, null, 2));
+  const golden = { ...stamp, savedAt: new Date().toISOString() };
+  writeFileSync(path, JSON.stringify({ ...results, golden }, null, 2));
   console.log(`Golden results saved to ${path}`);
 }
 
+/**
+ * Stamps of saved golden results whose label starts with prefix, newest first.
+ * @returns {Array<{ label: string, simcCommit?: string, dataEnv?: string, savedAt?: string }>}
+ */
+export function listGolden(prefix = "") {
+  if (!existsSync(goldenDir())) return [];
+  return readdirSync(goldenDir())
+    .filter((f) => f.startsWith(prefix) && f.endsWith(".json"))
+    .map((f) => {
+      const label = f.slice(0, -".json".length);
+      return { label, ...loadGolden(label).golden };
+    })
+    .sort((a, b) => (b.savedAt ?? "").localeCompare(a.savedAt ?? ""));
+}
+
 export function loadGolden(label) {
   const path = join(goldenDir(), `${label}.json`);
   if (!existsSync(path)) {
@@ -411,12 +450,15 @@ export function printProfilesetResults(results) {
 // CLI entry point
 if (import.meta.url === `file://${process.argv[1]}`) {
   await initSpec(parseSpecArg());
-  const profilePath = process.argv[2];
-  const scenario = process.argv[3] || "st";
+  const args = process.argv.slice(2);
+  if (args.includes("--no-cache")) disableSimCache();
+  const positional = args.filter((a) => !a.startsWith("--"));
+  const profilePath = positional[0];
+  const scenario = positional[1] || "st";
 
   if (!profilePath) {
     console.log(
-      "Usage: node src/sim/profilesets.js <base-profile.simc> [scenario]",
+      "Usage: node src/sim/profilesets.js <base-profile.simc> [scenario] [--no-cache]",
     );
     console.log(
       "\nGenerates a demo profileset with 3 talent variants and runs it.",
@@ -447,7 +489,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const simcContent = generateProfileset(profilePath, variants);
   console.log(`Generated profileset with ${variants.length} variants`);
 
-  const results = runProfileset(simcContent, scenario, "demo");
+  const results = await runProfilesetAsync(simcContent, scenario, "demo");
   printProfilesetResults(results);
 
   const goldenLabel = `demo_${scenario}`;
@@ -455,6 +497,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   if (!golden) {
     saveGolden(goldenLabel, results);
   } else {
+    const now = simcStamp();
+    if (
+      golden.golden?.simcCommit !== now.simcCommit ||
+      golden.golden?.dataEnv !== now.dataEnv
+    ) {
+      const then = golden.golden
+        ? `${golden.golden.simcCommit} (${golden.golden.dataEnv})`
+        : "an unrecorded SimC build";
+      console.log(
+        `\nNote: golden results are from ${then}, now ${now.simcCommit} (${now.dataEnv}) — see simc-upgrade for engine changes`,
+      );
+    }
     const check = checkRegressions(results, golden);
     if (!check.passed) {
       console.log("\n!! REGRESSIONS DETECTED:");
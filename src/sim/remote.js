@@ -609,10 +609,12 @@ const REMOTE_SPEEDUP_MIN = 2; // require at least 2x local core count to justify
 
 export function shouldUseRemote(args) {
   if (!isRemoteActive()) return false;
-  const remoteVcpus = getSimCores();
-  const localCpus = cpus().length;
-  if (remoteVcpus < localCpus * REMOTE_SPEEDUP_MIN) return false;
-  return true;
+  return outpacesLocal(getSimCores());
+}
+
+// Shared with the SSH pool backend
+export function outpacesLocal(cores) {
+  return cores >= cpus().length * REMOTE_SPEEDUP_MIN;
 }
 
 export function getSimCores() {
@@ -622,7 +624,7 @@ export function getSimCores() {
 }
 
 // Prevents metacharacters (|, &, etc.) from being interpreted by the remote shell.
-function shellEscape(s) {
+export function shellEscape(s) {
   return "'" + s.replace(/'/g, "'\\''") + "'";
 }
 
@@ -1,22 +1,43 @@
 import { execFileSync } from "node:child_process";
 import { execFileAsync } from "../util/exec.js";
-import { readFileSync, writeFileSync, mkdirSync, unlinkSync } from "node:fs";
+import {
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  unlinkSync,
+  statSync,
+} from "node:fs";
 import { cpus } from "node:os";
+import { RemoteUnavailableError } from "./remote.js";
+import { activeBackend, getSimCores } from "./backends.js";
+import { patchThreads } from "./work-pool.js";
+import { basename, dirname, join, resolve } from "node:path";
+import {
+  createSimCache,
+  splitSimcArgs,
+  cacheableOptions,
+  simFidelity,
+  simCacheKey,
+} from "./sim-cache.js";
+import { actorSurvival } from "./survivability.js";
+import { compileEncounter } from "./scenario-builder.js";
 import {
-  shouldUseRemote,
-  runSimcRemote,
-  getSimCores,
-  RemoteUnavailableError,
-} from "./remote.js";
-import { basename, resolve } from "node:path";
+  loadRoute,
+  compileRoute,
+  pullBreakdown,
+  printPullBreakdown,
+} from "./dungeon-route.js";
 
 import {
   SIMC_BIN,
+  SIMC_DIR,
   DATA_ENV,
   SCENARIOS,
   SCENARIO_WEIGHTS,
   SIM_DEFAULTS as _SIM_DEFAULTS,
+  SIM_CACHE,
   initSpec,
+  getSpecAdapter,
 } from "../engine/startup.js";
 import { parseSpecArg } from "../util/parse-spec-arg.js";
 import { resultsDir, resultsFile } from "../engine/paths.js";
@@ -30,26 +51,51 @@ export const SIM_DEFAULTS = {
   },
 };
 
+// Route JSON (dungeon-route.js) is compiled on the fly; .simc is read as is
 export function readRouteFile(routePath) {
   const resolved = resolve(routePath);
-  return readFileSync(resolved, "utf-8")
+  const text = resolved.endsWith(".json")
+    ? compileRoute(loadRoute(resolved))
+    : readFileSync(resolved, "utf-8");
+  return text
     .split("\n")
     .map((l) => l.trim())
     .filter((l) => l && !l.startsWith("#"))
     .map((l) => l.replace(/"/g, ""));
 }
 
+// Fixed seed for paired comparisons: deterministic=1 also slices iterations
+// across threads deterministically, so two sims with the same seed and
+// thread count replay the same fights
+export function seedArgs({ seed } = {}) {
+  return seed != null ? [`seed=${seed}`, "deterministic=1"] : [];
+}
+
+// SimC options for a scenario's fight. The compiled encounter goes last since
+// it may declare the enemy; callers only append sim-wide options after it.
+export function scenarioArgs(scConfig) {
+  return [
+    `max_time=${scConfig.maxTime}`,
+    `desired_targets=${scConfig.desiredTargets}`,
+    ...(scConfig.fightStyle ? [`fight_style=${scConfig.fightStyle}`] : []),
+    ...(scConfig.routeFile ? readRouteFile(scConfig.routeFile) : []),
+    ...(scConfig.overrides || []),
+    ...compileEncounter(scConfig.encounter, scConfig.maxTime),
+  ];
+}
+
+function routeJson(scConfig) {
+  return scConfig.routeFile?.endsWith(".json") ? scConfig.routeFile : null;
+}
+
 function buildOverrides(scenario, extraOverrides = {}) {
   const config = SCENARIOS[scenario];
   const merged = { ...SIM_DEFAULTS, ...extraOverrides };
   const overrides = [
-    `max_time=${config.maxTime}`,
-    `desired_targets=${config.desiredTargets}`,
-    ...(config.fightStyle ? [`fight_style=${config.fightStyle}`] : []),
-    ...(config.routeFile ? readRouteFile(config.routeFile) : []),
-    ...(config.overrides || []),
+    ...scenarioArgs(config),
     `target_error=${merged.target_error}`,
     `iterations=${merged.iterations}`,
+    ...seedArgs(merged),
   ];
   if (DATA_ENV === "ptr" || DATA_ENV === "beta") {
     overrides.unshift("ptr=1");
@@ -82,13 +128,14 @@ export function prepareSim(
   const extras = extraOverrides ? extraOverrides.split(" ") : [];
   const threads = simOverrides.threads ?? SIM_DEFAULTS.threads;
 
+  // Per-pull cooldown usage needs buff timelines
   const args = [
     profilePath,
     ...overrides,
     ...extras,
     `json2=${jsonPath}`,
     `threads=${threads}`,
-    "buff_uptime_timeline=0",
+    `buff_uptime_timeline=${routeJson(config) ? 1 : 0}`,
     "buff_stack_uptime_timeline=0",
   ];
 
@@ -125,33 +172,113 @@ export function runSim(profilePath, scenario = "st", opts = {}) {
   return result;
 }
 
-function patchThreadsForLocal(args) {
-  const localCores = cpus().length;
-  return args.map((a) => {
-    if (a.startsWith("threads=")) return `threads=${localCores}`;
-    if (a.startsWith("profileset_work_threads="))
-      return `profileset_work_threads=${Math.max(1, Math.floor(localCores / 4))}`;
-    if (a.startsWith("profileset_init_threads="))
-      return `profileset_init_threads=${Math.min(4, Math.max(1, Math.floor(localCores / 3)))}`;
-    return a;
-  });
+// Runs simc on the active backend (backends.js), falling back to local on
+// infrastructure failure.
+export async function execSimcWithFallback(args, execFn) {
+  const backend = activeBackend(args);
+  try {
+    await backend.run(args, execFn);
+  } catch (e) {
+    if (!(e instanceof RemoteUnavailableError)) throw e;
+    console.log(
+      `  ${backend.name} unavailable: ${e.message} — falling back to local`,
+    );
+    await execFn(patchThreads(args, cpus().length));
+  }
 }
 
-// Runs simc via remote when eligible, falling back to local on infrastructure failure.
-export async function execSimcWithFallback(args, execFn) {
-  if (shouldUseRemote(args)) {
-    try {
-      await runSimcRemote(args);
-    } catch (e) {
-      if (!(e instanceof RemoteUnavailableError)) throw e;
-      console.log(`  Remote unavailable: ${e.message} — falling back to local`);
-      await execFn(patchThreadsForLocal(args));
-    }
-  } else {
-    await execFn(args);
+// --- Result cache ---
+// Parsed results are cached by content (see sim-cache.js). Pass
+// simOverrides.cache=false for runs that must be fresh draws, e.g. repeated
+// unseeded batches; --no-cache on any sim CLI calls disableSimCache().
+
+let simCacheEnabled = SIM_CACHE.enabled !== false;
+let simCache = null;
+let simcIdentity = null;
+
+export function disableSimCache() {
+  simCacheEnabled = false;
+}
+
+export function getSimCache() {
+  simCache ??= createSimCache(join(resultsDir(), "sim-cache"), SIM_CACHE);
+  return simCache;
+}
+
+// Commit the local SimC checkout (and so the binary) was built from
+export function getSimcCommit({ short = false } = {}) {
+  try {
+    return execFileSync(
+      "git",
+      ["rev-parse", ...(short ? ["--short"] : []), "HEAD"],
+      {
+        cwd: SIMC_DIR,
+        encoding: "utf-8",
+        stdio: ["ignore", "pipe", "ignore"],
+      },
+    ).trim();
+  } catch {
+    return "unknown";
   }
 }
 
+// SimC source commit plus the binary's size and mtime, so a rebuild without
+// a new commit still invalidates
+function getSimcIdentity() {
+  if (simcIdentity) return simcIdentity;
+  const commit = getSimcCommit();
+  let binary = "missing";
+  try {
+    const st = statSync(SIMC_BIN);
+    binary = `${st.size}:${Math.round(st.mtimeMs)}`;
+  } catch {}
+  simcIdentity = `${commit}:${binary}`;
+  return simcIdentity;
+}
+
+/**
+ * Returns a cached result for these SimC args at equal or better fidelity,
+ * otherwise awaits run() and caches what it returns.
+ * @param {string} kind — result shape, part of the key
+ * @param {string[]} args — full SimC args; the input files must exist
+ * @param {() => Promise<*>} run — runs SimC and returns a JSON-safe result
+ * @param {Object} [opts]
+ * @param {boolean} [opts.enabled=true] — false bypasses the cache entirely
+ */
+export async function withSimCache(kind, args, run, { enabled = true } = {}) {
+  if (!enabled || !simCacheEnabled) return run();
+
+  // Dynamic import: profilesets.js imports this module
+  const { resolveInputDirectives } = await import("./profilesets.js");
+  const { inputs, options } = splitSimcArgs(args);
+  const content = inputs
+    .map((p) =>
+      resolveInputDirectives(readFileSync(p, "utf-8"), dirname(resolve(p))),
+    )
+    .join("\n");
+  const key = simCacheKey({
+    kind,
+    content,
+    options: cacheableOptions(options),
+    env: DATA_ENV,
+    simc: getSimcIdentity(),
+  });
+  const fidelity = simFidelity(options);
+
+  const cache = getSimCache();
+  const hit = cache.get(key, fidelity);
+  if (hit) {
+    const precision = hit.fidelity.targetError
+      ? `target_error=${hit.fidelity.targetError}`
+      : `${hit.fidelity.iterations} iterations`;
+    console.log(`  Cached result (${precision}, ${hit.storedAt.slice(0, 10)})`);
+    return hit.result;
+  }
+  const result = await run();
+  cache.put(key, fidelity, result, { kind });
+  return result;
+}
+
 export async function runSimAsync(profilePath, scenario = "st", opts = {}) {
   const { config, args, jsonPath, htmlPath } = prepareSim(
     profilePath,
@@ -160,35 +287,44 @@ export async function runSimAsync(profilePath, scenario = "st", opts = {}) {
   );
 
   console.log(`Running ${config.name}...`);
-  const maxRetries = 2;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      await execSimcWithFallback(args, (a) =>
-        execFileAsync(SIMC, a, {
-          encoding: "utf-8",
-          maxBuffer: 50 * 1024 * 1024,
-          timeout: 300000,
-        }),
-      );
-      break;
-    } catch (e) {
-      if (attempt < maxRetries) {
-        console.log(
-          `  SimC crashed (attempt ${attempt}/${maxRetries}), retrying...`,
-        );
-        continue;
+  // An HTML report only comes from a real run
+  const cacheable = !htmlPath && opts.simOverrides?.cache !== false;
+  return withSimCache(
+    "sim",
+    args,
+    async () => {
+      const maxRetries = 2;
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+          await execSimcWithFallback(args, (a) =>
+            execFileAsync(SIMC, a, {
+              encoding: "utf-8",
+              maxBuffer: 50 * 1024 * 1024,
+              timeout: 300000,
+            }),
+          );
+          break;
+        } catch (e) {
+          if (attempt < maxRetries) {
+            console.log(
+              `  SimC crashed (attempt ${attempt}/${maxRetries}), retrying...`,
+            );
+            continue;
+          }
+          if (e.stdout) console.log(e.stdout.split("\n").slice(-5).join("\n"));
+          throw new Error(`SimC failed: ${e.message}`);
+        }
       }
-      if (e.stdout) console.log(e.stdout.split("\n").slice(-5).join("\n"));
-      throw new Error(`SimC failed: ${e.message}`);
-    }
-  }
 
-  const data = JSON.parse(readFileSync(jsonPath, "utf-8"));
-  const result = parseResults(data, scenario);
-  if (htmlPath) {
-    result.htmlPath = htmlPath;
-  }
-  return result;
+      const data = JSON.parse(readFileSync(jsonPath, "utf-8"));
+      const result = parseResults(data, scenario);
+      if (htmlPath) {
+        result.htmlPath = htmlPath;
+      }
+      return result;
+    },
+    { enabled: cacheable },
+  );
 }
 
 function parseResults(data, scenario) {
@@ -205,6 +341,7 @@ function parseResults(data, scenario) {
     dps: player.collected_data.dps.mean,
     hps: player.collected_data.hps?.mean || 0,
     dtps: player.collected_data.dtps?.mean || 0,
+    survival: actorSurvival(player),
     combatLength,
     abilities: [],
     buffs: [],
@@ -250,6 +387,14 @@ function parseResults(data, scenario) {
   }
   result.buffs.sort((a, b) => b.uptime - a.uptime);
 
+  const routePath = routeJson(SCENARIOS[scenario]);
+  if (routePath) {
+    const { cooldownBuffs } = getSpecAdapter().getSpecConfig();
+    result.pulls = pullBreakdown(data, loadRoute(resolve(routePath)), {
+      buffs: cooldownBuffs || [],
+    });
+  }
+
   // Resource waste from collected_data (SimC tracks resource_lost per type)
   if (player.collected_data.resource_lost) {
     for (const [resType, resData] of Object.entries(
@@ -285,25 +430,40 @@ export function printResults(result) {
   for (const b of result.buffs.filter((b) => b.uptime > 5).slice(0, 15)) {
     console.log(`  ${b.name.padEnd(35)} ${b.uptime.toFixed(1)}%`);
   }
+
+  if (result.pulls) printPullBreakdown(result.pulls);
 }
 
-export function parseMultiActorResults(data) {
+// abilities: DPS per damage ability, for detailed runs
+export function parseMultiActorResults(data, { abilities = false } = {}) {
   const results = new Map();
   for (const player of data.sim.players) {
     results.set(player.name, {
       dps: player.collected_data.dps.mean,
       hps: player.collected_data.hps?.mean || 0,
       dtps: player.collected_data.dtps?.mean || 0,
+      survival: actorSurvival(player),
+      ...(abilities ? { abilities: abilityDps(player) } : {}),
     });
   }
   return results;
 }
 
+function abilityDps(player) {
+  const dps = {};
+  for (const stat of player.stats || []) {
+    if (stat.type !== "damage") continue;
+    const name = stat.spell_name || stat.name;
+    dps[name] = (dps[name] || 0) + (stat.portion_aps?.mean || 0);
+  }
+  return dps;
+}
+
 export async function runMultiActorAsync(
   simcContent,
   scenario = "st",
   label = "multi-actor",
-  { simOverrides = {} } = {},
+  { simOverrides = {}, details = false } = {},
 ) {
   const config = SCENARIOS[scenario];
   if (!config) {
@@ -326,32 +486,42 @@ export async function runMultiActorAsync(
     ...overrides,
     `json2=${jsonPath}`,
     `threads=${merged.threads}`,
-    "report_details=0",
+    `report_details=${details ? 1 : 0}`,
     "buff_uptime_timeline=0",
     "buff_stack_uptime_timeline=0",
   ];
 
   console.log(`Running multi-actor ${config.name} (${label})...`);
-  try {
-    await execSimcWithFallback(args, (a) =>
-      execFileAsync(SIMC, a, {
-        maxBuffer: 100 * 1024 * 1024,
-        timeout: 600000,
-      }),
-    );
-  } catch (e) {
-    if (e.stdout) console.log(e.stdout.split("\n").slice(-10).join("\n"));
-    throw new Error(`SimC multi-actor failed: ${e.message}`);
-  }
+  // Cached as [name, stats] pairs; Maps don't survive JSON
+  const entries = await withSimCache(
+    details ? "multi-actor-details" : "multi-actor",
+    args,
+    async () => {
+      try {
+        await execSimcWithFallback(args, (a) =>
+          execFileAsync(SIMC, a, {
+            maxBuffer: 100 * 1024 * 1024,
+            timeout: 600000,
+          }),
+        );
+      } catch (e) {
+        if (e.stdout) console.log(e.stdout.split("\n").slice(-10).join("\n"));
+        throw new Error(`SimC multi-actor failed: ${e.message}`);
+      }
 
-  const data = JSON.parse(readFileSync(jsonPath, "utf-8"));
-  return parseMultiActorResults(data);
+      const data = JSON.parse(readFileSync(jsonPath, "utf-8"));
+      return [...parseMultiActorResults(data, { abilities: details })];
+    },
+    { enabled: simOverrides.cache !== false },
+  );
+  return new Map(entries);
 }
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   await initSpec(parseSpecArg());
   const args = process.argv.slice(2);
   const htmlFlag = args.includes("--html");
+  if (args.includes("--no-cache")) disableSimCache();
   const positionalArgs = args.filter((a) => !a.startsWith("--"));
 
   const profilePath = positionalArgs[0];
@@ -359,10 +529,11 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
   if (!profilePath) {
     console.log(
-      "Usage: node src/sim/runner.js <profile.simc> [st|small_aoe|big_aoe|all] [--html]",
+      "Usage: node src/sim/runner.js <profile.simc> [st|small_aoe|big_aoe|all] [--html] [--no-cache]",
     );
     console.log("Options:");
-    console.log("  --html    Generate HTML report alongside JSON");
+    console.log("  --html      Generate HTML report alongside JSON");
+    console.log("  --no-cache  Always run SimC, ignoring cached results");
     process.exit(1);
   }
 
@@ -370,7 +541,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const results = [];
 
   for (const s of scenarios) {
-    const result = runSim(profilePath, s, { html: htmlFlag });
+    const result = await runSimAsync(profilePath, s, { html: htmlFlag });
     printResults(result);
     if (result.htmlPath) {
       console.log(`HTML report: ${result.htmlPath}`);
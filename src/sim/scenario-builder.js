@@ -0,0 +1,289 @@
+// Structured encounter shapes for simulation.scenarios, compiled to SimC
+// raid_events instead of hand-written override strings:
+//
+//   "encounter": {
+//     "adds": [{ "count": 3, "first": 30, "cooldown": 60, "lifetime": 20 }],
+//     "movement": [{ "first": 20, "cooldown": 45, "duration": 4 }],
+//     "intermissions": [{ "at": 120, "duration": 25, "adds": 4 }],
+//     "execute": { "startPct": 35 }
+//   }
+//
+// adds       waves of `count` adds living `lifetime` seconds, starting at
+//            `first`, repeating every `cooldown` (omit for one wave) until
+//            `last`; optional name, countRange, health
+// movement   forced movement of `duration` seconds or `distance` yards, same
+//            timing fields; playersOnly keeps pets in place
+// intermissions  the boss turns invulnerable at `at` for `duration` seconds
+//            and players retarget — onto `adds` intermission adds if given
+// execute    startPct: the boss starts at that health, so the fight runs
+//            mostly in execute; fixedPct: health pinned (permanent execute).
+//            Both apply to the primary target only.
+//
+// SimC jitters cooldowns and durations by 10% unless told otherwise.
+// A scenario's optional "description" replaces the generated one.
+
+const ENCOUNTER_KEYS = ["adds", "movement", "intermissions", "execute"];
+
+// Cooldown for one-shot events: past the end of any varied fight length
+function once(maxTime) {
+  return Math.ceil(maxTime * 2);
+}
+
+function raidEvent(type, opts) {
+  const fields = Object.entries(opts)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `${k}=${v}`);
+  return `raid_events+=/${[type, ...fields].join(",")}`;
+}
+
+/**
+ * SimC options for a scenario's encounter block. Enemy options come last:
+ * they declare the primary target, so actor options must precede them.
+ * @param {Object} [encounter]
+ * @param {number} maxTime — scenario max_time
+ * @returns {string[]}
+ */
+export function compileEncounter(encounter, maxTime) {
+  if (!encounter) return [];
+  const args = [];
+
+  for (const a of encounter.adds ?? []) {
+    args.push(
+      raidEvent("adds", {
+        name: a.name,
+        count: a.count,
+        count_range: a.countRange,
+        first: a.first ?? 0,
+        cooldown: a.cooldown ?? once(maxTime),
+        duration: a.lifetime,
+        last: a.last,
+        health: a.health,
+      }),
+    );
+  }
+
+  for (const m of encounter.movement ?? []) {
+    args.push(
+      raidEvent("movement", {
+        first: m.first ?? 0,
+        cooldown: m.cooldown ?? once(maxTime),
+        duration: m.duration,
+        distance: m.distance,
+        last: m.last,
+        players_only: m.playersOnly ? 1 : undefined,
+      }),
+    );
+  }
+
+  (encounter.intermissions ?? []).forEach((im, i) => {
+    args.push(
+      raidEvent("invulnerable", {
+        first: im.at,
+        cooldown: once(maxTime),
+        duration: im.duration,
+        retarget: 1,
+      }),
+    );
+    if (im.adds) {
+      args.push(
+        raidEvent("adds", {
+          name: `Intermission${i + 1}`,
+          count: im.adds,
+          first: im.at,
+          cooldown: once(maxTime),
+          duration: im.duration,
+        }),
+      );
+    }
+  });
+
+  const ex = encounter.execute;
+  if (ex) {
+    args.push("enemy=Fluffy_Pillow");
+    args.push(
+      ex.fixedPct != null
+        ? `enemy_fixed_health_percentage=${ex.fixedPct}`
+        : `enemy_initial_health_percentage=${ex.startPct}`,
+    );
+  }
+  return args;
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isInt = (v) => Number.isInteger(v);
+
+function checkTiming(e, path, maxTime, errors) {
+  if (e.first != null && !(isNum(e.first) && e.first >= 0)) {
+    errors.push(`${path}.first: expected seconds ≥ 0`);
+  } else if ((e.first ?? 0) >= maxTime) {
+    errors.push(`${path}.first: ${e.first}s is past maxTime ${maxTime}s`);
+  }
+  if (e.cooldown != null && !(isNum(e.cooldown) && e.cooldown > 0)) {
+    errors.push(`${path}.cooldown: expected seconds > 0`);
+  }
+  if (e.last != null && !(isNum(e.last) && e.last >= (e.first ?? 0))) {
+    errors.push(`${path}.last: expected seconds ≥ first`);
+  }
+}
+
+function validateEncounter(encounter, path, sc, errors) {
+  if (typeof encounter !== "object" || Array.isArray(encounter)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  for (const key of Object.keys(encounter)) {
+    if (!ENCOUNTER_KEYS.includes(key)) {
+      errors.push(
+        `${path}.${key}: unknown key (expected ${ENCOUNTER_KEYS.join(", ")})`,
+      );
+    }
+  }
+  const { maxTime } = sc;
+
+  (encounter.adds ?? []).forEach((a, i) => {
+    const p = `${path}.adds[${i}]`;
+    if (!(isInt(a.count) && a.count >= 1)) {
+      errors.push(`${p}.count: expected an integer ≥ 1`);
+    }
+    if (!(isNum(a.lifetime) && a.lifetime > 0)) {
+      errors.push(`${p}.lifetime: expected seconds > 0`);
+    }
+    if (
+      a.countRange != null &&
+      !(isInt(a.countRange) && a.countRange >= 0 && a.countRange < a.count)
+    ) {
+      errors.push(`${p}.countRange: expected an integer in [0, count)`);
+    }
+    if (a.health != null && !(isNum(a.health) && a.health > 0)) {
+      errors.push(`${p}.health: expected a positive number`);
+    }
+    if (a.name != null && !/^\w+$/.test(a.name)) {
+      errors.push(`${p}.name: letters, digits and _ only`);
+    }
+    checkTiming(a, p, maxTime, errors);
+  });
+
+  (encounter.movement ?? []).forEach((m, i) => {
+    const p = `${path}.movement[${i}]`;
+    const hasDuration = isNum(m.duration) && m.duration > 0;
+    const hasDistance = isNum(m.distance) && m.distance > 0;
+    if (!hasDuration && !hasDistance) {
+      errors.push(`${p}: needs a duration (s) or distance (yd) > 0`);
+    }
+    checkTiming(m, p, maxTime, errors);
+  });
+
+  const windows = [];
+  (encounter.intermissions ?? []).forEach((im, i) => {
+    const p = `${path}.intermissions[${i}]`;
+    if (!(isNum(im.at) && im.at > 0 && im.at < maxTime)) {
+      errors.push(`${p}.at: expected seconds in (0, maxTime ${maxTime})`);
+    }
+    if (!(isNum(im.duration) && im.duration > 0)) {
+      errors.push(`${p}.duration: expected seconds > 0`);
+    }
+    if (im.adds != null && !(isInt(im.adds) && im.adds >= 0)) {
+      errors.push(`${p}.adds: expected an integer ≥ 0`);
+    }
+    if (!im.adds && !(sc.desiredTargets > 1)) {
+      errors.push(`${p}: nothing to switch to — add intermission adds`);
+    }
+    windows.push([im.at, im.at + im.duration, i]);
+  });
+  windows.sort((a, b) => a[0] - b[0]);
+  for (let i = 1; i < windows.length; i++) {
+    if (windows[i][0] < windows[i - 1][1]) {
+      errors.push(
+        `${path}.intermissions[${windows[i][2]}]: overlaps intermissions[${windows[i - 1][2]}]`,
+      );
+    }
+  }
+
+  const ex = encounter.execute;
+  if (ex != null) {
+    const set = ["startPct", "fixedPct"].filter((k) => ex[k] != null);
+    if (set.length !== 1) {
+      errors.push(`${path}.execute: set exactly one of startPct, fixedPct`);
+    } else if (!(isNum(ex[set[0]]) && ex[set[0]] > 0 && ex[set[0]] <= 100)) {
+      errors.push(
+        `${path}.execute.${set[0]}: expected a percentage in (0, 100]`,
+      );
+    }
+  }
+}
+
+/**
+ * @param {Object<string, Object>} scenarios — simulation.scenarios
+ * @returns {string[]} one message per problem, prefixed with its path
+ */
+export function validateScenarios(scenarios) {
+  const errors = [];
+  for (const [key, sc] of Object.entries(scenarios)) {
+    const path = `simulation.scenarios.${key}`;
+    if (typeof sc.name !== "string" || !sc.name) {
+      errors.push(`${path}.name: expected a display name`);
+    }
+    if (!(isNum(sc.maxTime) && sc.maxTime > 0)) {
+      errors.push(`${path}.maxTime: expected seconds > 0`);
+      continue;
+    }
+    if (!(isInt(sc.desiredTargets) && sc.desiredTargets >= 1)) {
+      errors.push(`${path}.desiredTargets: expected an integer ≥ 1`);
+    }
+    if (sc.overrides != null && !Array.isArray(sc.overrides)) {
+      errors.push(`${path}.overrides: expected an array of SimC options`);
+    }
+    // Pull events only fire under DungeonRoute, whose pulls replace the boss
+    if (sc.routeFile != null && sc.fightStyle !== "DungeonRoute") {
+      errors.push(`${path}.fightStyle: routeFile needs "DungeonRoute"`);
+    }
+    if (sc.routeFile != null && sc.encounter?.execute != null) {
+      errors.push(`${path}.encounter.execute: no boss to execute on a route`);
+    }
+    if (sc.encounter != null) {
+      validateEncounter(sc.encounter, `${path}.encounter`, sc, errors);
+    }
+  }
+  return errors;
+}
+
+function describeTiming(e) {
+  const first = e.first ?? 0;
+  if (e.cooldown == null) return `at ${first}s`;
+  const until = e.last != null ? `–${e.last}s` : "";
+  return `every ${e.cooldown}s from ${first}s${until}`;
+}
+
+/**
+ * One-line summary of a scenario's fight, e.g.
+ * "300s, 1 target; 3 adds every 60s from 30s (20s each); execute from 35%"
+ */
+export function describeScenario(sc) {
+  if (sc.description) return sc.description;
+  const targets = `${sc.desiredTargets} target${sc.desiredTargets === 1 ? "" : "s"}`;
+  const parts = [
+    [`${sc.maxTime}s`, targets, sc.fightStyle].filter(Boolean).join(", "),
+  ];
+  if (sc.routeFile) parts.push("dungeon route");
+
+  const enc = sc.encounter ?? {};
+  for (const a of enc.adds ?? []) {
+    const count = a.countRange ? `${a.count}±${a.countRange}` : a.count;
+    const noun = a.count === 1 && !a.countRange ? "add" : "adds";
+    parts.push(`${count} ${noun} ${describeTiming(a)} (${a.lifetime}s each)`);
+  }
+  for (const m of enc.movement ?? []) {
+    const what = m.duration ? `${m.duration}s` : `${m.distance}yd`;
+    parts.push(`move ${what} ${describeTiming(m)}`);
+  }
+  for (const im of enc.intermissions ?? []) {
+    const adds = im.adds ? `, ${im.adds} adds` : "";
+    parts.push(`intermission at ${im.at}s (${im.duration}s${adds})`);
+  }
+  if (enc.execute?.fixedPct != null) {
+    parts.push(`permanent execute at ${enc.execute.fixedPct}%`);
+  } else if (enc.execute?.startPct != null) {
+    parts.push(`execute from ${enc.execute.startPct}%`);
+  }
+  return parts.join("; ");
+}
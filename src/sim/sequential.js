@@ -0,0 +1,147 @@
+// Sequential stopping rule for iterate.js compare --sequential.
+// Each batch is a short, independently seeded comparison yielding one
+// weighted delta %. Batches are pooled and, with a flat prior on the mean
+// and on log σ, the posterior of the true delta is a Student t with k-1
+// degrees of freedom around the pooled mean. Sampling stops once that
+// posterior puts `confidence` mass on one verdict:
+//   better      P(delta > 0) ≥ confidence
+//   worse       P(delta < 0) ≥ confidence
+//   equivalent  P(|delta| < margin) ≥ confidence
+// Batch-to-batch spread is used instead of SimC's per-run stderr so the
+// estimate also covers the multi-build path, where per-actor errors aren't
+// kept.
+
+// ln Γ(x), Lanczos approximation (g=7, n=9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function lnGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+  }
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+  return (
+    0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a)
+  );
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaContinuedFraction(a, b, x) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    lnGamma(a + b) -
+      lnGamma(a) -
+      lnGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Student t cumulative distribution.
+ * @param {number} t
+ * @param {number} df — degrees of freedom (> 0)
+ */
+export function studentTCdf(t, df) {
+  if (t === Infinity) return 1;
+  if (t === -Infinity) return 0;
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Mean and standard error of batch estimates.
+ * @param {number[]} samples
+ * @returns {{ mean: number, stderr: number, n: number }} stderr is NaN
+ *   below two samples
+ */
+export function pooledEstimate(samples) {
+  const n = samples.length;
+  const mean = n > 0 ? samples.reduce((s, x) => s + x, 0) / n : NaN;
+  if (n < 2) return { mean, stderr: NaN, n };
+  const variance = samples.reduce((s, x) => s + (x - mean) ** 2, 0) / (n - 1);
+  return { mean, stderr: Math.sqrt(variance / n), n };
+}
+
+/**
+ * Stopping decision after the latest batch.
+ * @param {number[]} samples — one weighted delta % per batch
+ * @param {Object} opts
+ * @param {number} [opts.margin=0.1] — equivalence margin, in delta %
+ * @param {number} [opts.confidence=0.95] — posterior mass needed to stop
+ * @param {number} [opts.minBatches=3] — never stop before this many (≥ 2)
+ * @param {number} [opts.maxBatches=12] — stop as "inconclusive" here
+ * @returns {{ decision: "better"|"worse"|"equivalent"|"continue"|"inconclusive",
+ *   mean: number, stderr: number, batches: number, pBetter: number,
+ *   pWorse: number, pEquivalent: number }}
+ */
+export function sequentialDecision(
+  samples,
+  { margin = 0.1, confidence = 0.95, minBatches = 3, maxBatches = 12 } = {},
+) {
+  const { mean, stderr, n } = pooledEstimate(samples);
+  const result = {
+    decision: "continue",
+    mean,
+    stderr,
+    batches: n,
+    pBetter: NaN,
+    pWorse: NaN,
+    pEquivalent: NaN,
+  };
+  if (n < 2) return result;
+
+  // Identical batches (se = 0) collapse the posterior onto the mean
+  const cdf = (x) =>
+    stderr > 0 ? studentTCdf((x - mean) / stderr, n - 1) : x >= mean ? 1 : 0;
+  result.pWorse = cdf(0);
+  result.pBetter = 1 - result.pWorse;
+  result.pEquivalent = cdf(margin) - cdf(-margin);
+
+  if (n < Math.max(2, minBatches)) return result;
+  if (result.pBetter >= confidence) result.decision = "better";
+  else if (result.pWorse >= confidence) result.decision = "worse";
+  else if (result.pEquivalent >= confidence) result.decision = "equivalent";
+  else if (n >= maxBatches) result.decision = "inconclusive";
+  return result;
+}
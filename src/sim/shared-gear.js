@@ -0,0 +1,311 @@
+// Shared gear across builds: one set for several talent builds.
+//
+// A player swapping between hero trees or ST/AoE builds carries one set. Each
+// build values the solver's components (embellishment options, effect items,
+// stat sticks, tier alternatives) differently; under the solver's additive
+// model a set's weighted score across builds is the score under the
+// weight-blended component values, so the exact solver on the blended values
+// gives the best shared set. Each build's regret is its own best set's score
+// minus the shared set's, both under that build's values. A swap piece is a
+// single-slot replacement, kept within the shared set's constraints, that
+// gains a build enough to be worth carrying. Stat sticks and tier alternatives
+// are valued by EP from one set of scale factors, alike for every build, until
+// applyEpSims() brings in per-build sims of the top few per slot.
+// Pure module, no I/O.
+
+import { solveGearSet, slotPools } from "./gear-solver.js";
+
+/**
+ * Component values of a solver input, keyed emb:<id>, effect:<slot>:<id>,
+ * stat:<slot>:<id> and alt:<slot>:<id>.
+ * @returns {Map<string, number>}
+ */
+export function componentValues(input) {
+  const values = new Map();
+  for (const e of input.embellishmentResults) {
+    values.set(`emb:${e.candidateId}`, e.weightedDps || 0);
+  }
+  for (const [slot, list] of Object.entries(input.effectItemResults || {})) {
+    for (const c of list) {
+      values.set(`effect:${slot}:${c.candidateId}`, c.weightedDps || 0);
+    }
+  }
+  for (const [slot, list] of Object.entries(input.statStickCandidates || {})) {
+    for (const c of list) values.set(`stat:${slot}:${c.id}`, c.epScore || 0);
+  }
+  for (const [slot, list] of Object.entries(slotPools(input).alternatives)) {
+    for (const o of list) values.set(`alt:${slot}:${o.entry.id}`, o.value);
+  }
+  return values;
+}
+
+/** The solver input with component values replaced where `values` has them. */
+export function withValues(input, values) {
+  const mapSlots = (bySlot = {}, fn) =>
+    Object.fromEntries(
+      Object.entries(bySlot).map(([slot, list]) => [
+        slot,
+        list.map((c) => fn(slot, c)),
+      ]),
+    );
+  return {
+    ...input,
+    embellishmentResults: input.embellishmentResults.map((e) => ({
+      ...e,
+      weightedDps: values.get(`emb:${e.candidateId}`) ?? e.weightedDps,
+    })),
+    effectItemResults: mapSlots(input.effectItemResults, (slot, c) => ({
+      ...c,
+      weightedDps:
+        values.get(`effect:${slot}:${c.candidateId}`) ?? c.weightedDps,
+    })),
+    statStickCandidates: mapSlots(input.statStickCandidates, (slot, c) => ({
+      ...c,
+      epScore: values.get(`stat:${slot}:${c.id}`) ?? c.epScore,
+    })),
+    tierConfig: {
+      ...input.tierConfig,
+      alternatives: mapSlots(input.tierConfig.alternatives, (slot, a) => {
+        const key = `alt:${slot}:${a.id}`;
+        return values.has(key) ? { ...a, epScore: values.get(key) } : a;
+      }),
+    },
+  };
+}
+
+/**
+ * Weighted mean of per-build component values. A build without a key values
+ * it at 0, as configValue() does, so the blend stays the weighted score.
+ * @param {Map<string, number>[]} valueMaps
+ * @param {number[]} weights
+ */
+export function blendValues(valueMaps, weights) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  const blended = new Map();
+  valueMaps.forEach((values, i) => {
+    for (const [key, value] of values) {
+      blended.set(key, (blended.get(key) ?? 0) + weights[i] * value);
+    }
+  });
+  for (const [key, sum] of blended) {
+    blended.set(key, total ? sum / total : 0);
+  }
+  return blended;
+}
+
+/**
+ * EP-valued components per slot — stat sticks, or tier alternatives in tier
+ * slots — highest EP first. EP comes from one set of scale factors, so these
+ * are the components every build values alike unless they are simmed; the
+ * first `depth` of each slot are the ones to sim per build.
+ * @returns {{ slot: string, simmed: Object[], rest: Object[] }[]} entries
+ *   { key, kind, id, simc, ep }
+ */
+export function epComponentGroups(input, depth) {
+  const { alternatives } = slotPools(input);
+  const bySlot = new Map();
+  const add = (slot, entry) => {
+    if (!entry.simc) return;
+    if (!bySlot.has(slot)) bySlot.set(slot, []);
+    bySlot.get(slot).push(entry);
+  };
+  for (const [slot, list] of Object.entries(input.statStickCandidates || {})) {
+    for (const c of list) {
+      add(slot, {
+        key: `stat:${slot}:${c.id}`,
+        kind: "stat",
+        id: c.id,
+        simc: c.simc,
+        ep: c.epScore || 0,
+      });
+    }
+  }
+  for (const [slot, list] of Object.entries(alternatives)) {
+    for (const o of list) {
+      add(slot, {
+        key: `alt:${slot}:${o.entry.id}`,
+        kind: "alt",
+        id: o.entry.id,
+        simc: o.entry.simc,
+        ep: o.value,
+      });
+    }
+  }
+  return [...bySlot].map(([slot, list]) => {
+    const sorted = list.sort((a, b) => b.ep - a.ep);
+    return { slot, simmed: sorted.slice(0, depth), rest: sorted.slice(depth) };
+  });
+}
+
+/**
+ * Writes a build's simmed EP components into its values. Each keeps its
+ * slot's EP level — the top entry's EP — plus its DPS over that entry for the
+ * build, so EP and sim deltas never mix within a slot.
+ * @param {Map<string, number>} values — the build's values, updated in place
+ * @param {Object[]} groups — epComponentGroups()
+ * @param {Map<string, number>} simDelta — the build's DPS over its baseline
+ *   by component key
+ * @returns {Object<string, number>} per slot, how many components are still
+ *   valued by EP alone; a slot with fewer than two simmed has nothing compared
+ */
+export function applyEpSims(values, groups, simDelta) {
+  const epOnly = {};
+  for (const { slot, simmed, rest } of groups) {
+    const [anchor] = simmed;
+    const compared = simDelta.has(anchor?.key)
+      ? simmed.filter((c) => simDelta.has(c.key))
+      : [];
+    const evaluated = compared.length >= 2 ? compared : [];
+    for (const c of evaluated) {
+      values.set(
+        c.key,
+        anchor.ep + simDelta.get(c.key) - simDelta.get(anchor.key),
+      );
+    }
+    const left = simmed.length + rest.length - evaluated.length;
+    if (left > 0) epOnly[slot] = left;
+  }
+  return epOnly;
+}
+
+// Component key of a configuration slot entry; null for tier pieces,
+// embellishment-option pieces and placeholders
+function slotKey(slot, entry, tierSlots) {
+  if (entry.isTier || entry.id === "__placeholder__") return null;
+  if (slot in tierSlots) {
+    return entry.epScore !== undefined ? `alt:${slot}:${entry.id}` : null;
+  }
+  if (entry.simDps !== undefined) return `effect:${slot}:${entry.id}`;
+  if (entry.epScore !== undefined) return `stat:${slot}:${entry.id}`;
+  return null;
+}
+
+/** Score of a solver configuration under another set of component values. */
+export function configValue(config, values, input) {
+  const tierSlots = input.tierConfig.slots;
+  let score = values.get(`emb:${config.embConfig}`) ?? 0;
+  for (const [slot, entry] of Object.entries(config.slots)) {
+    const key = slotKey(slot, entry, tierSlots);
+    if (key) score += values.get(key) ?? 0;
+  }
+  return score;
+}
+
+/**
+ * Best single-slot replacement per build for each piece of a configuration.
+ * Replacements keep item and unique-equip distinctness, the crafted limit
+ * and the embellishment count; tier and embellishment-option pieces stay.
+ * @param {{ id: string, values: Map, minGain?: number }[]} builds
+ * @returns {{ slot, build, current, swap, gain, carry }[]} largest gain first;
+ *   carry when the gain reaches the build's minGain
+ */
+export function swapPieces(input, config, builds, { minGain = 0 } = {}) {
+  const { fill, alternatives } = slotPools(input);
+  const tierSlots = input.tierConfig.slots;
+  const maxCrafted = input.maxCrafted ?? 2;
+  const poolFor = (slot) =>
+    slot in tierSlots ? alternatives[slot] : fill[slot];
+
+  const worn = {};
+  for (const [slot, entry] of Object.entries(config.slots)) {
+    if (!slotKey(slot, entry, tierSlots)) continue;
+    worn[slot] = poolFor(slot).find((o) => o.entry.id === entry.id);
+  }
+  const crafted = Object.values(config.slots).filter((e) => e.isCrafted).length;
+
+  const swaps = [];
+  for (const [slot, current] of Object.entries(worn)) {
+    if (!current) continue;
+    const others = Object.entries(worn)
+      .filter(([s, o]) => s !== slot && o)
+      .map(([, o]) => o);
+    const keys = new Set(others.map((o) => o.key).filter((k) => k != null));
+    const groups = new Set(others.map((o) => o.unique).filter(Boolean));
+    const craftedRest = crafted - (current.entry.isCrafted ? 1 : 0);
+    const options = poolFor(slot).filter(
+      (o) =>
+        o !== current &&
+        !(o.key != null && keys.has(o.key)) &&
+        !(o.unique && groups.has(o.unique)) &&
+        craftedRest + (o.entry.isCrafted ? 1 : 0) <= maxCrafted &&
+        o.embellished === current.embellished,
+    );
+
+    const valueOf = (values, o) =>
+      values.get(slotKey(slot, o.entry, tierSlots)) ?? 0;
+    for (const build of builds) {
+      const currentValue = valueOf(build.values, current);
+      let best = null;
+      for (const o of options) {
+        const gain = valueOf(build.values, o) - currentValue;
+        if (gain > 0 && (!best || gain > best.gain)) {
+          best = { swap: o.entry.id, gain };
+        }
+      }
+      if (!best) continue;
+      swaps.push({
+        slot,
+        build: build.id,
+        current: current.entry.id,
+        ...best,
+        carry: best.gain >= (build.minGain ?? minGain),
+      });
+    }
+  }
+  return swaps.sort((a, b) => b.gain - a.gain);
+}
+
+/**
+ * Shared set across builds with per-build regret and swap pieces.
+ * @param {Object} input — solveGearSet() input
+ * @param {{ id: string, label?: string, weight?: number,
+ *   values: Map<string, number>, minGain?: number }[]} builds — values from
+ *   componentValues() keys
+ * @param {{ k?: number, minGain?: number }} [opts]
+ * @returns {{ configurations: Object[], shared: Object, builds: Object[],
+ *   weightedRegret: number, swaps: Object[] } | null} null when no valid set
+ *   exists; builds entries { id, label, weight, bis, bisScore, sharedScore,
+ *   regret }
+ */
+export function sharedGearPlan(input, builds, { k = 10, minGain = 0 } = {}) {
+  const weights = builds.map((b) => b.weight ?? 1);
+  const blended = blendValues(
+    builds.map((b) => b.values),
+    weights,
+  );
+  const { configurations } = solveGearSet({
+    ...withValues(input, blended),
+    k,
+  });
+  if (configurations.length === 0) return null;
+  const shared = configurations[0];
+
+  const perBuild = builds.map((b, i) => {
+    const [bis] = solveGearSet({
+      ...withValues(input, b.values),
+      k: 1,
+    }).configurations;
+    const sharedScore = configValue(shared, b.values, input);
+    return {
+      id: b.id,
+      label: b.label ?? b.id,
+      weight: weights[i],
+      bis: bis ?? null,
+      bisScore: bis?.score ?? null,
+      sharedScore,
+      regret: bis ? bis.score - sharedScore : null,
+    };
+  });
+
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  return {
+    configurations,
+    shared,
+    builds: perBuild,
+    weightedRegret: totalWeight
+      ? perBuild.reduce((s, b) => s + b.weight * (b.regret ?? 0), 0) /
+        totalWeight
+      : 0,
+    swaps: swapPieces(input, shared, builds, { minGain }),
+  };
+}
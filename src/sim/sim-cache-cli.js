@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// Inspect and maintain the sim result cache (results/{spec}/sim-cache/).
+//
+// Usage:
+//   SPEC=vengeance node src/sim/sim-cache-cli.js [stats]   Entries, size, hit rate
+//   SPEC=vengeance node src/sim/sim-cache-cli.js evict     Apply the eviction policy now
+//   SPEC=vengeance node src/sim/sim-cache-cli.js clear     Delete every cached result
+
+import { parseSpecArg } from "../util/parse-spec-arg.js";
+import { initSpec, SIM_CACHE } from "../engine/startup.js";
+import { getSimCache } from "./runner.js";
+
+await initSpec(parseSpecArg());
+const cache = getSimCache();
+const cmd = process.argv.slice(2).find((a) => !a.startsWith("--")) || "stats";
+
+function formatAge(ms) {
+  if (ms == null) return "—";
+  const hours = (Date.now() - ms) / 3600000;
+  return hours < 48
+    ? `${hours.toFixed(1)}h ago`
+    : `${(hours / 24).toFixed(1)}d ago`;
+}
+
+switch (cmd) {
+  case "stats": {
+    const s = cache.stats();
+    const lookups = s.hits + s.misses;
+    console.log("Sim result cache");
+    console.log(`  Enabled:    ${SIM_CACHE.enabled !== false ? "yes" : "no"}`);
+    console.log(`  Entries:    ${s.entries} (${s.results} results)`);
+    console.log(`  Size:       ${(s.bytes / 1024 / 1024).toFixed(1)} MB`);
+    console.log(
+      `  Last used:  ${formatAge(s.newest)} (oldest ${formatAge(s.oldest)})`,
+    );
+    console.log(
+      `  Lookups:    ${lookups} — ${s.hits} hits, ${s.misses} misses` +
+        (lookups
+          ? ` (${((s.hits / lookups) * 100).toFixed(1)}% hit rate)`
+          : ""),
+    );
+    console.log(`  Stored:     ${s.stores}, evicted ${s.evictions}`);
+    console.log(
+      `  Policy:     ${SIM_CACHE.maxEntries ?? 2000} entries, ${SIM_CACHE.maxMegabytes ?? 500} MB, ${SIM_CACHE.maxAgeDays ?? 30} days unused`,
+    );
+    break;
+  }
+  case "evict":
+    console.log(`Evicted ${cache.evict()} entries`);
+    break;
+  case "clear":
+    console.log(`Removed ${cache.clear()} entries`);
+    break;
+  default:
+    console.log(
+      "Usage: node src/sim/sim-cache-cli.js [stats|evict|clear] [--spec X]",
+    );
+    process.exit(1);
+}
@@ -0,0 +1,302 @@
+// Content-addressed cache of parsed SimC results.
+// A key hashes everything that decides what SimC computes: the input files
+// with input= directives inlined, the sim options in order, the SimC build
+// and DATA_ENV. Output paths and thread counts are left out, and so are
+// target_error/iterations — those form the entry's fidelity, so one key
+// can hold results at several fidelities. A lookup is served by any entry
+// at least as precise as requested:
+//   target_error > 0   cached target_error ≤ requested, iterations cap ≥
+//   target_error = 0   fixed iteration count; cached count ≥ requested
+//                      (exactly equal for seeded runs, which must replay)
+// Seeded runs (seed= + deterministic=1) keep seed and threads in the key
+// because both decide which fights get simulated.
+//
+// One JSON file per key; last access is the file mtime, which drives LRU
+// eviction. Hit/miss counters go to one stats.<pid>.json per process, summed
+// when read, so concurrent sims never overwrite each other's counts.
+// Nothing here runs SimC — runner.js wires the cache in.
+
+import { createHash } from "node:crypto";
+import {
+  readFileSync,
+  writeFileSync,
+  readdirSync,
+  statSync,
+  unlinkSync,
+  renameSync,
+  utimesSync,
+  mkdirSync,
+  existsSync,
+} from "node:fs";
+import { join } from "node:path";
+
+const ENTRY_RE = /^[0-9a-f]{64}\.json$/;
+const STATS_RE = /^stats(\.\d+)?\.json$/;
+
+// Options that only name output files or size the thread pool
+const OUTPUT_OPTIONS = ["json2", "json", "html", "xml", "output"];
+const THREAD_OPTIONS = [
+  "threads",
+  "profileset_work_threads",
+  "profileset_init_threads",
+];
+const FIDELITY_OPTIONS = ["target_error", "iterations"];
+
+function optionName(arg) {
+  return arg.slice(0, arg.indexOf("="));
+}
+
+function optionValue(options, name) {
+  const arg = options.findLast((a) => optionName(a) === name);
+  return arg?.slice(name.length + 1);
+}
+
+/**
+ * Splits a SimC argument list into input files and key=value options.
+ * @param {string[]} args
+ * @returns {{ inputs: string[], options: string[] }}
+ */
+export function splitSimcArgs(args) {
+  const inputs = [];
+  const options = [];
+  for (const arg of args) (arg.includes("=") ? options : inputs).push(arg);
+  return { inputs, options };
+}
+
+/**
+ * Options that belong in the cache key, in their original order.
+ * @param {string[]} options
+ */
+export function cacheableOptions(options) {
+  const seeded = isSeeded(options);
+  return options.filter((a) => {
+    const name = optionName(a);
+    if (OUTPUT_OPTIONS.includes(name) || FIDELITY_OPTIONS.includes(name)) {
+      return false;
+    }
+    return seeded || !THREAD_OPTIONS.includes(name);
+  });
+}
+
+function isSeeded(options) {
+  return (
+    optionValue(options, "seed") != null &&
+    optionValue(options, "deterministic") === "1"
+  );
+}
+
+/**
+ * @param {string[]} options
+ * @returns {{ targetError: number, iterations: number, seeded: boolean }}
+ */
+export function simFidelity(options) {
+  return {
+    targetError: Number(optionValue(options, "target_error") ?? 0),
+    iterations: Number(optionValue(options, "iterations") ?? 0),
+    seeded: isSeeded(options),
+  };
+}
+
+/**
+ * Whether a cached result is at least as precise as the requested run.
+ * @param {{ targetError: number, iterations: number, seeded?: boolean }} cached
+ * @param {{ targetError: number, iterations: number, seeded?: boolean }} requested
+ */
+export function fidelitySatisfies(cached, requested) {
+  if (requested.targetError > 0) {
+    return (
+      cached.targetError > 0 &&
+      cached.targetError <= requested.targetError &&
+      cached.iterations >= requested.iterations
+    );
+  }
+  if (cached.targetError > 0) return false;
+  return requested.seeded
+    ? cached.iterations === requested.iterations
+    : cached.iterations >= requested.iterations;
+}
+
+/**
+ * @param {Object} parts
+ * @param {string} parts.kind — result shape ("sim", "profileset", ...)
+ * @param {string} parts.content — resolved input file content
+ * @param {string[]} parts.options — cacheableOptions() output
+ * @param {string} parts.env — DATA_ENV
+ * @param {string} parts.simc — SimC build identity
+ * @returns {string} sha256 hex
+ */
+export function simCacheKey({ kind, content, options, env, simc }) {
+  return createHash("sha256")
+    .update(JSON.stringify({ kind, content, options, env, simc }))
+    .digest("hex");
+}
+
+/**
+ * Opens (creating on first write) a cache directory.
+ * @param {string} dir
+ * @param {Object} [policy]
+ * @param {number} [policy.maxEntries=2000] — keys kept after eviction
+ * @param {number} [policy.maxMegabytes=500] — total size kept after eviction
+ * @param {number} [policy.maxAgeDays=30] — entries unused this long are dropped
+ * @returns {{ get: Function, put: Function, evict: Function,
+ *   stats: Function, clear: Function }}
+ */
+export function createSimCache(
+  dir,
+  { maxEntries = 2000, maxMegabytes = 500, maxAgeDays = 30 } = {},
+) {
+  const statsPath = join(dir, `stats.${process.pid}.json`);
+  const entryPath = (key) => join(dir, `${key}.json`);
+  const zeroCounters = () => ({ hits: 0, misses: 0, stores: 0, evictions: 0 });
+  let ownCounters = null;
+
+  function readStatsFile(path) {
+    try {
+      return JSON.parse(readFileSync(path, "utf-8"));
+    } catch {
+      return {};
+    }
+  }
+
+  function statsFiles() {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir).filter((f) => STATS_RE.test(f));
+  }
+
+  // Sum of every process's counters
+  function readCounters() {
+    const counters = zeroCounters();
+    for (const f of statsFiles()) {
+      const c = readStatsFile(join(dir, f));
+      for (const k of Object.keys(counters)) counters[k] += c[k] || 0;
+    }
+    return counters;
+  }
+
+  // Only this process writes its stats file, so there is no lost update
+  function bump(counter, n = 1) {
+    ownCounters ??= { ...zeroCounters(), ...readStatsFile(statsPath) };
+    ownCounters[counter] += n;
+    mkdirSync(dir, { recursive: true });
+    const tmp = `${statsPath}.tmp`;
+    writeFileSync(tmp, JSON.stringify(ownCounters));
+    renameSync(tmp, statsPath);
+  }
+
+  function readEntry(key) {
+    try {
+      return JSON.parse(readFileSync(entryPath(key), "utf-8"));
+    } catch {
+      return null;
+    }
+  }
+
+  // Write-then-rename so a concurrent reader never sees half a file
+  function writeEntry(key, record) {
+    mkdirSync(dir, { recursive: true });
+    const tmp = `${entryPath(key)}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(record));
+    renameSync(tmp, entryPath(key));
+  }
+
+  function listEntries() {
+    if (!existsSync(dir)) return [];
+    return readdirSync(dir)
+      .filter((f) => ENTRY_RE.test(f))
+      .map((f) => {
+        const st = statSync(join(dir, f));
+        return { file: f, bytes: st.size, lastUsed: st.mtimeMs };
+      });
+  }
+
+  return {
+    /**
+     * Most precise cached result that satisfies `fidelity`, or null.
+     * @returns {{ result: *, fidelity: Object, storedAt: string } | null}
+     */
+    get(key, fidelity) {
+      const record = readEntry(key);
+      const hit = record?.results
+        .filter((r) => fidelitySatisfies(r.fidelity, fidelity))
+        .sort((a, b) => a.fidelity.targetError - b.fidelity.targetError)[0];
+      if (!hit) {
+        bump("misses");
+        return null;
+      }
+      const now = new Date();
+      utimesSync(entryPath(key), now, now);
+      bump("hits");
+      return hit;
+    },
+
+    // Adds a result, dropping any it makes redundant, then evicts
+    put(key, fidelity, result, { kind } = {}) {
+      const record = readEntry(key) ?? { kind, results: [] };
+      record.results = record.results.filter(
+        (r) => !fidelitySatisfies(fidelity, r.fidelity),
+      );
+      record.results.push({
+        fidelity,
+        result,
+        storedAt: new Date().toISOString(),
+      });
+      writeEntry(key, record);
+      bump("stores");
+      this.evict();
+    },
+
+    /**
+     * Drops entries past maxAgeDays, then least recently used ones until
+     * within maxEntries and maxMegabytes.
+     * @returns {number} entries removed
+     */
+    evict({ now = Date.now() } = {}) {
+      const entries = listEntries().sort((a, b) => b.lastUsed - a.lastUsed);
+      const cutoff = now - maxAgeDays * 86400000;
+      const maxBytes = maxMegabytes * 1024 * 1024;
+      let bytes = 0;
+      let removed = 0;
+      entries.forEach((e, i) => {
+        bytes += e.bytes;
+        if (e.lastUsed < cutoff || i >= maxEntries || bytes > maxBytes) {
+          unlinkSync(join(dir, e.file));
+          removed++;
+        }
+      });
+      if (removed > 0) bump("evictions", removed);
+      return removed;
+    },
+
+    /**
+     * @returns {{ entries: number, results: number, bytes: number,
+     *   oldest: number|null, newest: number|null, hits: number,
+     *   misses: number, stores: number, evictions: number }}
+     *   oldest/newest are last-use timestamps (ms)
+     */
+    stats() {
+      const entries = listEntries();
+      const results = entries.reduce(
+        (n, e) => n + (readEntry(e.file.slice(0, -5))?.results.length || 0),
+        0,
+      );
+      const used = entries.map((e) => e.lastUsed);
+      return {
+        entries: entries.length,
+        results,
+        bytes: entries.reduce((n, e) => n + e.bytes, 0),
+        oldest: used.length ? Math.min(...used) : null,
+        newest: used.length ? Math.max(...used) : null,
+        ...readCounters(),
+      };
+    },
+
+    /** Removes every entry and resets the counters. @returns {number} */
+    clear() {
+      const entries = listEntries();
+      for (const e of entries) unlinkSync(join(dir, e.file));
+      for (const f of statsFiles()) unlinkSync(join(dir, f));
+      ownCounters = null;
+      return entries.length;
+    },
+  };
+}
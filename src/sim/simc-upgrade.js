@@ -0,0 +1,276 @@
+// SimC upgrade impact: tells DPS moved by a new SimC build apart from DPS
+// moved by APL work.
+//
+// `save` sims the roster with the current APL on the current binary and
+// stores it as golden results for that SimC commit and DATA_ENV. After a new
+// SimC is built, the default command re-sims the golden roster and APL on
+// it, diffs against the newest golden from another commit, attributes the
+// change per build, scenario and ability, and writes
+// results/{spec}/simc-upgrade_<from>_<to>.md. When the APL changed since the
+// golden run, the current APL is simmed as well and its effect reported
+// separately. The new run then becomes the golden for the new commit.
+//
+// Usage:
+//   SPEC=vengeance node src/sim/simc-upgrade.js save [--fidelity quick|standard|confirm] [--apl path]
+//   SPEC=vengeance node src/sim/simc-upgrade.js [compare] [--from <commit>] [--apl path] [--flag 0.5]
+//   SPEC=vengeance node src/sim/simc-upgrade.js list
+
+import { parseArgs } from "node:util";
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { dirname, join, resolve } from "node:path";
+import {
+  initSpec,
+  config,
+  FIDELITY_TIERS,
+  SCENARIOS,
+  SCENARIO_WEIGHTS,
+} from "../engine/startup.js";
+import { parseSpecArg } from "../util/parse-spec-arg.js";
+import { aplsDir, resultsFile } from "../engine/paths.js";
+import { runMultiActorAsync, disableSimCache } from "./runner.js";
+import {
+  saveGolden,
+  loadGolden,
+  listGolden,
+  simcStamp,
+  resolveInputDirectives,
+} from "./profilesets.js";
+import { generateMultiActorContent } from "./multi-actor.js";
+import { loadRoster } from "./build-roster.js";
+import {
+  diffRuns,
+  abilityDeltas,
+  noiseThreshold,
+  formatUpgradeReport,
+} from "./upgrade-report.js";
+
+const GOLDEN_PREFIX = "simc-upgrade_";
+// Actors per multi-actor sim, bounding memory like iterate's roster batches
+const BATCH_SIZE = 8;
+
+function goldenLabel({ simcCommit, dataEnv }) {
+  if (simcCommit === "unknown") {
+    throw new Error(
+      "Cannot read the SimC commit from simc.dir — golden results are keyed by it",
+    );
+  }
+  return `${GOLDEN_PREFIX}${dataEnv}_${simcCommit}`;
+}
+
+function defaultAplPath() {
+  const specApl = join(aplsDir(), `${config.spec.specName}.simc`);
+  return existsSync(specApl) ? specApl : join(aplsDir(), "baseline.simc");
+}
+
+// APL text with input= resolved, so a golden run can be replayed verbatim
+function readApl(aplPath) {
+  const full = resolve(aplPath);
+  return resolveInputDirectives(readFileSync(full, "utf-8"), dirname(full));
+}
+
+async function simRoster(builds, aplPath, label, targetError) {
+  const results = Object.fromEntries(
+    Object.keys(SCENARIOS).map((s) => [s, {}]),
+  );
+  for (let i = 0; i < builds.length; i += BATCH_SIZE) {
+    const batch = builds.slice(i, i + BATCH_SIZE);
+    const content = generateMultiActorContent({ builds: batch }, aplPath);
+    for (const scenario of Object.keys(SCENARIOS)) {
+      const actors = await runMultiActorAsync(content, scenario, label, {
+        simOverrides: { target_error: targetError },
+        details: true,
+      });
+      for (const [id, r] of actors) {
+        results[scenario][id] = { dps: r.dps, abilities: r.abilities };
+      }
+    }
+  }
+  return results;
+}
+
+function rosterBuilds() {
+  const roster = loadRoster();
+  if (!roster || roster.builds.length === 0) {
+    throw new Error("No roster builds found in DB. Run: npm run roster");
+  }
+  return roster.builds.map(({ id, heroTree, hash, overrides }) => ({
+    id,
+    heroTree,
+    hash,
+    overrides,
+  }));
+}
+
+async function snapshot(builds, aplPath, fidelity) {
+  const targetError = FIDELITY_TIERS[fidelity].target_error;
+  const apl = readApl(aplPath);
+  return {
+    fidelity,
+    targetError,
+    apl: { path: aplPath, content: apl },
+    roster: builds,
+    results: await simRoster(builds, aplPath, "simc-upgrade", targetError),
+  };
+}
+
+async function cmdSave({ fidelity, apl }) {
+  const stamp = simcStamp();
+  const label = goldenLabel(stamp);
+  console.log(
+    `Simming roster on SimC ${stamp.simcCommit} (${stamp.dataEnv}), ${fidelity} fidelity...`,
+  );
+  const snap = await snapshot(rosterBuilds(), apl, fidelity);
+  saveGolden(label, snap, stamp);
+}
+
+function cmdList() {
+  const saved = listGolden(GOLDEN_PREFIX);
+  if (saved.length === 0) {
+    console.log("No golden results yet. Run: simc-upgrade save");
+    return;
+  }
+  const now = simcStamp();
+  for (const g of saved) {
+    const current =
+      g.simcCommit === now.simcCommit && g.dataEnv === now.dataEnv
+        ? "  ← current build"
+        : "";
+    console.log(
+      `  ${g.simcCommit.padEnd(12)} ${g.dataEnv.padEnd(6)} ${g.savedAt?.slice(0, 16) ?? ""}${current}`,
+    );
+  }
+}
+
+async function cmdCompare({ fidelity, apl, from, flag }) {
+  const now = simcStamp();
+  const nextLabel = goldenLabel(now);
+  const candidates = listGolden(GOLDEN_PREFIX).filter((g) =>
+    from ? g.simcCommit.startsWith(from) : g.simcCommit !== now.simcCommit,
+  );
+  const sameEnv = candidates.filter((g) => g.dataEnv === now.dataEnv);
+  const prev = (sameEnv.length ? sameEnv : candidates)[0];
+  if (!prev) {
+    console.log(
+      from
+        ? `No golden results for SimC ${from}.`
+        : `No golden results from another SimC build. Saving this one (${now.simcCommit}) as the baseline for the next upgrade.`,
+    );
+    if (!from) await cmdSave({ fidelity, apl });
+    return;
+  }
+
+  const golden = loadGolden(prev.label);
+  const builds = golden.roster;
+  console.log(
+    `Comparing SimC ${prev.simcCommit} → ${now.simcCommit} on ${builds.length} golden builds (${golden.fidelity} fidelity)...`,
+  );
+
+  // Replay the golden APL so only the engine differs
+  const goldenAplPath = resultsFile("simc-upgrade_golden-apl.simc");
+  writeFileSync(goldenAplPath, golden.apl.content);
+  const replay = await simRoster(
+    builds,
+    goldenAplPath,
+    "simc-upgrade",
+    golden.targetError,
+  );
+
+  const aplChanged = readApl(apl) !== golden.apl.content;
+  let current = null;
+  if (aplChanged) {
+    console.log("APL changed since the golden run — simming it separately...");
+    current = await simRoster(
+      builds,
+      apl,
+      "simc-upgrade-apl",
+      golden.targetError,
+    );
+  }
+
+  const engine = diffRuns(golden.results, replay, SCENARIO_WEIGHTS);
+  const ids = engine.builds.map((b) => b.id);
+  const abilities = Object.fromEntries(
+    Object.keys(engine.scenarios).map((s) => [
+      s,
+      abilityDeltas(golden.results[s], replay[s], ids),
+    ]),
+  );
+  const report = formatUpgradeReport({
+    from: prev,
+    to: now,
+    engine,
+    abilities,
+    apl: current ? diffRuns(replay, current, SCENARIO_WEIGHTS) : null,
+    labels: Object.fromEntries(
+      Object.entries(SCENARIOS).map(([k, v]) => [k, v.name]),
+    ),
+    heroTrees: Object.fromEntries(builds.map((b) => [b.id, b.heroTree])),
+    noisePct: noiseThreshold(golden.targetError),
+    flagPct: flag,
+  });
+  const reportPath = resultsFile(
+    `simc-upgrade_${prev.simcCommit}_${now.simcCommit}.md`,
+  );
+  writeFileSync(reportPath, report);
+  console.log(`\nReport written to ${reportPath}`);
+  console.log(
+    `Weighted engine change: ${engine.weighted >= 0 ? "+" : ""}${engine.weighted?.toFixed(2) ?? "—"}%`,
+  );
+
+  // The newest APL's run on the new binary becomes the golden for it
+  if (now.simcCommit !== prev.simcCommit) {
+    const next = current
+      ? {
+          ...golden,
+          apl: { path: apl, content: readApl(apl) },
+          results: current,
+        }
+      : { ...golden, results: replay };
+    saveGolden(nextLabel, next, now);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  await initSpec(parseSpecArg());
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      spec: { type: "string" },
+      fidelity: { type: "string", default: "standard" },
+      apl: { type: "string" },
+      from: { type: "string" },
+      flag: { type: "string", default: "0.5" },
+      "no-cache": { type: "boolean", default: false },
+    },
+  });
+  if (values["no-cache"]) disableSimCache();
+  if (!FIDELITY_TIERS[values.fidelity]) {
+    console.error(
+      `Unknown fidelity "${values.fidelity}" — expected ${Object.keys(FIDELITY_TIERS).join("|")}`,
+    );
+    process.exit(1);
+  }
+  const opts = {
+    fidelity: values.fidelity,
+    apl: values.apl ?? defaultAplPath(),
+    from: values.from,
+    flag: Number(values.flag),
+  };
+
+  switch (positionals[0] ?? "compare") {
+    case "save":
+      await cmdSave(opts);
+      break;
+    case "list":
+      cmdList();
+      break;
+    case "compare":
+      await cmdCompare(opts);
+      break;
+    default:
+      console.log(
+        "Usage: node src/sim/simc-upgrade.js [save|compare|list] [--fidelity quick|standard|confirm] [--apl path] [--from commit] [--flag pct] [--no-cache]",
+      );
+      process.exit(1);
+  }
+}
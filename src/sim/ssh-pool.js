@@ -0,0 +1,396 @@
+// Static SSH worker pool — offloads sims to a fixed set of Linux hosts
+// without AWS. Hosts are listed in config.local.json (gitignored):
+//
+//   "sshPool": {
+//     "hosts": [
+//       { "host": "simbox.lan", "cores": 32 },
+//       { "host": "10.0.0.7", "user": "sim", "port": 2222, "cores": 16,
+//         "simc": "/home/sim/simc/engine/simc", "sshKeyPath": "~/.ssh/pool" }
+//     ]
+//   }
+//
+// Per-host fields default to the pool-level user, sshKeyPath and simc
+// (a binary on the host's PATH). Hosts need key auth and a SimC build of the
+// same branch as the local one.
+//
+// Like EC2, the pool takes runs only while its healthy hosts have at least
+// twice this machine's cores. Each host runs one sim at a time with threads=
+// set to its own cores. Profileset sims are split into up to chunksPerHost ×
+// live hosts chunks that hosts pull from a shared queue (work-pool.js), then
+// merged back into the single json2 report the caller asked for. Seeded runs
+// stay whole: the merged baseline comes from one chunk's host, and the
+// candidates must replay its fights on the same thread count. Hosts are health-checked
+// (reachable, simc executable) before first use and again after
+// healthTtlSeconds; a host that fails a check or drops a connection sits out
+// until it passes one. With no live hosts, runs throw RemoteUnavailableError
+// and runner.js falls back to local SimC.
+//
+// Trying it on one machine: add { "host": "localhost", "cores": 4 } with your
+// own key in ~/.ssh/authorized_keys, then run the check command below.
+//
+// CLI: node src/sim/ssh-pool.js check   Health-check every host
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { randomUUID } from "node:crypto";
+import { readFileSync, writeFileSync, unlinkSync } from "node:fs";
+import { basename, dirname, resolve } from "node:path";
+import { homedir } from "node:os";
+import { config } from "../engine/startup.js";
+import {
+  RemoteUnavailableError,
+  outpacesLocal,
+  shellEscape,
+} from "./remote.js";
+import {
+  createWorkPool,
+  splitProfilesets,
+  mergeProfilesetReports,
+  patchThreads,
+} from "./work-pool.js";
+
+const execAsync = promisify(execFile);
+
+const SSH_OPTS = [
+  "-o",
+  "BatchMode=yes",
+  "-o",
+  "StrictHostKeyChecking=accept-new",
+  "-o",
+  "ConnectTimeout=10",
+  "-o",
+  "LogLevel=ERROR",
+  // Multiplex uploads, runs and downloads over one connection per host
+  "-o",
+  "ControlMaster=auto",
+  "-o",
+  "ControlPath=/tmp/ssh-pool-%C.sock",
+  "-o",
+  "ControlPersist=10m",
+];
+
+function poolConfig() {
+  return {
+    hosts: [],
+    user: null,
+    sshKeyPath: null,
+    simc: "simc",
+    workDir: "/tmp/sim-pool",
+    chunksPerHost: 2,
+    healthTtlSeconds: 300,
+    ...config.sshPool,
+  };
+}
+
+// Built once so the objects double as work-pool workers
+let hosts = null;
+
+function hostConfigs() {
+  const c = poolConfig();
+  hosts ??= c.hosts.map((h) => {
+    if (!h.host || !(h.cores > 0)) {
+      throw new Error(
+        `sshPool.hosts: every host needs "host" and a positive "cores" (got ${JSON.stringify(h)})`,
+      );
+    }
+    const user = h.user ?? c.user;
+    return {
+      id: `${user ? `${user}@` : ""}${h.host}:${h.port ?? 22}`,
+      host: h.host,
+      user,
+      port: h.port ?? 22,
+      cores: h.cores,
+      simc: h.simc ?? c.simc,
+      sshKeyPath: h.sshKeyPath ?? c.sshKeyPath,
+    };
+  });
+  return hosts;
+}
+
+export function isPoolConfigured() {
+  return poolConfig().hosts.length > 0;
+}
+
+function keyArgs(h) {
+  const raw = h.sshKeyPath;
+  const keyPath = raw?.startsWith("~") ? `${homedir()}${raw.slice(1)}` : raw;
+  return keyPath ? ["-i", keyPath] : [];
+}
+
+function target(h) {
+  return h.user ? `${h.user}@${h.host}` : h.host;
+}
+
+function ssh(h, command, opts) {
+  return execAsync(
+    "ssh",
+    [...SSH_OPTS, ...keyArgs(h), "-p", String(h.port), target(h), command],
+    opts,
+  );
+}
+
+function scp(h, from, to, opts) {
+  return execAsync(
+    "scp",
+    [...SSH_OPTS, ...keyArgs(h), "-P", String(h.port), from, to],
+    opts,
+  );
+}
+
+// --- Health ---
+
+const health = new Map(); // host id → { ok, checkedAt, error, nproc }
+
+/**
+ * Reachable over SSH with simc executable; also reports the host's nproc
+ * so a misconfigured core count stands out.
+ */
+export async function checkHost(h) {
+  const cmd = `command -v ${shellEscape(h.simc)} >/dev/null && mkdir -p ${shellEscape(poolConfig().workDir)} && nproc`;
+  let result;
+  try {
+    const { stdout } = await ssh(h, cmd, { timeout: 20000 });
+    result = { ok: true, nproc: parseInt(stdout.trim(), 10) || null };
+  } catch (e) {
+    const reason =
+      e.code === 255 ? "unreachable" : `simc not found at ${h.simc}`;
+    result = { ok: false, error: `${reason}: ${e.message.split("\n")[0]}` };
+  }
+  health.set(h.id, { ...result, checkedAt: Date.now() });
+  return result;
+}
+
+function isStale(h) {
+  const entry = health.get(h.id);
+  return (
+    !entry ||
+    Date.now() - entry.checkedAt > poolConfig().healthTtlSeconds * 1000
+  );
+}
+
+// A host drops out of getSimCores() once it is known to be down
+function knownDown(h) {
+  return health.get(h.id)?.ok === false;
+}
+
+export function poolCores() {
+  return hostConfigs()
+    .filter((h) => !knownDown(h))
+    .reduce((n, h) => n + h.cores, 0);
+}
+
+function isPoolActive() {
+  return isPoolConfigured() && hostConfigs().some((h) => !knownDown(h));
+}
+
+// Same rule as remote.js shouldUseRemote: take the run only when the healthy
+// hosts have meaningfully more cores than this machine
+export function shouldUsePool(args) {
+  return isPoolActive() && outpacesLocal(poolCores());
+}
+
+// --- Execution ---
+
+class HostUnavailableError extends RemoteUnavailableError {}
+
+// The work pool retires the host on this error; the health entry also keeps
+// it out of getSimCores() until a check after healthTtlSeconds passes
+function hostDown(h, message, cause) {
+  health.set(h.id, { ok: false, error: message, checkedAt: Date.now() });
+  return new HostUnavailableError(`${h.id}: ${message}`, { cause });
+}
+
+// Runs one SimC invocation on one host. job.args reference local files;
+// they are uploaded under workDir and the json2 report copied back.
+async function runOnHost(h, { args, inputIdx, jsonPath }) {
+  const { workDir } = poolConfig();
+  const tag = randomUUID().slice(0, 8);
+  const remoteInput = `${workDir}/${tag}_${basename(args[inputIdx])}`;
+  const remoteJson = `${workDir}/${tag}_${basename(jsonPath)}`;
+  const remoteArgs = patchThreads(args, h.cores).map((a, i) => {
+    if (i === inputIdx) return remoteInput;
+    if (a.startsWith("json2=")) return `json2=${remoteJson}`;
+    return a;
+  });
+  remoteArgs.push("report_progress=0");
+
+  try {
+    await scp(h, args[inputIdx], `${target(h)}:${remoteInput}`, {
+      timeout: 60000,
+    });
+  } catch (e) {
+    throw hostDown(h, `upload failed: ${e.message}`, e);
+  }
+
+  const t0 = performance.now();
+  try {
+    await ssh(h, [h.simc, ...remoteArgs].map(shellEscape).join(" "), {
+      timeout: 1800000,
+      maxBuffer: 100 * 1024 * 1024,
+    });
+  } catch (e) {
+    // Exit code 255 = SSH connection failure, anything else is SimC's own
+    if (e.code === 255) {
+      throw hostDown(h, `connection lost: ${e.message}`, e);
+    }
+    if (e.stdout) console.log(e.stdout.split("\n").slice(-10).join("\n"));
+    throw new Error(`SimC failed on ${h.id}: ${e.message}`);
+  }
+  const simSec = ((performance.now() - t0) / 1000).toFixed(1);
+
+  try {
+    await scp(h, `${target(h)}:${remoteJson}`, jsonPath, { timeout: 120000 });
+  } catch (e) {
+    throw hostDown(h, `download failed: ${e.message}`, e);
+  } finally {
+    ssh(h, `rm -f ${shellEscape(remoteInput)} ${shellEscape(remoteJson)}`, {
+      timeout: 10000,
+    }).catch(() => {});
+  }
+  console.log(`  [pool] ${h.host} (${h.cores} threads) sim=${simSec}s`);
+}
+
+let pool = null;
+
+function getPool() {
+  pool ??= createWorkPool(hostConfigs(), runOnHost, {
+    isWorkerFailure: (e) => e instanceof HostUnavailableError,
+  });
+  return pool;
+}
+
+// Re-checks stale hosts; failing hosts leave the rotation, recovered ones
+// rejoin it
+async function refreshHealth() {
+  const p = getPool();
+  await Promise.all(
+    hostConfigs()
+      .filter(isStale)
+      .map(async (h) => {
+        const { ok, error } = await checkHost(h);
+        if (ok) {
+          p.restore(h);
+        } else {
+          console.log(`  [pool] ${h.id} unavailable — ${error}`);
+          p.retire(h);
+        }
+      }),
+  );
+}
+
+function uniquePath(path, suffix) {
+  return path.replace(/(\.\w+)?$/, `_${suffix}$1`);
+}
+
+/**
+ * Runs SimC args on the pool, same contract as runSimcRemote: the json2=
+ * report lands at its local path.
+ */
+export async function runSimcPool(args) {
+  await refreshHealth();
+  const p = getPool();
+  if (p.live().length === 0) {
+    throw new RemoteUnavailableError("No healthy SSH pool hosts");
+  }
+
+  const inputIdx = args.findIndex((a) => a.endsWith(".simc"));
+  if (inputIdx === -1) throw new Error("No .simc file found in args");
+  const jsonArg = args.find((a) => a.startsWith("json2="));
+  if (!jsonArg) throw new Error("SSH pool runs need a json2= output");
+  const jsonPath = jsonArg.slice("json2=".length);
+
+  // Uploaded inputs must be self-contained.
+  // Dynamic import avoids circular dependency (profilesets.js → runner.js → here).
+  const { resolveInputDirectives } = await import("./profilesets.js");
+  const inputPath = args[inputIdx];
+  const content = resolveInputDirectives(
+    readFileSync(inputPath, "utf-8"),
+    dirname(resolve(inputPath)),
+  );
+  // A single host gains nothing from chunking but a re-simmed baseline; a
+  // seeded run split across hosts would pair candidates with another host's
+  // baseline
+  const live = p.live().length;
+  const seeded = args.some((a) => a.startsWith("seed="));
+  const chunks = splitProfilesets(
+    content,
+    live > 1 && !seeded ? live * poolConfig().chunksPerHost : 1,
+  );
+
+  const run = randomUUID().slice(0, 8);
+  const jobs = chunks.map((chunk, i) => {
+    const suffix = chunks.length > 1 ? `pool${run}_c${i}` : `pool${run}`;
+    return {
+      input: uniquePath(inputPath, suffix),
+      json: chunks.length > 1 ? uniquePath(jsonPath, suffix) : jsonPath,
+      content: chunk,
+    };
+  });
+  if (chunks.length > 1) {
+    console.log(
+      `  [pool] ${chunks.length} profileset chunks across ${live} hosts`,
+    );
+  }
+
+  try {
+    await Promise.all(
+      jobs.map((job) => {
+        writeFileSync(job.input, job.content);
+        const jobArgs = args.map((a, i) => {
+          if (i === inputIdx) return job.input;
+          if (a === jsonArg) return `json2=${job.json}`;
+          return a;
+        });
+        return p.submit({ args: jobArgs, inputIdx, jsonPath: job.json });
+      }),
+    );
+    if (jobs.length > 1) {
+      const reports = jobs.map((j) =>
+        JSON.parse(readFileSync(j.json, "utf-8")),
+      );
+      writeFileSync(jsonPath, JSON.stringify(mergeProfilesetReports(reports)));
+    }
+  } finally {
+    for (const job of jobs) {
+      try {
+        unlinkSync(job.input);
+      } catch {}
+      if (job.json !== jsonPath) {
+        try {
+          unlinkSync(job.json);
+        } catch {}
+      }
+    }
+  }
+}
+
+// --- CLI ---
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const cmd = process.argv[2];
+  if (cmd !== "check") {
+    console.log("Usage: node src/sim/ssh-pool.js check");
+    process.exit(1);
+  }
+  const hosts = hostConfigs();
+  if (hosts.length === 0) {
+    console.log("No sshPool.hosts configured (see config.local.json).");
+    process.exit(1);
+  }
+  const results = await Promise.all(hosts.map(checkHost));
+  let healthy = 0;
+  hosts.forEach((h, i) => {
+    const r = results[i];
+    if (r.ok) healthy++;
+    const detail = r.ok
+      ? `ok — ${h.cores} cores configured, nproc ${r.nproc ?? "?"}${r.nproc && r.nproc < h.cores ? " (oversubscribed)" : ""}`
+      : `DOWN — ${r.error}`;
+    console.log(`  ${h.id.padEnd(30)} ${detail}`);
+  });
+  console.log(
+    `\n${healthy}/${hosts.length} hosts healthy, ${hosts
+      .filter((h, i) => results[i].ok)
+      .reduce((n, h) => n + h.cores, 0)} cores`,
+  );
+  if (healthy === 0) process.exit(1);
+}
@@ -0,0 +1,273 @@
+// Survivability objective for tank comparisons: DPS alongside HPS, DTPS,
+// TMI, death rate and buff uptimes, with per-spec guardrails.
+//
+// config.<spec>.json:
+//   "survivability": {
+//     "metrics": ["hps", "dtps", "tmi", "deaths"],
+//     "buffs": ["demon_spikes"],
+//     "guardrails": { "dtps": 1.0, "buff.demon_spikes": 3.0 }
+//   }
+//
+// A guardrail is the largest worsening a candidate may show, in the metric's
+// own unit: percent change for rates (hps, dtps, tmi), percentage points for
+// shares (deaths as death rate, buff.<name> as uptime). Changes are weighted
+// across scenarios like the DPS delta.
+//
+// Profileset variants only report metrics (profileset_metric), so buff
+// uptimes exist only for actors with a full report; a metric missing on
+// either side is skipped, never flagged.
+
+const METRICS = {
+  dps: { label: "DPS", higherIsBetter: true, unit: "%" },
+  hps: { label: "HPS", higherIsBetter: true, unit: "%" },
+  dtps: { label: "DTPS", higherIsBetter: false, unit: "%" },
+  tmi: { label: "TMI", higherIsBetter: false, unit: "%" },
+  deaths: { label: "Death rate", higherIsBetter: false, unit: "pts" },
+};
+
+// SimC names profileset metrics by abbreviation or full name
+const PROFILESET_METRIC_NAMES = {
+  dps: "dps",
+  damagepersecond: "dps",
+  hps: "hps",
+  healingpersecond: "hps",
+  dtps: "dtps",
+  damagetakenpersecond: "dtps",
+  tmi: "tmi",
+  theckmeloreeindex: "tmi",
+  deaths: "deaths",
+};
+
+/**
+ * @param {string} key — metric name or "buff.<name>"
+ * @returns {{ label: string, higherIsBetter: boolean, unit: "%"|"pts" }}
+ */
+export function metricInfo(key) {
+  if (key.startsWith("buff.")) {
+    return {
+      label: `${key.slice(5)} uptime`,
+      higherIsBetter: true,
+      unit: "pts",
+    };
+  }
+  const info = METRICS[key];
+  if (!info) throw new Error(`Unknown survivability metric "${key}"`);
+  return info;
+}
+
+/**
+ * Validates a spec's "survivability" block.
+ * @returns {Object|null} null when the spec tracks nothing
+ */
+export function survivabilityConfig(raw) {
+  if (!raw) return null;
+  const cfg = { metrics: [], buffs: [], guardrails: {}, ...raw };
+  const keys = survivalKeys(cfg);
+  if (keys.length === 0) return null;
+  for (const key of keys) metricInfo(key);
+  for (const [key, limit] of Object.entries(cfg.guardrails)) {
+    if (key !== "dps" && !keys.includes(key)) {
+      throw new Error(
+        `survivability.guardrails.${key}: not in survivability.metrics/buffs`,
+      );
+    }
+    if (!(typeof limit === "number" && limit >= 0)) {
+      throw new Error(
+        `survivability.guardrails.${key}: expected a non-negative number`,
+      );
+    }
+  }
+  return cfg;
+}
+
+/** Tracked survivability metrics, excluding DPS. */
+export function survivalKeys(cfg) {
+  return [
+    ...(cfg.metrics ?? []).filter((m) => m !== "dps"),
+    ...(cfg.buffs ?? []).map((b) => `buff.${b}`),
+  ];
+}
+
+/** profileset_metric value: DPS stays primary, buffs can't be collected. */
+export function profilesetMetricOption(cfg) {
+  return ["dps", ...(cfg.metrics ?? []).filter((m) => m !== "dps")].join(",");
+}
+
+/**
+ * Survival data of a json2 player with a full report.
+ * Deaths per fight becomes a death rate in percent.
+ */
+export function actorSurvival(player) {
+  const cd = player.collected_data;
+  const buffs = {};
+  for (const b of player.buffs || []) {
+    if (b.uptime > 0) buffs[b.name] = b.uptime;
+  }
+  return {
+    hps: cd.hps?.mean || 0,
+    dtps: cd.dtps?.mean || 0,
+    ...(cd.theck_meloree_index ? { tmi: cd.theck_meloree_index.mean } : {}),
+    deaths: (cd.deaths?.mean || 0) * 100,
+    buffs,
+  };
+}
+
+/** Survival data of a json2 profileset result (additional_metrics only). */
+export function profilesetSurvival(result) {
+  const survival = {};
+  for (const m of result.additional_metrics || []) {
+    const key =
+      PROFILESET_METRIC_NAMES[
+        String(m.metric).toLowerCase().replace(/\W/g, "")
+      ];
+    if (!key || key === "dps") continue;
+    survival[key] = key === "deaths" ? m.mean * 100 : m.mean;
+  }
+  return survival;
+}
+
+/**
+ * A metric from survival data; null when it wasn't collected. A buff absent
+ * from a full report never came up, so its uptime is 0.
+ */
+export function metricValue(survival, key) {
+  if (!survival) return null;
+  if (key.startsWith("buff.")) {
+    return survival.buffs ? (survival.buffs[key.slice(5)] ?? 0) : null;
+  }
+  return survival[key] ?? null;
+}
+
+/**
+ * Candidate minus current, as percent change or percentage points.
+ * @returns {number|null}
+ */
+export function metricChange(key, current, candidate) {
+  if (current == null || candidate == null) return null;
+  if (metricInfo(key).unit === "pts") return candidate - current;
+  return current === 0 ? null : ((candidate - current) / current) * 100;
+}
+
+/**
+ * @param {Object<string, { current: Object, candidate: Object }>} rows —
+ *   survival data per scenario, each side carrying dps as well
+ * @param {Object<string, number>} weights — scenario weights
+ * @param {Object} cfg — survivabilityConfig() output
+ * @returns {{ changes: Object<string, number|null>, violations: Object[] }}
+ */
+export function summarizeSurvival(rows, weights, cfg) {
+  const changes = {};
+  for (const key of ["dps", ...survivalKeys(cfg)]) {
+    let sum = 0;
+    let weight = 0;
+    for (const [scenario, row] of Object.entries(rows)) {
+      const change = metricChange(
+        key,
+        metricValue(row.current, key),
+        metricValue(row.candidate, key),
+      );
+      const w = weights[scenario] || 0;
+      if (change == null || w === 0) continue;
+      sum += change * w;
+      weight += w;
+    }
+    changes[key] = weight > 0 ? +(sum / weight).toFixed(3) : null;
+  }
+  return { changes, violations: checkGuardrails(changes, cfg.guardrails) };
+}
+
+/**
+ * Mean change per metric across builds; violations keep their build id.
+ * @param {Object<string, { changes: Object, violations: Object[] }>} byBuild
+ */
+export function combineSurvival(byBuild) {
+  const totals = {};
+  for (const { changes } of Object.values(byBuild)) {
+    for (const [key, change] of Object.entries(changes)) {
+      totals[key] ??= [];
+      if (change != null) totals[key].push(change);
+    }
+  }
+  const changes = Object.fromEntries(
+    Object.entries(totals).map(([key, list]) => [
+      key,
+      list.length
+        ? +(list.reduce((a, b) => a + b, 0) / list.length).toFixed(3)
+        : null,
+    ]),
+  );
+  const violations = Object.entries(byBuild).flatMap(([build, s]) =>
+    s.violations.map((v) => ({ ...v, build })),
+  );
+  return { changes, violations };
+}
+
+/**
+ * @param {Object<string, number|null>} changes
+ * @param {Object<string, number>} [guardrails] — max worsening per metric
+ * @returns {Array<{ metric: string, change: number, limit: number }>}
+ */
+export function checkGuardrails(changes, guardrails = {}) {
+  const violations = [];
+  for (const [metric, limit] of Object.entries(guardrails)) {
+    const change = changes[metric];
+    if (change == null) continue;
+    const worsening = metricInfo(metric).higherIsBetter ? -change : change;
+    if (worsening > limit) violations.push({ metric, change, limit });
+  }
+  return violations;
+}
+
+// -1 worse, 0 equal, 1 better — in the metric's own direction
+function compareMetric(key, a, b) {
+  if (a === b) return 0;
+  return a > b === metricInfo(key).higherIsBetter ? 1 : -1;
+}
+
+/**
+ * "dominates" when no tracked metric got worse and one improved,
+ * "dominated" for the reverse, otherwise "trade-off" (or "neutral").
+ */
+export function classifyTradeoff(changes) {
+  let better = 0;
+  let worse = 0;
+  for (const [key, change] of Object.entries(changes)) {
+    if (change == null) continue;
+    const c = compareMetric(key, change, 0);
+    if (c > 0) better++;
+    if (c < 0) worse++;
+  }
+  if (better && worse) return "trade-off";
+  if (better) return "dominates";
+  if (worse) return "dominated";
+  return "neutral";
+}
+
+function dominates(a, b, keys) {
+  let strictly = false;
+  for (const key of keys) {
+    const va = a.changes[key];
+    const vb = b.changes[key];
+    if (va == null || vb == null) continue;
+    const c = compareMetric(key, va, vb);
+    if (c < 0) return false;
+    if (c > 0) strictly = true;
+  }
+  return strictly;
+}
+
+/**
+ * Points no other point beats on every tracked metric.
+ * @param {Array<{ changes: Object<string, number|null> }>} points
+ * @param {string[]} keys
+ */
+export function paretoFrontier(points, keys) {
+  return points.filter((p) => !points.some((q) => dominates(q, p, keys)));
+}
+
+export function formatChange(key, change) {
+  if (change == null) return "—";
+  const sign = change >= 0 ? "+" : "";
+  const unit = metricInfo(key).unit === "%" ? "%" : "pt";
+  return `${sign}${change.toFixed(2)}${unit}`;
+}
@@ -0,0 +1,194 @@
+// Upgrade-currency planner: which owned pieces to upgrade first with a crest
+// budget.
+//
+// Tracks come from gear-config.json: ilvl_tiers gives each track's max ilvl,
+// upgrade_tracks its rank count, ilvl step per rank and the crest each
+// upgrade costs (one name for every step, or one per step). Each step of an
+// item costs crest_cost of that step's crest.
+//
+// Planning is greedy on DPS per crest. Steps of one item happen in order, and
+// a single step can gain little on its own (trinket breakpoints), so each
+// round considers every affordable run of next steps per item and takes the
+// one with the best gain per crest. Pure module, no I/O.
+
+const RANK_RE = /^\s*([A-Za-z]+)\s+(\d+)\s*\/\s*(\d+)\s*$/;
+
+/**
+ * Per track: ilvl at each rank and the crest paid to reach it.
+ * @param {{ ilvl: number, track: string }[]} ilvlTiers
+ * @param {{ crest_cost: number, tracks: Object }} upgradeTracks
+ * @returns {Object<string, { ranks: number, ilvls: number[], crests: string[], cost: number }>}
+ *   ilvls[r - 1] is the ilvl at rank r; crests[r - 1] buys rank r + 1
+ */
+export function trackLadders(ilvlTiers, upgradeTracks) {
+  const maxIlvl = new Map(ilvlTiers.map((t) => [t.track, t.ilvl]));
+  const ladders = {};
+  for (const [track, def] of Object.entries(upgradeTracks.tracks || {})) {
+    const max = maxIlvl.get(track);
+    if (max == null) continue;
+    const ilvls = Array.from(
+      { length: def.ranks },
+      (_, i) => max - (def.ranks - 1 - i) * def.step,
+    );
+    const crests = Array.isArray(def.crest)
+      ? def.crest
+      : Array(def.ranks - 1).fill(def.crest);
+    ladders[track] = {
+      ranks: def.ranks,
+      ilvls,
+      crests,
+      cost: def.crest_cost ?? upgradeTracks.crest_cost,
+    };
+  }
+  return ladders;
+}
+
+/** "Hero 3/6" → { track: "Hero", rank: 3 }, null when unparseable. */
+export function parseTrackRank(text) {
+  const m = String(text).match(RANK_RE);
+  return m ? { track: m[1], rank: Number(m[2]) } : null;
+}
+
+/**
+ * Remaining upgrade steps of an item, in order.
+ * @returns {{ rank: number, fromIlvl: number, ilvl: number, crest: string, cost: number }[]}
+ */
+export function upgradeSteps(track, rank, ladders) {
+  const ladder = ladders[track];
+  if (!ladder) return [];
+  const steps = [];
+  for (let r = rank; r < ladder.ranks; r++) {
+    steps.push({
+      rank: r + 1,
+      fromIlvl: ladder.ilvls[r - 1],
+      ilvl: ladder.ilvls[r],
+      crest: ladder.crests[r - 1],
+      cost: ladder.cost,
+    });
+  }
+  return steps;
+}
+
+/**
+ * Value at an ilvl from (ilvl, value) points, linear between points and
+ * extrapolated from the nearest pair outside them.
+ * @param {{ ilvl: number, value: number }[]} points
+ */
+export function interpolateIlvl(points, ilvl) {
+  const sorted = [...points].sort((a, b) => a.ilvl - b.ilvl);
+  if (sorted.length === 0) return null;
+  if (sorted.length === 1) return sorted[0].value;
+  let i = sorted.findIndex((p) => p.ilvl >= ilvl);
+  if (i <= 0) i = i === 0 ? 1 : sorted.length - 1;
+  const lo = sorted[i - 1];
+  const hi = sorted[i];
+  return (
+    lo.value + ((hi.value - lo.value) * (ilvl - lo.ilvl)) / (hi.ilvl - lo.ilvl)
+  );
+}
+
+const affordable = (steps, left) => {
+  const need = {};
+  for (const s of steps) need[s.crest] = (need[s.crest] || 0) + s.cost;
+  return Object.entries(need).every(([c, n]) => (left[c] || 0) >= n);
+};
+
+/**
+ * Ordered upgrade plan.
+ * @param {{ slot: string, steps: Object[] }[]} items — upgradeSteps() with a
+ *   `gain` (DPS over the previous rank) on every step
+ * @param {Object<string, number>} budget — crests by name
+ * @returns {{ plan: Object[], gain: number, spent: Object<string, number>,
+ *   left: Object<string, number> }} plan entries cover one or more
+ *   consecutive steps of an item: { slot, fromRank, rank, fromIlvl, ilvl,
+ *   crests: { name: count }, gain, perCrest }
+ */
+export function planUpgrades(items, budget) {
+  const left = { ...budget };
+  const next = new Map(items.map((item) => [item.slot, 0]));
+  const plan = [];
+
+  for (;;) {
+    let best = null;
+    for (const item of items) {
+      const start = next.get(item.slot);
+      let gain = 0;
+      let cost = 0;
+      for (let end = start; end < item.steps.length; end++) {
+        const run = item.steps.slice(start, end + 1);
+        if (!affordable(run, left)) break;
+        gain += item.steps[end].gain;
+        cost += item.steps[end].cost;
+        if (gain <= 0) continue;
+        const perCrest = gain / cost;
+        // Ties go to the longer run of the same item
+        if (
+          !best ||
+          perCrest > best.perCrest ||
+          (best.item === item && perCrest === best.perCrest)
+        ) {
+          best = { item, start, end, gain, perCrest };
+        }
+      }
+    }
+    if (!best) break;
+
+    const run = best.item.steps.slice(best.start, best.end + 1);
+    const crests = {};
+    for (const s of run) {
+      crests[s.crest] = (crests[s.crest] || 0) + s.cost;
+      left[s.crest] -= s.cost;
+    }
+    plan.push({
+      slot: best.item.slot,
+      label: best.item.label ?? best.item.slot,
+      fromRank: run[0].rank - 1,
+      rank: run.at(-1).rank,
+      fromIlvl: run[0].fromIlvl,
+      ilvl: run.at(-1).ilvl,
+      crests,
+      gain: best.gain,
+      perCrest: best.perCrest,
+    });
+    next.set(best.item.slot, best.end + 1);
+  }
+
+  const spent = Object.fromEntries(
+    Object.keys(budget).map((c) => [c, budget[c] - left[c]]),
+  );
+  return {
+    plan,
+    gain: plan.reduce((s, p) => s + p.gain, 0),
+    spent,
+    left,
+  };
+}
+
+const int = (v) => Math.round(v).toLocaleString();
+
+/**
+ * Console/markdown lines for a planUpgrades() result.
+ * @param {Object} result
+ * @param {Object<string, { track: string, ranks: number }>} tracks — per slot
+ */
+export function formatPlan(result, tracks) {
+  const lines = [];
+  if (result.plan.length === 0) {
+    lines.push("No affordable upgrade gains DPS.");
+  }
+  result.plan.forEach((p, i) => {
+    const { track, ranks } = tracks[p.slot];
+    const cost = Object.entries(p.crests)
+      .map(([c, n]) => `${n} ${c}`)
+      .join(" + ");
+    lines.push(
+      `${i + 1}. ${p.label}: ${track} ${p.fromRank}/${ranks} → ${p.rank}/${ranks} (${p.fromIlvl} → ${p.ilvl}) — ${cost}, +${int(p.gain)} DPS (${p.perCrest.toFixed(1)}/crest)`,
+    );
+  });
+  lines.push("");
+  lines.push(`Total: +${int(result.gain)} DPS`);
+  for (const [crest, spent] of Object.entries(result.spent)) {
+    lines.push(`  ${crest}: ${spent} spent, ${result.left[crest]} left`);
+  }
+  return lines;
+}
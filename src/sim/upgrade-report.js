@@ -0,0 +1,212 @@
+// Diffs two roster snapshots — DPS per build and scenario plus per-ability
+// DPS — and renders the SimC upgrade impact report (simc-upgrade.js).
+//
+// Snapshot results: { [scenario]: { [buildId]: { dps, abilities: { [name]: dps } } } }
+//
+// A build's DPS change is the sum of its ability changes (pets aside), so each
+// ability's share of the change (in percent of total DPS) attributes a
+// scenario's move to the abilities behind it.
+
+/**
+ * Smallest DPS change two independent runs at this target_error can tell
+ * apart from noise. target_error is already a 95% half-width, so the
+ * difference's 95% half-width is √2 of it.
+ * @param {number} targetError — percent
+ */
+export function noiseThreshold(targetError) {
+  return Math.SQRT2 * targetError;
+}
+
+const pct = (before, after) =>
+  before ? ((after - before) / before) * 100 : null;
+
+const mean = (list) =>
+  list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+
+/**
+ * DPS change per build and scenario for builds present in both snapshots.
+ * @param {Object} before — snapshot results
+ * @param {Object} after — snapshot results
+ * @param {Object<string, number>} weights — scenario weights
+ */
+export function diffRuns(before, after, weights) {
+  const scenarios = Object.keys(weights).filter((s) => before[s] && after[s]);
+  const ids = scenarios.length
+    ? Object.keys(before[scenarios[0]]).filter((id) =>
+        scenarios.every((s) => before[s][id] && after[s][id]),
+      )
+    : [];
+
+  const builds = ids.map((id) => {
+    const perScenario = {};
+    let sum = 0;
+    let weight = 0;
+    for (const s of scenarios) {
+      const b = before[s][id].dps;
+      const a = after[s][id].dps;
+      const deltaPct = pct(b, a);
+      perScenario[s] = { before: b, after: a, deltaPct };
+      if (deltaPct == null) continue;
+      sum += deltaPct * (weights[s] || 0);
+      weight += weights[s] || 0;
+    }
+    return {
+      id,
+      scenarios: perScenario,
+      weighted: weight > 0 ? sum / weight : null,
+    };
+  });
+
+  const byScenario = Object.fromEntries(
+    scenarios.map((s) => [
+      s,
+      mean(builds.map((b) => b.scenarios[s].deltaPct).filter((d) => d != null)),
+    ]),
+  );
+  return {
+    builds,
+    scenarios: byScenario,
+    weighted: mean(builds.map((b) => b.weighted).filter((d) => d != null)),
+  };
+}
+
+/**
+ * Mean per-ability DPS across builds before and after, largest share of the
+ * total change first. Abilities only one side reports are "new"/"removed".
+ */
+export function abilityDeltas(beforeRuns, afterRuns, buildIds) {
+  const names = new Set();
+  for (const id of buildIds) {
+    for (const n of Object.keys(beforeRuns[id]?.abilities ?? {})) names.add(n);
+    for (const n of Object.keys(afterRuns[id]?.abilities ?? {})) names.add(n);
+  }
+  const total = mean(buildIds.map((id) => beforeRuns[id].dps));
+  const rows = [...names].map((name) => {
+    const b = mean(buildIds.map((id) => beforeRuns[id].abilities?.[name] ?? 0));
+    const a = mean(buildIds.map((id) => afterRuns[id].abilities?.[name] ?? 0));
+    return {
+      name,
+      before: b,
+      after: a,
+      delta: a - b,
+      share: total ? ((a - b) / total) * 100 : 0,
+      status: b === 0 ? "new" : a === 0 ? "removed" : null,
+    };
+  });
+  return rows.sort((x, y) => Math.abs(y.share) - Math.abs(x.share));
+}
+
+/** Abilities moving total DPS by at least flagPct, plus any new/removed. */
+export function flagAbilities(rows, flagPct) {
+  return rows.filter((r) => Math.abs(r.share) >= flagPct || r.status);
+}
+
+function signed(v, digits = 2) {
+  if (v == null) return "—";
+  return `${v >= 0 ? "+" : ""}${v.toFixed(digits)}%`;
+}
+
+function marked(v, noisePct) {
+  if (v == null) return "—";
+  return Math.abs(v) > noisePct ? `**${signed(v)}**` : signed(v);
+}
+
+const int = (v) => Math.round(v).toLocaleString();
+
+/**
+ * Markdown report.
+ * @param {Object} r
+ * @param {{ simcCommit: string, dataEnv: string, savedAt?: string }} r.from
+ * @param {{ simcCommit: string, dataEnv: string }} r.to
+ * @param {Object} r.engine — diffRuns() of the golden APL, old vs new binary
+ * @param {Object<string, Object[]>} r.abilities — abilityDeltas() per scenario
+ * @param {Object|null} r.apl — diffRuns() of golden vs current APL on the
+ *   new binary, null when the APL is unchanged
+ * @param {Object<string, string>} r.labels — scenario display names
+ * @param {Object<string, string>} [r.heroTrees] — hero tree per build id
+ * @param {number} r.noisePct — see noiseThreshold()
+ * @param {number} r.flagPct — ability flag threshold, percent of total DPS
+ */
+export function formatUpgradeReport(r) {
+  const scenarios = Object.keys(r.engine.scenarios);
+  const lines = [];
+  lines.push(
+    `# SimC Upgrade Impact: ${r.from.simcCommit} → ${r.to.simcCommit}\n`,
+  );
+  lines.push(`Generated: ${new Date().toISOString()}\n`);
+  lines.push(
+    `Data: ${r.from.dataEnv === r.to.dataEnv ? r.to.dataEnv : `${r.from.dataEnv} → ${r.to.dataEnv}`}` +
+      ` | Builds: ${r.engine.builds.length}` +
+      ` | Golden saved: ${r.from.savedAt?.slice(0, 10) ?? "unknown"}\n`,
+  );
+  if (r.from.dataEnv !== r.to.dataEnv) {
+    lines.push(
+      "> DATA_ENV differs from the golden run: spell data changes are mixed into the engine delta.\n",
+    );
+  }
+  lines.push(
+    `Changes beyond ±${r.noisePct.toFixed(2)}% (95% confidence on the difference) are **bold**.\n`,
+  );
+
+  lines.push("## Summary\n");
+  lines.push(
+    "| Scenario | Engine (golden APL) |" + (r.apl ? " APL since golden |" : ""),
+  );
+  lines.push(
+    "|----------|---------------------|" + (r.apl ? "------------------|" : ""),
+  );
+  for (const s of scenarios) {
+    lines.push(
+      `| ${r.labels[s] ?? s} | ${marked(r.engine.scenarios[s], r.noisePct)} |` +
+        (r.apl ? ` ${marked(r.apl.scenarios[s], r.noisePct)} |` : ""),
+    );
+  }
+  lines.push(
+    `| Weighted | ${marked(r.engine.weighted, r.noisePct)} |` +
+      (r.apl ? ` ${marked(r.apl.weighted, r.noisePct)} |` : ""),
+  );
+  lines.push("");
+  if (!r.apl) {
+    lines.push("The APL is unchanged since the golden run.\n");
+  }
+
+  lines.push("## Engine Change per Build\n");
+  lines.push(
+    `| Build | Hero | ${scenarios.map((s) => r.labels[s] ?? s).join(" | ")} | Weighted |`,
+  );
+  lines.push(`|---|---|${scenarios.map(() => "---").join("|")}|---|`);
+  const byImpact = [...r.engine.builds].sort(
+    (a, b) => Math.abs(b.weighted ?? 0) - Math.abs(a.weighted ?? 0),
+  );
+  for (const b of byImpact) {
+    const cols = scenarios.map((s) =>
+      marked(b.scenarios[s].deltaPct, r.noisePct),
+    );
+    lines.push(
+      `| ${b.id} | ${r.heroTrees?.[b.id] ?? ""} | ${cols.join(" | ")} | ${marked(b.weighted, r.noisePct)} |`,
+    );
+  }
+  lines.push("");
+
+  lines.push("## Flagged Abilities\n");
+  lines.push(
+    `Mean across builds; share is the ability's part of the total DPS change. Flagged at ±${r.flagPct}% of total DPS, or when an ability appears or disappears.\n`,
+  );
+  for (const s of scenarios) {
+    const flagged = flagAbilities(r.abilities[s] ?? [], r.flagPct);
+    lines.push(`### ${r.labels[s] ?? s}\n`);
+    if (flagged.length === 0) {
+      lines.push("No ability moved past the threshold.\n");
+      continue;
+    }
+    lines.push("| Ability | Before | After | Δ DPS | Share | Note |");
+    lines.push("|---------|--------|-------|-------|-------|------|");
+    for (const a of flagged) {
+      lines.push(
+        `| ${a.name} | ${int(a.before)} | ${int(a.after)} | ${a.delta >= 0 ? "+" : ""}${int(a.delta)} | ${signed(a.share)} | ${a.status ?? ""} |`,
+      );
+    }
+    lines.push("");
+  }
+  return lines.join("\n") + "\n";
+}
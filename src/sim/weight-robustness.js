@@ -0,0 +1,320 @@
+// How much a verdict depends on simulation.scenarioWeights. A weighted delta
+// is linear in the weights, so over the weight simplex (all non-negative
+// weight vectors summing to 1):
+//
+//   - the extremes are the best and worst single scenario;
+//   - moving one scenario's weight while the others keep their proportions
+//     crosses zero at most once — the break-even weight for that scenario;
+//   - the win region is measured on a grid over the simplex (step 0.05).
+//
+// Comparisons use per-scenario DPS deltas (percent); roster rankings use
+// per-scenario DPS, ranking builds at each grid point.
+//
+// Usage:
+//   SPEC=vengeance node src/sim/weight-robustness.js comparison [comparison.json]
+//   SPEC=vengeance node src/sim/weight-robustness.js roster [--top 5]
+
+import { readFileSync } from "node:fs";
+
+const GRID_STEP = 0.05;
+
+/**
+ * Every weight vector over n scenarios with components in multiples of step.
+ * @returns {number[][]}
+ */
+export function weightGrid(n, step = GRID_STEP) {
+  const units = Math.round(1 / step);
+  const points = [];
+  const walk = (prefix, left) => {
+    if (prefix.length === n - 1) {
+      points.push([...prefix, left].map((u) => u / units));
+      return;
+    }
+    for (let u = 0; u <= left; u++) walk([...prefix, u], left - u);
+  };
+  walk([], units);
+  return points;
+}
+
+const dot = (weights, values) =>
+  weights.reduce((sum, w, i) => sum + w * values[i], 0);
+
+function normalized(keys, weights) {
+  const total = keys.reduce((s, k) => s + (weights[k] || 0), 0);
+  return keys.map((k) => (total > 0 ? (weights[k] || 0) / total : 0));
+}
+
+/**
+ * Per scenario: the weight at which sum(w * values) changes sign when that
+ * scenario's weight moves and the others keep their current proportions.
+ * breakEven is null when the sign holds from 0 to 1; winsAbove tells which
+ * side of it the positive side lies.
+ * @param {Object<string, number>} values — per-scenario advantage
+ * @param {Object<string, number>} weights
+ */
+export function breakEvenWeights(values, weights) {
+  const keys = Object.keys(weights);
+  const w = normalized(keys, weights);
+  return keys.map((key, i) => {
+    const own = values[key] ?? 0;
+    const restWeight = 1 - w[i];
+    const rest =
+      restWeight > 0
+        ? keys.reduce(
+            (s, k, j) => (j === i ? s : s + w[j] * (values[k] ?? 0)),
+            0,
+          ) / restWeight
+        : own;
+    const crosses = own * rest < 0;
+    return {
+      scenario: key,
+      weight: w[i],
+      breakEven: crosses ? rest / (rest - own) : null,
+      winsAbove: own > rest,
+    };
+  });
+}
+
+/**
+ * Robustness of a candidate's per-scenario deltas.
+ * @param {Object<string, number>} deltas — percent, candidate vs current
+ * @param {Object<string, number>} weights
+ */
+export function comparisonRobustness(deltas, weights, { step } = {}) {
+  const keys = Object.keys(weights);
+  const values = keys.map((k) => deltas[k] ?? 0);
+  const grid = weightGrid(keys.length, step);
+  const wins = grid.filter((w) => dot(w, values) > 0).length;
+  let dominates = null;
+  if (values.every((v) => v > 0)) dominates = "candidate";
+  else if (values.every((v) => v < 0)) dominates = "baseline";
+  return {
+    weighted: dot(normalized(keys, weights), values),
+    range: { min: Math.min(...values), max: Math.max(...values) },
+    winShare: wins / grid.length,
+    dominates,
+    breakEven: breakEvenWeights(deltas, weights),
+  };
+}
+
+/**
+ * Per-scenario deltas of a saved comparison (comparison_latest.json). Roster
+ * comparisons average builds, which is exactly what meanWeighted weights.
+ * @returns {{ deltas: Object<string, number>, builds: Object[] }}
+ */
+export function comparisonDeltas(comparison) {
+  if (!comparison.buildResults) {
+    const deltas = Object.fromEntries(
+      Object.entries(comparison.results || {}).map(([s, r]) => [
+        s,
+        r.deltaPct ?? r.delta_pct ?? 0,
+      ]),
+    );
+    return { deltas, builds: [] };
+  }
+  const builds = Object.entries(comparison.buildResults || {}).map(
+    ([id, br]) => ({
+      id,
+      deltas: Object.fromEntries(
+        Object.entries(br.scenarios || {}).map(([s, r]) => [s, r.deltaPct]),
+      ),
+    }),
+  );
+  const scenarios = new Set(builds.flatMap((b) => Object.keys(b.deltas)));
+  const deltas = Object.fromEntries(
+    [...scenarios].map((s) => {
+      const list = builds.map((b) => b.deltas[s]).filter((d) => d != null);
+      return [s, list.reduce((a, b) => a + b, 0) / (list.length || 1)];
+    }),
+  );
+  return { deltas, builds };
+}
+
+/**
+ * Robustness of a build ranking.
+ * @param {{ id: string, dps: Object<string, number> }[]} builds
+ * @param {Object<string, number>} weights
+ * @returns {{ leader, dominant, builds: Object[] }} builds sorted by current
+ *   weighted DPS; each with winShare (part of weight space where it ranks
+ *   first), topIn (scenarios it leads) and breakEven against the leader
+ */
+export function rankingRobustness(builds, weights, { step } = {}) {
+  const keys = Object.keys(weights);
+  const w = normalized(keys, weights);
+  const rows = builds.map((b) => ({
+    id: b.id,
+    values: keys.map((k) => b.dps[k] || 0),
+  }));
+  const grid = weightGrid(keys.length, step);
+  const firsts = new Map(rows.map((r) => [r.id, 0]));
+  for (const point of grid) {
+    let best = null;
+    let bestDps = -Infinity;
+    for (const r of rows) {
+      const dps = dot(point, r.values);
+      if (dps > bestDps) {
+        best = r.id;
+        bestDps = dps;
+      }
+    }
+    if (best) firsts.set(best, firsts.get(best) + 1);
+  }
+
+  const topIn = new Map(rows.map((r) => [r.id, []]));
+  keys.forEach((k, i) => {
+    const top = rows.reduce((a, b) => (b.values[i] > a.values[i] ? b : a));
+    topIn.get(top.id).push(k);
+  });
+
+  const ranked = rows
+    .map((r) => ({ ...r, weighted: dot(w, r.values) }))
+    .sort((a, b) => b.weighted - a.weighted);
+  const leader = ranked[0];
+  return {
+    leader: leader?.id ?? null,
+    dominant:
+      ranked.find((r) => topIn.get(r.id).length === keys.length)?.id ?? null,
+    builds: ranked.map((r) => ({
+      id: r.id,
+      weighted: r.weighted,
+      winShare: firsts.get(r.id) / grid.length,
+      topIn: topIn.get(r.id),
+      breakEven:
+        r === leader
+          ? null
+          : breakEvenWeights(
+              Object.fromEntries(
+                keys.map((k, i) => [k, r.values[i] - leader.values[i]]),
+              ),
+              weights,
+            ).filter((b) => b.breakEven != null),
+    })),
+  };
+}
+
+const signed = (v) => `${v >= 0 ? "+" : ""}${v.toFixed(2)}%`;
+const share = (v) => `${Math.round(v * 100)}%`;
+
+function breakEvenText(b, labels) {
+  const name = labels[b.scenario] ?? b.scenario;
+  return `${name} ${b.winsAbove ? "≥" : "≤"} ${b.breakEven.toFixed(2)} (now ${b.weight.toFixed(2)})`;
+}
+
+/**
+ * Markdown lines for a comparisonRobustness() result.
+ * @param {Object} r
+ * @param {Object<string, string>} labels — scenario display names
+ * @param {Object[]} [builds] — comparisonDeltas().builds
+ */
+export function formatComparisonRobustness(r, labels, builds = []) {
+  const lines = [];
+  lines.push(
+    `Weighted ${signed(r.weighted)}; single-scenario range ${signed(r.range.min)} to ${signed(r.range.max)}.`,
+  );
+  if (r.dominates === "candidate") {
+    lines.push("Candidate gains in every scenario: wins at any weights.");
+  } else if (r.dominates === "baseline") {
+    lines.push("Candidate loses in every scenario: loses at any weights.");
+  } else {
+    lines.push(`Candidate wins in ${share(r.winShare)} of weight space.`);
+  }
+  const crossings = r.breakEven.filter((b) => b.breakEven != null);
+  if (crossings.length > 0) {
+    lines.push(
+      `Break-even, one weight moved: candidate wins when ${crossings.map((b) => breakEvenText(b, labels)).join("; ")}.`,
+    );
+  }
+  if (builds.length > 0) {
+    const all = builds.filter((b) =>
+      Object.values(b.deltas).every((d) => d > 0),
+    );
+    lines.push(`${all.length}/${builds.length} builds gain in every scenario.`);
+  }
+  return lines;
+}
+
+/**
+ * Markdown table for a rankingRobustness() result, builds ranked at the
+ * current weights.
+ * @param {Object} r
+ * @param {Object<string, string>} labels — scenario display names
+ * @param {{ top?: number, name?: (id: string) => string }} [opts]
+ */
+export function formatRankingRobustness(r, labels, opts = {}) {
+  const { top = 5, name = (id) => id } = opts;
+  const lines = [];
+  if (r.dominant) {
+    lines.push(
+      `${name(r.dominant)} leads every scenario: first at any weights.\n`,
+    );
+  }
+  lines.push("| Build | First in | Leads | Overtakes leader when |");
+  lines.push("|-------|----------|-------|-----------------------|");
+  for (const b of r.builds.slice(0, top)) {
+    const leads = b.topIn.map((s) => labels[s] ?? s).join(", ") || "—";
+    const overtakes =
+      b.id === r.leader
+        ? "(leader)"
+        : b.breakEven.map((x) => breakEvenText(x, labels)).join("; ") ||
+          "never (one weight at a time)";
+    lines.push(
+      `| ${name(b.id)} | ${share(b.winShare)} | ${leads} | ${overtakes} |`,
+    );
+  }
+  const others = r.builds.slice(top).filter((b) => b.winShare > 0);
+  if (others.length > 0) {
+    lines.push(
+      `\nAlso first somewhere: ${others.map((b) => `${name(b.id)} (${share(b.winShare)})`).join(", ")}`,
+    );
+  }
+  return lines;
+}
+
+// --- CLI ---
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { initSpec, SCENARIOS, SCENARIO_WEIGHTS } =
+    await import("../engine/startup.js");
+  const { parseSpecArg } = await import("../util/parse-spec-arg.js");
+  await initSpec(parseSpecArg());
+  const labels = Object.fromEntries(
+    Object.entries(SCENARIOS).map(([k, v]) => [k, v.name]),
+  );
+  const [cmd, ...args] = process.argv.slice(2);
+
+  if (cmd === "comparison") {
+    const { resultsFile } = await import("../engine/paths.js");
+    const path = args[0] ?? resultsFile("comparison_latest.json");
+    const { deltas, builds } = comparisonDeltas(
+      JSON.parse(readFileSync(path, "utf-8")),
+    );
+    const r = comparisonRobustness(deltas, SCENARIO_WEIGHTS);
+    for (const line of formatComparisonRobustness(r, labels, builds)) {
+      console.log(line);
+    }
+  } else if (cmd === "roster") {
+    const { loadRoster } = await import("./build-roster.js");
+    const topIdx = args.indexOf("--top");
+    const top = topIdx !== -1 ? parseInt(args[topIdx + 1], 10) : 5;
+    const builds = (loadRoster()?.builds ?? []).filter((b) => b.lastDps);
+    if (builds.length === 0) {
+      console.error("No roster DPS yet. Run: npm run roster update-dps");
+      process.exit(1);
+    }
+    const names = new Map(builds.map((b) => [b.id, b.displayName || b.id]));
+    const r = rankingRobustness(
+      builds.map((b) => ({ id: b.id, dps: b.lastDps })),
+      SCENARIO_WEIGHTS,
+    );
+    const lines = formatRankingRobustness(r, labels, {
+      top,
+      name: (id) => names.get(id),
+    });
+    for (const line of lines) console.log(line);
+  } else {
+    console.log(
+      "Usage: node src/sim/weight-robustness.js comparison [comparison.json] | roster [--top N]",
+    );
+    process.exit(1);
+  }
+}
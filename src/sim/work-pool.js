@@ -0,0 +1,155 @@
+// Work-stealing job queue over a fixed set of workers, plus the profileset
+// chunking the SSH pool uses to spread one sim across hosts.
+//
+// Workers pull from one shared FIFO: whichever worker goes idle first takes
+// the next job, so a fast host ends up running more chunks than a slow one
+// without any up-front weighting. A job that fails because of its worker
+// (isWorkerFailure) is put back at the head of the queue and the worker is
+// retired; any other failure rejects that job only. Nothing here knows about
+// SSH — ssh-pool.js supplies runJob.
+
+import { profilesetThreadArgs } from "./paired.js";
+
+/**
+ * @param {Array<{ id: string }>} workers
+ * @param {(worker: Object, job: *) => Promise<*>} runJob
+ * @param {Object} [opts]
+ * @param {(err: Error) => boolean} [opts.isWorkerFailure] — retire the worker
+ *   and retry the job elsewhere; defaults to never
+ * @returns {{ submit: (job: *) => Promise<*>, retire: Function,
+ *   restore: Function, live: () => Object[], pending: () => number }}
+ */
+export function createWorkPool(
+  workers,
+  runJob,
+  { isWorkerFailure = () => false } = {},
+) {
+  const queue = [];
+  const idle = new Set(workers);
+  const retired = new Set();
+
+  function live() {
+    return workers.filter((w) => !retired.has(w));
+  }
+
+  function pump() {
+    while (queue.length > 0 && idle.size > 0) {
+      const [worker] = idle;
+      idle.delete(worker);
+      dispatch(worker, queue.shift());
+    }
+    // Nobody left to steal the remaining work
+    if (queue.length > 0 && live().length === 0) {
+      for (const task of queue.splice(0)) {
+        task.reject(task.lastError ?? new Error("No live workers in pool"));
+      }
+    }
+  }
+
+  function dispatch(worker, task) {
+    runJob(worker, task.job).then(
+      (result) => {
+        if (!retired.has(worker)) idle.add(worker);
+        task.resolve(result);
+        pump();
+      },
+      (err) => {
+        if (isWorkerFailure(err)) {
+          retired.add(worker);
+          task.lastError = err;
+          queue.unshift(task);
+        } else {
+          if (!retired.has(worker)) idle.add(worker);
+          task.reject(err);
+        }
+        pump();
+      },
+    );
+  }
+
+  return {
+    submit(job) {
+      return new Promise((resolve, reject) => {
+        queue.push({ job, resolve, reject, lastError: null });
+        pump();
+      });
+    },
+    retire(worker) {
+      retired.add(worker);
+      idle.delete(worker);
+    },
+    // Back into rotation, e.g. after a later health check passes
+    restore(worker) {
+      if (!retired.delete(worker)) return;
+      idle.add(worker);
+      pump();
+    },
+    live,
+    pending: () => queue.length,
+  };
+}
+
+const PROFILESET_RE = /^profileset\.(?:"([^"]+)"|([^=+\s]+))\+?=/;
+
+/**
+ * Splits profileset content into self-contained inputs that each carry the
+ * base profile and a share of the variants, round-robin in file order.
+ * @param {string} content — fully resolved .simc content
+ * @param {number} chunks — upper bound; never more than one per variant
+ * @returns {string[]} one entry, the content unchanged, when there is
+ *   nothing to split
+ */
+export function splitProfilesets(content, chunks) {
+  const base = [];
+  const variants = new Map();
+  for (const line of content.split("\n")) {
+    const m = line.match(PROFILESET_RE);
+    if (!m) {
+      base.push(line);
+      continue;
+    }
+    const name = m[1] ?? m[2];
+    if (!variants.has(name)) variants.set(name, []);
+    variants.get(name).push(line);
+  }
+
+  const n = Math.min(chunks, variants.size);
+  if (n <= 1) return [content];
+
+  const groups = Array.from({ length: n }, () => []);
+  [...variants.values()].forEach((lines, i) => groups[i % n].push(...lines));
+  return groups.map((lines) => [...base, "", ...lines, ""].join("\n"));
+}
+
+/**
+ * Joins the json2 reports of chunked profileset runs. The baseline actor
+ * comes from the first chunk; profileset results are concatenated.
+ * @param {Object[]} reports — parsed json2 documents, chunk order
+ */
+export function mergeProfilesetReports(reports) {
+  const [first, ...rest] = reports;
+  const merged = structuredClone(first);
+  merged.sim.profilesets ??= { results: [] };
+  for (const r of rest) {
+    merged.sim.profilesets.results.push(...(r.sim.profilesets?.results ?? []));
+  }
+  return merged;
+}
+
+/**
+ * Rewrites thread options for the machine that will actually run the sim —
+ * a pool host, or this one after a remote fallback. Seeded runs keep
+ * profilesets on the same thread count as the baseline.
+ * @param {string[]} args
+ * @param {number} cores
+ */
+export function patchThreads(args, cores) {
+  const seeded = args.some((a) => a.startsWith("seed="));
+  const [threads, work, init] = profilesetThreadArgs(cores, { seeded });
+  return args.map((a) => {
+    if (a.startsWith("threads=")) return threads;
+    if (a.startsWith("profileset_work_threads=")) return work;
+    if (a.startsWith("profileset_init_threads=")) return init;
+    return a;
+  });
+}
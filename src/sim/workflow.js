@@ -1,11 +1,11 @@
 // Autonomous simulation workflow: single entry point for full sim→analyze cycle.
 // Parses APL, runs across scenarios, returns structured JSON analysis.
-// Usage: node src/sim/workflow.js <apl.simc> [scenario]
+// Usage: node src/sim/workflow.js <apl.simc> [scenario] [--no-cache]
 
 import { readFileSync, writeFileSync, mkdirSync } from "node:fs";
 import { join, basename } from "node:path";
-import { runSimAsync, SCENARIOS } from "./runner.js";
-import { getSimCores } from "./remote.js";
+import { runSimAsync, SCENARIOS, disableSimCache } from "./runner.js";
+import { getSimCores } from "./backends.js";
 import {
   getSpecAdapter,
   loadSpecAdapter,
@@ -173,12 +173,13 @@ function analyzeCrossScenario(results) {
 // CLI entry point
 if (import.meta.url === `file://${process.argv[1]}`) {
   await initSpec(parseSpecArg());
-  const aplPath = process.argv[2];
-  const scenarioArg = process.argv[3];
+  const args = process.argv.slice(2);
+  if (args.includes("--no-cache")) disableSimCache();
+  const [aplPath, scenarioArg] = args.filter((a) => !a.startsWith("--"));
 
   if (!aplPath) {
     console.log(
-      "Usage: node src/sim/workflow.js <apl.simc> [st|small_aoe|big_aoe|all]",
+      "Usage: node src/sim/workflow.js <apl.simc> [st|small_aoe|big_aoe|all] [--no-cache]",
     );
     process.exit(1);
   }
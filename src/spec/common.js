@@ -164,6 +164,28 @@ export function createCache() {
   };
 }
 
+/**
+ * Flattens scenario-grouped analysisArchetypes into a single name→config map.
+ * Used by CLI tools (optimal-timeline, divergence, apl-interpreter) that take --build.
+ * Handles both flat (legacy) and grouped (scenario-keyed) structures.
+ * @param {Object} archetypes — SPEC_CONFIG.analysisArchetypes
+ * @returns {Record<string, Object>}
+ */
+export function flattenAnalysisArchetypes(archetypes = {}) {
+  const flat = {};
+  for (const [scenario, builds] of Object.entries(archetypes)) {
+    if (typeof builds !== "object") continue;
+    if (builds.heroTree !== undefined) {
+      flat[scenario] = builds;
+    } else {
+      for (const [name, config] of Object.entries(builds)) {
+        flat[name] = { ...config, _scenario: scenario };
+      }
+    }
+  }
+  return flat;
+}
+
 // ================================================================
 // Derivation functions — generate mechanical exports from SPEC_CONFIG
 // ================================================================
@@ -16,6 +16,7 @@ import {
   deriveSpecSpellFilter,
   deriveTalentTreePattern,
   deriveKeySpellIds,
+  flattenAnalysisArchetypes,
 } from "./common.js";
 import { dataDir } from "../engine/paths.js";
 import { config } from "../engine/startup.js";
@@ -621,8 +622,171 @@ export const SPEC_CONFIG = {
     Shadowflame: "shadowflame-damage",
     Physical: "physical-damage",
   },
+
+  // Scenario definitions for pattern analysis. Each scenario defines the fight
+  // parameters for the state-sim analysis tools.
+  scenarios: {
+    st: { target_count: 1, durations: [120, 300] },
+    small_aoe: { target_count: 5, durations: [75] },
+    big_aoe: { target_count: 10, durations: [60] },
+  },
+
+  // Build configs for optimal-timeline / apl-trace / divergence (--build).
+  // Talent flags use the snake_case names referenced by the APL.
+  analysisArchetypes: {
+    st: {
+      "vs-apex1": {
+        heroTree: "void_scarred",
+        apexRank: 1,
+        haste: 0.2,
+        target_count: 1,
+        talents: {
+          void_ray: true,
+          collapsing_star: true,
+          moment_of_craving: true,
+          entropy: true,
+          hungering_slash: true,
+          eradicate: true,
+          soul_glutton: false,
+          star_fragments: true,
+          voidrush: true,
+          the_hunt: false,
+          soul_immolation: false,
+          sweet_release: false,
+          impending_apocalypse: false,
+          voidsurge: true,
+          voidfall: false,
+        },
+      },
+      "anni-apex1": {
+        heroTree: "annihilator",
+        apexRank: 1,
+        haste: 0.2,
+        target_count: 1,
+        talents: {
+          void_ray: true,
+          collapsing_star: true,
+          moment_of_craving: true,
+          entropy: true,
+          hungering_slash: true,
+          eradicate: true,
+          soul_glutton: false,
+          star_fragments: true,
+          voidrush: true,
+          the_hunt: false,
+          soul_immolation: false,
+          sweet_release: false,
+          impending_apocalypse: false,
+          voidsurge: false,
+          voidfall: true,
+        },
+      },
+    },
+    small_aoe: {
+      "vs-apex1-5t": {
+        heroTree: "void_scarred",
+        apexRank: 1,
+        haste: 0.2,
+        target_count: 5,
+        talents: {
+          void_ray: true,
+          collapsing_star: true,
+          moment_of_craving: true,
+          entropy: true,
+          hungering_slash: true,
+          eradicate: true,
+          soul_glutton: false,
+          star_fragments: true,
+          voidrush: true,
+          the_hunt: false,
+          soul_immolation: false,
+          sweet_release: false,
+          impending_apocalypse: false,
+          voidsurge: true,
+          voidfall: false,
+        },
+      },
+      "anni-apex1-5t": {
+        heroTree: "annihilator",
+        apexRank: 1,
+        haste: 0.2,
+        target_count: 5,
+        talents: {
+          void_ray: true,
+          collapsing_star: true,
+          moment_of_craving: true,
+          entropy: true,
+          hungering_slash: true,
+          eradicate: true,
+          soul_glutton: false,
+          star_fragments: true,
+          voidrush: true,
+          the_hunt: false,
+          soul_immolation: false,
+          sweet_release: false,
+          impending_apocalypse: false,
+          voidsurge: false,
+          voidfall: true,
+        },
+      },
+    },
+    big_aoe: {
+      "vs-apex1-10t": {
+        heroTree: "void_scarred",
+        apexRank: 1,
+        haste: 0.2,
+        target_count: 10,
+        talents: {
+          void_ray: true,
+          collapsing_star: true,
+          moment_of_craving: true,
+          entropy: true,
+          hungering_slash: true,
+          eradicate: true,
+          soul_glutton: false,
+          star_fragments: true,
+          voidrush: true,
+          the_hunt: false,
+          soul_immolation: false,
+          sweet_release: false,
+          impending_apocalypse: false,
+          voidsurge: true,
+          voidfall: false,
+        },
+      },
+      "anni-apex1-10t": {
+        heroTree: "annihilator",
+        apexRank: 1,
+        haste: 0.2,
+        target_count: 10,
+        talents: {
+          void_ray: true,
+          collapsing_star: true,
+          moment_of_craving: true,
+          entropy: true,
+          hungering_slash: true,
+          eradicate: true,
+          soul_glutton: false,
+          star_fragments: true,
+          voidrush: true,
+          the_hunt: false,
+          soul_immolation: false,
+          sweet_release: false,
+          impending_apocalypse: false,
+          voidsurge: false,
+          voidfall: true,
+        },
+      },
+    },
+  },
 };
 
+// Flatten scenario-grouped archetypes into a single name→config map.
+// Used by CLI tools (optimal-timeline, divergence, apl-interpreter) that take --build.
+export function flattenArchetypes(archetypes = SPEC_CONFIG.analysisArchetypes) {
+  return flattenAnalysisArchetypes(archetypes);
+}
+
 export const SET_BONUS_SPELL_IDS = new Set([
   // Populate when Devourer tier sets are added to SimC
 ]);
@@ -16,6 +16,7 @@ import {
   deriveSpecSpellFilter,
   deriveTalentTreePattern,
   deriveKeySpellIds,
+  flattenAnalysisArchetypes,
 } from "./common.js";
 import { dataDir } from "../engine/paths.js";
 import { config } from "../engine/startup.js";
@@ -961,19 +962,7 @@ export const SPEC_CONFIG = {
 // Flatten scenario-grouped archetypes into a single name→config map.
 // Used by CLI tools (optimal-timeline, divergence, apl-interpreter) that take --build.
 export function flattenArchetypes(archetypes = SPEC_CONFIG.analysisArchetypes) {
-  const flat = {};
-  for (const [scenario, builds] of Object.entries(archetypes)) {
-    if (typeof builds !== "object") continue;
-    // Handle both flat (legacy) and grouped (scenario-keyed) structures
-    if (builds.heroTree !== undefined) {
-      flat[scenario] = builds; // legacy flat entry
-    } else {
-      for (const [name, config] of Object.entries(builds)) {
-        flat[name] = { ...config, _scenario: scenario };
-      }
-    }
-  }
-  return flat;
+  return flattenAnalysisArchetypes(archetypes);
 }
 
 // Convert a roster DB row into a state-sim-compatible buildConfig.
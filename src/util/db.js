@@ -21,7 +21,7 @@ import {
 
 // --- Schema ---
 
-const SCHEMA_VERSION = 10;
+const SCHEMA_VERSION = 13;
 
 const SCHEMA = `
 -- ═══════════════════════════════════════════════════════════
@@ -198,6 +198,9 @@ CREATE TABLE IF NOT EXISTS iterations (
   aggregate TEXT NOT NULL,
   decision TEXT,
   reason TEXT,
+  mutation_chain TEXT,
+  sequential TEXT,
+  breakdown TEXT,
   created_at TEXT DEFAULT (datetime('now'))
 );
 
@@ -423,6 +426,30 @@ export function getDb(spec) {
     }
     // Schema v8 → v9: gear_results table added to DDL (no data migration needed)
     // Schema v9 → v10: gear_ilvl_results table added to DDL (no data migration needed)
+    // Schema v10 → v11: add mutation_chain column to iterations
+    if (existingVersion < 11) {
+      try {
+        _db.exec("ALTER TABLE iterations ADD COLUMN mutation_chain TEXT");
+      } catch {
+        // Column may already exist
+      }
+    }
+    // Schema v11 → v12: add sequential (stopping decision) column to iterations
+    if (existingVersion < 12) {
+      try {
+        _db.exec("ALTER TABLE iterations ADD COLUMN sequential TEXT");
+      } catch {
+        // Column may already exist
+      }
+    }
+    // Schema v12 → v13: add breakdown (accept-time ability/buff delta) column
+    if (existingVersion < 13) {
+      try {
+        _db.exec("ALTER TABLE iterations ADD COLUMN breakdown TEXT");
+      } catch {
+        // Column may already exist
+      }
+    }
     _db
       .prepare("UPDATE schema_info SET value = ? WHERE key = 'version'")
       .run(String(SCHEMA_VERSION));
@@ -721,8 +748,8 @@ function rowToFinding(r) {
 export function addIteration(iteration) {
   const db = getDb();
   const stmt = db.prepare(`
-    INSERT INTO iterations (spec, hypothesis_id, session_id, fidelity, apl_diff, results, aggregate, decision, reason)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO iterations (spec, hypothesis_id, session_id, fidelity, apl_diff, results, aggregate, decision, reason, mutation_chain, sequential, breakdown)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   const info = stmt.run(
     iteration.spec || spec(),
@@ -734,14 +761,26 @@ export function addIteration(iteration) {
     jsonCol(iteration.aggregate),
     iteration.decision || null,
     iteration.reason || null,
+    jsonCol(iteration.mutationChain),
+    jsonCol(iteration.sequential),
+    jsonCol(iteration.breakdown),
   );
   return Number(info.lastInsertRowid);
 }
 
+export function getIteration(id) {
+  const db = getDb();
+  const row = db.prepare("SELECT * FROM iterations WHERE id = ?").get(id);
+  return row ? rowToIteration(row) : null;
+}
+
+// order: "asc" (oldest first) or "desc" (newest first); limit applies after
+// ordering, so { order: "desc", limit: n } is the n most recent
 export function getIterations({
   sessionId,
   decision,
   limit = 100,
+  order = "asc",
   spec: s,
 } = {}) {
   const db = getDb();
@@ -755,7 +794,7 @@ export function getIterations({
     sql += " AND decision = ?";
     params.push(decision);
   }
-  sql += " ORDER BY id ASC LIMIT ?";
+  sql += ` ORDER BY id ${order === "desc" ? "DESC" : "ASC"} LIMIT ?`;
   params.push(limit);
   return db
     .prepare(sql)
@@ -797,6 +836,9 @@ function rowToIteration(r) {
     aplDiff: r.apl_diff,
     results: parseJson(r.results),
     aggregate: parseJson(r.aggregate),
+    mutationChain: parseJson(r.mutation_chain),
+    sequential: parseJson(r.sequential),
+    breakdown: parseJson(r.breakdown),
     createdAt: r.created_at,
   };
 }
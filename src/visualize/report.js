@@ -5,6 +5,7 @@
 // Usage: node src/visualize/report.js [options]
 //   --skip-sims           Generate from cached DB DPS only (no sims)
 //   --fidelity <tier>     quick|standard|confirm (default: standard)
+//   --no-cache            Re-run every sim instead of reusing cached results
 
 import {
   writeFileSync,
@@ -39,11 +40,14 @@ import {
   runProfilesetAsync,
   profilesetResultsToActorMap,
 } from "../sim/profilesets.js";
-import { runSimAsync } from "../sim/runner.js";
+import { runSimAsync, disableSimCache } from "../sim/runner.js";
+import { describeScenario } from "../sim/scenario-builder.js";
+import { rankingRobustness } from "../sim/weight-robustness.js";
 import {
   getDb,
   getSessionState,
   getRosterBuilds,
+  getIterations,
   updateBuildDps,
   updateBuildSimcDps,
 } from "../util/db.js";
@@ -68,6 +72,9 @@ function parseArgs() {
       case "--fidelity":
         opts.fidelity = args[++i];
         break;
+      case "--no-cache":
+        disableSimCache();
+        break;
     }
   }
 
@@ -146,8 +153,9 @@ async function simBreakdownBuilds(roster, aplPath, heroTrees) {
       console.log(
         `    ${heroTrees[tree]?.displayName || tree}: ${build.displayName || build.id}`,
       );
+      // Uncached: the breakdown is read from the json2 file itself
       await runSimAsync(tmpPath, "st", {
-        simOverrides: { target_error: 1.0 },
+        simOverrides: { target_error: 1.0, cache: false },
       });
 
       // Parse stats from the JSON output
@@ -1251,6 +1259,9 @@ function generateHtml(data) {
     nodeContributions,
     abilityBreakdown,
     hasAblation,
+    iterations,
+    lootValue,
+    lootDropSources,
   } = data;
   const displaySpec = toTitleCase(specName);
 
@@ -1273,9 +1284,12 @@ function generateHtml(data) {
       hasAblation,
     ),
     renderBuildRankings(builds, heroTrees),
+    renderWeightRobustness(builds),
     renderGearSection(gearData, abilityBreakdown),
     renderTrinketRankings(trinketData),
     renderEmbellishmentRankings(embellishmentData),
+    renderLootValue(lootValue, { dropSources: lootDropSources }),
+    renderIterationHistory(iterations),
     renderFooter(),
   ];
 
@@ -1860,14 +1874,14 @@ function renderBuildRankings(builds, heroTrees) {
   const scenarioHeaders = scenarios
     .map(
       (s) =>
-        `<th class="sortable num" data-col="${s}" style="color:${scenarioColor(s)}">${esc(SCENARIOS[s].name)}</th>`,
+        `<th class="sortable num" data-col="${s}" style="color:${scenarioColor(s)}" title="${esc(describeScenario(SCENARIOS[s]))}">${esc(SCENARIOS[s].name)}</th>`,
     )
     .join("\n      ");
 
   const weightLegend = Object.keys(SCENARIOS)
     .map(
       (s) =>
-        `<span style="color:${scenarioColor(s)}">${esc(SCENARIOS[s].name)}</span> ${Math.round(SCENARIO_WEIGHTS[s] * 100)}%`,
+        `<span style="color:${scenarioColor(s)}" title="${esc(describeScenario(SCENARIOS[s]))}">${esc(SCENARIOS[s].name)}</span> ${Math.round(SCENARIO_WEIGHTS[s] * 100)}%`,
     )
     .join(" · ");
 
@@ -1945,6 +1959,69 @@ function renderBuildRankings(builds, heroTrees) {
 </section>`;
 }
 
+// Which builds stay on top when the scenario weights change
+function renderWeightRobustness(builds) {
+  if (builds.length < 2) return "";
+  const r = rankingRobustness(
+    builds.map((b) => ({ id: b.id, dps: b.dps })),
+    SCENARIO_WEIGHTS,
+  );
+  const byId = new Map(builds.map((b) => [b.id, b]));
+  const shown = r.builds.filter((b) => b.winShare > 0 || b.id === r.leader);
+
+  const rows = shown
+    .map((b) => {
+      const build = byId.get(b.id);
+      const leads =
+        b.topIn
+          .map(
+            (s) =>
+              `<span style="color:${scenarioColor(s)}">${esc(SCENARIOS[s].name)}</span>`,
+          )
+          .join(", ") || "—";
+      const overtakes =
+        b.id === r.leader
+          ? "Leader at current weights"
+          : b.breakEven
+              .map(
+                (x) =>
+                  `${esc(SCENARIOS[x.scenario].name)} ${x.winsAbove ? "≥" : "≤"} ${Math.round(x.breakEven * 100)}% (now ${Math.round(x.weight * 100)}%)`,
+              )
+              .join("; ") || "—";
+      const { cls, abbr } = treeStyle(build.heroTree);
+      return `<tr>
+  <td class="build-name">${esc(build.displayName)}</td>
+  <td><span class="tree-badge sm ${cls}">${abbr}</span></td>
+  <td class="num">${Math.round(b.winShare * 100)}%</td>
+  <td>${leads}</td>
+  <td>${overtakes}</td>
+</tr>`;
+    })
+    .join("\n");
+
+  const dominant = r.dominant
+    ? ` ${esc(byId.get(r.dominant).displayName)} leads every scenario, so it ranks first at any weights.`
+    : "";
+  return `<section id="weight-robustness">
+  <div class="report-card">
+  <h3>Weight Robustness</h3>
+  <p class="section-desc">Share of all scenario weightings where each build ranks first, and the weight at which it overtakes the leader (one scenario's weight moved, the others kept in proportion).${dominant}</p>
+  <div class="table-wrap">
+    <table class="roster-table">
+      <thead><tr>
+        <th>Build</th>
+        <th>Tree</th>
+        <th class="num">First in</th>
+        <th>Leads</th>
+        <th>Overtakes leader when</th>
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>
+  </div>
+</section>`;
+}
+
 const TAG_CLASSES = {
   "on-use": "trinket-tag--use",
   passive: "trinket-tag--passive",
@@ -2390,6 +2467,78 @@ function renderTrinketIlvlChart(ilvlRows, tagMap, ilvlTierConfig) {
   </div>`;
 }
 
+// Whether any gear candidate lists its drop sources (gear:fetch-candidates
+// writes them); loot-value has nothing to rank without them
+function hasDropSources(gearCandidates) {
+  const candidates = [
+    ...Object.values(gearCandidates?.paired_slots || {}),
+    ...Object.values(gearCandidates?.slots || {}),
+  ].flatMap((group) => group.candidates || []);
+  return candidates.some((c) => c.sources?.length > 0);
+}
+
+// Loot-source value from gear.js loot-value: expected DPS gain per raid boss
+// kill, M+ chest and Great Vault row for the character's current gear. Without
+// a stored ranking the section says why instead of disappearing
+function renderLootValue(lootValue, { dropSources = true } = {}) {
+  if (!lootValue) {
+    const why = dropSources
+      ? "No ranking stored yet. Run <code>gear.js loot-value</code> to rank raid bosses, dungeons and vault rows."
+      : "gear-candidates.json lists no drop sources, so there is nothing to rank. Run <code>gear:fetch-candidates</code> to refresh it, then <code>gear.js loot-value</code>.";
+    return `<section id="loot-value">
+  <div class="report-card">
+  <h3>Loot Value</h3>
+  <p class="section-desc">${why}</p>
+  </div>
+</section>`;
+  }
+  const { loot } = lootValue;
+
+  function table(title, rows, note) {
+    if (!rows?.length) return "";
+    const body = rows
+      .slice(0, 10)
+      .map(
+        (r, i) => `<tr>
+  <td class="num">${i + 1}</td>
+  <td class="build-name">${esc(r.name)}${r.instance && r.instance !== r.name ? ` <span class="section-desc">${esc(r.instance)}</span>` : ""}</td>
+  <td class="num">${fmtDps(r.expected)}</td>
+  <td class="num">${Math.round(r.upgradeChance * 100)}%</td>
+  <td>${r.best ? `${esc(r.best.label)} (+${fmtDps(r.best.gain)})` : "—"}</td>
+</tr>`,
+      )
+      .join("\n");
+    return `<h4>${title}</h4>
+  <p class="section-desc">${note}</p>
+  <div class="table-wrap">
+    <table class="roster-table">
+      <thead><tr>
+        <th class="num">#</th>
+        <th>Source</th>
+        <th class="num">Expected DPS</th>
+        <th class="num">Upgrade chance</th>
+        <th>Best upgrade</th>
+      </tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+  </div>`;
+  }
+
+  const who = lootValue.character ? ` for ${esc(lootValue.character)}` : "";
+  const unvalued = lootValue.unvalued?.length
+    ? ` Not valued (slot empty or current item unknown): ${esc(lootValue.unvalued.join(", "))}.`
+    : "";
+  return `<section id="loot-value">
+  <div class="report-card">
+  <h3>Loot Value</h3>
+  <p class="section-desc">Expected DPS gain${who}: drop chance times the mean upgrade over each source's loot table (non-upgrades count as zero). Trinkets from the trinket ilvl chart, other slots from EP; tier slots excluded.${unvalued}</p>
+  ${table("Raid Bosses", lootValue.raid, `Per kill, ${Math.round(loot.raid_boss_chance * 100)}% chance of a drop for you.`)}
+  ${table("Mythic+ Dungeons", lootValue.dungeons, `Per end-of-run chest, ${Math.round(loot.mplus_chest_chance * 100)}% chance of a drop for you.`)}
+  ${table("Great Vault", lootValue.vault, `Best of ${loot.vault_choices} choices from the season's loot${lootValue.vaultIlvl ? ` at item level ${lootValue.vaultIlvl}` : ""}.`)}
+  </div>
+</section>`;
+}
+
 function renderAbilityBreakdown(abilityBreakdown) {
   // Accepts either a single breakdown { abilities, total } or
   // a per-tree map { treeName: { abilities, total, buildName } }
@@ -2591,6 +2740,86 @@ function renderGearDisplay(gearData) {
 </div>`;
 }
 
+// apl-diff markdown (formatDiffMarkdown) → HTML: the summary line, a heading
+// per action list and the change bullets with their nested details
+function renderDiffMarkdown(md) {
+  const inline = (text) => esc(text).replace(/`([^`]+)`/g, "<code>$1</code>");
+  const out = [];
+  let items = [];
+  const closeList = () => {
+    if (!items.length) return;
+    const lis = items.map(({ text, details }) => {
+      const sub = details.length
+        ? `<ul>${details.map((d) => `<li>${d}</li>`).join("")}</ul>`
+        : "";
+      return `<li>${text}${sub}</li>`;
+    });
+    out.push(`<ul>${lis.join("")}</ul>`);
+    items = [];
+  };
+
+  for (const line of md.split("\n")) {
+    if (!line.trim() || line.startsWith("#")) continue;
+    let m;
+    if ((m = line.match(/^_(.*)_$/))) {
+      out.push(`<p class="apl-diff-summary">${inline(m[1])}</p>`);
+    } else if ((m = line.match(/^\*\*(.*)\*\*$/))) {
+      closeList();
+      out.push(`<h4>${inline(m[1])}</h4>`);
+    } else if ((m = line.match(/^ {2}- (.*)$/)) && items.length) {
+      items.at(-1).details.push(inline(m[1]));
+    } else if ((m = line.match(/^- (.*)$/))) {
+      items.push({ text: inline(m[1]), details: [] });
+    } else {
+      closeList();
+      out.push(`<p>${inline(line)}</p>`);
+    }
+  }
+  closeList();
+  return out.join("\n");
+}
+
+// Accepted APL iterations, newest first, each with its semantic diff
+// (apl-diff markdown stored by iterate.js accept)
+function renderIterationHistory(iterations) {
+  if (!iterations?.length) return "";
+
+  const rows = iterations
+    .map((it) => {
+      const agg = it.aggregate || {};
+      const delta = agg.meanWeighted ?? agg.delta;
+      const deltaHtml =
+        delta != null
+          ? `<span class="${delta >= 0 ? "positive" : "negative"}">${fmtDelta(delta)}</span>`
+          : "";
+      // Older rows stored the reason as apl_diff
+      const diffHtml =
+        it.aplDiff && it.aplDiff !== it.reason
+          ? `<details class="trinket-details">
+        <summary>APL changes</summary>
+        <div class="apl-diff">${renderDiffMarkdown(it.aplDiff)}</div>
+      </details>`
+          : "";
+      return `<div class="iteration-row">
+      <div class="iteration-head">
+        <span class="iteration-date">${esc((it.createdAt || "").split(/[T ]/)[0])}</span>
+        <span class="iteration-reason">${esc(it.reason)}</span>
+        ${deltaHtml}
+      </div>
+      ${diffHtml}
+    </div>`;
+    })
+    .join("\n    ");
+
+  return `<section>
+  <div class="report-card">
+    <h3>Optimization History</h3>
+    <p class="section-desc">Accepted APL changes, newest first. Delta is the weighted DPS change at acceptance.</p>
+    ${rows}
+  </div>
+</section>`;
+}
+
 function renderFooter() {
   return `<footer>
   <p>Generated by <a href="https://github.com/simulationcraft/dh-apl">dh-apl</a></p>
@@ -3841,6 +4070,26 @@ a.gear-name:hover { text-decoration: underline; }
 
 .trinket-details { margin-top: 0.75rem; }
 
+/* Optimization history */
+.iteration-row {
+  padding: 0.5rem 0;
+  border-bottom: 1px solid var(--border-subtle);
+}
+.iteration-head {
+  display: flex;
+  gap: 0.75rem;
+  align-items: baseline;
+}
+.iteration-date { color: var(--fg-muted); font-variant-numeric: tabular-nums; }
+.iteration-reason { flex: 1; }
+.apl-diff {
+  font-size: 0.8rem;
+  overflow-x: auto;
+}
+.apl-diff h4 { margin: 0.5rem 0 0.25rem; }
+.apl-diff ul { margin: 0; padding-left: 1.25rem; }
+.apl-diff-summary { font-style: italic; color: var(--fg-muted); }
+
 /* Trinket ilvl chart */
 .tc-chart {
   border: 1px solid var(--border);
@@ -4803,6 +5052,13 @@ async function main() {
     nodeContributions,
     abilityBreakdown,
     hasAblation,
+    iterations: getIterations({
+      decision: "accepted",
+      order: "desc",
+      limit: 20,
+    }),
+    lootValue: getSessionState("gear_loot_value"),
+    lootDropSources: hasDropSources(gearCandidates),
   });
 
   const indexPath = join(reportDir, "index.html");
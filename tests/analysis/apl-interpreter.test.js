@@ -0,0 +1,217 @@
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { ROOT } from "../../src/engine/paths.js";
+import {
+  initEngine,
+  simulateApl,
+  profileGear,
+} from "../../src/analysis/apl-interpreter.js";
+
+// The interpreter caches one engine per process, so this file sticks to
+// devourer
+const BUILD = {
+  heroTree: "void_scarred",
+  apexRank: 1,
+  talents: {
+    void_ray: true,
+    collapsing_star: true,
+    moment_of_craving: true,
+    entropy: true,
+    hungering_slash: true,
+    eradicate: true,
+    the_hunt: true,
+    soul_immolation: true,
+    voidsurge: true,
+  },
+};
+
+const abilities = (trace) => trace.events.map((e) => e.ability);
+
+describe("computeVariables", () => {
+  before(() => initEngine("devourer"));
+
+  it("evaluates variables assigned in called sub-lists", () => {
+    const apl = readFileSync(join(ROOT, "apls/devourer/devourer.simc"), "utf8");
+    const trace = simulateApl(apl, BUILD, 60);
+    const unassigned = trace.diagnostics.unmodeled_expressions.filter((u) =>
+      u.expr.startsWith("variable."),
+    );
+    // should_use_star and rush_star_stacks gate every collapsing_star line
+    assert.deepEqual(unassigned, []);
+  });
+
+  it("lets a sub-list variable gate a default-list action", () => {
+    const apl = [
+      "actions=call_action_list,name=setup",
+      "actions+=/the_hunt,if=variable.hunt_now",
+      "actions+=/consume",
+      "actions.setup=variable,name=hunt_now,value=1",
+    ].join("\n");
+    assert.equal(abilities(simulateApl(apl, BUILD, 2))[0], "the_hunt");
+  });
+
+  it("skips sub-lists whose call condition fails", () => {
+    const apl = [
+      "actions=call_action_list,name=setup,if=active_enemies>1",
+      "actions+=/the_hunt,if=variable.hunt_now",
+      "actions+=/consume",
+      "actions.setup=variable,name=hunt_now,value=1",
+    ].join("\n");
+    assert.equal(abilities(simulateApl(apl, BUILD, 2))[0], "consume");
+  });
+
+  it("stops walking the caller after run_action_list", () => {
+    const apl = [
+      "actions=run_action_list,name=st",
+      "actions+=/variable,name=hunt_now,value=1",
+      "actions.st=the_hunt,if=variable.hunt_now",
+      "actions.st+=/consume",
+    ].join("\n");
+    const trace = simulateApl(apl, BUILD, 2);
+    assert.equal(abilities(trace)[0], "consume");
+    assert.deepEqual(trace.diagnostics.unmodeled_expressions, []);
+  });
+});
+
+// the_hunt is castable on the pull, so it opens the trace only when the
+// expression holds
+function opensWithHunt(expr, cfg = {}) {
+  const apl = `actions=the_hunt,if=${expr}\nactions+=/consume`;
+  return abilities(simulateApl(apl, { ...BUILD, ...cfg }, 2))[0] === "the_hunt";
+}
+
+const TRINKETS = [
+  {
+    name: "void_stalkers_contract",
+    ilvl: 289,
+    cooldown: 90,
+    useBuff: true,
+    buffs: ["agility"],
+    procDuration: 15,
+  },
+  { name: "gaze_of_the_alnseer", ilvl: 276 },
+];
+
+describe("gear and fight expressions", () => {
+  before(() => initEngine("devourer"));
+
+  it("resolves trinket.N.* against the build's trinkets", () => {
+    const cfg = { trinkets: TRINKETS };
+    assert.ok(opensWithHunt("trinket.1.is.void_stalkers_contract", cfg));
+    assert.ok(opensWithHunt("trinket.2.ilvl<289", cfg));
+    assert.ok(opensWithHunt("trinket.1.has_buff.agility", cfg));
+    assert.ok(opensWithHunt("trinket.1.cooldown.duration=90", cfg));
+    assert.ok(opensWithHunt("trinket.1.proc.any_dps.duration=15", cfg));
+    assert.ok(!opensWithHunt("trinket.2.has_cooldown", cfg));
+    assert.ok(!opensWithHunt("trinket.2.has_use_buff", cfg));
+  });
+
+  it("fires use_item off the GCD and starts the trinket cooldown", () => {
+    const apl = [
+      "actions=call_action_list,name=items",
+      "actions+=/the_hunt,if=trinket.1.cooldown.remains>80",
+      "actions+=/consume",
+      "actions.items=use_item,slot=trinket1,if=trinket.1.cooldown.ready",
+    ].join("\n");
+    const trace = simulateApl(apl, { ...BUILD, trinkets: TRINKETS }, 10);
+    const [use, next] = trace.events;
+    assert.equal(use.ability, "use_item");
+    assert.equal(use.item, "void_stalkers_contract");
+    assert.equal(use.off_gcd, true);
+    assert.equal(next.ability, "the_hunt");
+    // The use shares the GCD slot of the cast that follows it
+    assert.equal(use.gcd, next.gcd);
+    assert.equal(abilities(trace).filter((a) => a === "use_item").length, 1);
+  });
+
+  it("resolves equipped and set_bonus", () => {
+    assert.ok(
+      opensWithHunt("equipped.umbral_plume", { equipped: ["umbral_plume"] }),
+    );
+    assert.ok(!opensWithHunt("equipped.umbral_plume", { equipped: [] }));
+    assert.ok(opensWithHunt("set_bonus.mid1_4pc", { tierPieces: 4 }));
+    assert.ok(!opensWithHunt("set_bonus.mid1_4pc", { tierPieces: 3 }));
+    assert.ok(
+      opensWithHunt("set_bonus.mid1_2pc", {
+        tierPieces: 0,
+        setBonus: { mid1_2pc: true },
+      }),
+    );
+  });
+
+  it("resolves fight, target and raid_event expressions", () => {
+    assert.ok(opensWithHunt("fight_style.patchwerk"));
+    assert.ok(
+      !opensWithHunt("fight_style.patchwerk", { fightStyle: "DungeonSlice" }),
+    );
+    assert.ok(opensWithHunt("time<1&fight_remains>1"));
+    assert.ok(opensWithHunt("target.health.pct=100&target.time_to_die>1"));
+    assert.ok(!opensWithHunt("raid_event.adds.exists"));
+    const raidEvents = [{ type: "adds", at: 30, duration: 20, count: 3 }];
+    assert.ok(
+      opensWithHunt("raid_event.adds.in=30&raid_event.adds.count=3", {
+        raidEvents,
+      }),
+    );
+  });
+});
+
+describe("profileGear", () => {
+  const PROFILE = [
+    'demonhunter="Test"',
+    "spec=vengeance",
+    "head=devouring_reavers_intake,id=250033,ilevel=289",
+    "chest=devouring_reavers_engine,id=250036,ilevel=289",
+    "neck=pendant_of_aching_grief,id=251096,ilevel=289",
+    "trinket1=void_stalkers_contract,id=1,ilevel=289",
+    "trinket2=gaze_of_the_alnseer,id=249343,ilevel=276",
+  ].join("\n");
+  const CANDIDATES = {
+    tier: {
+      items: {
+        head: "head=devouring_reavers_intake,id=250033,ilevel=289",
+        chest: "chest=devouring_reavers_engine,id=250036,ilevel=289",
+        legs: "legs=devouring_reavers_pistons,id=250032,ilevel=289",
+      },
+    },
+    paired_slots: {
+      trinkets: {
+        candidates: [
+          {
+            id: "void_stalkers_contract",
+            tags: ["on-use", "agi"],
+            stats: { agi: 1 },
+          },
+          {
+            id: "gaze_of_the_alnseer",
+            tags: ["passive"],
+            stats: { mastery: 1 },
+          },
+        ],
+      },
+    },
+  };
+
+  it("reads trinkets, equipped items and tier pieces from the profile", () => {
+    const gear = profileGear(PROFILE, CANDIDATES);
+    assert.deepEqual(gear.trinkets, [
+      {
+        name: "void_stalkers_contract",
+        ilvl: 289,
+        useBuff: true,
+        buffs: ["agility"],
+      },
+      { name: "gaze_of_the_alnseer", ilvl: 276, useBuff: false, buffs: [] },
+    ]);
+    assert.ok(gear.equipped.includes("pendant_of_aching_grief"));
+    assert.equal(gear.tierPieces, 2);
+  });
+
+  it("leaves tier pieces unknown without gear candidates", () => {
+    const gear = profileGear(PROFILE);
+    assert.equal(gear.trinkets[0].useBuff, false);
+    assert.equal("tierPieces" in gear, false);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  seedState,
+  rollProc,
+  expectedValueView,
+  procChance,
+} from "../../src/analysis/proc-rng.js";
+import {
+  confidenceInterval,
+  decisionDistribution,
+  classifyDivergences,
+} from "../../src/analysis/trajectory-stats.js";
+
+function countProcs(state, casts, chance) {
+  let total = 0;
+  for (let i = 0; i < casts; i++) total += rollProc(state, "_frac", chance);
+  return total;
+}
+
+describe("rollProc", () => {
+  it("accumulates expected value without a seed", () => {
+    const s = {};
+    assert.equal(countProcs(s, 20, 0.25), 5);
+    assert.equal(s._frac, 0);
+  });
+
+  it("holds back procs above max in deterministic mode", () => {
+    const s = {};
+    assert.equal(rollProc(s, "_frac", 2.5, 1), 1);
+    assert.equal(s._frac, 1.5);
+  });
+
+  it("is reproducible for a seed and varies across seeds", () => {
+    const run = (seed) => {
+      const s = seedState({}, seed);
+      return Array.from({ length: 50 }, () => rollProc(s, "_frac", 0.35));
+    };
+    assert.deepEqual(run(7), run(7));
+    assert.notDeepEqual(run(7), run(8));
+  });
+
+  it("rolls close to the proc chance over many casts", () => {
+    const s = seedState({}, 42);
+    const procs = countProcs(s, 10000, 0.35);
+    assert.ok(procs > 3300 && procs < 3700, `got ${procs}`);
+  });
+
+  it("expectedValueView strips the RNG without mutating", () => {
+    const s = seedState({ fury: 10 }, 3, { voidfall_building: 0.4 });
+    const view = expectedValueView(s);
+    assert.equal(view._rng, null);
+    assert.equal(s._rng, 3);
+    assert.equal(procChance(view, "voidfall_building", 0.35), 0.4);
+    assert.equal(procChance(view, "fallout", 0.6), 0.6);
+  });
+});
+
+describe("trajectory stats", () => {
+  it("computes a normal-approximation confidence interval", () => {
+    const ci = confidenceInterval([1, 2, 3, 4, 5]);
+    assert.equal(ci.mean, 3);
+    assert.ok(Math.abs(ci.stdev - Math.sqrt(2.5)) < 1e-9);
+    assert.ok(ci.ci95[0] < 3 && ci.ci95[1] > 3);
+  });
+
+  it("builds per-GCD distributions skipping off-GCD events", () => {
+    const dist = decisionDistribution([
+      [
+        { t: 0, ability: "meta", off_gcd: true },
+        { t: 0, ability: "fracture" },
+      ],
+      [{ t: 0, ability: "spirit_bomb" }],
+    ]);
+    assert.equal(dist.length, 1);
+    assert.deepEqual(dist[0].abilities, { fracture: 0.5, spirit_bomb: 0.5 });
+  });
+
+  it("splits divergences into always and proc-dependent", () => {
+    const d = (optimal, actual, delta) => ({
+      t: 1,
+      gcd: 1,
+      optimal: { ability: optimal },
+      actual: { ability: actual, apl_reason: "" },
+      dpgcd_delta: delta,
+      fix_hint: "",
+    });
+    const classified = classifyDivergences([
+      [d("spirit_bomb", "fracture", 100), d("fiery_brand", "felblade", 50)],
+      [d("spirit_bomb", "fracture", 120)],
+    ]);
+    const byPair = Object.fromEntries(
+      classified.map((c) => [`${c.optimal}|${c.actual}`, c]),
+    );
+    assert.equal(byPair["spirit_bomb|fracture"].classification, "always");
+    assert.equal(byPair["spirit_bomb|fracture"].mean_delta, 110);
+    assert.equal(byPair["spirit_bomb|fracture"].example.run, 1);
+    assert.equal(
+      byPair["fiery_brand|felblade"].classification,
+      "proc-dependent",
+    );
+    assert.equal(byPair["fiery_brand|felblade"].run_fraction, 0.5);
+  });
+});
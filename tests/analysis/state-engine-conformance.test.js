@@ -0,0 +1,197 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validateEngine,
+  loadEngine,
+} from "../../src/analysis/engine-interface.js";
+import { seedState } from "../../src/analysis/proc-rng.js";
+
+// One build per hero tree, run single-target and AoE. Talent flags mirror the
+// spec adapters' analysisArchetypes so engine branches are exercised.
+const VENGEANCE_TALENTS = {
+  fiery_demise: true,
+  fiery_brand: true,
+  charred_flesh: true,
+  burning_alive: true,
+  down_in_flames: true,
+  darkglare_boon: true,
+  meteoric_rise: true,
+  stoke_the_flames: true,
+  vengeful_beast: true,
+  untethered_rage: true,
+  fallout: true,
+  art_of_the_glaive: true,
+};
+
+const DEVOURER_TALENTS = {
+  void_ray: true,
+  collapsing_star: true,
+  moment_of_craving: true,
+  entropy: true,
+  hungering_slash: true,
+  eradicate: true,
+  the_hunt: true,
+  soul_immolation: true,
+};
+
+const FIXTURES = {
+  vengeance: [
+    { heroTree: "annihilator", apexRank: 3, talents: VENGEANCE_TALENTS },
+    { heroTree: "aldrachi_reaver", apexRank: 3, talents: VENGEANCE_TALENTS },
+  ],
+  devourer: [
+    {
+      heroTree: "void_scarred",
+      apexRank: 1,
+      talents: { ...DEVOURER_TALENTS, voidsurge: true },
+    },
+    {
+      heroTree: "annihilator",
+      apexRank: 1,
+      talents: { ...DEVOURER_TALENTS, voidfall: true },
+    },
+  ],
+  havoc: [{ heroTree: "aldrachi_reaver", apexRank: 1, talents: {} }],
+};
+
+const STEPS = 300;
+const EPS = 1e-9;
+
+// Deterministic LCG so failures reproduce
+function makeRng(seed) {
+  let x = seed >>> 0;
+  return () => {
+    x = (Math.imul(x, 1664525) + 1013904223) >>> 0;
+    return x / 2 ** 32;
+  };
+}
+
+function assertInvariants(engine, state, where) {
+  assert.ok(state.gcd >= 0.75, `${where}: gcd ${state.gcd} < 0.75`);
+
+  for (const [resource, cap] of Object.entries(engine.getResourceCaps(state))) {
+    const value = state[resource];
+    assert.ok(value >= -EPS, `${where}: ${resource}=${value} below 0`);
+    assert.ok(value <= cap + EPS, `${where}: ${resource}=${value} > ${cap}`);
+  }
+
+  for (const field of ["cooldowns", "charges", "recharge", "buffs", "dots"]) {
+    for (const [key, value] of Object.entries(state[field] ?? {})) {
+      assert.ok(value >= 0, `${where}: ${field}.${key}=${value} is negative`);
+    }
+  }
+}
+
+function applyPure(engine, state, abilityId, where) {
+  const before = structuredClone(state);
+  const next = engine.applyAbility(state, abilityId);
+  assert.deepStrictEqual(state, before, `${where}: applyAbility mutated input`);
+  return next;
+}
+
+function advancePure(engine, state, dt, where) {
+  const before = structuredClone(state);
+  const next = engine.advanceTime(state, dt);
+  assert.deepStrictEqual(state, before, `${where}: advanceTime mutated input`);
+  assert.ok(
+    Math.abs(next.t - (state.t + dt)) < EPS,
+    `${where}: advanceTime(${dt}) moved t from ${state.t} to ${next.t}`,
+  );
+  return next;
+}
+
+// Random-policy trajectory: picks uniformly among available abilities so
+// rarely-chosen branches get covered, checking invariants after every step.
+function runTrajectory(engine, buildConfig, seed, stochastic = false) {
+  const rng = makeRng(seed);
+  let s = engine.createInitialState(buildConfig);
+  if (stochastic) seedState(s, seed);
+  s.fight_end = 120;
+  assertInvariants(engine, s, "initial");
+
+  for (let step = 0; step < STEPS && s.t < s.fight_end; step++) {
+    const where = `seed ${seed} step ${step} t=${s.t.toFixed(2)}`;
+    const available = engine.getAvailable(s);
+
+    if (available.length === 0) {
+      s = advancePure(engine, s, s.gcd, where);
+      assertInvariants(engine, s, where);
+      continue;
+    }
+
+    const id = available[Math.floor(rng() * available.length)];
+    assert.ok(engine.isCastable(s, id), `${where}: ${id} not castable`);
+    const score = engine.scoreDpgcd(s, id);
+    assert.ok(Number.isFinite(score), `${where}: ${id} score ${score}`);
+
+    const gcd = engine.getAbilityGcd(s, id);
+    assert.ok(gcd >= 0, `${where}: ${id} gcd ${gcd} is negative`);
+
+    s = applyPure(engine, s, id, `${where} ${id}`);
+    assertInvariants(engine, s, `${where} after ${id}`);
+
+    const dt = engine.OFF_GCD_ABILITIES.has(id) ? 0 : gcd || s.gcd;
+    if (dt > 0) {
+      s = advancePure(engine, s, dt, `${where} ${id}`);
+      assertInvariants(engine, s, `${where} after advance`);
+    }
+  }
+}
+
+for (const [specName, fixtures] of Object.entries(FIXTURES)) {
+  describe(`${specName} state engine conformance`, async () => {
+    const engine = await loadEngine(specName);
+
+    it("exports the state engine contract", () => {
+      const { valid, missing } = validateEngine(engine, specName);
+      assert.deepEqual(missing, []);
+      assert.ok(valid);
+    });
+
+    it("never drops the GCD below 0.75s", () => {
+      for (const haste of [0, 0.2, 0.5, 1, 3]) {
+        assert.ok(engine.gcdDuration(haste) >= 0.75, `haste ${haste}`);
+        const s = engine.createInitialState({ ...fixtures[0], haste });
+        assert.ok(s.gcd >= 0.75, `initial state at haste ${haste}`);
+      }
+    });
+
+    it("advanceTime is monotonic", () => {
+      let s = engine.createInitialState(fixtures[0]);
+      for (const dt of [0, 0.1, 1.5, 7, 30]) {
+        const next = engine.advanceTime(s, dt);
+        assert.ok(next.t >= s.t, `dt=${dt}: t went ${s.t} → ${next.t}`);
+        s = next;
+      }
+    });
+
+    for (const [i, fixture] of fixtures.entries()) {
+      for (const target_count of [1, 5]) {
+        it(`holds invariants: ${fixture.heroTree} ${target_count}t`, () => {
+          const buildConfig = { ...fixture, haste: 0.2, target_count };
+          for (const seed of [1, 2, 3]) {
+            runTrajectory(engine, buildConfig, seed * 100 + i);
+          }
+        });
+      }
+      it(`holds invariants with stochastic procs: ${fixture.heroTree}`, () => {
+        const buildConfig = { ...fixture, haste: 0.2, target_count: 1 };
+        for (const seed of [4, 5, 6]) {
+          runTrajectory(engine, buildConfig, seed * 100 + i, true);
+        }
+      });
+    }
+  });
+}
+
+describe("validateEngine", () => {
+  it("names the spec and the missing exports", () => {
+    const { valid, missing, error } = validateEngine(
+      { createInitialState() {} },
+      "havoc",
+    );
+    assert.equal(valid, false);
+    assert.ok(missing.includes("applyAbility"));
+    assert.match(error, /^State engine "havoc" missing required exports: /);
+  });
+});
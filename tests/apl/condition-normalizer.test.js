@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeCondition,
+  conditionFingerprint,
+} from "../../src/apl/condition-normalizer.js";
+
+const normalized = (expr) => normalizeCondition(expr).condition;
+
+describe("normalizeCondition", () => {
+  it("merges thresholds on the same subject", () => {
+    assert.equal(normalized("fury>=30&fury>=40"), "fury>=40");
+    assert.equal(normalized("fury>=30|fury>=40"), "fury>=30");
+    assert.equal(
+      normalized("buff.x.up&fury<80&fury<=60&soul_fragments>=4"),
+      "buff.x.up&fury<=60&soul_fragments>=4",
+    );
+  });
+
+  it("marks contradictions unreachable", () => {
+    for (const expr of [
+      "fury>50&fury<30",
+      "buff.x.up&!buff.x.up",
+      "buff.x.up&buff.x.down",
+    ]) {
+      const result = normalizeCondition(expr);
+      assert.equal(result.unreachable, true, expr);
+      assert.equal(result.condition, "0");
+    }
+    assert.equal(normalizeCondition("buff.x.up|!buff.x.up").always, true);
+  });
+
+  it("simplifies boolean structure", () => {
+    assert.equal(normalized("!!buff.x.up"), "buff.x.up");
+    assert.equal(normalized("buff.x.up&1"), "buff.x.up");
+    assert.equal(normalized("buff.x.up&(buff.x.up|fury>30)"), "buff.x.up");
+  });
+
+  it("inverts only parenthesized comparisons under !", () => {
+    assert.equal(normalized("!(buff.x.stack>=3)"), "buff.x.stack<3");
+    // SimC binds ! tighter than >=: this is (!buff.x.stack)>=3
+    assert.equal(normalized("!buff.x.stack>=3"), "!buff.x.stack>=3");
+    assert.equal(
+      normalized("!buff.x.stack>=3&fury>=30&fury>=40"),
+      "!buff.x.stack>=3&fury>=40",
+    );
+    assert.equal(
+      normalizeCondition("!buff.x.stack>=3&!(buff.x.stack>=3)").unreachable,
+      false,
+    );
+  });
+
+  it("leaves expressions the parser can't represent unchanged", () => {
+    const result = normalizeCondition("fury>=30+gcd.max*10");
+    assert.equal(result.supported, false);
+    assert.equal(result.condition, "fury>=30+gcd.max*10");
+  });
+});
+
+describe("conditionFingerprint", () => {
+  it("maps equivalent conditions to one string", () => {
+    const forms = [
+      "fury>=40&talent.fallout&buff.x.up",
+      "buff.x.up&fury>=30&talent.fallout&fury>=40",
+      "talent.fallout&!buff.x.down&fury>=40",
+    ];
+    const prints = new Set(forms.map(conditionFingerprint));
+    assert.equal(prints.size, 1);
+    // Static gates sort ahead of resource checks and buffs
+    assert.equal(
+      conditionFingerprint(forms[0]),
+      "talent.fallout&fury>=40&buff.x.up",
+    );
+  });
+
+  it("keeps conditions that differ in meaning apart", () => {
+    assert.notEqual(
+      conditionFingerprint("!buff.x.stack>=3"),
+      conditionFingerprint("!(buff.x.stack>=3)"),
+    );
+    assert.notEqual(
+      conditionFingerprint("fury>=30"),
+      conditionFingerprint("fury>30"),
+    );
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { diffFiles, formatDiffMarkdown } from "../../src/apl/diff.js";
+
+const APL = [
+  "actions=call_action_list,name=cooldowns",
+  "actions+=/spirit_bomb,if=soul_fragments>=4&fury>=40",
+  "actions+=/fracture",
+  "actions.cooldowns=metamorphosis,if=!buff.metamorphosis.up",
+  "actions.cooldowns+=/fiery_brand",
+].join("\n");
+
+describe("diffFiles", () => {
+  let dir;
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "apl-diff-"));
+    writeFileSync(join(dir, "profile.simc"), "spec=vengeance\n");
+    writeFileSync(join(dir, "current.simc"), APL);
+    // Shaped like apls/{spec}/baseline.simc: only input= lines
+    writeFileSync(
+      join(dir, "baseline.simc"),
+      "input=profile.simc\ninput=current.simc\n",
+    );
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("resolves input= directives before diffing", () => {
+    const diff = diffFiles(
+      join(dir, "baseline.simc"),
+      join(dir, "current.simc"),
+    );
+    assert.deepEqual(diff.changes, []);
+    assert.deepEqual(diff.listsAdded, []);
+  });
+
+  it("reports reorders, threshold changes and relocations", () => {
+    const edited = [
+      "actions=call_action_list,name=cooldowns",
+      "actions+=/fracture",
+      "actions+=/spirit_bomb,if=soul_fragments>=5&fury>=40",
+      "actions+=/fiery_brand",
+      "actions.cooldowns=metamorphosis,if=!buff.metamorphosis.up",
+    ].join("\n");
+    writeFileSync(join(dir, "edited.simc"), edited);
+    const diff = diffFiles(
+      join(dir, "baseline.simc"),
+      join(dir, "edited.simc"),
+    );
+
+    assert.equal(diff.summary.relocated, 1);
+    assert.equal(diff.summary.modified, 1);
+    assert.ok(diff.summary.moved >= 1);
+    assert.equal(diff.summary.added, 0);
+    assert.equal(diff.summary.removed, 0);
+
+    const modified = diff.changes.find((c) => c.kind === "modified");
+    assert.equal(modified.label, "spirit_bomb");
+    assert.deepEqual(modified.condition.changed, [
+      { from: "soul_fragments>=4", to: "soul_fragments>=5" },
+    ]);
+    const relocated = diff.changes.find((c) => c.kind === "relocated");
+    assert.equal(relocated.fromList, "cooldowns");
+    assert.equal(relocated.list, "default");
+
+    const md = formatDiffMarkdown(diff);
+    assert.match(md, /~ if: `soul_fragments>=4` → `soul_fragments>=5`/);
+  });
+});
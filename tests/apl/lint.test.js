@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import {
+  lintApl,
+  lintFile,
+  loadLintData,
+  toSimcToken,
+} from "../../src/apl/lint.js";
+import { ROOT } from "../../src/engine/paths.js";
+
+const DATA = {
+  talents: new Set(["fiery_brand"]),
+  heroTrees: new Set(["aldrachi_reaver", "felscarred"]),
+  buffs: new Set(["metamorphosis"]),
+};
+
+const rules = (text) => lintApl(text, DATA).map((d) => [d.rule, d.line]);
+
+describe("toSimcToken", () => {
+  it("drops apostrophes and hyphens", () => {
+    assert.equal(toSimcToken("Reaver's Glaive"), "reavers_glaive");
+    assert.equal(toSimcToken("Fel-Scarred"), "felscarred");
+    assert.equal(toSimcToken("Aldrachi Reaver"), "aldrachi_reaver");
+  });
+});
+
+describe("lintApl", () => {
+  it("reports malformed references as errors", () => {
+    const text = [
+      "actions=call_action_list,name=missing",
+      "actions+=/fracture,if=talent.not_a_talent&hero_tree.felscarred",
+      "actions+=/spirit_bomb,if=(buff.metamorphosis.up",
+      "actions+=/sigil_of_flame,if=hero_tree.fel_scarred",
+    ].join("\n");
+    assert.deepEqual(rules(text), [
+      ["missing-list", 1],
+      ["unknown-talent", 2],
+      ["unbalanced-parens", 3],
+      ["unknown-hero-tree", 4],
+    ]);
+  });
+
+  it("warns about dead lines, unused lists and variables", () => {
+    const text = [
+      "actions=variable,name=unused,value=1",
+      "actions+=/run_action_list,name=ar",
+      "actions+=/fracture,if=variable.never_set",
+      "actions.ar=fracture,if=buff.not_a_buff.up",
+      "actions.orphan=fracture",
+    ].join("\n");
+    assert.deepEqual(rules(text), [
+      ["unused-variable", 1],
+      ["unreachable", 3],
+      ["undefined-variable", 3],
+      ["unknown-buff", 4],
+      ["unused-list", 5],
+    ]);
+  });
+});
+
+describe("shipped APLs", () => {
+  for (const spec of ["havoc", "vengeance", "devourer"]) {
+    it(`${spec} lints without errors`, () => {
+      const file = join(ROOT, "apls", spec, `${spec}.simc`);
+      const result = lintFile(file, spec, loadLintData(spec));
+      const errors = result.diagnostics.filter((d) => d.severity === "error");
+      assert.deepEqual(errors, []);
+    });
+  }
+});
@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  mutationLink,
+  snapshotLink,
+  replayChain,
+  extendChain,
+  initialChain,
+  removeLink,
+} from "../../src/apl/mutation-chain.js";
+
+const BASELINE = `actions=spirit_bomb,if=soul_fragments>=4
+actions+=/soul_cleave
+actions+=/fracture
+`;
+
+const SWAP = mutationLink({
+  type: "swap_actions",
+  list: "default",
+  ability: "soul_cleave",
+  otherAbility: "fracture",
+});
+const GATE = mutationLink({
+  type: "add_condition",
+  list: "default",
+  ability: "spirit_bomb",
+  condition: "fury>=40",
+});
+
+describe("replayChain", () => {
+  it("applies mutation links in order", () => {
+    const text = replayChain(BASELINE, [SWAP, GATE]);
+    assert.equal(
+      text,
+      `actions=spirit_bomb,if=soul_fragments>=4&fury>=40
+actions+=/fracture
+actions+=/soul_cleave
+`,
+    );
+  });
+
+  it("restarts from a snapshot", () => {
+    const edited = "actions=fracture\n";
+    assert.equal(replayChain(BASELINE, [SWAP, snapshotLink(edited)]), edited);
+    assert.equal(replayChain(BASELINE, []), BASELINE);
+  });
+
+  it("names the link that fails", () => {
+    const broken = mutationLink({
+      type: "swap_actions",
+      list: "default",
+      ability: "soul_cleave",
+      otherAbility: "the_hunt",
+    });
+    assert.throws(
+      () => replayChain(BASELINE, [SWAP, broken]),
+      new RegExp(`link 2 \\(${broken.id}`),
+    );
+  });
+});
+
+describe("extendChain", () => {
+  it("keeps a pending chain that reproduces the candidate", () => {
+    const pending = [SWAP];
+    const candidate = replayChain(BASELINE, pending);
+    assert.equal(
+      extendChain(BASELINE, [], candidate, pending, "accept"),
+      pending,
+    );
+  });
+
+  it("records a snapshot when the candidate was edited by hand", () => {
+    const candidate = replayChain(BASELINE, [SWAP]) + "actions+=/felblade\n";
+    const chain = extendChain(BASELINE, [GATE], candidate, [SWAP], "hand edit");
+    assert.equal(chain.length, 2);
+    assert.equal(chain[0], GATE);
+    assert.equal(chain[1].snapshot, candidate);
+    assert.equal(chain[1].description, "hand edit");
+    assert.equal(replayChain(BASELINE, chain), candidate);
+  });
+});
+
+describe("initialChain", () => {
+  it("is empty for the baseline itself", () => {
+    assert.deepEqual(initialChain(BASELINE, BASELINE, "init"), []);
+    const [link] = initialChain(BASELINE, "actions=fracture\n", "init");
+    assert.equal(link.snapshot, "actions=fracture\n");
+  });
+});
+
+describe("removeLink (revert-mutation)", () => {
+  it("backs out one mutation and keeps the others", () => {
+    const reverted = removeLink([SWAP, GATE], SWAP.id);
+    assert.deepEqual(reverted, [GATE]);
+    assert.equal(
+      replayChain(BASELINE, reverted),
+      `actions=spirit_bomb,if=soul_fragments>=4&fury>=40
+actions+=/soul_cleave
+actions+=/fracture
+`,
+    );
+  });
+
+  it("refuses snapshots and links a later snapshot already contains", () => {
+    const snap = snapshotLink("actions=fracture\n", "hand edit");
+    assert.throws(() => removeLink([SWAP, snap], snap.id), /is a snapshot/);
+    assert.throws(
+      () => removeLink([SWAP, snap, GATE], SWAP.id),
+      /followed by snapshot/,
+    );
+    assert.deepEqual(removeLink([snap, GATE], GATE.id), [snap]);
+    assert.throws(() => removeLink([SWAP], "nope"), /No mutation nope/);
+  });
+});
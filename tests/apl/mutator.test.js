@@ -0,0 +1,190 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parse, serialize, getActionLists } from "../../src/apl/parser.js";
+import { applyMutation, validateMutation } from "../../src/apl/mutator.js";
+
+const APL = `actions=variable,name=pooling,value=fury<40
+actions+=/call_action_list,name=cooldowns,if=!variable.pooling
+actions+=/spirit_bomb,if=soul_fragments>=4&buff.metamorphosis.up
+actions+=/soul_cleave,if=soul_fragments<=1&buff.metamorphosis.up
+actions+=/fracture
+actions+=/variable,name=pooling,value=fury<60
+actions+=/felblade,if=buff.metamorphosis.up&variable.pooling
+
+actions.cooldowns=metamorphosis,if=fury>=50
+actions.cooldowns+=/fiery_brand
+
+# filler tuning
+`;
+
+// Serialized action lines of one list (default when list is omitted)
+function lines(ast, list) {
+  const prefix = list ? `actions.${list}` : "actions";
+  return serialize(ast)
+    .split("\n")
+    .filter((l) => l.startsWith(`${prefix}=`) || l.startsWith(`${prefix}+=`));
+}
+
+const entries = (ast, list) =>
+  getActionLists(ast).find((l) => l.name === list)?.entries ?? [];
+
+describe("swap_actions", () => {
+  const mutation = {
+    type: "swap_actions",
+    list: "default",
+    ability: "spirit_bomb",
+    otherAbility: "fracture",
+  };
+
+  it("exchanges the two actions' positions", () => {
+    const { ast } = applyMutation(parse(APL), mutation);
+    const abilities = entries(ast, "default")
+      .filter((e) => e.type === "Action")
+      .map((e) => e.ability);
+    assert.deepEqual(abilities, [
+      "fracture",
+      "soul_cleave",
+      "spirit_bomb",
+      "felblade",
+    ]);
+  });
+
+  it("validates both abilities", () => {
+    assert.equal(validateMutation(parse(APL), mutation).valid, true);
+    const missing = validateMutation(parse(APL), {
+      ...mutation,
+      otherAbility: "the_hunt",
+    });
+    assert.equal(missing.valid, false);
+    assert.match(missing.errors[0], /the_hunt/);
+    const same = validateMutation(parse(APL), {
+      ...mutation,
+      otherAbility: "spirit_bomb",
+    });
+    assert.equal(same.valid, false);
+  });
+});
+
+describe("extract_variable", () => {
+  it("replaces every occurrence and defines the variable before its first use", () => {
+    const { ast } = applyMutation(parse(APL), {
+      type: "extract_variable",
+      list: "default",
+      name: "in_meta",
+      expression: "buff.metamorphosis.up",
+    });
+    const list = entries(ast, "default");
+    const defIdx = list.findIndex(
+      (e) => e.type === "Variable" && e.modifiers.get("name") === "in_meta",
+    );
+    assert.equal(list[defIdx].modifiers.get("value"), "buff.metamorphosis.up");
+    assert.equal(list[defIdx + 1].ability, "spirit_bomb");
+    assert.equal(
+      list[defIdx + 1].modifiers.get("if"),
+      "soul_fragments>=4&variable.in_meta",
+    );
+    assert.ok(!serialize(ast).includes("&buff.metamorphosis.up"));
+  });
+
+  it("rejects an expression whose variables are reassigned between uses", () => {
+    const apl = `actions=variable,name=pooling,value=fury<40
+actions+=/soul_cleave,if=!variable.pooling&soul_fragments<=1
+actions+=/variable,name=pooling,value=fury<60
+actions+=/felblade,if=!variable.pooling&soul_fragments<=1`;
+    assert.throws(
+      () =>
+        applyMutation(parse(apl), {
+          type: "extract_variable",
+          list: "default",
+          name: "spend",
+          expression: "!variable.pooling&soul_fragments<=1",
+        }),
+      /reassigned between its uses/,
+    );
+  });
+
+  it("validates name and expression", () => {
+    const result = validateMutation(parse(APL), {
+      type: "extract_variable",
+      list: "default",
+      name: "pooling",
+    });
+    assert.equal(result.valid, false);
+    assert.equal(result.errors.length, 2);
+  });
+});
+
+describe("extract_sublist", () => {
+  it("moves the block into a called list", () => {
+    const { ast } = applyMutation(parse(APL), {
+      type: "extract_sublist",
+      list: "default",
+      name: "spenders",
+      from: "spirit_bomb",
+      to: "soul_cleave",
+      condition: "buff.metamorphosis.up",
+    });
+    assert.deepEqual(lines(ast, "spenders"), [
+      "actions.spenders=spirit_bomb,if=soul_fragments>=4&buff.metamorphosis.up",
+      "actions.spenders+=/soul_cleave,if=soul_fragments<=1&buff.metamorphosis.up",
+    ]);
+    assert.ok(
+      lines(ast).includes(
+        "actions+=/call_action_list,name=spenders,if=buff.metamorphosis.up",
+      ),
+    );
+  });
+
+  it("rejects a name that is taken", () => {
+    const result = validateMutation(parse(APL), {
+      type: "extract_sublist",
+      list: "default",
+      name: "cooldowns",
+      from: "fracture",
+    });
+    assert.equal(result.valid, false);
+  });
+});
+
+describe("inline_sublist", () => {
+  const mutation = {
+    type: "inline_sublist",
+    list: "default",
+    name: "cooldowns",
+  };
+
+  it("folds the call condition into each inlined entry", () => {
+    const { ast } = applyMutation(parse(APL), mutation);
+    const inlined = lines(ast).slice(1, 3);
+    assert.deepEqual(inlined, [
+      "actions+=/metamorphosis,if=!variable.pooling&fury>=50",
+      "actions+=/fiery_brand,if=!variable.pooling",
+    ]);
+    assert.equal(
+      getActionLists(ast).some((l) => l.name === "cooldowns"),
+      false,
+    );
+  });
+
+  it("leaves the sub-list's trailing blank lines and comments behind", () => {
+    const { ast } = applyMutation(parse(APL), mutation);
+    const list = entries(ast, "default");
+    const comments = list.filter((e) => e.type === "Comment");
+    assert.equal(
+      comments.some((e) => e.text.includes("filler tuning")),
+      false,
+    );
+    // The inlined block runs straight into the entries after the call
+    const at = list.findIndex((e) => e.ability === "fiery_brand");
+    assert.equal(list[at + 1].ability, "spirit_bomb");
+  });
+
+  it("validates that the list calls the sub-list", () => {
+    assert.equal(validateMutation(parse(APL), mutation).valid, true);
+    const result = validateMutation(parse(APL), {
+      ...mutation,
+      name: "spenders",
+    });
+    assert.equal(result.valid, false);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseThresholdPath,
+  locateThreshold,
+  applyThreshold,
+  sweepValues,
+} from "../../src/apl/threshold-sweep.js";
+
+const APL = `actions=call_action_list,name=st
+actions.st=variable,name=pool,value=fury<40
+actions.st+=/spirit_bomb,if=3<=soul_fragments&fury>=40
+actions.st+=/fracture,if=fury<=80
+actions.st+=/fracture,if=fury>=20&fury<=90
+actions.st+=/soul_cleave,if=fury>=30+gcd.max*10
+`;
+
+describe("parseThresholdPath", () => {
+  it("splits list, ability, occurrence, subject and operator", () => {
+    assert.deepEqual(parseThresholdPath("st/fracture#2/fury<="), {
+      list: "st",
+      ability: "fracture",
+      occurrence: 2,
+      subject: "fury",
+      op: "<=",
+    });
+    assert.deepEqual(parseThresholdPath("st/variable:pool/fury"), {
+      list: "st",
+      ability: "variable:pool",
+      occurrence: 1,
+      subject: "fury",
+      op: null,
+    });
+  });
+
+  it("rejects malformed paths", () => {
+    assert.throws(() => parseThresholdPath("fracture/fury"), /Bad threshold/);
+    assert.throws(() => parseThresholdPath("st/fracture/fury!="), /Bad/);
+  });
+});
+
+describe("locateThreshold", () => {
+  it("reads a literal on either side of the subject", () => {
+    const loc = locateThreshold(APL, "st/spirit_bomb/soul_fragments");
+    assert.equal(loc.value, 3);
+    // 3<=soul_fragments reads as soul_fragments>=3
+    assert.equal(loc.op, ">=");
+    assert.equal(loc.condition.slice(loc.start, loc.end), "3");
+  });
+
+  it("sweeps value= for variables", () => {
+    const loc = locateThreshold(APL, "st/variable:pool/fury");
+    assert.equal(loc.modifier, "value");
+    assert.equal(loc.value, 40);
+    assert.equal(loc.op, "<");
+  });
+
+  it("picks the nth occurrence and needs an operator when ambiguous", () => {
+    assert.throws(
+      () => locateThreshold(APL, "st/fracture#2/fury"),
+      /add the operator/,
+    );
+    const loc = locateThreshold(APL, "st/fracture#2/fury<=");
+    assert.equal(loc.value, 90);
+    assert.equal(locateThreshold(APL, "st/fracture/fury").value, 80);
+  });
+
+  it("refuses arithmetic and missing targets", () => {
+    assert.throws(
+      () => locateThreshold(APL, "st/soul_cleave/fury"),
+      /part of an arithmetic expression/,
+    );
+    assert.throws(
+      () => locateThreshold(APL, "aoe/fracture/fury"),
+      /List "aoe" not found/,
+    );
+    assert.throws(
+      () => locateThreshold(APL, "st/fracture#3/fury"),
+      /fracture #3 not found .* \(2 present\)/,
+    );
+  });
+});
+
+describe("applyThreshold", () => {
+  it("rewrites only the located literal", () => {
+    const loc = locateThreshold(APL, "st/fracture#2/fury<=");
+    const { text, listLines } = applyThreshold(APL, loc, 75);
+    assert.equal(
+      text,
+      APL.replace(
+        "fracture,if=fury>=20&fury<=90",
+        "fracture,if=fury>=20&fury<=75",
+      ),
+    );
+    assert.equal(listLines.length, 5);
+    assert.ok(listLines.every((l) => l.startsWith("actions.st")));
+    assert.ok(listLines.includes("actions.st+=/fracture,if=fury>=20&fury<=75"));
+  });
+
+  it("keeps the literal's side of the comparison", () => {
+    const loc = locateThreshold(APL, "st/spirit_bomb/soul_fragments");
+    const { listLines } = applyThreshold(APL, loc, 4);
+    assert.ok(
+      listLines.includes(
+        "actions.st+=/spirit_bomb,if=4<=soul_fragments&fury>=40",
+      ),
+    );
+  });
+});
+
+describe("sweepValues", () => {
+  it("expands min:max:step ranges", () => {
+    assert.deepEqual(
+      sweepValues(40, { range: "30:50:5" }),
+      [30, 35, 40, 45, 50],
+    );
+    assert.deepEqual(
+      sweepValues(1, { range: "0.5:1:0.1" }),
+      [0.5, 0.6, 0.7, 0.8, 0.9, 1],
+    );
+  });
+
+  it("sorts and dedupes explicit values", () => {
+    assert.deepEqual(sweepValues(40, { values: "50, 30,40,30" }), [30, 40, 50]);
+  });
+
+  it("defaults to half to one and a half times the current value", () => {
+    const values = sweepValues(40);
+    assert.equal(values[0], 20);
+    assert.equal(values.at(-1), 60);
+    assert.deepEqual(sweepValues(0), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it("rejects bad ranges and negative values", () => {
+    assert.throws(
+      () => sweepValues(40, { range: "50:30:5" }),
+      /Bad sweep range/,
+    );
+    assert.throws(
+      () => sweepValues(40, { range: "30:50:0" }),
+      /Bad sweep range/,
+    );
+    assert.throws(() => sweepValues(40, { values: "-5,10" }), /non-negative/);
+  });
+});
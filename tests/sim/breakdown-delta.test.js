@@ -0,0 +1,87 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  combineRuns,
+  summarizeBreakdown,
+} from "../../src/sim/breakdown-delta.js";
+
+const ability = (name, dps, executes, extra = {}) => ({
+  name,
+  type: "damage",
+  dps,
+  executes,
+  ...extra,
+});
+
+const result = (dps, abilities, buffs, fury) => ({
+  dps,
+  abilities,
+  buffs: buffs.map(([name, uptime]) => ({ name, uptime })),
+  resourceWaste: { fury: { totalLost: fury * 300, perSecond: fury } },
+});
+
+const CURRENT = result(
+  1000,
+  [ability("Spirit Bomb", 400, 50), ability("Soul Cleave", 600, 100)],
+  [["demon_spikes", 60]],
+  2,
+);
+const CANDIDATE = result(
+  1030,
+  [
+    ability("Spirit Bomb", 430, 55),
+    ability("Soul Cleave", 590, 100),
+    ability("Felblade", 10, 20),
+  ],
+  [["demon_spikes", 63]],
+  1.4,
+);
+
+describe("combineRuns", () => {
+  it("weights runs and treats missing abilities as zero", () => {
+    const b = combineRuns([
+      { weight: 0.75, current: CURRENT, candidate: CANDIDATE },
+      { weight: 0.25, current: CURRENT, candidate: CURRENT },
+    ]);
+    assert.equal(b.dps.current, 1000);
+    assert.equal(+b.dps.candidate.toFixed(2), 1022.5);
+    const bomb = b.abilities.find((a) => a.name === "Spirit Bomb");
+    assert.equal(+bomb.executes.pct.toFixed(2), 7.5);
+    const felblade = b.abilities.find((a) => a.name === "Felblade");
+    assert.equal(felblade.executes.current, 0);
+    assert.equal(felblade.executes.pct, null);
+    assert.equal(b.buffs[0].delta, 2.25);
+    assert.equal(+b.resources[0].pct.toFixed(2), -22.5);
+  });
+
+  it("merges damage and heal entries of one spell", () => {
+    const healing = {
+      ...CURRENT,
+      abilities: [
+        ability("Fracture", 200, 40),
+        { ...ability("Fracture", 50, 40), type: "heal" },
+      ],
+    };
+    const b = combineRuns([
+      { weight: 1, current: healing, candidate: healing },
+    ]);
+    assert.equal(b.abilities.length, 1);
+    assert.equal(b.abilities[0].dps.current, 200);
+    assert.equal(b.abilities[0].executes.current, 40);
+  });
+});
+
+describe("summarizeBreakdown", () => {
+  it("lists the largest changes first", () => {
+    const b = combineRuns([
+      { weight: 1, current: CURRENT, candidate: CANDIDATE },
+    ]);
+    assert.deepEqual(summarizeBreakdown(b), [
+      "Felblade now cast",
+      "-30% fury waste",
+      "+10% Spirit Bomb executes",
+      "+3.0pt demon spikes uptime",
+    ]);
+    assert.equal(summarizeBreakdown(b, { limit: 1 }).length, 1);
+  });
+});
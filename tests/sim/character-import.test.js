@@ -0,0 +1,174 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseSimcExport,
+  ownedItems,
+  swapVariants,
+  placementDeltas,
+  solveOwned,
+  configItems,
+  characterProfile,
+} from "../../src/sim/character-import.js";
+
+const EXPORT = `# Tank - Vengeance - 2026-10-19 - US/Area 52
+# SimC Addon 11.2.0-01
+demonhunter="Tank"
+level=80
+race=night_elf
+region=us
+server=area52
+role=tank
+professions=leatherworking=100/skinning=100
+spec=vengeance
+
+talents=CUkAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+
+# Devouring Reaver's Intake (676)
+head=,id=250033,bonus_id=12345/6652,gem_id=213743
+# Silk Sash (662)
+waist=,id=111,bonus_id=8793,crafted_stats=36/49
+# Plain Ring (671)
+finger1=,id=201,enchant_id=7334
+# Other Ring (671)
+finger2=,id=202,enchant_id=7334
+# Warglaive (678)
+main_hand=,id=301,enchant_id=7463
+# Offglaive (678)
+off_hand=,id=302
+
+### Gear from Bags
+#
+# Bronze Helm (684)
+# head=,id=400,bonus_id=1/2
+#
+# Shiny Ring (684)
+# finger1=,id=203,gem_id=213743
+#
+# Woven Ring (684)
+# finger1=,id=204,bonus_id=8793,crafted_stats=32/36
+
+### Weekly Reward Choices
+#
+# Vault Ring (694)
+# finger1=,id=205
+
+### Additional Character Info
+#
+# upgrade_currencies=c:3008:120/c:3107:45
+# Checksum: deadbeef
+`;
+
+describe("parseSimcExport", () => {
+  it("reads the header, equipped, bag and vault items", () => {
+    const c = parseSimcExport(EXPORT);
+    assert.equal(c.className, "demonhunter");
+    assert.equal(c.name, "Tank");
+    assert.equal(c.spec, "vengeance");
+    assert.match(c.talents, /^CUkA/);
+    assert.equal(c.header[0], 'demonhunter="Tank"');
+    assert.deepEqual(
+      c.equipped.map((i) => i.slot),
+      ["head", "waist", "finger1", "finger2", "main_hand", "off_hand"],
+    );
+    const head = c.equipped[0];
+    assert.equal(head.name, "Devouring Reaver's Intake");
+    assert.equal(head.token, "devouring_reavers_intake");
+    assert.equal(head.ilvl, 676);
+    assert.deepEqual(head.bonusIds, [12345, 6652]);
+    assert.deepEqual(head.gemIds, [213743]);
+    assert.equal(c.equipped[2].enchantId, 7334);
+    assert.deepEqual(
+      c.bags.map((i) => [i.id, i.ilvl]),
+      [
+        [400, 684],
+        [203, 684],
+        [204, 684],
+      ],
+    );
+    assert.deepEqual(
+      c.vault.map((i) => i.id),
+      [205],
+    );
+    assert.equal(c.info.upgrade_currencies, "c:3008:120/c:3107:45");
+  });
+});
+
+describe("owned-set solving", () => {
+  const character = parseSimcExport(EXPORT);
+  const owned = ownedItems(character);
+
+  it("sims paired-slot candidates in the first slot only", () => {
+    const names = swapVariants(owned).map((v) => v.overrides[0]);
+    assert.ok(names.includes("finger1=other_ring,id=202,enchant_id=7334"));
+    assert.ok(names.includes("off_hand=offglaive,id=302") === false);
+    assert.ok(names.some((n) => n.startsWith("main_hand=offglaive")));
+    assert.ok(names.some((n) => n.startsWith("head=bronze_helm")));
+    assert.equal(names.length, 5);
+  });
+
+  it("derives second-slot deltas from the item equipped there", () => {
+    const deltas = placementDeltas(owned, {
+      eq_finger2: 50,
+      bag2: 120,
+    });
+    assert.deepEqual(deltas.get("eq_finger1"), { finger1: 0, finger2: -50 });
+    assert.deepEqual(deltas.get("eq_finger2"), { finger1: 50, finger2: 0 });
+    assert.deepEqual(deltas.get("bag2"), { finger1: 120, finger2: 70 });
+    assert.equal(deltas.has("bag1"), false);
+  });
+
+  it("picks the best owned set within the crafted limit", () => {
+    const deltas = placementDeltas(owned, {
+      eq_finger2: 50,
+      eq_off_hand: 0,
+      bag1: 40,
+      bag2: 120,
+      bag3: 200,
+    });
+    const [best] = solveOwned(owned, deltas, new Set([250033]));
+    const items = configItems(best, owned);
+    // One tier piece is no set bonus; the crafted ring joins the crafted belt
+    assert.equal(items.head.item.id, 400);
+    assert.equal(items.waist.item.id, 111);
+    assert.deepEqual(
+      [items.finger1.item.id, items.finger2.item.id].sort(),
+      [203, 204],
+    );
+
+    const profile = characterProfile(character, items, "best owned");
+    assert.match(profile, /^# best owned\ndemonhunter="Tank"\n/);
+    assert.match(profile, /\n# Shiny Ring \(684\)\nfinger\d=shiny_ring,id=203/);
+    assert.ok(!profile.includes("Checksum"));
+  });
+
+  it("wears plain crafted pieces as stat sticks, apart from embellishments", () => {
+    const crafty = parseSimcExport(
+      [
+        'demonhunter="Crafty"',
+        "spec=vengeance",
+        "waist=,id=111,bonus_id=8793,crafted_stats=36/49",
+        "back=,id=501",
+        "finger1=,id=201",
+        "finger2=,id=202",
+        "### Gear from Bags",
+        "# back=,id=502,bonus_id=8793,crafted_stats=32/36,embellishment=darkmoon_sigil",
+        "# finger1=,id=204,bonus_id=8793,crafted_stats=32/36",
+      ].join("\n"),
+    );
+    const items = ownedItems(crafty);
+    const deltas = placementDeltas(items, {
+      eq_finger2: 0,
+      bag1: 150,
+      bag2: 100,
+    });
+    const [best] = solveOwned(items, deltas, new Set());
+    // A third crafted piece would break the crafted limit
+    assert.equal(best.slots.back.embellishment, "darkmoon_sigil");
+    assert.equal(best.slots.waist.isCrafted, true);
+    assert.equal(best.slots.waist.embellishment, null);
+    assert.deepEqual(
+      [best.slots.finger1.itemId, best.slots.finger2.itemId].sort(),
+      [201, 202],
+    );
+  });
+});
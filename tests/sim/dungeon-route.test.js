@@ -0,0 +1,167 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import {
+  validateRoute,
+  loadRoute,
+  compileRoute,
+  pullWindows,
+  pullBreakdown,
+  comparePulls,
+} from "../../src/sim/dungeon-route.js";
+
+const routeFile = (name) =>
+  fileURLToPath(new URL(`../../apls/routes/${name}`, import.meta.url));
+
+const ROUTE = {
+  name: "Test Dungeon",
+  pulls: [
+    {
+      name: "Trash",
+      delay: 10,
+      mobs: [{ name: "rat", count: 3, health: 100 }],
+    },
+    {
+      name: "Boss",
+      delay: 5,
+      bloodlust: true,
+      mobs: [{ name: "king", health: 300, boss: true, type: "Beast" }],
+    },
+  ],
+};
+
+// Flat 1000 DPS before 25s, 2000 after; buff up only during the boss
+function report(targets) {
+  return {
+    sim: {
+      players: [
+        {
+          collected_data: {
+            fight_length: { mean: 40 },
+            timeline_dmg: {
+              data: Array.from({ length: 40 }, (_, i) =>
+                i < 25 ? 1000 : 2000,
+              ),
+            },
+          },
+          buffs: [
+            {
+              name: "metamorphosis",
+              stack_uptime: {
+                data: Array.from({ length: 40 }, (_, i) => (i >= 25 ? 1 : 0)),
+              },
+            },
+          ],
+        },
+      ],
+      targets,
+    },
+  };
+}
+
+const TARGETS = [
+  ...[1, 2, 3].map((n) => ({
+    name: `rat_${n}`,
+    collected_data: { fight_length: { mean: 8 + n } },
+  })),
+  { name: "BOSS_king_1", collected_data: { fight_length: { mean: 15 } } },
+];
+
+describe("validateRoute", () => {
+  it("accepts the checked-in route", () => {
+    assert.doesNotThrow(() => loadRoute(routeFile("algethar-academy.json")));
+  });
+
+  it("reports problems with their paths", () => {
+    const errors = validateRoute({
+      name: "X",
+      pulls: [
+        {
+          delay: -1,
+          mobs: [
+            { name: "a b", health: 1 },
+            { name: "rat", count: 0, health: 0 },
+            { name: "rat", health: 1 },
+          ],
+        },
+      ],
+    });
+    assert.deepEqual(
+      errors.map((e) => e.split(":")[0]),
+      [
+        "pulls[0].delay",
+        "pulls[0].mobs[0].name",
+        "pulls[0].mobs[1].count",
+        "pulls[0].mobs[1].health",
+        "pulls[0].mobs[2].name",
+      ],
+    );
+  });
+});
+
+describe("compileRoute", () => {
+  it("emits numbered pull events", () => {
+    const text = compileRoute(ROUTE);
+    assert.match(
+      text,
+      /raid_events\+=\/pull,pull=01,bloodlust=0,delay=010,enemies="rat_1":100\|"rat_2":100\|"rat_3":100\n/,
+    );
+    assert.match(
+      text,
+      /# Pull 2: Boss \(BL\)\nraid_events\+=\/pull,pull=02,bloodlust=1,delay=005,enemies="BOSS_king_1":300:Beast\n/,
+    );
+    assert.doesNotMatch(text, /enemy=/);
+  });
+
+  it("reproduces the checked-in SimC route", () => {
+    assert.equal(
+      compileRoute(
+        loadRoute(routeFile("algethar-academy.json")),
+        "algethar-academy.json",
+      ),
+      readFileSync(routeFile("algethar-academy.simc"), "utf-8"),
+    );
+  });
+});
+
+describe("pull breakdown", () => {
+  it("times pulls from enemy lifetimes when reported", () => {
+    assert.deepEqual(pullWindows(ROUTE, report(TARGETS)), {
+      estimated: false,
+      windows: [
+        { start: 10, end: 21 },
+        { start: 26, end: 41 },
+      ],
+    });
+  });
+
+  it("falls back to health share", () => {
+    // 25s of fighting split 300:300 after 15s of travel
+    const { estimated, windows } = pullWindows(ROUTE, report([]));
+    assert.equal(estimated, true);
+    assert.deepEqual(windows[1], { start: 27.5, end: 40 });
+  });
+
+  it("splits DPS and cooldown uptime per pull", () => {
+    const { pulls } = pullBreakdown(report(TARGETS), ROUTE, {
+      buffs: ["metamorphosis"],
+    });
+    assert.equal(pulls[0].dps, 1000);
+    assert.equal(pulls[0].kind, "trash");
+    assert.equal(pulls[0].enemies, 3);
+    assert.equal(pulls[1].dps, 2000);
+    assert.deepEqual(pulls[1].buffs, { metamorphosis: 100 });
+  });
+
+  it("compares pulls and summarizes by kind", () => {
+    const current = pullBreakdown(report(TARGETS), ROUTE);
+    const candidate = structuredClone(current);
+    candidate.pulls[0].dps = 1100;
+    candidate.pulls[1].dps = 1900;
+    const { rows, kinds } = comparePulls(current, candidate);
+    assert.equal(rows[0].deltaPct.toFixed(1), "10.0");
+    assert.deepEqual(Object.keys(kinds), ["trash", "boss"]);
+    assert.equal(kinds.boss.toFixed(1), "-5.0");
+  });
+});
@@ -107,7 +107,7 @@ describe("solveGearSet", () => {
 
     const tierSlots = ["head", "shoulder", "chest", "hands", "legs"];
     const tierCount = tierSlots.filter((s) => best.slots[s]?.isTier).length;
-    assert.equal(tierCount, 4, "Must have exactly 4 tier pieces");
+    assert.ok(tierCount >= 4, "Must have at least 4 tier pieces");
 
     const craftedCount = Object.values(best.slots).filter(
       (s) => s.isCrafted,
@@ -182,7 +182,7 @@ describe("solveGearSet", () => {
       const tierCount = Object.values(config.slots).filter(
         (s) => s.isTier,
       ).length;
-      assert.equal(tierCount, 4, "All configs must have 4 tier pieces");
+      assert.ok(tierCount >= 4, "All configs must have at least 4 tier pieces");
 
       const embCount = Object.values(config.slots).filter(
         (s) => s.embellishment,
@@ -297,7 +297,7 @@ describe("solveGearSet", () => {
     }
   });
 
-  it("produces zero configs when no alternatives exist for any tier slot", () => {
+  it("keeps every tier piece when no tier slot has an alternative", () => {
     const result = solveGearSet(
       baseInput({
         tierConfig: {
@@ -320,8 +320,27 @@ describe("solveGearSet", () => {
         },
       }),
     );
-    // No tier slot can be skipped, so no valid 4-of-5 configs exist
-    assert.equal(result.configurations.length, 0);
+    // No tier slot can be skipped, so every set wears all five
+    assert.ok(result.configurations.length > 0);
+    for (const c of result.configurations) {
+      assert.equal(c.tierSkip, null);
+      assert.equal(
+        Object.values(c.slots).filter((slot) => slot.isTier).length,
+        5,
+      );
+    }
+  });
+
+  it("returns all-tier sets alongside tier-skip sets", () => {
+    const input = baseInput();
+    input.tierConfig.alternatives = {
+      head: [{ id: "weak_head", simc: "head=weak_head,id=12", epScore: 1 }],
+    };
+    const { configurations } = solveGearSet(input);
+    const allTier = configurations.find((c) => c.tierSkip === null);
+    assert.ok(allTier, "An all-tier set must be among the results");
+    assert.equal(allTier.slots.head.isTier, true);
+    assert.ok(configurations.some((c) => c.tierSkip === "head"));
   });
 
   it("produces zero configs when no embellishment results exist", () => {
@@ -426,7 +445,239 @@ describe("solveGearSet", () => {
       const tierCount = Object.values(config.slots).filter(
         (s) => s.isTier,
       ).length;
-      assert.equal(tierCount, 4);
+      assert.ok(tierCount >= 4);
+    }
+  });
+});
+
+// Seeded PRNG so the random inputs are reproducible
+function rng(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return s / 2147483648;
+  };
+}
+
+// Small random input: three tier slots (two worn), a handful of candidates
+// over rings, neck, back and wrists with shared ring ids, a unique-equip
+// group, crafted stat sticks and an embellished effect item
+function randomInput(seed) {
+  const rand = rng(seed);
+  const pick = (n) => Math.floor(rand() * n);
+  const value = () => Math.round(rand() * 1000) - 100;
+  const crafted = () => rand() < 0.25;
+
+  const stick = (slot, id, itemId) => {
+    const isCrafted = crafted();
+    return {
+      id,
+      itemId,
+      simc: `${slot}=${id},id=${itemId}${isCrafted ? ",crafted_stats=36/49" : ""}`,
+      epScore: value(),
+      uniqueEquipped: rand() < 0.2 ? "group_a" : undefined,
+    };
+  };
+  const ringIds = [901, 902, 903];
+  const ring = (slot) =>
+    ringIds
+      .filter(() => rand() < 0.7)
+      .map((itemId) => stick(slot, `ring_${itemId}`, itemId));
+
+  return {
+    tierConfig: {
+      requiredCount: 2,
+      slots: {
+        head: { simc: "head=tier_head" },
+        chest: { simc: "chest=tier_chest" },
+        legs: { simc: "legs=tier_legs" },
+      },
+      alternatives: {
+        head: [{ id: "alt_head", simc: "head=alt_head", epScore: value() }],
+        chest: [
+          {
+            id: "alt_chest",
+            simc: "chest=alt_chest",
+            stats: { agi: pick(20) },
+          },
+          {
+            id: "alt_chest_crafted",
+            simc: "chest=alt_chest_crafted,crafted_stats=32/36",
+            epScore: value(),
+          },
+        ],
+        legs: pick(2)
+          ? [{ id: "alt_legs", simc: "legs=alt_legs", epScore: value() }]
+          : [],
+      },
+    },
+    embellishmentResults: [
+      {
+        candidateId: "emb_ww",
+        weightedDps: value(),
+        slots: ["waist", "wrists"],
+        crafted: true,
+        embCount: 2,
+      },
+      {
+        candidateId: "emb_w",
+        weightedDps: value(),
+        slots: ["waist"],
+        crafted: true,
+        embCount: 1,
+      },
+      {
+        candidateId: "emb_hb",
+        weightedDps: value(),
+        slots: ["head", "back"],
+        crafted: true,
+        embCount: 2,
+      },
+    ],
+    effectItemResults: {
+      wrists: [
+        {
+          candidateId: "emb_bracer",
+          weightedDps: value(),
+          simc: "wrists=emb_bracer",
+          isCrafted: true,
+          isBuiltInEmb: true,
+        },
+      ],
+    },
+    statStickCandidates: {
+      neck: [stick("neck", "neck_a", 801), stick("neck", "neck_b", 802)],
+      back: [stick("back", "back_a", 811)],
+      wrists: [stick("wrists", "wrists_a", 821)],
+      finger1: ring("finger1"),
+      finger2: ring("finger2"),
+    },
+    scaleFactors: { Agi: 40 },
+    maxCrafted: 2,
+    maxEmbellishments: 2,
+    k: 1 + pick(8),
+  };
+}
+
+// Slots the random inputs can fill; the rest are placeholders in every set
+const FILL_SLOTS = ["neck", "back", "wrists", "waist", "finger1", "finger2"];
+
+// Every valid set, scored the same way the solver does
+function bruteForce(input) {
+  const tierSlots = Object.keys(input.tierConfig.slots);
+  const maxDrop = tierSlots.length - input.tierConfig.requiredCount;
+  const isCrafted = (c) => c.isCrafted ?? /crafted_stats/.test(c.simc);
+  const pools = (slot, skipped) =>
+    skipped
+      ? input.tierConfig.alternatives[slot].map((a) => ({
+          id: a.id,
+          key: a.itemId ?? a.id,
+          value: a.epScore ?? (a.stats?.agi ?? 0) * input.scaleFactors.Agi,
+          crafted: isCrafted(a),
+          emb: false,
+        }))
+      : [
+          ...(input.effectItemResults[slot] || []).map((c) => ({
+            id: c.candidateId,
+            key: c.itemId ?? c.candidateId,
+            value: c.weightedDps,
+            crafted: isCrafted(c),
+            emb: !!c.isBuiltInEmb,
+            unique: c.uniqueEquipped,
+          })),
+          ...(input.statStickCandidates[slot] || []).map((c) => ({
+            id: c.id,
+            key: c.itemId ?? c.id,
+            value: c.epScore,
+            crafted: isCrafted(c),
+            emb: false,
+            unique: c.uniqueEquipped,
+          })),
+        ];
+
+  const sets = [];
+  // Every subset of tier slots of at most maxDrop, the empty one included
+  const skipSets = tierSlots
+    .reduce(
+      (subsets, slot) => [...subsets, ...subsets.map((s) => [...s, slot])],
+      [[]],
+    )
+    .filter((skipped) => skipped.length <= maxDrop);
+  for (const skipped of skipSets) {
+    for (const emb of input.embellishmentResults) {
+      if (
+        emb.slots.some((s) => tierSlots.includes(s) && !skipped.includes(s))
+      ) {
+        continue;
+      }
+      const open = [...FILL_SLOTS, ...skipped]
+        .filter((s) => !emb.slots.includes(s))
+        .map((slot) => ({ slot, skipped: skipped.includes(slot) }));
+      const choices = open.map(({ slot, skipped: s }) =>
+        s ? pools(slot, true) : [...pools(slot, false), null],
+      );
+      const walk = (i, picked) => {
+        if (i < open.length) {
+          for (const c of choices[i]) walk(i + 1, [...picked, c]);
+          return;
+        }
+        const items = picked.filter(Boolean);
+        const keys = items.map((c) => c.key);
+        const groups = items.map((c) => c.unique).filter(Boolean);
+        const crafted =
+          emb.slots.length + items.filter((c) => c.crafted).length;
+        const embs = emb.embCount + items.filter((c) => c.emb).length;
+        if (new Set(keys).size < keys.length) return;
+        if (new Set(groups).size < groups.length) return;
+        if (crafted > input.maxCrafted || embs !== input.maxEmbellishments)
+          return;
+        const fits = (c) =>
+          !keys.includes(c.key) &&
+          !(c.unique && groups.includes(c.unique)) &&
+          crafted + (c.crafted ? 1 : 0) <= input.maxCrafted &&
+          !c.emb;
+        const maximal = picked.every(
+          (c, j) => c || !choices[j].some((o) => o && fits(o)),
+        );
+        if (!maximal) return;
+        sets.push({
+          placeholders: picked.filter((c) => c === null).length,
+          score: emb.weightedDps + items.reduce((s, c) => s + c.value, 0),
+        });
+      };
+      walk(0, []);
+    }
+  }
+  return sets
+    .sort((a, b) => a.placeholders - b.placeholders || b.score - a.score)
+    .slice(0, input.k);
+}
+
+describe("solveGearSet exactness", () => {
+  it("matches brute force on small random inputs", () => {
+    for (let seed = 1; seed <= 60; seed++) {
+      const input = randomInput(seed);
+      const expected = bruteForce(input);
+      const { configurations } = solveGearSet(input);
+      assert.deepEqual(
+        configurations.map((c) => c.score),
+        expected.map((c) => c.score),
+        `seed ${seed}`,
+      );
+    }
+  });
+
+  it("returns distinct sets with their gap to the optimum", () => {
+    const { configurations } = solveGearSet({ ...randomInput(7), k: 5 });
+    const signatures = configurations.map((c) =>
+      Object.values(c.slots)
+        .map((s) => s.id)
+        .join(","),
+    );
+    assert.equal(new Set(signatures).size, signatures.length);
+    assert.equal(configurations[0].gap, 0);
+    for (const c of configurations) {
+      assert.equal(c.gap, configurations[0].score - c.score);
     }
   });
 });
@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  lootTables,
+  expectedBest,
+  rankSources,
+  itemGains,
+} from "../../src/sim/loot-value.js";
+
+const raid = (encounter) => ({ type: "raid", instance: "Spire", encounter });
+const dungeon = (instance) => ({ type: "dungeon", instance });
+
+const ITEMS = [
+  { itemId: 1, slots: ["neck"], sources: [raid("Boss A")] },
+  { itemId: 2, slots: ["trinket1", "trinket2"], sources: [raid("Boss A")] },
+  { itemId: 3, slots: ["neck"], sources: [raid("Boss B"), dungeon("Vault")] },
+  { itemId: 4, slots: ["back"], sources: [dungeon("Vault")] },
+  { itemId: 5, slots: ["back"], sources: [dungeon("Mines")] },
+];
+const LOOT = { raidChance: 0.2, mplusChance: 0.4, vaultChoices: 3 };
+
+describe("loot tables", () => {
+  it("groups raid loot by boss and dungeon loot by instance", () => {
+    const tables = lootTables(ITEMS);
+    assert.deepEqual(
+      [...tables.keys()],
+      [
+        "raid:Spire:Boss A",
+        "raid:Spire:Boss B",
+        "dungeon:Vault",
+        "dungeon:Mines",
+      ],
+    );
+    assert.deepEqual(tables.get("dungeon:Vault").itemIds, [3, 4]);
+  });
+
+  it("computes the expected best of several draws", () => {
+    assert.equal(expectedBest([0, 10], 1), 5);
+    assert.equal(expectedBest([0, 10], 2), 7.5);
+    assert.equal(expectedBest([7], 3), 7);
+  });
+});
+
+describe("rankSources", () => {
+  it("weights mean upgrades by drop chance", () => {
+    const gains = new Map([
+      [1, 100],
+      [2, -50],
+      [3, 300],
+      [4, 0],
+      [5, 50],
+    ]);
+    const r = rankSources(lootTables(ITEMS), gains, LOOT);
+    assert.deepEqual(
+      r.raid.map((s) => [s.name, s.expected]),
+      [
+        ["Boss B", 60],
+        ["Boss A", 10],
+      ],
+    );
+    assert.equal(r.raid[1].upgradeChance, 0.1);
+    assert.deepEqual(r.raid[1].best, { itemId: 1, gain: 100 });
+    assert.deepEqual(
+      r.dungeons.map((s) => s.name),
+      ["Vault", "Mines"],
+    );
+    assert.equal(r.dungeons[0].expected, 60);
+    assert.equal(r.vault[0].name, "Raid row");
+  });
+
+  it("values vault rows on their own gains", () => {
+    const gains = new Map([
+      [1, 100],
+      [3, 300],
+    ]);
+    const vaultGains = new Map([
+      [1, 400],
+      [3, 500],
+    ]);
+    const r = rankSources(lootTables(ITEMS), gains, { ...LOOT, vaultGains });
+    assert.deepEqual(r.raid[0].best, { itemId: 3, gain: 300 });
+    assert.deepEqual(r.vault[0].best, { itemId: 3, gain: 500 });
+    assert.ok(r.vault[0].expected > 400);
+  });
+});
+
+describe("itemGains", () => {
+  it("measures each item against the slot it improves most", () => {
+    const current = {
+      neck: { itemId: 10, value: 200 },
+      trinket1: { itemId: 2, value: 500 },
+      trinket2: { itemId: 11, value: 300 },
+    };
+    const values = { 1: 260, 2: 520, 3: 150 };
+    const gains = itemGains(
+      [
+        { itemId: 1, slots: ["neck"] },
+        { itemId: 2, slots: ["trinket1", "trinket2"], uniqueEquipped: true },
+        { itemId: 3, slots: ["neck"] },
+        { itemId: 4, slots: ["back"] },
+      ],
+      current,
+      (id) => values[id] ?? null,
+    );
+    assert.deepEqual(Object.fromEntries(gains), { 1: 60, 2: 20, 3: -50 });
+  });
+});
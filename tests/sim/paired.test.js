@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  pairedStats,
+  varianceReduction,
+  profilesetThreadArgs,
+} from "../../src/sim/paired.js";
+
+describe("pairedStats", () => {
+  it("cancels noise shared by both sides of a chunk", () => {
+    // Fight noise moves both sides together; the candidate is a steady +1%
+    const baseline = [1000, 1040, 970, 1010, 985];
+    const candidate = baseline.map((x) => x * 1.01);
+    const r = pairedStats(baseline, candidate);
+    assert.ok(Math.abs(r.deltaPct - 1) < 1e-9);
+    assert.ok(r.stderrPct < 0.05);
+    assert.ok(r.unpairedStderrPct > 1);
+    assert.ok(r.correlation > 0.99);
+    assert.ok(varianceReduction(r) > 1000);
+  });
+
+  it("matches the unpaired error when the sides are uncorrelated", () => {
+    const baseline = [1000, 1010, 1000, 1010];
+    const candidate = [1000, 1000, 1010, 1010];
+    const r = pairedStats(baseline, candidate);
+    assert.ok(Math.abs(r.correlation) < 1e-12);
+    assert.ok(Math.abs(r.stderrPct - r.unpairedStderrPct) < 1e-12);
+  });
+
+  it("has no standard error for a single chunk", () => {
+    const r = pairedStats([1000], [1010]);
+    assert.equal(r.delta, 10);
+    assert.ok(Number.isNaN(r.stderrPct));
+  });
+
+  it("rejects mismatched chunk counts", () => {
+    assert.throws(() => pairedStats([1, 2], [1]), /mismatch/);
+  });
+});
+
+describe("profilesetThreadArgs", () => {
+  it("runs seeded profilesets on the baseline's thread count", () => {
+    assert.deepEqual(profilesetThreadArgs(16, { seeded: true }), [
+      "threads=16",
+      "profileset_work_threads=16",
+      "profileset_init_threads=4",
+    ]);
+    assert.deepEqual(
+      profilesetThreadArgs(16, { seeded: true, workThreads: 2 }).slice(0, 2),
+      ["threads=16", "profileset_work_threads=16"],
+    );
+  });
+
+  it("splits threads across profilesets when unseeded", () => {
+    assert.deepEqual(profilesetThreadArgs(16), [
+      "threads=16",
+      "profileset_work_threads=4",
+      "profileset_init_threads=4",
+    ]);
+    assert.equal(
+      profilesetThreadArgs(16, { workThreads: 2 })[1],
+      "profileset_work_threads=2",
+    );
+    assert.equal(profilesetThreadArgs(2)[1], "profileset_work_threads=1");
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compileEncounter,
+  validateScenarios,
+  describeScenario,
+} from "../../src/sim/scenario-builder.js";
+
+const ENCOUNTER = {
+  adds: [{ count: 3, countRange: 1, first: 30, cooldown: 60, lifetime: 20 }],
+  movement: [{ first: 20, cooldown: 45, duration: 4, playersOnly: true }],
+  intermissions: [{ at: 120, duration: 25, adds: 4 }],
+  execute: { startPct: 35 },
+};
+
+describe("compileEncounter", () => {
+  it("emits raid events with enemy options last", () => {
+    assert.deepEqual(compileEncounter(ENCOUNTER, 300), [
+      "raid_events+=/adds,count=3,count_range=1,first=30,cooldown=60,duration=20",
+      "raid_events+=/movement,first=20,cooldown=45,duration=4,players_only=1",
+      "raid_events+=/invulnerable,first=120,cooldown=600,duration=25,retarget=1",
+      "raid_events+=/adds,name=Intermission1,count=4,first=120,cooldown=600,duration=25",
+      "enemy=Fluffy_Pillow",
+      "enemy_initial_health_percentage=35",
+    ]);
+  });
+
+  it("makes one-off waves and fixed execute", () => {
+    assert.deepEqual(
+      compileEncounter(
+        {
+          adds: [{ count: 1, first: 10, lifetime: 15 }],
+          execute: { fixedPct: 20 },
+        },
+        100,
+      ),
+      [
+        "raid_events+=/adds,count=1,first=10,cooldown=200,duration=15",
+        "enemy=Fluffy_Pillow",
+        "enemy_fixed_health_percentage=20",
+      ],
+    );
+    assert.deepEqual(compileEncounter(undefined, 300), []);
+  });
+});
+
+describe("validateScenarios", () => {
+  const scenario = (encounter, extra = {}) => ({
+    boss: {
+      name: "Boss",
+      maxTime: 300,
+      desiredTargets: 1,
+      encounter,
+      ...extra,
+    },
+  });
+
+  it("accepts a well-formed encounter", () => {
+    assert.deepEqual(validateScenarios(scenario(ENCOUNTER)), []);
+  });
+
+  it("reports every problem with its config path", () => {
+    const errors = validateScenarios(
+      scenario({
+        adds: [{ count: 0, first: 400, lifetime: 20 }],
+        movement: [{ first: 10 }],
+        intermissions: [
+          { at: 100, duration: 30 },
+          { at: 120, duration: 10, adds: 2 },
+        ],
+        execute: { startPct: 30, fixedPct: 20 },
+        phases: [],
+      }),
+    );
+    const p = "simulation.scenarios.boss.encounter";
+    assert.deepEqual(
+      errors.map((e) => e.split(":")[0]),
+      [
+        `${p}.phases`,
+        `${p}.adds[0].count`,
+        `${p}.adds[0].first`,
+        `${p}.movement[0]`,
+        `${p}.intermissions[0]`,
+        `${p}.intermissions[1]`,
+        `${p}.execute`,
+      ],
+    );
+    assert.match(errors[5], /overlaps intermissions\[0\]/);
+  });
+
+  it("ties dungeon routes to the DungeonRoute fight style", () => {
+    const errors = validateScenarios(
+      scenario({ execute: { startPct: 30 } }, { routeFile: "route.json" }),
+    );
+    assert.deepEqual(
+      errors.map((e) => e.split(":")[0]),
+      [
+        "simulation.scenarios.boss.fightStyle",
+        "simulation.scenarios.boss.encounter.execute",
+      ],
+    );
+  });
+
+  it("allows intermissions without adds on multi-target fights", () => {
+    const sc = scenario(
+      { intermissions: [{ at: 100, duration: 30 }] },
+      { desiredTargets: 3 },
+    );
+    assert.deepEqual(validateScenarios(sc), []);
+  });
+});
+
+describe("describeScenario", () => {
+  it("summarizes the fight", () => {
+    assert.equal(
+      describeScenario({
+        maxTime: 300,
+        desiredTargets: 1,
+        encounter: ENCOUNTER,
+      }),
+      "300s, 1 target; 3±1 adds every 60s from 30s (20s each); move 4s every 45s from 20s; intermission at 120s (25s, 4 adds); execute from 35%",
+    );
+    assert.equal(
+      describeScenario({
+        maxTime: 360,
+        desiredTargets: 1,
+        fightStyle: "DungeonSlice",
+        description: "Dungeon slice",
+      }),
+      "Dungeon slice",
+    );
+  });
+});
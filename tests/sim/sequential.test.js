@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  studentTCdf,
+  pooledEstimate,
+  sequentialDecision,
+} from "../../src/sim/sequential.js";
+
+describe("studentTCdf", () => {
+  it("is symmetric around zero", () => {
+    assert.equal(studentTCdf(0, 5), 0.5);
+    assert.ok(Math.abs(studentTCdf(1.3, 4) + studentTCdf(-1.3, 4) - 1) < 1e-12);
+  });
+
+  it("matches tabulated two-sided 95% critical values", () => {
+    for (const [df, crit] of [
+      [1, 12.706],
+      [2, 4.303],
+      [5, 2.571],
+      [10, 2.228],
+      [30, 2.042],
+    ]) {
+      assert.ok(Math.abs(studentTCdf(crit, df) - 0.975) < 1e-4, `df=${df}`);
+    }
+  });
+
+  it("approaches the normal distribution for large df", () => {
+    assert.ok(Math.abs(studentTCdf(1.96, 1e6) - 0.975) < 1e-4);
+  });
+});
+
+describe("pooledEstimate", () => {
+  it("returns the mean and standard error of the mean", () => {
+    const { mean, stderr, n } = pooledEstimate([1, 2, 3, 4]);
+    assert.equal(n, 4);
+    assert.equal(mean, 2.5);
+    assert.ok(Math.abs(stderr - Math.sqrt(5 / 3 / 4)) < 1e-12);
+  });
+
+  it("has no stderr for a single sample", () => {
+    assert.ok(Number.isNaN(pooledEstimate([1]).stderr));
+  });
+});
+
+describe("sequentialDecision", () => {
+  const opts = { margin: 0.1, confidence: 0.95, minBatches: 3, maxBatches: 8 };
+
+  it("waits for minBatches even when the evidence is clear", () => {
+    assert.equal(sequentialDecision([2, 2.1], opts).decision, "continue");
+  });
+
+  it("stops on a clear winner", () => {
+    assert.equal(sequentialDecision([1.9, 2.1, 2.0], opts).decision, "better");
+  });
+
+  it("stops on a clear loser", () => {
+    const r = sequentialDecision([-1.5, -1.4, -1.6], opts);
+    assert.equal(r.decision, "worse");
+    assert.ok(r.pWorse > 0.99);
+  });
+
+  it("declares equivalence for a tight estimate near zero", () => {
+    const samples = [0.01, -0.02, 0.015, -0.01, 0.0, 0.005];
+    assert.equal(sequentialDecision(samples, opts).decision, "equivalent");
+  });
+
+  it("keeps sampling a noisy near-tie, then gives up at maxBatches", () => {
+    const noisy = [0.4, -0.3, 0.2, -0.35, 0.3];
+    assert.equal(sequentialDecision(noisy, opts).decision, "continue");
+    const more = [...noisy, -0.2, 0.25, -0.3];
+    assert.equal(sequentialDecision(more, opts).decision, "inconclusive");
+  });
+});
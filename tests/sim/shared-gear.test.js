@@ -0,0 +1,150 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  componentValues,
+  blendValues,
+  configValue,
+  epComponentGroups,
+  applyEpSims,
+  sharedGearPlan,
+} from "../../src/sim/shared-gear.js";
+
+// No tier set, one embellishment option; builds disagree on the trinket
+const INPUT = {
+  tierConfig: { requiredCount: 0, slots: {}, alternatives: {} },
+  embellishmentResults: [
+    {
+      candidateId: "emb",
+      weightedDps: 0,
+      slots: ["waist", "wrists"],
+      crafted: true,
+      embCount: 2,
+    },
+  ],
+  effectItemResults: {
+    trinket1: [
+      { candidateId: "st_trinket", weightedDps: 0, simc: "trinket1=a" },
+      { candidateId: "aoe_trinket", weightedDps: 0, simc: "trinket1=b" },
+    ],
+  },
+  statStickCandidates: {
+    neck: [{ id: "neck1", simc: "neck=neck1", epScore: 300 }],
+  },
+};
+
+const valuesOf = (emb, st, aoe) =>
+  new Map([
+    ...componentValues(INPUT),
+    ["emb:emb", emb],
+    ["effect:trinket1:st_trinket", st],
+    ["effect:trinket1:aoe_trinket", aoe],
+  ]);
+
+const BUILDS = [
+  { id: "st", weight: 2, values: valuesOf(1000, 1000, 200), minGain: 500 },
+  { id: "aoe", weight: 1, values: valuesOf(900, 100, 900), minGain: 500 },
+];
+
+describe("blendValues", () => {
+  it("takes the weighted mean per component", () => {
+    const blended = blendValues(
+      BUILDS.map((b) => b.values),
+      [2, 1],
+    );
+    assert.equal(blended.get("effect:trinket1:st_trinket"), 700);
+    assert.equal(blended.get("emb:emb"), 2900 / 3);
+    assert.equal(blended.get("stat:neck:neck1"), 300);
+  });
+
+  it("counts a build without a component as valuing it at 0", () => {
+    const blended = blendValues(
+      [new Map([["stat:neck:a", 300]]), new Map()],
+      [2, 1],
+    );
+    assert.equal(blended.get("stat:neck:a"), 200);
+  });
+});
+
+describe("applyEpSims", () => {
+  const input = {
+    ...INPUT,
+    statStickCandidates: {
+      neck: [
+        { id: "neck2", simc: "neck=neck2", epScore: 280 },
+        { id: "neck1", simc: "neck=neck1", epScore: 300 },
+        { id: "neck3", simc: "neck=neck3", epScore: 100 },
+      ],
+      back: [{ id: "back1", simc: "back=back1", epScore: 50 }],
+    },
+  };
+  const groups = epComponentGroups(input, 2);
+
+  it("sims the top EP components of each slot", () => {
+    const neck = groups.find((g) => g.slot === "neck");
+    assert.deepEqual(neck.simmed.map((c) => c.id), ["neck1", "neck2"]);
+    assert.deepEqual(neck.rest.map((c) => c.id), ["neck3"]);
+  });
+
+  it("keeps the slot's EP level and takes differences from the sims", () => {
+    const values = componentValues(input);
+    const epOnly = applyEpSims(
+      values,
+      groups,
+      new Map([
+        ["stat:neck:neck1", 40],
+        ["stat:neck:neck2", 90],
+        ["stat:back:back1", 10],
+      ]),
+    );
+    assert.equal(values.get("stat:neck:neck1"), 300);
+    assert.equal(values.get("stat:neck:neck2"), 350);
+    assert.equal(values.get("stat:neck:neck3"), 100);
+    assert.equal(values.get("stat:back:back1"), 50);
+    assert.deepEqual(epOnly, { neck: 1, back: 1 });
+  });
+
+  it("leaves a slot on EP when its top component has no sim", () => {
+    const values = componentValues(input);
+    const epOnly = applyEpSims(
+      values,
+      groups,
+      new Map([["stat:neck:neck2", 90]]),
+    );
+    assert.equal(values.get("stat:neck:neck2"), 280);
+    assert.equal(epOnly.neck, 3);
+  });
+});
+
+describe("sharedGearPlan", () => {
+  const plan = sharedGearPlan(INPUT, BUILDS);
+
+  it("picks the set that is best across weighted builds", () => {
+    assert.equal(plan.shared.slots.trinket1.id, "st_trinket");
+    const blended = blendValues(
+      BUILDS.map((b) => b.values),
+      [2, 1],
+    );
+    assert.equal(configValue(plan.shared, blended, INPUT), plan.shared.score);
+  });
+
+  it("reports each build's regret against its own best set", () => {
+    const [st, aoe] = plan.builds;
+    assert.equal(st.regret, 0);
+    assert.equal(aoe.bis.slots.trinket1.id, "aoe_trinket");
+    assert.equal(aoe.regret, 800);
+    assert.equal(plan.weightedRegret, 800 / 3);
+  });
+
+  it("flags swap pieces worth carrying", () => {
+    assert.deepEqual(plan.swaps, [
+      {
+        slot: "trinket1",
+        build: "aoe",
+        current: "st_trinket",
+        swap: "aoe_trinket",
+        gain: 800,
+        carry: true,
+      },
+    ]);
+  });
+});
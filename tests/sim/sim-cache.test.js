@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, utimesSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  splitSimcArgs,
+  cacheableOptions,
+  simFidelity,
+  fidelitySatisfies,
+  simCacheKey,
+  createSimCache,
+} from "../../src/sim/sim-cache.js";
+
+const keyFor = (args) => {
+  const { options } = splitSimcArgs(args);
+  return simCacheKey({
+    kind: "sim",
+    content: "x",
+    options: cacheableOptions(options),
+    env: "live",
+    simc: "abc",
+  });
+};
+
+describe("cache keys", () => {
+  it("ignore output paths, threads and fidelity", () => {
+    assert.equal(
+      keyFor(["a.simc", "max_time=300", "json2=/tmp/a.json", "threads=8"]),
+      keyFor([
+        "b.simc",
+        "max_time=300",
+        "target_error=0.1",
+        "json2=/tmp/b.json",
+        "threads=2",
+      ]),
+    );
+    assert.notEqual(
+      keyFor(["a.simc", "max_time=300"]),
+      keyFor(["a.simc", "max_time=60"]),
+    );
+  });
+
+  it("keep seed and threads for seeded runs", () => {
+    const seeded = (seed, threads) =>
+      keyFor([`seed=${seed}`, "deterministic=1", `threads=${threads}`]);
+    assert.notEqual(seeded(1, 8), seeded(2, 8));
+    assert.notEqual(seeded(1, 8), seeded(1, 4));
+  });
+});
+
+describe("fidelitySatisfies", () => {
+  const te = (targetError, iterations = 10000) => ({
+    targetError,
+    iterations,
+    seeded: false,
+  });
+
+  it("accepts a tighter target_error, not a looser one", () => {
+    assert.ok(fidelitySatisfies(te(0.1), te(0.25)));
+    assert.ok(!fidelitySatisfies(te(0.5), te(0.25)));
+    assert.ok(!fidelitySatisfies(te(0.1, 5000), te(0.25, 10000)));
+  });
+
+  it("needs matching fixed iteration counts for seeded runs", () => {
+    const fixed = (iterations, seeded) => ({
+      targetError: 0,
+      iterations,
+      seeded,
+    });
+    assert.ok(fidelitySatisfies(fixed(4000, false), fixed(2000, false)));
+    assert.ok(!fidelitySatisfies(fixed(4000, true), fixed(2000, true)));
+    assert.ok(!fidelitySatisfies(te(0.1), fixed(2000, false)));
+  });
+
+  it("reads fidelity from SimC options", () => {
+    assert.deepEqual(
+      simFidelity(["target_error=0.25", "iterations=10000", "seed=3"]),
+      { targetError: 0.25, iterations: 10000, seeded: false },
+    );
+  });
+});
+
+describe("createSimCache", () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "sim-cache-"));
+  });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  const fid = (targetError) => ({ targetError, iterations: 10000 });
+  const key = (n) => String(n).repeat(64).slice(0, 64);
+
+  it("serves the stored result when precise enough", () => {
+    const cache = createSimCache(dir);
+    cache.put(key(1), fid(0.25), { dps: 100 });
+    assert.equal(cache.get(key(1), fid(0.1)), null);
+    assert.deepEqual(cache.get(key(1), fid(0.5)).result, { dps: 100 });
+
+    const s = cache.stats();
+    assert.equal(s.entries, 1);
+    assert.equal(s.hits, 1);
+    assert.equal(s.misses, 1);
+    assert.equal(s.stores, 1);
+  });
+
+  it("drops results made redundant by a more precise one", () => {
+    const cache = createSimCache(dir);
+    cache.put(key(1), fid(0.5), { dps: 100 });
+    cache.put(key(1), fid(0.1), { dps: 101 });
+    assert.equal(cache.stats().results, 1);
+    assert.deepEqual(cache.get(key(1), fid(0.5)).result, { dps: 101 });
+  });
+
+  it("evicts the least recently used entries past maxEntries", () => {
+    const cache = createSimCache(dir, { maxEntries: 2 });
+    for (const n of [1, 2]) {
+      cache.put(key(n), fid(0.5), { n });
+      const t = new Date(Date.now() - (3 - n) * 60000);
+      utimesSync(join(dir, `${key(n)}.json`), t, t);
+    }
+    cache.get(key(1), fid(0.5)); // key 1 is now the most recent
+    cache.put(key(3), fid(0.5), { n: 3 });
+    assert.equal(cache.get(key(2), fid(0.5)), null);
+    assert.ok(cache.get(key(1), fid(0.5)));
+    assert.equal(cache.stats().evictions, 1);
+  });
+
+  it("evicts entries unused for maxAgeDays", () => {
+    const cache = createSimCache(dir, { maxAgeDays: 1 });
+    cache.put(key(1), fid(0.5), {});
+    assert.equal(cache.evict({ now: Date.now() + 2 * 86400000 }), 1);
+    assert.equal(cache.stats().entries, 0);
+  });
+
+  it("sums counters across processes sharing the directory", () => {
+    const cache = createSimCache(dir);
+    // another sim process's counters, plus a torn write it left behind
+    writeFileSync(join(dir, "stats.1.json"), JSON.stringify({ hits: 4 }));
+    writeFileSync(join(dir, "stats.2.json"), '{"hits":');
+    cache.put(key(1), fid(0.5), {});
+    cache.get(key(1), fid(0.5));
+    const s = cache.stats();
+    assert.equal(s.hits, 5);
+    assert.equal(s.stores, 1);
+    cache.clear();
+    assert.equal(cache.stats().hits, 0);
+  });
+});
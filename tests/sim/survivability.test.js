@@ -0,0 +1,148 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  survivabilityConfig,
+  profilesetMetricOption,
+  actorSurvival,
+  profilesetSurvival,
+  summarizeSurvival,
+  combineSurvival,
+  classifyTradeoff,
+  paretoFrontier,
+} from "../../src/sim/survivability.js";
+
+const CFG = survivabilityConfig({
+  metrics: ["hps", "dtps", "deaths"],
+  buffs: ["demon_spikes"],
+  guardrails: { dtps: 1, "buff.demon_spikes": 3 },
+});
+
+describe("survivabilityConfig", () => {
+  it("is off without metrics and rejects unknown names", () => {
+    assert.equal(survivabilityConfig(undefined), null);
+    assert.equal(survivabilityConfig({ metrics: [] }), null);
+    assert.throws(() => survivabilityConfig({ metrics: ["ehp"] }), /ehp/);
+    assert.throws(
+      () => survivabilityConfig({ metrics: ["hps"], guardrails: { tmi: 1 } }),
+      /guardrails\.tmi/,
+    );
+  });
+
+  it("keeps DPS as the primary profileset metric", () => {
+    assert.equal(profilesetMetricOption(CFG), "dps,hps,dtps,deaths");
+  });
+});
+
+describe("survival data", () => {
+  it("reads full reports and profileset metrics alike", () => {
+    const player = {
+      collected_data: {
+        hps: { mean: 500 },
+        dtps: { mean: 900 },
+        deaths: { mean: 0.02 },
+      },
+      buffs: [
+        { name: "demon_spikes", uptime: 61.5 },
+        { name: "metamorphosis", uptime: 0 },
+      ],
+    };
+    assert.deepEqual(actorSurvival(player), {
+      hps: 500,
+      dtps: 900,
+      deaths: 2,
+      buffs: { demon_spikes: 61.5 },
+    });
+    assert.deepEqual(
+      profilesetSurvival({
+        additional_metrics: [
+          { metric: "Damage Taken per Second", mean: 910 },
+          { metric: "hps", mean: 480 },
+        ],
+      }),
+      { dtps: 910, hps: 480 },
+    );
+  });
+});
+
+describe("summarizeSurvival", () => {
+  const side = (dps, dtps, uptime) => ({
+    dps,
+    hps: 500,
+    dtps,
+    deaths: 0,
+    buffs: uptime == null ? {} : { demon_spikes: uptime },
+  });
+
+  it("weights changes across scenarios and flags guardrails", () => {
+    const { changes, violations } = summarizeSurvival(
+      {
+        st: { current: side(1000, 1000, 60), candidate: side(1020, 1020, 55) },
+        aoe: { current: side(2000, 2000, 60), candidate: side(2040, 2000, 60) },
+      },
+      { st: 0.5, aoe: 0.5 },
+      CFG,
+    );
+    assert.equal(changes.dps, 2);
+    assert.equal(changes.dtps, 1);
+    assert.equal(changes["buff.demon_spikes"], -2.5);
+    assert.deepEqual(violations, []);
+
+    const worse = summarizeSurvival(
+      {
+        st: { current: side(1000, 1000, 60), candidate: side(1000, 1015, 50) },
+      },
+      { st: 1 },
+      CFG,
+    );
+    assert.deepEqual(
+      worse.violations.map((v) => v.metric),
+      ["dtps", "buff.demon_spikes"],
+    );
+  });
+
+  it("skips buff uptime when one side has no full report", () => {
+    const { changes } = summarizeSurvival(
+      {
+        st: {
+          current: side(1000, 1000, 60),
+          candidate: { dps: 1000, dtps: 1000 },
+        },
+      },
+      { st: 1 },
+      CFG,
+    );
+    assert.equal(changes["buff.demon_spikes"], null);
+    assert.equal(changes.hps, null);
+  });
+
+  it("averages builds and keeps each violation's build", () => {
+    const combined = combineSurvival({
+      a: { changes: { dps: 1, dtps: 2 }, violations: [{ metric: "dtps" }] },
+      b: { changes: { dps: 3, dtps: null }, violations: [] },
+    });
+    assert.deepEqual(combined.changes, { dps: 2, dtps: 2 });
+    assert.deepEqual(combined.violations, [{ metric: "dtps", build: "a" }]);
+  });
+});
+
+describe("trade-offs", () => {
+  it("classifies a change against the baseline", () => {
+    assert.equal(classifyTradeoff({ dps: 1, dtps: -1 }), "dominates");
+    assert.equal(classifyTradeoff({ dps: 1, dtps: 2 }), "trade-off");
+    assert.equal(classifyTradeoff({ dps: -1, hps: null }), "dominated");
+  });
+
+  it("keeps only non-dominated points on the frontier", () => {
+    const points = [
+      { id: "base", changes: { dps: 0, dtps: 0 } },
+      { id: "greedy", changes: { dps: 2, dtps: 3 } },
+      { id: "safe", changes: { dps: -0.5, dtps: -2 } },
+      { id: "bad", changes: { dps: 1, dtps: 4 } },
+      { id: "worse", changes: { dps: -1, dtps: 1 } },
+    ];
+    assert.deepEqual(
+      paretoFrontier(points, ["dps", "dtps"]).map((p) => p.id),
+      ["base", "greedy", "safe"],
+    );
+  });
+});
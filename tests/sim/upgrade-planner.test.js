@@ -0,0 +1,107 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  trackLadders,
+  parseTrackRank,
+  upgradeSteps,
+  interpolateIlvl,
+  planUpgrades,
+} from "../../src/sim/upgrade-planner.js";
+
+const TIERS = [
+  { ilvl: 276, track: "Hero" },
+  { ilvl: 289, track: "Myth" },
+];
+const TRACKS = {
+  crest_cost: 15,
+  tracks: {
+    Hero: {
+      ranks: 6,
+      step: 3,
+      crest: ["Champion", "Champion", "Hero", "Hero", "Hero"],
+    },
+    Myth: { ranks: 6, step: 3, crest: "Myth" },
+  },
+};
+const ladders = trackLadders(TIERS, TRACKS);
+
+const withGains = (slot, track, rank, gains) => ({
+  slot,
+  steps: upgradeSteps(track, rank, ladders).map((s, i) => ({
+    ...s,
+    gain: gains[i],
+  })),
+});
+
+describe("track ladders", () => {
+  it("counts ranks down from the track's max ilvl", () => {
+    assert.deepEqual(ladders.Hero.ilvls, [261, 264, 267, 270, 273, 276]);
+    assert.deepEqual(parseTrackRank("Hero 3/6"), { track: "Hero", rank: 3 });
+    assert.equal(parseTrackRank("3/6"), null);
+    const steps = upgradeSteps("Hero", 2, ladders);
+    assert.deepEqual(
+      steps.map((s) => [s.rank, s.ilvl, s.crest]),
+      [
+        [3, 267, "Champion"],
+        [4, 270, "Hero"],
+        [5, 273, "Hero"],
+        [6, 276, "Hero"],
+      ],
+    );
+    assert.equal(upgradeSteps("Myth", 6, ladders).length, 0);
+  });
+
+  it("interpolates and extrapolates between ilvl points", () => {
+    const points = [
+      { ilvl: 263, value: 100 },
+      { ilvl: 276, value: 230 },
+    ];
+    assert.equal(interpolateIlvl(points, 270), 170);
+    assert.equal(interpolateIlvl(points, 289), 360);
+  });
+});
+
+describe("planUpgrades", () => {
+  it("spends each crest type on the best DPS per crest", () => {
+    const r = planUpgrades(
+      [
+        withGains("trinket1", "Myth", 4, [300, 300]),
+        withGains("head", "Hero", 4, [90, 90]),
+        withGains("neck", "Myth", 1, [150, 150, 150, 150, 150]),
+      ],
+      { Myth: 45, Hero: 15 },
+    );
+    assert.deepEqual(
+      r.plan.map((p) => [p.slot, p.rank]),
+      [
+        ["trinket1", 6],
+        ["neck", 2],
+        ["head", 5],
+      ],
+    );
+    assert.deepEqual(r.left, { Myth: 0, Hero: 0 });
+    assert.equal(r.gain, 300 + 300 + 150 + 90);
+  });
+
+  it("looks past a step that gains nothing on its own", () => {
+    const r = planUpgrades(
+      [
+        withGains("trinket1", "Myth", 1, [0, 400]),
+        withGains("neck", "Myth", 1, [150, 150]),
+      ],
+      { Myth: 30 },
+    );
+    assert.deepEqual(
+      r.plan.map((p) => [p.slot, p.fromRank, p.rank]),
+      [["trinket1", 1, 3]],
+    );
+  });
+
+  it("respects per-step crest types", () => {
+    const r = planUpgrades([withGains("head", "Hero", 1, [0, 0, 500])], {
+      Champion: 15,
+      Hero: 100,
+    });
+    assert.equal(r.plan.length, 0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  diffRuns,
+  abilityDeltas,
+  flagAbilities,
+  formatUpgradeReport,
+  noiseThreshold,
+} from "../../src/sim/upgrade-report.js";
+
+const run = (dps, abilities) => ({ dps, abilities });
+
+const BEFORE = {
+  st: {
+    a: run(1000, { soul_cleave: 600, fracture: 400 }),
+    b: run(2000, { soul_cleave: 1200, fracture: 800 }),
+  },
+  aoe: {
+    a: run(3000, { spirit_bomb: 3000 }),
+    b: run(3000, { spirit_bomb: 3000 }),
+  },
+};
+const AFTER = {
+  st: {
+    a: run(1100, { soul_cleave: 700, fracture: 400 }),
+    b: run(2000, { soul_cleave: 1200, fracture: 780, sigil: 20 }),
+  },
+  aoe: {
+    a: run(3000, { spirit_bomb: 3000 }),
+    b: run(2970, { spirit_bomb: 2970 }),
+  },
+};
+
+describe("diffRuns", () => {
+  it("weights per-build changes across scenarios", () => {
+    const diff = diffRuns(BEFORE, AFTER, { st: 0.5, aoe: 0.5 });
+    assert.deepEqual(
+      diff.builds.map((b) => [b.id, +b.weighted.toFixed(3)]),
+      [
+        ["a", 5],
+        ["b", -0.5],
+      ],
+    );
+    assert.equal(diff.scenarios.st, 5);
+    assert.equal(diff.weighted, 2.25);
+  });
+
+  it("skips builds missing from either run", () => {
+    const after = { st: { a: AFTER.st.a }, aoe: AFTER.aoe };
+    const diff = diffRuns(BEFORE, after, { st: 0.5, aoe: 0.5 });
+    assert.deepEqual(
+      diff.builds.map((b) => b.id),
+      ["a"],
+    );
+  });
+});
+
+describe("abilityDeltas", () => {
+  it("attributes the change and marks new abilities", () => {
+    const rows = abilityDeltas(BEFORE.st, AFTER.st, ["a", "b"]);
+    assert.deepEqual(
+      rows.map((r) => [r.name, r.delta, +r.share.toFixed(3), r.status]),
+      [
+        ["soul_cleave", 50, 3.333, null],
+        ["fracture", -10, -0.667, null],
+        ["sigil", 10, 0.667, "new"],
+      ],
+    );
+    assert.deepEqual(
+      flagAbilities(rows, 1).map((r) => r.name),
+      ["soul_cleave", "sigil"],
+    );
+  });
+});
+
+describe("formatUpgradeReport", () => {
+  it("bolds changes beyond noise and lists flagged abilities", () => {
+    const weights = { st: 0.5, aoe: 0.5 };
+    const engine = diffRuns(BEFORE, AFTER, weights);
+    const md = formatUpgradeReport({
+      from: {
+        simcCommit: "abc1234",
+        dataEnv: "live",
+        savedAt: "2026-10-01T00:00:00Z",
+      },
+      to: { simcCommit: "def5678", dataEnv: "live" },
+      engine,
+      abilities: {
+        st: abilityDeltas(BEFORE.st, AFTER.st, ["a", "b"]),
+        aoe: abilityDeltas(BEFORE.aoe, AFTER.aoe, ["a", "b"]),
+      },
+      apl: null,
+      labels: { st: "1T", aoe: "10T" },
+      heroTrees: { a: "AR", b: "Anni" },
+      noisePct: 1,
+      flagPct: 1,
+    });
+    assert.match(md, /^# SimC Upgrade Impact: abc1234 → def5678/);
+    assert.match(md, /\| 1T \| \*\*\+5\.00%\*\* \|/);
+    assert.match(md, /\| 10T \| -0\.50% \|/);
+    assert.match(md, /\| soul_cleave \| 900 \| 950 \| \+50 \| \+3\.33% \|/);
+    assert.match(md, /### 10T\n\nNo ability moved past the threshold/);
+    assert.match(md, /APL is unchanged/);
+  });
+});
+
+describe("noiseThreshold", () => {
+  it("widens the per-run 95% half-width by √2 for a difference", () => {
+    assert.ok(Math.abs(noiseThreshold(0.1) - 0.1 * Math.SQRT2) < 1e-12);
+  });
+});
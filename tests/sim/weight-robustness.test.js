@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  weightGrid,
+  breakEvenWeights,
+  comparisonRobustness,
+  comparisonDeltas,
+  rankingRobustness,
+} from "../../src/sim/weight-robustness.js";
+
+const WEIGHTS = { st: 0.6, aoe: 0.4 };
+
+describe("weightGrid", () => {
+  it("covers the simplex", () => {
+    const grid = weightGrid(3, 0.5);
+    assert.equal(grid.length, 6);
+    for (const w of grid) {
+      assert.equal(
+        w.reduce((a, b) => a + b, 0),
+        1,
+      );
+    }
+  });
+});
+
+describe("breakEvenWeights", () => {
+  it("finds where the weighted delta changes sign", () => {
+    const [st, aoe] = breakEvenWeights({ st: 1, aoe: -2 }, WEIGHTS);
+    assert.equal(+st.breakEven.toFixed(4), 0.6667);
+    assert.equal(st.winsAbove, true);
+    assert.equal(+aoe.breakEven.toFixed(4), 0.3333);
+    assert.equal(aoe.winsAbove, false);
+  });
+
+  it("has no break-even when the sign never changes", () => {
+    const rows = breakEvenWeights({ st: 1, aoe: 2 }, WEIGHTS);
+    assert.deepEqual(
+      rows.map((r) => r.breakEven),
+      [null, null],
+    );
+  });
+});
+
+describe("comparisonRobustness", () => {
+  it("measures the win region and flags dominance", () => {
+    const mixed = comparisonRobustness({ st: 1, aoe: -1 }, WEIGHTS, {
+      step: 0.1,
+    });
+    assert.equal(mixed.dominates, null);
+    assert.equal(+mixed.weighted.toFixed(3), 0.2);
+    assert.equal(+mixed.winShare.toFixed(3), 0.455);
+    assert.deepEqual(mixed.range, { min: -1, max: 1 });
+
+    const all = comparisonRobustness({ st: 0.1, aoe: 3 }, WEIGHTS);
+    assert.equal(all.dominates, "candidate");
+    assert.equal(all.winShare, 1);
+  });
+
+  it("averages roster comparisons across builds", () => {
+    const { deltas, builds } = comparisonDeltas({
+      multiBuild: true,
+      buildResults: {
+        a: { scenarios: { st: { deltaPct: 1 }, aoe: { deltaPct: 2 } } },
+        b: { scenarios: { st: { deltaPct: -1 }, aoe: { deltaPct: 4 } } },
+      },
+    });
+    assert.deepEqual(deltas, { st: 0, aoe: 3 });
+    assert.equal(builds.length, 2);
+  });
+});
+
+describe("rankingRobustness", () => {
+  it("ranks builds across weight space", () => {
+    const r = rankingRobustness(
+      [
+        { id: "st", dps: { st: 110, aoe: 90 } },
+        { id: "aoe", dps: { st: 95, aoe: 120 } },
+        { id: "weak", dps: { st: 80, aoe: 80 } },
+      ],
+      WEIGHTS,
+      { step: 0.1 },
+    );
+    assert.equal(r.leader, "aoe");
+    assert.equal(r.dominant, null);
+    const [aoe, st, weak] = r.builds;
+    assert.deepEqual(aoe.topIn, ["aoe"]);
+    assert.deepEqual(st.topIn, ["st"]);
+    assert.equal(weak.winShare, 0);
+    assert.equal(aoe.winShare + st.winShare, 1);
+    assert.equal(st.breakEven[0].scenario, "st");
+    assert.equal(st.breakEven[0].winsAbove, true);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createWorkPool,
+  splitProfilesets,
+  mergeProfilesetReports,
+  patchThreads,
+} from "../../src/sim/work-pool.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class WorkerDown extends Error {}
+
+describe("createWorkPool", () => {
+  it("lets a faster worker take more jobs", async () => {
+    const fast = { id: "fast", ms: 1 };
+    const slow = { id: "slow", ms: 40 };
+    const ran = [];
+    const pool = createWorkPool([fast, slow], async (w, job) => {
+      await sleep(w.ms);
+      ran.push(w.id);
+      return job * 2;
+    });
+    const results = await Promise.all(
+      [1, 2, 3, 4, 5, 6].map((j) => pool.submit(j)),
+    );
+    assert.deepEqual(results, [2, 4, 6, 8, 10, 12]);
+    assert.ok(ran.filter((id) => id === "fast").length >= 4);
+  });
+
+  it("retires a failed worker and reruns its job elsewhere", async () => {
+    const bad = { id: "bad" };
+    const good = { id: "good" };
+    const pool = createWorkPool(
+      [bad, good],
+      async (w, job) => {
+        if (w === bad) throw new WorkerDown("gone");
+        await sleep(1);
+        return job;
+      },
+      { isWorkerFailure: (e) => e instanceof WorkerDown },
+    );
+    assert.deepEqual(
+      await Promise.all([1, 2, 3].map((j) => pool.submit(j))),
+      [1, 2, 3],
+    );
+    assert.deepEqual(pool.live(), [good]);
+
+    pool.restore(bad);
+    assert.deepEqual(pool.live(), [bad, good]);
+  });
+
+  it("rejects queued jobs once every worker is down", async () => {
+    const pool = createWorkPool(
+      [{ id: "a" }],
+      async () => {
+        throw new WorkerDown("unreachable");
+      },
+      { isWorkerFailure: (e) => e instanceof WorkerDown },
+    );
+    await assert.rejects(pool.submit(1), /unreachable/);
+    await assert.rejects(pool.submit(2), /No live workers/);
+  });
+
+  it("fails only the job on other errors", async () => {
+    const w = { id: "a" };
+    const pool = createWorkPool([w], async (_, job) => {
+      if (job === "bad") throw new Error("SimC failed");
+      return job;
+    });
+    await assert.rejects(pool.submit("bad"), /SimC failed/);
+    assert.equal(await pool.submit("ok"), "ok");
+    assert.deepEqual(pool.live(), [w]);
+  });
+});
+
+describe("splitProfilesets", () => {
+  const content = [
+    "demonhunter=base",
+    "spec=vengeance",
+    'profileset."a"=talents=A',
+    'profileset."a"+=trinket1=x',
+    'profileset."b"=talents=B',
+    "profileset.c=talents=C",
+  ].join("\n");
+
+  it("keeps every variant's lines together with the base profile", () => {
+    const chunks = splitProfilesets(content, 2);
+    assert.equal(chunks.length, 2);
+    for (const c of chunks)
+      assert.match(c, /^demonhunter=base\nspec=vengeance/);
+    assert.match(chunks[0], /"a"=talents=A\nprofileset\."a"\+=trinket1=x/);
+    assert.match(chunks[0], /profileset\.c=/);
+    assert.match(chunks[1], /"b"=talents=B/);
+    assert.doesNotMatch(chunks[1], /"a"/);
+  });
+
+  it("never makes more chunks than variants", () => {
+    assert.equal(splitProfilesets(content, 10).length, 3);
+    assert.deepEqual(splitProfilesets(content, 1), [content]);
+    assert.deepEqual(splitProfilesets("demonhunter=base", 4), [
+      "demonhunter=base",
+    ]);
+  });
+});
+
+describe("mergeProfilesetReports", () => {
+  it("concatenates profileset results onto the first report", () => {
+    const report = (names) => ({
+      sim: {
+        players: [{ name: "base" }],
+        profilesets: { results: names.map((name) => ({ name })) },
+      },
+    });
+    const first = report(["a", "c"]);
+    const merged = mergeProfilesetReports([first, report(["b"])]);
+    assert.deepEqual(
+      merged.sim.profilesets.results.map((r) => r.name),
+      ["a", "c", "b"],
+    );
+    assert.equal(first.sim.profilesets.results.length, 2);
+  });
+});
+
+describe("patchThreads", () => {
+  it("sizes thread options for the target machine", () => {
+    assert.deepEqual(
+      patchThreads(
+        [
+          "a.simc",
+          "threads=96",
+          "profileset_work_threads=24",
+          "profileset_init_threads=4",
+        ],
+        8,
+      ),
+      [
+        "a.simc",
+        "threads=8",
+        "profileset_work_threads=2",
+        "profileset_init_threads=2",
+      ],
+    );
+  });
+
+  it("keeps seeded profilesets on the baseline's thread count", () => {
+    assert.deepEqual(
+      patchThreads(
+        [
+          "a.simc",
+          "seed=7",
+          "deterministic=1",
+          "threads=96",
+          "profileset_work_threads=96",
+          "profileset_init_threads=4",
+        ],
+        8,
+      ).slice(3),
+      [
+        "threads=8",
+        "profileset_work_threads=8",
+        "profileset_init_threads=2",
+      ],
+    );
+  });
+});